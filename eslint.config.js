@@ -47,4 +47,11 @@ export default defineConfig([
       }],
     },
   },
+  {
+    // Serverless functions and scripts run on Node, not in the browser
+    files: ['src/api/webhook.js', 'src/api/lemonsqueezy-webhook.js', 'src/api/webhook-handlers.js', 'src/api/job-worker.js', 'src/api/webhook-replay.js', 'src/api/claim-purchase.js', 'src/api/auto-topup.js', 'scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
@@ -0,0 +1,36 @@
+// Consistency check for the plan catalog (src/constants/plans.js).
+// Exits with status 1 when plan credit amounts disagree anywhere they are repeated.
+// Usage: npm run check:plans
+import { readdirSync, readFileSync } from 'fs'
+import { PLANS, validatePlanCatalog } from '../src/constants/plans.js'
+
+const MIGRATIONS_DIR = new URL('../supabase/migrations/', import.meta.url)
+
+const problems = validatePlanCatalog()
+
+// New profiles get the free trial credits and team seats from the column defaults, so those must
+// match too. The default set by the last migration that changes it is the one in effect.
+const migrations = readdirSync(MIGRATIONS_DIR)
+  .filter(file => file.endsWith('.sql'))
+  .sort()
+  .map(file => readFileSync(new URL(file, MIGRATIONS_DIR), 'utf8'))
+
+const PROFILE_DEFAULTS = { credits_find: 'credits_find', credits_verify: 'credits_verify', team_seats: 'teamSeats' }
+
+for (const [column, field] of Object.entries(PROFILE_DEFAULTS)) {
+  const pattern = new RegExp(`\\b${column} (?:INTEGER|SET) DEFAULT (\\d+)`, 'g')
+  const match = migrations.flatMap(sql => [...sql.matchAll(pattern)]).at(-1)
+  if (!match) {
+    problems.push(`profiles: no default found for ${column}`)
+  } else if (Number(match[1]) !== PLANS.free[field]) {
+    problems.push(`profiles: ${column} defaults to ${match[1]} but the free plan has ${field} = ${PLANS.free[field]}`)
+  }
+}
+
+if (problems.length > 0) {
+  console.error('❌ Plan catalog is inconsistent:')
+  problems.forEach(problem => console.error(`  - ${problem}`))
+  process.exit(1)
+}
+
+console.log('✅ Plan catalog is consistent')
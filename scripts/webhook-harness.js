@@ -0,0 +1,131 @@
+// Local harness for the LemonSqueezy webhook endpoint (src/api/webhook.js).
+// Signs the fixture payloads in scripts/fixtures/webhooks with LEMONSQUEEZY_WEBHOOK_SECRET, the same
+// way LemonSqueezy does, and sends them through the endpoint in order: one fixture per handled event.
+// It then checks that a retried delivery is skipped and that bad signatures and stale events are refused.
+//
+// Usage:
+//   npm run webhooks:harness                        run every fixture in-process
+//   npm run webhooks:harness -- order_created       run the fixtures whose name contains "order_created"
+//   npm run webhooks:harness -- --url <endpoint>    POST to a running endpoint instead
+//
+// Needs VITE_SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY and LEMONSQUEEZY_WEBHOOK_SECRET in the environment.
+// The fixtures belong to harness@example.com and write real rows, so point it at a development project.
+// Set WEBHOOK_HARNESS_USER_ID to a profile id to send it as the checkout's user_id; without it (and without
+// a harness@example.com profile) the purchases are kept as unclaimed and the subscription events fail.
+import crypto from 'crypto'
+import { readdirSync, readFileSync } from 'fs'
+import { Readable } from 'stream'
+
+const FIXTURES_DIR = new URL('./fixtures/webhooks/', import.meta.url)
+
+const args = process.argv.slice(2)
+const urlIndex = args.indexOf('--url')
+const endpointUrl = urlIndex >= 0 ? args[urlIndex + 1] : null
+const filters = urlIndex >= 0 ? args.filter((arg, index) => index !== urlIndex && index !== urlIndex + 1) : args
+
+const secret = process.env.LEMONSQUEEZY_WEBHOOK_SECRET
+if (!secret) {
+  console.error('❌ Set LEMONSQUEEZY_WEBHOOK_SECRET to the secret the endpoint verifies with')
+  process.exit(1)
+}
+
+const sign = (body) => crypto.createHmac('sha256', secret).update(body).digest('hex')
+
+/**
+ * Fixture payload with fresh timestamps, so it is neither stale nor a duplicate of an earlier run
+ */
+function loadFixture(file, timestamp = new Date()) {
+  const payload = JSON.parse(readFileSync(new URL(file, FIXTURES_DIR), 'utf8'))
+  payload.data.attributes.created_at = timestamp.toISOString()
+  payload.data.attributes.updated_at = timestamp.toISOString()
+  if (process.env.WEBHOOK_HARNESS_USER_ID) {
+    payload.meta.custom_data = { ...payload.meta.custom_data, user_id: process.env.WEBHOOK_HARNESS_USER_ID }
+  }
+  return payload
+}
+
+/**
+ * Deliver a raw body to the endpoint, over HTTP or by calling the handler directly
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function deliver(body, signature, eventName) {
+  const headers = {
+    'content-type': 'application/json',
+    'x-event-name': eventName,
+    'x-signature': signature
+  }
+
+  if (endpointUrl) {
+    const response = await fetch(endpointUrl, { method: 'POST', headers, body })
+    return { status: response.status, body: await response.json().catch(() => ({})) }
+  }
+
+  const { default: handler } = await import('../src/api/webhook.js')
+  const req = Object.assign(Readable.from([Buffer.from(body)]), { method: 'POST', headers })
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code
+      return this
+    },
+    json(data) {
+      this.body = data
+      return this
+    }
+  }
+
+  await handler(req, res)
+  return { status: res.statusCode, body: res.body }
+}
+
+let failures = 0
+
+function report(name, result, expectedStatus, check = () => true) {
+  const ok = result.status === expectedStatus && check(result.body)
+  if (!ok) failures++
+  console.log(`${ok ? '✅' : '❌'} ${name}: ${result.status} ${JSON.stringify(result.body)}`)
+}
+
+const fixtures = readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .filter(file => filters.length === 0 || filters.some(filter => file.includes(filter)))
+  .sort()
+
+if (fixtures.length === 0) {
+  console.error('❌ No fixtures match', filters.join(', '))
+  process.exit(1)
+}
+
+// Each fixture in order, as LemonSqueezy would send them over a customer's lifetime
+let firstDelivery = null
+for (const file of fixtures) {
+  const payload = loadFixture(file)
+  const body = JSON.stringify(payload)
+  const result = await deliver(body, sign(body), payload.meta.event_name)
+  report(file, result, 200, data => data?.success && !data.duplicate)
+  firstDelivery ??= { body, eventName: payload.meta.event_name }
+}
+
+// A retry of the same bytes is acknowledged without running the handler again
+const retry = await deliver(firstDelivery.body, sign(firstDelivery.body), firstDelivery.eventName)
+report('retried delivery', retry, 200, data => data?.duplicate === true)
+
+// Tampered body with the original signature
+const tampered = firstDelivery.body.replace('harness@example.com', 'attacker@example.com')
+report('tampered body', await deliver(tampered, sign(firstDelivery.body), firstDelivery.eventName), 401)
+
+// Malformed signature header
+report('malformed signature', await deliver(firstDelivery.body, 'not-a-signature', firstDelivery.eventName), 401)
+
+// Correctly signed, but last changed two days ago
+const stalePayload = loadFixture(fixtures[0], new Date(Date.now() - 2 * 24 * 60 * 60 * 1000))
+const staleBody = JSON.stringify(stalePayload)
+report('stale event', await deliver(staleBody, sign(staleBody), stalePayload.meta.event_name), 400)
+
+if (failures > 0) {
+  console.error(`❌ ${failures} webhook check(s) failed`)
+  process.exit(1)
+}
+
+console.log('✅ All webhook checks passed')
@@ -4,13 +4,19 @@ import SearchPage from './pages/SearchPage.jsx'
 import VerifyPage from './pages/VerifyPage.jsx'
 import BulkSearchPage from './pages/BulkSearchPage.jsx'
 import BillingPage from './pages/BillingPage.jsx'
+import ListsPage from './pages/ListsPage.jsx'
+import UsagePage from './pages/UsagePage.jsx'
 import AuthDiagnostics from './pages/AuthDiagnostics.jsx'
+import TeamPage from './pages/TeamPage.jsx'
 import { FindResultsProvider } from './contexts/findResults.jsx'
 import { AuthProvider } from './contexts/auth.jsx'
 import { useAuth } from './hooks/useAuth.js'
 import { useRealTimeCredits } from './hooks/useRealTimeCredits.js'
+import { useApiLimits } from './hooks/useApiLimits.js'
+import { useCredits } from './services/creditManager.jsx'
 import DebugCredits from './components/DebugCredits.jsx'
 import TestCredits from './components/TestCredits.jsx'
+import LowBalanceBanner from './components/LowBalanceBanner.jsx'
 import { useState, useEffect } from 'react'
 
 const queryClient = new QueryClient()
@@ -29,6 +35,54 @@ function SidebarItem({ to, label }) {
   )
 }
 
+function AllowanceBar({ label, remaining, limit }) {
+  const used = limit ? Math.min(100, ((limit - remaining) / limit) * 100) : 0
+  return (
+    <div>
+      <div className="flex justify-between text-xs">
+        <span className="text-muted-foreground">{label}</span>
+        <span className="text-foreground font-medium">{remaining.toLocaleString()} / {limit.toLocaleString()} left</span>
+      </div>
+      <div className="h-1.5 mt-1 bg-muted rounded">
+        <div className={`h-1.5 rounded ${remaining === 0 ? 'bg-red-500' : 'bg-primary'}`} style={{ width: `${used}%` }} />
+      </div>
+    </div>
+  )
+}
+
+function SidebarAllowance({ user, isAuthenticated }) {
+  const { find, verify, pooled, refetch: refetchCredits } = useCredits(user, isAuthenticated)
+  const { limits } = useApiLimits(user)
+
+  // Lookups that change the allowance also spend credits
+  useEffect(() => {
+    if (limits) refetchCredits()
+  }, [limits, refetchCredits])
+
+  return (
+    <div className="mx-3 mt-6 p-3 rounded-md border border-border space-y-3">
+      <div className="flex justify-between text-xs">
+        {pooled ? (
+          <span className="text-green-600 font-medium">Credits: {(find || 0).toLocaleString()}</span>
+        ) : (
+          <>
+            <span className="text-green-600 font-medium">Find: {(find || 0).toLocaleString()}</span>
+            <span className="text-blue-600 font-medium">Verify: {(verify || 0).toLocaleString()}</span>
+          </>
+        )}
+      </div>
+      {limits ? (
+        <>
+          <AllowanceBar label="Lookups today" remaining={limits.remaining.today} limit={limits.limits.dailyLimit} />
+          <AllowanceBar label="Lookups this month" remaining={limits.remaining.thisMonth} limit={limits.limits.monthlyLimit} />
+        </>
+      ) : (
+        <div className="text-xs text-muted-foreground">Loading allowance...</div>
+      )}
+    </div>
+  )
+}
+
 function Sidebar() {
   const { user, isAuthenticated, logout } = useAuth()
 
@@ -49,17 +103,22 @@ function Sidebar() {
           <SidebarItem to="/search" label="Find" />
           <SidebarItem to="/bulk-search" label="Bulk finder" />
           <SidebarItem to="/verify" label="Verify" />
+          <SidebarItem to="/lists" label="My lists" />
         </nav>
 
         <SectionLabel>ACCOUNT</SectionLabel>
         <nav className="flex flex-row lg:flex-col gap-1 overflow-x-auto lg:overflow-x-visible">
+          <SidebarItem to="/usage" label="Usage" />
           <SidebarItem to="/billing" label="Credits & Billing" />
+          <SidebarItem to="/team" label="Team" />
         </nav>
 
         <SectionLabel>DIAGNOSTICS</SectionLabel>
         <nav className="flex flex-row lg:flex-col gap-1 overflow-x-auto lg:overflow-x-visible">
           <SidebarItem to="/diagnostics" label="Auth Diagnostics" />
         </nav>
+
+        {isAuthenticated && <SidebarAllowance user={user} isAuthenticated={isAuthenticated} />}
       </div>
 
       {isAuthenticated && (
@@ -82,7 +141,7 @@ function Sidebar() {
 function Topbar() {
   const { user, isAuthenticated, logout } = useAuth()
   const { creditData, refetch } = useRealTimeCredits(user)
-  const { find, verify, loading } = creditData
+  const { find, verify, pooled, loading } = creditData
   
   const handleLogout = () => {
     logout()
@@ -93,17 +152,26 @@ function Topbar() {
   const formatPlan = () => 'Free' // Default plan for now
 
   return (
+    <>
     <header className="h-14 border-b border-border px-4 flex items-center justify-between bg-card">
       <div className="font-semibold text-foreground">Email Finder Dashboard</div>
       <div className="flex items-center gap-3 text-sm text-muted-foreground">
         {isAuthenticated && (
           <div className="hidden sm:flex items-center gap-3">
-            <span className="text-green-600 font-medium">
-              Find: {find?.toLocaleString() || '0'}
-            </span>
-            <span className="text-blue-600 font-medium">
-              Verify: {verify?.toLocaleString() || '0'}
-            </span>
+            {pooled ? (
+              <span className="text-green-600 font-medium">
+                Credits: {find?.toLocaleString() || '0'}
+              </span>
+            ) : (
+              <>
+                <span className="text-green-600 font-medium">
+                  Find: {find?.toLocaleString() || '0'}
+                </span>
+                <span className="text-blue-600 font-medium">
+                  Verify: {verify?.toLocaleString() || '0'}
+                </span>
+              </>
+            )}
             <span className="text-purple-600 font-medium capitalize">
               {formatPlan()}
             </span>
@@ -128,6 +196,8 @@ function Topbar() {
         ) : null}
       </div>
     </header>
+    {isAuthenticated && <LowBalanceBanner creditData={creditData} />}
+    </>
   )
 }
 
@@ -196,7 +266,10 @@ function Layout() {
                 <Route path="/search" element={<SearchPage />} />
                 <Route path="/verify" element={<VerifyPage />} />
                 <Route path="/bulk-search" element={<BulkSearchPage />} />
+                <Route path="/lists" element={<ListsPage />} />
+                <Route path="/usage" element={<UsagePage />} />
                 <Route path="/billing" element={<BillingPage />} />
+                <Route path="/team" element={<TeamPage />} />
                 <Route path="/diagnostics" element={<AuthDiagnostics />} />
                 <Route path="/" element={<Navigate to="/search" replace />} />
                 <Route path="*" element={<div className="p-6 text-center">Not Found</div>} />
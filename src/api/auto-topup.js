@@ -0,0 +1,156 @@
+import { supabase } from './lemonsqueezy-webhook.js'
+import { getCreditPack, getCheckoutUrl } from '../constants/plans.js'
+
+// Shared secret for the scheduler that runs the top-ups
+const AUTO_TOPUP_SECRET = process.env.AUTO_TOPUP_SECRET
+
+const MAX_TOPUPS = 50
+
+// A checkout left unpaid this long is dropped, so the next low balance can queue a fresh top-up
+const CHECKOUT_TTL_DAYS = 7
+
+/**
+ * Top-ups queued by check_low_balance() that have no checkout yet, oldest first
+ */
+async function getPendingTopups(limit) {
+  const { data, error } = await supabase
+    .from('credit_topups')
+    .select('*, profiles(email)')
+    .eq('status', 'pending')
+    .order('created_at', { ascending: true })
+    .limit(limit)
+
+  if (error) {
+    console.error('Error fetching pending top-ups:', error)
+    throw error
+  }
+
+  return data
+}
+
+/**
+ * Cancel top-ups whose checkout was sent more than CHECKOUT_TTL_DAYS ago and never paid
+ */
+async function expireStaleCheckouts() {
+  const cutoff = new Date(Date.now() - CHECKOUT_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+
+  const { data, error } = await supabase
+    .from('credit_topups')
+    .update({ status: 'cancelled', error: `Checkout not completed within ${CHECKOUT_TTL_DAYS} days` })
+    .eq('status', 'checkout_sent')
+    .lt('updated_at', cutoff)
+    .select('id')
+
+  if (error) {
+    console.error('Error expiring top-up checkouts:', error)
+    throw error
+  }
+
+  return data.length
+}
+
+/**
+ * Record a notification; email_status 'pending' leaves it for the mailer to send
+ */
+async function createNotification(notification) {
+  const { error } = await supabase
+    .from('notifications')
+    .insert(notification)
+
+  if (error) {
+    console.error('Error creating notification:', error)
+    throw error
+  }
+}
+
+/**
+ * Prepare the saved credit pack's checkout for one top-up and send it to the user.
+ * LemonSqueezy can't charge a saved card for a one-time product without the buyer, so the
+ * purchase is completed from the prefilled checkout link; order_created closes the top-up.
+ */
+async function processTopup(topup) {
+  const pack = getCreditPack(topup.pack)
+  const email = topup.profiles?.email
+
+  if (!pack || !email) {
+    await supabase
+      .from('credit_topups')
+      .update({ status: 'failed', error: pack ? 'User has no email address' : `Unknown credit pack: ${topup.pack}` })
+      .eq('id', topup.id)
+    return { topup_id: topup.id, status: 'failed' }
+  }
+
+  const checkoutUrl = getCheckoutUrl(pack, { id: topup.user_id, email }, {
+    product_type: 'credit_pack',
+    topup_id: topup.id
+  })
+
+  // Only one run may send the checkout
+  const { data: claimed, error } = await supabase
+    .from('credit_topups')
+    .update({ status: 'checkout_sent', checkout_url: checkoutUrl })
+    .eq('id', topup.id)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle()
+
+  if (error) throw error
+  if (!claimed) return { topup_id: topup.id, status: 'skipped' }
+
+  await createNotification({
+    user_id: topup.user_id,
+    type: 'auto_topup',
+    email,
+    subject: `Your ${pack.name} top-up is ready`,
+    body: `Your ${topup.credit_type === 'find' ? 'email finding' : 'email verification'} credits dropped to ${topup.balance_at_trigger}, `
+      + `so we prepared your automatic top-up of ${pack.name}. Complete the purchase here: ${checkoutUrl}`,
+    data: { topup_id: topup.id, pack: pack.variantName, checkout_url: checkoutUrl }
+  })
+
+  return { topup_id: topup.id, status: 'checkout_sent' }
+}
+
+/**
+ * Scheduled endpoint that turns queued auto top-ups into checkouts and drops stale ones
+ * POST with the x-admin-secret header, e.g. every few minutes from a cron job.
+ * This should be deployed as a serverless function (Vercel, Netlify, etc.)
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  if (!AUTO_TOPUP_SECRET || req.headers['x-admin-secret'] !== AUTO_TOPUP_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' })
+  }
+
+  try {
+    const expired = await expireStaleCheckouts()
+    const topups = await getPendingTopups(MAX_TOPUPS)
+    const results = []
+
+    for (const topup of topups) {
+      try {
+        results.push(await processTopup(topup))
+      } catch (error) {
+        console.error('Error processing top-up:', topup.id, error)
+        results.push({ topup_id: topup.id, status: 'failed', error: error.message })
+      }
+    }
+
+    console.log(`Processed ${results.length} auto top-ups, expired ${expired} unpaid checkouts`)
+    return res.status(200).json({
+      success: results.every(result => result.status !== 'failed'),
+      expired,
+      results
+    })
+  } catch (error) {
+    console.error('Auto top-up error:', error)
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}
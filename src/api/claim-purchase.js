@@ -0,0 +1,187 @@
+import { supabase } from './lemonsqueezy-webhook.js'
+import { handleLemonSqueezyWebhook } from './webhook-handlers.js'
+
+// Case-insensitive exact match: emails may contain LIKE wildcards such as _
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&')
+
+// Failed claims a user may make per window before the endpoint refuses more
+const MAX_FAILED_CLAIMS = 5
+const FAILED_CLAIM_WINDOW_MS = 60 * 60 * 1000
+
+// The order identifier is a UUID; accept it on its own or inside the receipt's "View order" link
+const ORDER_IDENTIFIER_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i
+
+/**
+ * Signed-in user making the request
+ */
+async function getRequestUser(req) {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '')
+  if (!token) return null
+
+  const { data: { user }, error } = await supabase.auth.getUser(token)
+  return error ? null : user
+}
+
+/**
+ * Whether the user has used up their failed claims for now
+ */
+async function isClaimRateLimited(userId) {
+  const since = new Date(Date.now() - FAILED_CLAIM_WINDOW_MS).toISOString()
+
+  const { count, error } = await supabase
+    .from('purchase_claim_attempts')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .gte('created_at', since)
+
+  if (error) {
+    console.error('Error counting purchase claim attempts:', error)
+    throw error
+  }
+
+  return count >= MAX_FAILED_CLAIMS
+}
+
+/**
+ * Record a claim that matched no purchase
+ */
+async function recordFailedClaim(userId) {
+  const { error } = await supabase
+    .from('purchase_claim_attempts')
+    .insert({ user_id: userId })
+
+  if (error) {
+    console.error('Error recording purchase claim attempt:', error)
+    throw error
+  }
+}
+
+/**
+ * Order id of the purchase with this receipt identifier, which links an order to its subscription
+ */
+async function findOrderIdByIdentifier(identifier) {
+  const { data, error } = await supabase
+    .from('unclaimed_purchases')
+    .select('order_id')
+    .eq('order_identifier', identifier)
+    .limit(1)
+    .maybeSingle()
+
+  if (error) {
+    console.error('Error finding order by identifier:', error)
+    throw error
+  }
+
+  return data?.order_id || null
+}
+
+/**
+ * Find the unclaimed purchase a user asks for. Purchases made with the user's own, confirmed email
+ * can be claimed by id; purchases made with another email need that email and the order identifier
+ * from the LemonSqueezy receipt (order numbers are sequential and easy to guess).
+ */
+async function findClaimablePurchase(user, { purchaseId, email, orderIdentifier }) {
+  let query = supabase
+    .from('unclaimed_purchases')
+    .select('*')
+    .eq('status', 'unclaimed')
+
+  if (purchaseId) {
+    if (!user.email_confirmed_at) return null
+    query = query.eq('id', purchaseId).ilike('customer_email', escapeLike(user.email))
+  } else if (email && orderIdentifier) {
+    const identifier = String(orderIdentifier).match(ORDER_IDENTIFIER_PATTERN)?.[0]
+    const orderId = identifier && await findOrderIdByIdentifier(identifier.toLowerCase())
+    if (!orderId) return null
+    query = query
+      .ilike('customer_email', escapeLike(email.trim()))
+      .eq('order_id', orderId)
+  } else {
+    return null
+  }
+
+  const { data, error } = await query.limit(1).maybeSingle()
+
+  if (error) {
+    console.error('Error finding unclaimed purchase:', error)
+    throw error
+  }
+
+  return data
+}
+
+/**
+ * Claim endpoint for purchases that couldn't be linked to an account
+ * POST { purchaseId } or { email, orderIdentifier } with the user's Supabase access token.
+ * Allows MAX_FAILED_CLAIMS claims that match nothing per hour.
+ * This should be deployed as a serverless function (Vercel, Netlify, etc.)
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  try {
+    const user = await getRequestUser(req)
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    if (await isClaimRateLimited(user.id)) {
+      return res.status(429).json({ error: 'Too many failed claims, please try again later' })
+    }
+
+    const purchase = await findClaimablePurchase(user, req.body || {})
+    if (!purchase) {
+      await recordFailedClaim(user.id)
+      return res.status(404).json({ error: 'No unclaimed purchase matches these details' })
+    }
+
+    // Take the purchase first, so two requests can't both be granted its credits
+    const { data: claimed, error: claimError } = await supabase
+      .from('unclaimed_purchases')
+      .update({ status: 'claimed', claimed_by: user.id, claimed_at: new Date().toISOString() })
+      .eq('id', purchase.id)
+      .eq('status', 'unclaimed')
+      .select()
+      .maybeSingle()
+
+    if (claimError) throw claimError
+    if (!claimed) {
+      return res.status(409).json({ error: 'This purchase has already been claimed' })
+    }
+
+    // Process the original event as if the checkout had carried this user's id
+    const payload = {
+      ...purchase.payload,
+      meta: {
+        ...purchase.payload.meta,
+        custom_data: { ...purchase.payload.meta?.custom_data, user_id: user.id }
+      }
+    }
+
+    try {
+      await handleLemonSqueezyWebhook(purchase.event_name, payload)
+    } catch (error) {
+      await supabase
+        .from('unclaimed_purchases')
+        .update({ status: 'unclaimed', claimed_by: null, claimed_at: null })
+        .eq('id', purchase.id)
+      throw error
+    }
+
+    console.log(`Purchase ${purchase.id} claimed by user ${user.id}`)
+    return res.status(200).json({
+      success: true,
+      purchase: { id: purchase.id, product_name: purchase.product_name }
+    })
+  } catch (error) {
+    console.error('Claim purchase error:', error)
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}
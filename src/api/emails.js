@@ -1,5 +1,7 @@
-import { creditMiddleware, deductCreditsMiddleware } from '../services/creditManager.jsx'
-import { getUserProfile } from './user.js'
+import { creditMiddleware, deductCreditsMiddleware } from '../services/creditUtils.js'
+import { supabase } from '../services/supabase.js'
+import { getCreditAccount } from './user.js'
+import { getQuotaStatus, getQuotaMessage } from '../utils/quotas.js'
 
 /**
  * Email Finding API with Credit Management
@@ -11,15 +13,16 @@ import { getUserProfile } from './user.js'
  */
 export async function findEmail(userId, domain, firstName, lastName) {
   try {
-    // Check if user has sufficient credits
-    await creditMiddleware(userId, 'email_find', 1)
+    // Check the plan quota and credits
+    await enforceApiLimits(userId, 1)
+    await creditMiddleware(userId, 'find', 1)
     
     // Simulate email finding logic (replace with actual implementation)
     const email = await performEmailFind(domain, firstName, lastName)
     
     // Only deduct credits if email was found successfully
     if (email && email.found) {
-      await deductCreditsMiddleware(userId, 'email_find', 1)
+      await deductCreditsMiddleware(userId, 'find', 1)
     }
     
     return {
@@ -42,14 +45,15 @@ export async function findEmail(userId, domain, firstName, lastName) {
  */
 export async function verifyEmail(userId, email) {
   try {
-    // Check if user has sufficient credits
-    await creditMiddleware(userId, 'email_verify', 1)
+    // Check the plan quota and credits
+    await enforceApiLimits(userId, 1)
+    await creditMiddleware(userId, 'verify', 1)
     
     // Simulate email verification logic (replace with actual implementation)
     const verification = await performEmailVerification(email)
     
     // Deduct credits after verification
-    await deductCreditsMiddleware(userId, 'email_verify', 1)
+    await deductCreditsMiddleware(userId, 'verify', 1)
     
     return {
       success: true,
@@ -73,8 +77,9 @@ export async function bulkFindEmails(userId, requests) {
   try {
     const quantity = requests.length
     
-    // Check if user has sufficient credits for bulk operation
-    await creditMiddleware(userId, 'bulk_find', quantity)
+    // Check the plan quota and credits for bulk operation
+    await enforceApiLimits(userId, quantity)
+    await creditMiddleware(userId, 'find', quantity)
     
     // Process emails in batches to avoid overwhelming the system
     const batchSize = 10
@@ -117,7 +122,7 @@ export async function bulkFindEmails(userId, requests) {
     
     // Deduct credits only for successful finds
     if (totalCreditsUsed > 0) {
-      await deductCreditsMiddleware(userId, 'bulk_find', totalCreditsUsed)
+      await deductCreditsMiddleware(userId, 'find', totalCreditsUsed)
     }
     
     return {
@@ -144,8 +149,9 @@ export async function bulkVerifyEmails(userId, emails) {
   try {
     const quantity = emails.length
     
-    // Check if user has sufficient credits for bulk operation
-    await creditMiddleware(userId, 'bulk_verify', quantity)
+    // Check the plan quota and credits for bulk operation
+    await enforceApiLimits(userId, quantity)
+    await creditMiddleware(userId, 'verify', quantity)
     
     // Process emails in batches
     const batchSize = 20
@@ -176,7 +182,7 @@ export async function bulkVerifyEmails(userId, emails) {
     }
     
     // Deduct credits for all processed emails
-    await deductCreditsMiddleware(userId, 'bulk_verify', quantity)
+    await deductCreditsMiddleware(userId, 'verify', quantity)
     
     return {
       success: true,
@@ -194,24 +200,100 @@ export async function bulkVerifyEmails(userId, emails) {
   }
 }
 
+const TIMEFRAME_DAYS = { '7d': 7, '30d': 30, '90d': 90 }
+
+/**
+ * Log find/verify lookups for the usage dashboard.
+ * Failures are only logged: a missing usage row must never fail the lookup itself.
+ * @param {string} userId - User ID
+ * @param {Array<Object>} events - { operation, domain, status, hit, credits, source?, job_id? }
+ */
+export async function recordUsageEvents(userId, events) {
+  if (!userId || !events.length) return
+
+  try {
+    const { error } = await supabase
+      .from('usage_events')
+      .insert(events.map(event => ({ source: 'single', ...event, user_id: userId })))
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error recording usage events:', error)
+  }
+}
+
+const hitRate = (hits, total) => total > 0 ? Math.round((hits / total) * 1000) / 10 : 0
+
+/**
+ * Sum daily rows into weeks starting on Monday
+ */
+function groupByWeek(daily) {
+  const weeks = new Map()
+
+  for (const day of daily) {
+    const date = new Date(`${day.date}T00:00:00Z`)
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7))
+    const key = date.toISOString().split('T')[0]
+    const week = weeks.get(key) || { week: key, finds: 0, findHits: 0, verifications: 0, verifyHits: 0, creditsFind: 0, creditsVerify: 0 }
+    week.finds += day.finds
+    week.findHits += day.findHits
+    week.verifications += day.verifications
+    week.verifyHits += day.verifyHits
+    week.creditsFind += day.creditsFind
+    week.creditsVerify += day.creditsVerify
+    weeks.set(key, week)
+  }
+
+  return [...weeks.values()]
+}
+
 /**
  * Get user's API usage statistics
+ * @param {string} userId - User ID
+ * @param {string} timeframe - '7d', '30d' or '90d'
  */
 export async function getUsageStats(userId, timeframe = '30d') {
   try {
-    // This would typically query your analytics/usage tracking system
-    // For now, we'll return mock data
+    const { data, error } = await supabase.rpc('get_usage_stats', {
+      p_user_id: userId,
+      p_days: TIMEFRAME_DAYS[timeframe] || TIMEFRAME_DAYS['30d']
+    })
+
+    if (error) throw error
+
+    const dailyUsage = (data?.daily || []).map(day => ({
+      date: day.date,
+      finds: day.finds,
+      findHits: day.find_hits,
+      verifications: day.verifies,
+      verifyHits: day.verify_hits,
+      creditsFind: day.credits_find,
+      creditsVerify: day.credits_verify
+    }))
+    const sum = (key) => dailyUsage.reduce((total, day) => total + day[key], 0)
+
+    const totalFinds = sum('finds')
+    const totalVerifications = sum('verifications')
+    const findHits = sum('findHits')
+    const verifyHits = sum('verifyHits')
+    const creditsFind = sum('creditsFind')
+    const creditsVerify = sum('creditsVerify')
+
     const stats = {
       timeframe: timeframe,
-      totalFinds: 1250,
-      totalVerifications: 890,
-      successRate: 85.2,
+      totalFinds,
+      totalVerifications,
+      findHitRate: hitRate(findHits, totalFinds),
+      verifyHitRate: hitRate(verifyHits, totalVerifications),
+      successRate: hitRate(findHits + verifyHits, totalFinds + totalVerifications),
       creditsUsed: {
-        find: 1250,
-        verify: 890,
-        total: 2140
+        find: creditsFind,
+        verify: creditsVerify,
+        total: creditsFind + creditsVerify
       },
-      dailyUsage: generateMockDailyUsage(timeframe)
+      dailyUsage,
+      weeklyUsage: groupByWeek(dailyUsage),
+      topDomains: (data?.top_domains || []).map(d => ({ ...d, hitRate: hitRate(d.hits, d.lookups) }))
     }
     
     return {
@@ -228,38 +310,43 @@ export async function getUsageStats(userId, timeframe = '30d') {
 }
 
 /**
- * Check API rate limits and usage quotas
+ * Lookups made today and this month, as counted against the plan quota
  */
-export async function checkApiLimits(userId) {
+export async function getUsageCounters(userId) {
   try {
-    const profile = await getUserProfile(userId)
-    const plan = profile.plan || 'free'
-    
-    // Get plan limits (this would typically come from your configuration)
-    const planLimits = {
-      free: { dailyLimit: 10, monthlyLimit: 100 },
-      starter: { dailyLimit: 1000, monthlyLimit: 50000 },
-      pro: { dailyLimit: 5000, monthlyLimit: 150000 },
-      lifetime: { dailyLimit: 10000, monthlyLimit: 500000 }
-    }
-    
-    const limits = planLimits[plan] || planLimits.free
-    
-    // Get current usage (this would query your usage tracking)
-    const currentUsage = {
-      today: 45,
-      thisMonth: 1250
+    const { data, error } = await supabase.rpc('get_usage_counters', { p_user_id: userId })
+
+    if (error) throw error
+    return {
+      today: data?.today ?? 0,
+      thisMonth: data?.this_month ?? 0
     }
+  } catch (error) {
+    console.error('Error fetching usage counters:', error)
+    throw error
+  }
+}
+
+/**
+ * Check API rate limits and usage quotas
+ * @param {string} userId - User ID
+ * @param {number} quantity - Lookups about to be made
+ */
+export async function checkApiLimits(userId, quantity = 1) {
+  try {
+    // Team members get the quota of the plan that pays for their credits
+    const [account, currentUsage] = await Promise.all([
+      getCreditAccount(userId),
+      getUsageCounters(userId)
+    ])
+    const plan = account?.plan || 'free'
+    const status = getQuotaStatus(plan, currentUsage, quantity)
     
     return {
       success: true,
-      limits: limits,
-      usage: currentUsage,
-      remaining: {
-        today: Math.max(0, limits.dailyLimit - currentUsage.today),
-        thisMonth: Math.max(0, limits.monthlyLimit - currentUsage.thisMonth)
-      },
-      canMakeRequest: currentUsage.today < limits.dailyLimit && currentUsage.thisMonth < limits.monthlyLimit
+      plan,
+      ...status,
+      message: status.canMakeRequest ? null : getQuotaMessage(status)
     }
   } catch (error) {
     console.error('Error checking API limits:', error)
@@ -270,6 +357,18 @@ export async function checkApiLimits(userId) {
   }
 }
 
+/**
+ * Throw when the lookups would exceed the plan's daily or monthly quota.
+ * If the counters can't be read the request is let through rather than blocking the user.
+ */
+export async function enforceApiLimits(userId, quantity = 1) {
+  const limits = await checkApiLimits(userId, quantity)
+  if (limits.success && !limits.canMakeRequest) {
+    throw new Error(limits.message)
+  }
+  return limits
+}
+
 // Mock functions - replace with actual email finding/verification logic
 async function performEmailFind(domain, firstName, lastName) {
   // Simulate API delay
@@ -312,21 +411,3 @@ async function performEmailVerification(email) {
     risk: status === 'risky' ? 'disposable' : null
   }
 }
-
-function generateMockDailyUsage(timeframe) {
-  const days = timeframe === '7d' ? 7 : timeframe === '30d' ? 30 : 90
-  const usage = []
-  
-  for (let i = days - 1; i >= 0; i--) {
-    const date = new Date()
-    date.setDate(date.getDate() - i)
-    
-    usage.push({
-      date: date.toISOString().split('T')[0],
-      finds: Math.floor(Math.random() * 100),
-      verifications: Math.floor(Math.random() * 80)
-    })
-  }
-  
-  return usage
-}
\ No newline at end of file
@@ -0,0 +1,515 @@
+import axios from 'axios'
+import { createClient } from '@supabase/supabase-js'
+import { normalizeVerifyStatus } from '../utils/bulkResults.js'
+import { attachRetry, DEFAULT_RETRY_OPTIONS } from '../utils/retry.js'
+import { TaskQueue } from '../utils/taskQueue.js'
+import { getQuotaStatus, getQuotaMessage } from '../utils/quotas.js'
+import { getCreditPricing } from '../constants/plans.js'
+
+// Initialize Supabase client with service role key for admin operations
+const supabaseUrl = process.env.VITE_SUPABASE_URL
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+if (!supabaseUrl || !supabaseServiceKey) {
+  throw new Error('Missing Supabase environment variables')
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey)
+
+// Shared secret used when the worker re-invokes itself to continue a job
+const JOBS_WORKER_SECRET = process.env.JOBS_WORKER_SECRET
+const JOBS_WORKER_URL = process.env.JOBS_WORKER_URL
+
+// Every attempt of a request has to fit in the worker's time slice (see SLICE_DURATION_MS)
+const REQUEST_TIMEOUT_MS = 8000
+const FIND_API_RETRIES = Math.min(Number(process.env.FIND_API_RETRIES ?? 2), 3)
+
+const findApi = axios.create({
+  baseURL: process.env.FIND_API_BASE || process.env.VITE_API_BASE || 'http://173.249.7.231:8500',
+  timeout: REQUEST_TIMEOUT_MS,
+  headers: {
+    'Content-Type': 'application/json',
+  },
+})
+
+// Transient API failures are retried before a row is recorded as an error;
+// 429s are left to the TaskQueue so the whole batch slows down, not just one request
+attachRetry(findApi, {
+  retries: FIND_API_RETRIES,
+  retryRateLimited: false
+})
+
+const BATCH_SIZE = 25
+const CONCURRENCY = 5
+const MAX_CONCURRENCY = 10
+// The function is stopped after maxDuration (see config below). Items are only started while the
+// slowest one (every attempt timing out, plus the longest backoffs) still ends in time to store and
+// settle the batch; the rest of the batch goes back to the queue for the next slice.
+const FUNCTION_DURATION_MS = 60 * 1000
+const SETTLE_MARGIN_MS = 8 * 1000
+const ITEM_MAX_DURATION_MS = REQUEST_TIMEOUT_MS * (FIND_API_RETRIES + 1) +
+  [...Array(FIND_API_RETRIES).keys()]
+    .reduce((sum, i) => sum + Math.min(DEFAULT_RETRY_OPTIONS.maxDelayMs, DEFAULT_RETRY_OPTIONS.baseDelayMs * 2 ** i), 0)
+const SLICE_DURATION_MS = FUNCTION_DURATION_MS - SETTLE_MARGIN_MS - ITEM_MAX_DURATION_MS
+const LEASE_DURATION_MS = 90 * 1000
+
+/**
+ * Extract a readable message from an API error (same rules as services/api.js)
+ */
+function getErrorMessage(err) {
+  const data = err.response?.data
+  if (typeof data === 'string') return data
+  if (data?.message) return data.message
+  if (data?.error) return data.error
+  if (data) return JSON.stringify(data)
+  return err.message || 'Request failed'
+}
+
+/**
+ * Find emails for one input row; one find credit per email found
+ * @returns {Promise<{result: Array, found: number, credits: number}>}
+ */
+async function processFindItem(input) {
+  const body = { domain: input.domain, names: [input.name] }
+  if (input.role) body.role = input.role
+
+  const resp = await findApi.post('/find', body)
+  const payload = resp.data
+  const items = Array.isArray(payload) ? payload : (payload ? [payload] : [])
+
+  return { result: items, found: items.length, credits: items.length }
+}
+
+/**
+ * Verify one email; one verify credit per verification, found counts valid emails
+ * @returns {Promise<{result: Object, found: number, credits: number}>}
+ */
+async function processVerifyItem(input) {
+  const resp = await findApi.post('/verify', { email: input.email })
+  const data = resp.data || {}
+
+  return { result: data, found: normalizeVerifyStatus(data) === 'valid' ? 1 : 0, credits: 1 }
+}
+
+const PROCESSORS = {
+  find: processFindItem,
+  verify: processVerifyItem
+}
+
+/**
+ * Take the job lease so only one worker processes a job at a time
+ */
+async function acquireJobLease(jobId) {
+  const now = new Date()
+  const { data, error } = await supabase
+    .from('bulk_jobs')
+    .update({ locked_until: new Date(now.getTime() + LEASE_DURATION_MS).toISOString() })
+    .eq('id', jobId)
+    .in('status', ['queued', 'running'])
+    .or(`locked_until.is.null,locked_until.lt.${now.toISOString()}`)
+    .select()
+    .maybeSingle()
+
+  if (error) {
+    console.error('Error acquiring job lease:', error)
+    throw error
+  }
+
+  return data
+}
+
+/**
+ * Update job counters and extend the lease
+ */
+async function updateJob(jobId, updates) {
+  const { data, error } = await supabase
+    .from('bulk_jobs')
+    .update(updates)
+    .eq('id', jobId)
+    .select()
+    .single()
+
+  if (error) {
+    console.error('Error updating job:', error)
+    throw error
+  }
+
+  return data
+}
+
+/**
+ * Mark the next batch of pending items as processing
+ */
+async function claimItems(jobId, limit) {
+  const { data: items, error } = await supabase
+    .from('bulk_job_items')
+    .select('*')
+    .eq('job_id', jobId)
+    .eq('status', 'pending')
+    .order('row_index', { ascending: true })
+    .limit(limit)
+
+  if (error) throw error
+  if (!items.length) return []
+
+  const { error: claimError } = await supabase
+    .from('bulk_job_items')
+    .update({ status: 'processing' })
+    .in('id', items.map(item => item.id))
+
+  if (claimError) throw claimError
+  return items
+}
+
+/**
+ * Store the settled outcome of one item
+ */
+async function storeOutcome(item, settled) {
+  const outcome = settled.status === 'fulfilled'
+    ? { status: 'done', result: settled.value.result, error: null, found: settled.value.found, credits: settled.value.credits }
+    : { status: 'error', result: null, error: getErrorMessage(settled.reason), found: 0, credits: 0 }
+
+  const { error } = await supabase
+    .from('bulk_job_items')
+    .update({
+      status: outcome.status,
+      result: outcome.result,
+      error: outcome.error,
+      attempts: item.attempts + 1
+    })
+    .eq('id', item.id)
+
+  if (error) throw error
+  return outcome
+}
+
+/**
+ * Log the lookups of a batch for the usage dashboard; a failure here must not fail the job
+ */
+async function recordUsage(job, items, outcomes) {
+  const events = items.map((item, i) => {
+    const outcome = outcomes[i]
+    const isFind = job.job_type === 'find'
+    const domain = isFind ? item.input.domain : item.input.email?.split('@')[1]
+    const verdict = isFind ? (outcome.found > 0 ? 'found' : 'not_found') : normalizeVerifyStatus(outcome.result)
+
+    return {
+      user_id: job.user_id,
+      operation: job.job_type,
+      source: 'bulk',
+      domain: domain?.toLowerCase() || null,
+      status: outcome.status === 'error' ? 'error' : (verdict === '-' ? 'unknown' : verdict),
+      hit: outcome.found > 0,
+      credits: outcome.credits,
+      job_id: job.id
+    }
+  })
+
+  const { error } = await supabase.from('usage_events').insert(events)
+  if (error) console.error('Error recording usage events:', error)
+}
+
+/**
+ * Put claimed items back in the queue
+ */
+async function unclaimItems(items) {
+  if (!items.length) return
+
+  const { error } = await supabase
+    .from('bulk_job_items')
+    .update({ status: 'pending' })
+    .in('id', items.map(item => item.id))
+
+  if (error) throw error
+}
+
+/**
+ * Lookups the user's plan still allows today and this month. Team members are on the plan of the
+ * organization's owner, whose balance pays for their jobs.
+ * @returns {Promise<Object>} - Quota status (see utils/quotas.js) with the plan's credit pricing
+ */
+async function getJobQuota(userId) {
+  const [{ data: account, error: accountError }, { data: counters, error: countersError }] = await Promise.all([
+    supabase.rpc('get_credit_account', { p_user_id: userId }),
+    supabase.rpc('get_usage_counters', { p_user_id: userId })
+  ])
+
+  if (accountError) throw accountError
+  if (countersError) throw countersError
+
+  const plan = account?.plan || 'free'
+  return {
+    ...getQuotaStatus(plan, {
+      today: counters?.today ?? 0,
+      thisMonth: counters?.this_month ?? 0
+    }),
+    pricing: getCreditPricing(plan)
+  }
+}
+
+/**
+ * Pause a job that can't continue until the user acts; remaining rows stay queued
+ */
+async function pauseJob(jobId, message) {
+  await updateJob(jobId, {
+    status: 'paused',
+    paused_at: new Date().toISOString(),
+    error: message,
+    locked_until: null
+  })
+  console.log(`Job ${jobId} paused: ${message}`)
+}
+
+/**
+ * Hold credits for a batch at the plan's price per item; holds what the balance allows when it can't cover all.
+ * Pooled plans hold from the shared pool (credits_find) whatever the job type. Jobs of team members
+ * are held from the organization's balance, up to what is left of the member's credit budget this cycle.
+ * @returns {Promise<Object>} - { reservation }, with reservation null when no credits are left and
+ * limitReached set when it is the member's budget that ran out
+ */
+async function reserveJobCredits(job, pricing, amount) {
+  const { data, error } = await supabase.rpc('reserve_credits', {
+    p_user_id: job.user_id,
+    p_credit_type: pricing.pooled ? 'find' : job.job_type,
+    p_amount: amount,
+    p_allow_partial: true,
+    p_job_id: job.id,
+    p_operation: `bulk_${job.job_type}`,
+    p_source_page: job.metadata?.source_page ?? null
+  })
+
+  if (error) {
+    if (/insufficient/i.test(error.message || '')) {
+      return { reservation: null, limitReached: /credit limit/i.test(error.message) }
+    }
+    throw error
+  }
+  return { reservation: data }
+}
+
+/**
+ * Settle a batch reservation with the credits the batch actually used
+ * @returns {Promise<number>} - Credits actually charged
+ */
+async function settleJobCredits(reservationId, used) {
+  const { data, error } = await supabase.rpc('settle_credit_reservation', {
+    p_reservation_id: reservationId,
+    p_used: used
+  })
+
+  if (error) throw error
+  return data.used
+}
+
+/**
+ * Mark a job completed, unless the user paused or cancelled it in the meantime
+ */
+async function completeJob(jobId) {
+  const { data, error } = await supabase
+    .from('bulk_jobs')
+    .update({ status: 'completed', completed_at: new Date().toISOString(), locked_until: null })
+    .eq('id', jobId)
+    .eq('status', 'running')
+    .select()
+    .maybeSingle()
+
+  if (error) {
+    console.error('Error completing job:', error)
+    throw error
+  }
+
+  if (data) {
+    console.log(`Job ${jobId} completed`)
+  } else {
+    await updateJob(jobId, { locked_until: null })
+  }
+}
+
+/**
+ * Process a job until it is finished, paused or cancelled, or the slice time runs out
+ * @returns {Promise<{done: boolean}>}
+ */
+export async function runJobSlice(jobId) {
+  let job = await acquireJobLease(jobId)
+  if (!job) {
+    console.log(`Job ${jobId} is finished or held by another worker`)
+    return { done: true }
+  }
+
+  const processor = PROCESSORS[job.job_type]
+  if (!processor) {
+    await updateJob(jobId, { status: 'failed', error: `Unsupported job type: ${job.job_type}`, locked_until: null })
+    return { done: true }
+  }
+
+  try {
+    // Items left in processing by an interrupted worker are picked up again
+    await supabase
+      .from('bulk_job_items')
+      .update({ status: 'pending' })
+      .eq('job_id', jobId)
+      .eq('status', 'processing')
+
+    if (job.status === 'queued') {
+      job = await updateJob(jobId, { status: 'running', started_at: new Date().toISOString() })
+    }
+
+    const deadline = Date.now() + SLICE_DURATION_MS
+    const queue = new TaskQueue({ concurrency: CONCURRENCY, maxConcurrency: MAX_CONCURRENCY })
+
+    while (Date.now() < deadline) {
+      const items = await claimItems(jobId, BATCH_SIZE)
+      if (!items.length) {
+        await completeJob(jobId)
+        return { done: true }
+      }
+
+      // Plan quota reached: keep the remaining rows queued so the job can be resumed later
+      const quota = await getJobQuota(job.user_id)
+      if (quota.allowed <= 0) {
+        await unclaimItems(items)
+        await pauseJob(jobId, getQuotaMessage(quota))
+        return { done: true }
+      }
+
+      const weight = quota.pricing.weights[job.job_type]
+      const { reservation, limitReached } = await reserveJobCredits(job, quota.pricing, Math.ceil(Math.min(items.length, quota.allowed) * weight))
+      if (!reservation) {
+        // Out of credits: same, resumable after a top-up
+        await unclaimItems(items)
+        await pauseJob(jobId, limitReached
+          ? 'Your team credit budget for this cycle is used up. Ask your team owner or an admin to raise it, then resume the job.'
+          : 'Insufficient credits to continue. Add credits and resume the job.')
+        return { done: true }
+      }
+
+      // Only as many rows as both the quota and the reservation allow; the rest go back to the queue
+      const affordable = Math.min(items.length, quota.allowed, Math.floor(reservation.amount / weight))
+      await unclaimItems(items.slice(affordable))
+
+      const results = await queue.run(items.slice(0, affordable), item => processor(item.input), { startBefore: deadline })
+      // Rows the slice had no time left to start are queued again
+      await unclaimItems(items.filter((item, i) => results[i]?.status === 'skipped'))
+      const batch = items.filter((item, i) => i < affordable && results[i].status !== 'skipped')
+      const settled = results.filter(result => result.status !== 'skipped')
+      const outcomes = await Promise.all(batch.map((item, i) => storeOutcome(item, settled[i])))
+      const credits = outcomes.reduce((sum, o) => sum + o.credits, 0)
+      // Rows with several emails are charged per email, but never beyond what the batch held, so the
+      // maximum shown before the run is what it can cost
+      const creditsUsed = await settleJobCredits(reservation.id, Math.min(Math.ceil(credits * weight), reservation.amount))
+      await recordUsage(job, batch, outcomes)
+
+      job = await updateJob(jobId, {
+        error: null,
+        processed_rows: job.processed_rows + batch.length,
+        found_rows: job.found_rows + outcomes.filter(o => o.found > 0).length,
+        error_rows: job.error_rows + outcomes.filter(o => o.status === 'error').length,
+        credits_used: job.credits_used + creditsUsed,
+        locked_until: new Date(Date.now() + LEASE_DURATION_MS).toISOString()
+      })
+
+      // Paused or cancelled by the user: stop after the current batch, pending items stay queued
+      if (job.status !== 'running') {
+        await updateJob(jobId, { locked_until: null })
+        console.log(`Job ${jobId} stopped (${job.status})`)
+        return { done: true }
+      }
+    }
+
+    // Release the lease so the next slice can continue right away
+    await updateJob(jobId, { locked_until: null })
+    return { done: false }
+  } catch (error) {
+    console.error(`Error processing job ${jobId}:`, error)
+    await updateJob(jobId, { locked_until: null })
+    throw error
+  }
+}
+
+/**
+ * Re-invoke the worker to continue a job in a fresh function execution
+ */
+async function scheduleNextSlice(jobId) {
+  if (!JOBS_WORKER_URL || !JOBS_WORKER_SECRET) {
+    console.warn('JOBS_WORKER_URL/JOBS_WORKER_SECRET not set; job will continue when the dashboard reattaches')
+    return
+  }
+
+  try {
+    await fetch(JOBS_WORKER_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-worker-secret': JOBS_WORKER_SECRET
+      },
+      body: JSON.stringify({ jobId }),
+      signal: AbortSignal.timeout(1000)
+    })
+  } catch {
+    // The request only has to be dispatched; the next slice keeps running after we stop waiting
+  }
+}
+
+/**
+ * Allow the worker itself, or the owner of the job
+ */
+async function isAuthorized(req, jobId) {
+  if (JOBS_WORKER_SECRET && req.headers['x-worker-secret'] === JOBS_WORKER_SECRET) {
+    return true
+  }
+
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '')
+  if (!token) return false
+
+  const { data: { user }, error } = await supabase.auth.getUser(token)
+  if (error || !user) return false
+
+  const { data: job } = await supabase
+    .from('bulk_jobs')
+    .select('user_id')
+    .eq('id', jobId)
+    .maybeSingle()
+
+  return job?.user_id === user.id
+}
+
+/**
+ * Bulk job worker endpoint
+ * This should be deployed as a serverless function (Vercel, Netlify, etc.)
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  const jobId = req.body?.jobId
+  if (!jobId) {
+    return res.status(400).json({ error: 'Missing jobId' })
+  }
+
+  try {
+    if (!(await isAuthorized(req, jobId))) {
+      return res.status(401).json({ error: 'Unauthorized' })
+    }
+
+    const result = await runJobSlice(jobId)
+    if (!result.done) {
+      await scheduleNextSlice(jobId)
+    }
+
+    return res.status(200).json({ success: true, done: result.done })
+  } catch (error) {
+    console.error('Job worker error:', error)
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}
+
+// For Vercel deployment
+export const config = {
+  maxDuration: 60,
+}
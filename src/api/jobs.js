@@ -0,0 +1,256 @@
+// Use the shared Supabase client so it carries the authenticated session
+import { supabase } from '../services/supabase.js'
+
+/**
+ * Bulk Jobs API
+ * Bulk runs are stored as jobs and processed by the job worker (src/api/job-worker.js),
+ * so they keep going when the tab is closed and can be reattached later.
+ */
+
+// Required: /api/* is rewritten to the find API (vercel.json), so there is no default on this origin
+const JOBS_WORKER_URL = import.meta.env.VITE_JOBS_WORKER_URL
+const ITEM_INSERT_CHUNK = 500
+const RESULTS_PAGE_SIZE = 1000
+
+export const ACTIVE_JOB_STATUSES = ['queued', 'running']
+// Jobs the dashboard reattaches to: still processing, or paused and waiting to be resumed
+export const OPEN_JOB_STATUSES = [...ACTIVE_JOB_STATUSES, 'paused']
+
+/**
+ * Create a bulk job with one item per input row
+ */
+export async function createBulkJob(userId, { jobType = 'find', name, rows, metadata = {} }) {
+  try {
+    assertJobWorkerConfigured()
+
+    const { data: job, error } = await supabase
+      .from('bulk_jobs')
+      .insert({
+        user_id: userId,
+        job_type: jobType,
+        name: name || null,
+        status: 'queued',
+        total_rows: rows.length,
+        // source_page is copied to the credit ledger entries of the job
+        metadata: { source_page: window.location.pathname, ...metadata }
+      })
+      .select()
+      .single()
+
+    if (error) throw error
+
+    for (let i = 0; i < rows.length; i += ITEM_INSERT_CHUNK) {
+      const chunk = rows.slice(i, i + ITEM_INSERT_CHUNK).map((input, offset) => ({
+        job_id: job.id,
+        row_index: i + offset,
+        input
+      }))
+      const { error: itemsError } = await supabase.from('bulk_job_items').insert(chunk)
+      if (itemsError) throw itemsError
+    }
+
+    return job
+  } catch (error) {
+    console.error('Error creating bulk job:', error)
+    throw error
+  }
+}
+
+/**
+ * Fail before anything is queued when the dashboard doesn't know where the job worker is
+ */
+function assertJobWorkerConfigured() {
+  if (!JOBS_WORKER_URL) {
+    throw new Error('Bulk jobs are not configured: set VITE_JOBS_WORKER_URL to the job worker URL')
+  }
+}
+
+/**
+ * Ask the job worker to pick up a job.
+ * The worker keeps processing server-side, so the request is not awaited to completion.
+ */
+export async function startBulkJob(jobId) {
+  assertJobWorkerConfigured()
+  const { data: { session } } = await supabase.auth.getSession()
+
+  fetch(JOBS_WORKER_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {})
+    },
+    body: JSON.stringify({ jobId })
+  }).catch((error) => {
+    console.error('Error starting bulk job worker:', error)
+  })
+}
+
+/**
+ * Get a single job with its progress counters
+ */
+export async function getBulkJob(jobId) {
+  try {
+    const { data, error } = await supabase
+      .from('bulk_jobs')
+      .select('*')
+      .eq('id', jobId)
+      .single()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching bulk job:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the most recent open (queued, running or paused) job of a type, if any
+ */
+export async function getActiveBulkJob(userId, jobType = 'find') {
+  try {
+    const { data, error } = await supabase
+      .from('bulk_jobs')
+      .select('*')
+      .eq('user_id', userId)
+      .eq('job_type', jobType)
+      .in('status', OPEN_JOB_STATUSES)
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching active bulk job:', error)
+    throw error
+  }
+}
+
+/**
+ * Pause, resume or cancel a job
+ * @param {string} action - 'pause' | 'resume' | 'cancel'
+ * @returns {Promise<Object>} - The updated job
+ */
+export async function controlBulkJob(jobId, action) {
+  try {
+    const { data, error } = await supabase.rpc('control_bulk_job', {
+      p_job_id: jobId,
+      p_action: action
+    })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error(`Error trying to ${action} bulk job:`, error)
+    throw error
+  }
+}
+
+/**
+ * Queue the failed rows of a job again and reopen it if it had finished
+ * @returns {Promise<Object>} - The updated job
+ */
+export async function retryFailedBulkItems(jobId) {
+  try {
+    const { data, error } = await supabase.rpc('retry_failed_bulk_items', { p_job_id: jobId })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error retrying failed bulk rows:', error)
+    throw error
+  }
+}
+
+/**
+ * Get a user's bulk jobs, newest first
+ */
+export async function listBulkJobs(userId, limit = 20, offset = 0) {
+  try {
+    const { data, error, count } = await supabase
+      .from('bulk_jobs')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1)
+
+    if (error) throw error
+
+    return {
+      jobs: data,
+      total: count,
+      hasMore: count > offset + limit
+    }
+  } catch (error) {
+    console.error('Error fetching bulk jobs:', error)
+    throw error
+  }
+}
+
+/**
+ * Get finished items of a job, optionally only those updated after a cursor
+ * @returns {Promise<{items: Array, cursor: string|null}>}
+ */
+export async function getBulkJobResults(jobId, { since = null } = {}) {
+  try {
+    const items = []
+    let cursor = since
+
+    for (;;) {
+      let query = supabase
+        .from('bulk_job_items')
+        .select('row_index, input, status, result, error, updated_at')
+        .eq('job_id', jobId)
+        .in('status', ['done', 'error'])
+        .order('updated_at', { ascending: true })
+        .limit(RESULTS_PAGE_SIZE)
+
+      if (cursor) query = query.gt('updated_at', cursor)
+
+      const { data, error } = await query
+      if (error) throw error
+
+      items.push(...data)
+      if (data.length) cursor = data[data.length - 1].updated_at
+      if (data.length < RESULTS_PAGE_SIZE) break
+    }
+
+    return { items, cursor }
+  } catch (error) {
+    console.error('Error fetching bulk job results:', error)
+    throw error
+  }
+}
+
+/**
+ * Subscribe to progress updates of a job
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToBulkJob(jobId, onChange) {
+  const subscription = supabase
+    .channel(`bulk-job-${jobId}`)
+    .on(
+      'postgres_changes',
+      {
+        event: 'UPDATE',
+        schema: 'public',
+        table: 'bulk_jobs',
+        filter: `id=eq.${jobId}`
+      },
+      (payload) => {
+        if (payload.new) onChange(payload.new)
+      }
+    )
+    .subscribe()
+
+  return () => subscription.unsubscribe()
+}
+
+/**
+ * Whether a running job has lost its worker (lease expired) and needs to be restarted
+ */
+export function isBulkJobStalled(job) {
+  if (!job || !ACTIVE_JOB_STATUSES.includes(job.status)) return false
+  return !job.locked_until || new Date(job.locked_until) < new Date()
+}
@@ -1,5 +1,6 @@
 import crypto from 'crypto'
 import { createClient } from '@supabase/supabase-js'
+import { getPurchasableProducts } from '../constants/plans.js'
 
 // Initialize Supabase client with service role key for admin operations
 const supabaseUrl = process.env.VITE_SUPABASE_URL
@@ -18,71 +19,50 @@ if (!LEMONSQUEEZY_WEBHOOK_SECRET) {
   throw new Error('Missing LEMONSQUEEZY_WEBHOOK_SECRET environment variable')
 }
 
-// Product configurations
-const PRODUCT_CONFIGS = {
-  // Monthly subscriptions
-  'starter_monthly': {
-    plan: 'starter',
-    credits_find: 50000,
-    credits_verify: 50000,
-    price: 29,
-    type: 'subscription'
-  },
-  'pro_monthly': {
-    plan: 'pro',
-    credits_find: 150000,
-    credits_verify: 150000,
-    price: 49,
-    type: 'subscription'
-  },
-  // Lifetime plan
-  'lifetime': {
-    plan: 'lifetime',
-    credits_find: 500000,
-    credits_verify: 500000,
-    price: 249,
-    type: 'lifetime'
-  },
-  // Credit packs
-  'credits_100k': {
-    credits_find: 100000,
-    credits_verify: 0,
-    price: 35,
-    type: 'credit_pack'
-  },
-  'credits_50k': {
-    credits_find: 50000,
-    credits_verify: 0,
-    price: 20,
-    type: 'credit_pack'
-  },
-  'credits_25k': {
-    credits_find: 25000,
-    credits_verify: 0,
-    price: 12,
-    type: 'credit_pack'
-  },
-  'credits_10k': {
-    credits_find: 10000,
-    credits_verify: 0,
-    price: 9,
-    type: 'credit_pack'
-  }
-}
+// Events whose resource was last changed longer ago than this are rejected as replayed deliveries
+const WEBHOOK_MAX_AGE_SECONDS = Number(process.env.WEBHOOK_MAX_AGE_SECONDS ?? 24 * 60 * 60)
+
+// Product configurations by LemonSqueezy variant name, built from the plan catalog
+const PRODUCT_CONFIGS = Object.fromEntries(
+  getPurchasableProducts().map(product => [product.variantName, {
+    plan: product.type === 'credit_pack' ? undefined : product.key,
+    credits_find: product.credits_find,
+    credits_verify: product.credits_verify,
+    price: product.price,
+    type: product.type,
+    interval: product.interval,
+    durationDays: product.durationDays,
+    rolloverCap: product.rolloverCap || 0,
+    teamSeats: product.teamSeats || 1
+  }])
+)
 
 /**
  * Verify LemonSqueezy webhook signature
+ * LemonSqueezy sends the hex HMAC-SHA256 of the exact request bytes in X-Signature,
+ * so this must be given the raw body, not a re-serialized copy of the parsed JSON.
+ * @param {Buffer|string} rawBody - Request body as received
+ * @param {string} signature - X-Signature header
  */
-function verifyWebhookSignature(payload, signature) {
-  const hmac = crypto.createHmac('sha256', LEMONSQUEEZY_WEBHOOK_SECRET)
-  hmac.update(payload, 'utf8')
-  const digest = hmac.digest('hex')
-  const expectedSignature = `sha256=${digest}`
+function verifyWebhookSignature(rawBody, signature) {
+  const digest = crypto.createHmac('sha256', LEMONSQUEEZY_WEBHOOK_SECRET).update(rawBody).digest()
+  const received = Buffer.from(String(signature || ''), 'hex')
   
-  return crypto.timingSafeEqual(
-    Buffer.from(signature, 'utf8'),
-    Buffer.from(expectedSignature, 'utf8')
-  )
+  // timingSafeEqual throws on buffers of different length (e.g. a malformed header)
+  return received.length === digest.length && crypto.timingSafeEqual(received, digest)
+}
+
+/**
+ * Whether a webhook event is too old to be a genuine delivery.
+ * LemonSqueezy doesn't sign a timestamp, so the signed updated_at of the resource is used;
+ * retries arrive within hours, while a captured request replayed later is refused.
+ */
+function isStaleWebhookEvent(payload, maxAgeSeconds = WEBHOOK_MAX_AGE_SECONDS) {
+  const timestamp = payload.data?.attributes?.updated_at || payload.data?.attributes?.created_at
+  const eventTime = timestamp ? new Date(timestamp).getTime() : NaN
+  
+  if (Number.isNaN(eventTime)) return true
+  return Date.now() - eventTime > maxAgeSeconds * 1000
 }
 
 /**
@@ -104,32 +84,108 @@ async function findUserByEmail(email) {
 }
 
 /**
- * Create new user if doesn't exist
+ * Find user by LemonSqueezy subscription ID
  */
-async function createUserIfNotExists(email) {
-  let user = await findUserByEmail(email)
+async function findUserBySubscriptionId(subscriptionId) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('*')
+    .eq('subscription_id', subscriptionId)
+    .single()
   
-  if (!user) {
-    const { data, error } = await supabase
-      .from('profiles')
-      .insert({
-        email,
-        plan: 'free',
-        credits_find: 25,
-        credits_verify: 25
-      })
-      .select()
-      .single()
-    
-    if (error) {
-      console.error('Error creating user:', error)
-      throw error
-    }
-    
-    user = data
+  if (error || !data) {
+    console.error('User not found for subscription:', subscriptionId)
+    throw new Error(`User not found for subscription: ${subscriptionId}`)
+  }
+  
+  return data
+}
+
+/**
+ * Find user by profile ID
+ */
+async function findUserById(userId) {
+  const { data, error } = await supabase
+    .from('profiles')
+    .select('*')
+    .eq('id', userId)
+    .maybeSingle()
+  
+  if (error) {
+    console.error('Error finding user:', error)
+    throw error
+  }
+  
+  return data
+}
+
+/**
+ * Account a purchase belongs to: the user id the checkout carried (see generateCheckoutUrl),
+ * then the buyer's email. Returns null when neither matches; the purchase is then kept as unclaimed
+ * instead of creating a profile that no one can sign in to.
+ */
+async function resolvePurchaseUser(eventData, customerEmail) {
+  const userId = eventData.meta?.custom_data?.user_id
+  if (userId) {
+    const user = await findUserById(userId)
+    if (user) return user
+    console.warn('Checkout user not found, falling back to email:', userId)
+  }
+  
+  return customerEmail ? findUserByEmail(customerEmail) : null
+}
+
+/**
+ * Keep a purchase no account could be found for, until a signed-in user claims it
+ */
+async function recordUnclaimedPurchase(eventData, customerEmail) {
+  const { data: resource } = eventData
+  const { attributes } = resource
+  const isOrder = resource.type === 'orders'
+  
+  const { data, error } = await supabase
+    .from('unclaimed_purchases')
+    .insert({
+      webhook_event_id: getWebhookEventId(eventData),
+      event_name: eventData.meta.event_name,
+      customer_email: customerEmail,
+      order_id: String(isOrder ? resource.id : attributes.order_id || '') || null,
+      order_number: attributes.order_number ? String(attributes.order_number) : null,
+      order_identifier: isOrder ? attributes.identifier || null : null,
+      subscription_id: isOrder ? null : String(resource.id),
+      product_name: attributes.first_order_item?.product_name || attributes.product_name || null,
+      payload: eventData
+    })
+    .select()
+    .single()
+  
+  if (error) {
+    console.error('Error recording unclaimed purchase:', error)
+    throw error
+  }
+  
+  console.log(`Purchase by ${customerEmail} recorded as unclaimed:`, data.id)
+  return data
+}
+
+/**
+ * Mark the unclaimed purchase of a refunded order so it can no longer be claimed
+ * @returns {Promise<boolean>} - Whether an unclaimed purchase was found
+ */
+async function markUnclaimedPurchaseRefunded(orderId) {
+  const { data, error } = await supabase
+    .from('unclaimed_purchases')
+    .update({ status: 'refunded' })
+    .eq('order_id', String(orderId))
+    .eq('status', 'unclaimed')
+    .select('id')
+  
+  if (error) {
+    console.error('Error updating unclaimed purchase:', error)
+    throw error
   }
   
-  return user
+  return data.length > 0
 }
 
 /**
@@ -169,6 +225,379 @@ async function createTransaction(transactionData) {
   return data
 }
 
+/**
+ * Update transaction record
+ */
+async function updateTransaction(transactionId, updates) {
+  const { data, error } = await supabase
+    .from('transactions')
+    .update(updates)
+    .eq('id', transactionId)
+    .select()
+    .single()
+  
+  if (error) {
+    console.error('Error updating transaction:', error)
+    throw error
+  }
+  
+  return data
+}
+
+/**
+ * Find the transaction a webhook event already recorded for an order
+ */
+async function findTransactionByOrderId(orderId, webhookEvent) {
+  const { data, error } = await supabase
+    .from('transactions')
+    .select('*')
+    .eq('lemonsqueezy_order_id', orderId)
+    .eq('webhook_event', webhookEvent)
+    .limit(1)
+    .maybeSingle()
+  
+  if (error) {
+    console.error('Error finding transaction:', error)
+    throw error
+  }
+  
+  return data
+}
+
+/**
+ * Find the transaction an earlier delivery of a subscription event recorded: payments by their
+ * invoice, subscription_created by the subscription
+ */
+async function findTransactionBySubscriptionId(subscriptionId, webhookEvent, invoiceId = null) {
+  let query = supabase
+    .from('transactions')
+    .select('*')
+    .eq('lemonsqueezy_subscription_id', String(subscriptionId))
+    .eq('webhook_event', webhookEvent)
+  
+  if (invoiceId) {
+    query = query.eq('metadata->>invoice_id', String(invoiceId))
+  }
+  
+  const { data, error } = await query.limit(1).maybeSingle()
+  
+  if (error) {
+    console.error('Error finding transaction:', error)
+    throw error
+  }
+  
+  return data
+}
+
+/**
+ * Credits the ledger shows as granted for a transaction, so a delivery that failed after recording
+ * its transaction can be retried without granting the credits twice
+ * @returns {Promise<Object>} - { credits_find, credits_verify }
+ */
+async function getGrantedCredits(transactionId) {
+  const { data, error } = await supabase
+    .from('credit_ledger')
+    .select('credit_type, quantity')
+    .eq('transaction_id', transactionId)
+    .eq('entry_type', 'grant')
+  
+  if (error) {
+    console.error('Error fetching granted credits:', error)
+    throw error
+  }
+  
+  return data.reduce((granted, entry) => {
+    granted[`credits_${entry.credit_type}`] += entry.quantity
+    return granted
+  }, { credits_find: 0, credits_verify: 0 })
+}
+
+/**
+ * Credits already taken back by earlier refunds of an order. LemonSqueezy's refunded_amount is
+ * cumulative, so each refund only revokes what the earlier ones didn't.
+ * @returns {Promise<Object>} - { credits_find, credits_verify }
+ */
+async function getRevokedOrderCredits(orderId) {
+  const { data: refunds, error: refundsError } = await supabase
+    .from('transactions')
+    .select('id')
+    .eq('lemonsqueezy_order_id', orderId)
+    .eq('webhook_event', 'order_refunded')
+  
+  if (refundsError) {
+    console.error('Error fetching order refunds:', refundsError)
+    throw refundsError
+  }
+  
+  const revoked = { credits_find: 0, credits_verify: 0 }
+  if (refunds.length === 0) return revoked
+  
+  const { data, error } = await supabase
+    .from('credit_ledger')
+    .select('credit_type, quantity')
+    .in('transaction_id', refunds.map(refund => refund.id))
+    .eq('entry_type', 'revoke')
+  
+  if (error) {
+    console.error('Error fetching revoked credits:', error)
+    throw error
+  }
+  
+  return data.reduce((total, entry) => {
+    total[`credits_${entry.credit_type}`] -= entry.quantity
+    return total
+  }, revoked)
+}
+
+/**
+ * Subscription credits granted for the current period (buckets that haven't expired yet),
+ * so plan changes within a period can't grant more than the plan's monthly credits
+ * @returns {Promise<Object>} - { credits_find, credits_verify }
+ */
+async function getPeriodSubscriptionGrants(userId) {
+  const { data, error } = await supabase
+    .from('credit_buckets')
+    .select('credit_type, granted')
+    .eq('user_id', userId)
+    .eq('source', 'subscription')
+    .gt('expires_at', new Date().toISOString())
+  
+  if (error) {
+    console.error('Error fetching subscription grants:', error)
+    throw error
+  }
+  
+  return data.reduce((granted, bucket) => {
+    granted[`credits_${bucket.credit_type}`] += bucket.granted
+    return granted
+  }, { credits_find: 0, credits_verify: 0 })
+}
+
+/**
+ * Stable id for a webhook event. LemonSqueezy sends no event id, but resends the same payload
+ * on retry, so the event name, resource and its updated_at identify one event.
+ */
+function getWebhookEventId(payload) {
+  const { meta = {}, data = {} } = payload
+  return [meta.event_name, data.type, data.id, data.attributes?.updated_at || data.attributes?.created_at]
+    .filter(Boolean)
+    .join(':')
+}
+
+/**
+ * Store a received webhook event; a retried delivery returns the stored event instead
+ * @returns {Promise<{event: Object, duplicate: boolean}>}
+ */
+async function recordWebhookEvent(eventId, eventName, payload) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .insert({ id: eventId, event_name: eventName, payload })
+    .select()
+    .single()
+  
+  if (!error) {
+    return { event: data, duplicate: false }
+  }
+  
+  if (error.code !== '23505') { // 23505 = unique violation, the event was received before
+    console.error('Error recording webhook event:', error)
+    throw error
+  }
+  
+  const { data: existing, error: fetchError } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('id', eventId)
+    .single()
+  
+  if (fetchError) {
+    console.error('Error fetching webhook event:', fetchError)
+    throw fetchError
+  }
+  
+  return { event: existing, duplicate: true }
+}
+
+/**
+ * Mark a webhook event as processing, unless it was processed already or is being processed.
+ * Only one delivery or replay can claim an event, so its credits are granted once.
+ * @returns {Promise<Object|null>} - The claimed event, or null when it can't be claimed
+ */
+async function claimWebhookEvent(eventId) {
+  const { data: event, error } = await supabase
+    .from('webhook_events')
+    .select('*')
+    .eq('id', eventId)
+    .single()
+  
+  if (error) {
+    console.error('Error fetching webhook event:', error)
+    throw error
+  }
+  
+  const { data, error: claimError } = await supabase
+    .from('webhook_events')
+    .update({ status: 'processing', attempts: event.attempts + 1, error: null })
+    .eq('id', eventId)
+    .in('status', ['received', 'failed'])
+    .eq('attempts', event.attempts)
+    .select()
+    .maybeSingle()
+  
+  if (claimError) {
+    console.error('Error claiming webhook event:', claimError)
+    throw claimError
+  }
+  
+  return data
+}
+
+/**
+ * Record the outcome of processing a webhook event
+ */
+async function updateWebhookEvent(eventId, updates) {
+  const { error } = await supabase
+    .from('webhook_events')
+    .update(updates)
+    .eq('id', eventId)
+  
+  if (error) {
+    console.error('Error updating webhook event:', error)
+    throw error
+  }
+}
+
+/**
+ * Add purchased credits through the database so the change is recorded in the credit ledger.
+ * Each grant becomes a credit bucket: pack and lifetime credits never expire, subscription credits
+ * expire at `expiresAt` with up to `rolloverCap` carried into the next period.
+ * @returns {Promise<Object>} - Balances after the grant ({ find, verify })
+ */
+async function grantCredits(
+  userId,
+  { credits_find = 0, credits_verify = 0 },
+  { operation, transactionId = null, metadata = {}, source = 'pack', expiresAt = null, rolloverCap = 0 }
+) {
+  const balances = {}
+
+  for (const [creditType, amount] of [['find', credits_find], ['verify', credits_verify]]) {
+    if (!amount) continue
+
+    const { data, error } = await supabase.rpc('grant_credits', {
+      p_user_id: userId,
+      p_credit_type: creditType,
+      p_amount: amount,
+      p_operation: operation,
+      p_transaction_id: transactionId,
+      p_metadata: metadata,
+      p_source: source,
+      p_expires_at: expiresAt,
+      p_rollover_cap: rolloverCap
+    })
+
+    if (error) {
+      console.error('Error granting credits:', error)
+      throw error
+    }
+
+    balances[creditType] = data
+  }
+
+  return balances
+}
+
+/**
+ * Take back refunded credits, as far as they haven't been spent (recorded in the credit ledger)
+ * @returns {Promise<Object>} - Credits actually taken back ({ find, verify })
+ */
+async function revokeCredits(userId, { credits_find = 0, credits_verify = 0 }, { operation, transactionId = null, metadata = {} }) {
+  const revoked = { find: 0, verify: 0 }
+
+  for (const [creditType, amount] of [['find', credits_find], ['verify', credits_verify]]) {
+    if (!amount) continue
+
+    const { data, error } = await supabase.rpc('revoke_credits', {
+      p_user_id: userId,
+      p_credit_type: creditType,
+      p_amount: amount,
+      p_operation: operation,
+      p_transaction_id: transactionId,
+      p_metadata: metadata
+    })
+
+    if (error) {
+      console.error('Error revoking credits:', error)
+      throw error
+    }
+
+    revoked[creditType] = data
+  }
+
+  return revoked
+}
+
+/**
+ * End a user's open subscription and rollover buckets now; expire_credit_buckets() lapses them
+ * (no rollover once the profile has no subscription) and records it in the credit ledger
+ * @returns {Promise<number>} - Buckets lapsed
+ */
+async function expireSubscriptionCredits(userId) {
+  const now = new Date().toISOString()
+  const { error: updateError } = await supabase
+    .from('credit_buckets')
+    .update({ expires_at: now })
+    .eq('user_id', userId)
+    .in('source', ['subscription', 'rollover'])
+    .gt('remaining', 0)
+    .gt('expires_at', now)
+  
+  if (updateError) {
+    console.error('Error ending subscription credits:', updateError)
+    throw updateError
+  }
+  
+  const { data, error } = await supabase.rpc('expire_credit_buckets', { p_user_id: userId })
+  
+  if (error) {
+    console.error('Error expiring credit buckets:', error)
+    throw error
+  }
+  
+  return data
+}
+
+/**
+ * Move a user's verification credits into the shared pool (credits_find), for users switching
+ * to a plan with pooled credit pricing (recorded in the credit ledger)
+ * @returns {Promise<number>} - Credits moved
+ */
+async function mergeCreditPool(userId) {
+  const { data, error } = await supabase.rpc('merge_credit_pool', { p_user_id: userId })
+  
+  if (error) {
+    console.error('Error merging credits into the pool:', error)
+    throw error
+  }
+  
+  return data
+}
+
+/**
+ * Close the auto top-up a checkout was opened for (see src/api/auto-topup.js)
+ */
+async function completeCreditTopup(topupId, userId, transactionId) {
+  const { error } = await supabase
+    .from('credit_topups')
+    .update({ status: 'completed', transaction_id: transactionId })
+    .eq('id', topupId)
+    .eq('user_id', userId)
+  
+  if (error) {
+    console.error('Error completing credit top-up:', error)
+    throw error
+  }
+}
+
 /**
  * Get product config by variant name or ID
  */
@@ -186,4 +615,33 @@ function getProductConfig(variantName, productName) {
   return configKey ? PRODUCT_CONFIGS[configKey] : null
 }
 
-export { verifyWebhookSignature, findUserByEmail, createUserIfNotExists, updateUserCreditsAndPlan, createTransaction, getProductConfig, PRODUCT_CONFIGS }
\ No newline at end of file
+export {
+  supabase,
+  verifyWebhookSignature,
+  isStaleWebhookEvent,
+  findUserByEmail,
+  findUserBySubscriptionId,
+  findUserById,
+  resolvePurchaseUser,
+  recordUnclaimedPurchase,
+  markUnclaimedPurchaseRefunded,
+  updateUserCreditsAndPlan,
+  createTransaction,
+  updateTransaction,
+  findTransactionByOrderId,
+  findTransactionBySubscriptionId,
+  getGrantedCredits,
+  getRevokedOrderCredits,
+  getPeriodSubscriptionGrants,
+  getWebhookEventId,
+  recordWebhookEvent,
+  claimWebhookEvent,
+  updateWebhookEvent,
+  grantCredits,
+  revokeCredits,
+  expireSubscriptionCredits,
+  mergeCreditPool,
+  completeCreditTopup,
+  getProductConfig,
+  PRODUCT_CONFIGS
+}
@@ -0,0 +1,208 @@
+// Use the shared Supabase client so it carries the authenticated session
+import { supabase } from '../services/supabase.js'
+
+/**
+ * Team Workspaces API
+ * An organization shares its owner's credit balance with its members. Members are managed through
+ * database functions that check the caller's role (see migration 017); RLS limits reads to the
+ * caller's own organization.
+ */
+
+/**
+ * The user's membership with its organization, or null when they are not in one
+ */
+export async function getMyOrganization(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('organization_members')
+      .select('*, organization:organizations(*)')
+      .eq('user_id', userId)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching organization:', error)
+    throw error
+  }
+}
+
+/**
+ * Start an organization owned by the signed-in user
+ */
+export async function createOrganization(name) {
+  try {
+    const { data, error } = await supabase.rpc('create_organization', { p_name: name })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error creating organization:', error)
+    throw error
+  }
+}
+
+/**
+ * Delete the organization (owner only); members go back to their own balances
+ */
+export async function deleteOrganization(organizationId) {
+  try {
+    const { error } = await supabase
+      .from('organizations')
+      .delete()
+      .eq('id', organizationId)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error deleting organization:', error)
+    throw error
+  }
+}
+
+/**
+ * Members with their email, role, monthly credit limit and credits used this month
+ */
+export async function getOrganizationMembers(organizationId) {
+  try {
+    const { data, error } = await supabase.rpc('get_organization_members', { p_organization_id: organizationId })
+
+    if (error) throw error
+    return data || []
+  } catch (error) {
+    console.error('Error fetching organization members:', error)
+    throw error
+  }
+}
+
+/**
+ * Change a member's role (owner only) and monthly credit limit (null for no limit).
+ * Admins pass role null, as they can only change limits.
+ */
+export async function updateOrganizationMember(memberId, { role = null, creditLimit = null }) {
+  try {
+    const { data, error } = await supabase.rpc('update_organization_member', {
+      p_member_id: memberId,
+      p_role: role,
+      p_credit_limit: creditLimit
+    })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error updating organization member:', error)
+    throw error
+  }
+}
+
+/**
+ * Remove a member, or leave the organization when it is the user's own membership
+ */
+export async function removeOrganizationMember(memberId) {
+  try {
+    const { error } = await supabase.rpc('remove_organization_member', { p_member_id: memberId })
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error removing organization member:', error)
+    throw error
+  }
+}
+
+/**
+ * Pending invites of an organization (owners and admins)
+ */
+export async function getOrganizationInvites(organizationId) {
+  try {
+    const { data, error } = await supabase
+      .from('organization_invites')
+      .select('*')
+      .eq('organization_id', organizationId)
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching organization invites:', error)
+    throw error
+  }
+}
+
+/**
+ * Invite someone by email; share the returned invite's link with them (see getInviteLink)
+ */
+export async function inviteOrganizationMember(organizationId, email, role = 'member') {
+  try {
+    const { data, error } = await supabase.rpc('invite_organization_member', {
+      p_organization_id: organizationId,
+      p_email: email,
+      p_role: role
+    })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error inviting organization member:', error)
+    throw error
+  }
+}
+
+/**
+ * Withdraw a pending invite
+ */
+export async function revokeOrganizationInvite(inviteId) {
+  try {
+    const { error } = await supabase
+      .from('organization_invites')
+      .delete()
+      .eq('id', inviteId)
+
+    if (error) throw error
+  } catch (error) {
+    console.error('Error revoking organization invite:', error)
+    throw error
+  }
+}
+
+/**
+ * Pending invites sent to the signed-in user's email, with the inviting organization
+ */
+export async function getInvitesForEmail(email) {
+  try {
+    const { data, error } = await supabase
+      .from('organization_invites')
+      .select('*, organization:organizations(name)')
+      .eq('status', 'pending')
+      .gt('expires_at', new Date().toISOString())
+
+    if (error) throw error
+    // Owners and admins also see their organization's invites
+    return data.filter(invite => invite.email.toLowerCase() === email.toLowerCase())
+  } catch (error) {
+    console.error('Error fetching invites:', error)
+    throw error
+  }
+}
+
+/**
+ * Join the organization of an invite; the user must be signed in with the invited email
+ */
+export async function acceptOrganizationInvite(token) {
+  try {
+    const { data, error } = await supabase.rpc('accept_organization_invite', { p_token: token })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error accepting invite:', error)
+    throw error
+  }
+}
+
+/**
+ * Link that opens the team page with the invite ready to accept
+ */
+export function getInviteLink(invite) {
+  return `${window.location.origin}/team?invite=${invite.token}`
+}
@@ -1,4 +1,5 @@
 import { supabase } from '../services/supabase.js'
+import { PLANS } from '../constants/plans.js'
 
 /**
  * Robust profile service that handles all profile operations
@@ -55,8 +56,8 @@ export const profileService = {
         company: user?.user_metadata?.company || '',
         plan: 'free',
         credits: 0, // Legacy field
-        credits_find: 25,
-        credits_verify: 25,
+        credits_find: PLANS.free.credits_find,
+        credits_verify: PLANS.free.credits_verify,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       }
@@ -117,53 +118,6 @@ export const profileService = {
       console.error('❌ ProfileService: Update fatal error:', error)
       throw error
     }
-  },
-
-  /**
-   * Update user credits
-   * @param {string} userId - The user ID
-   * @param {Object} credits - Credit updates {credits_find?, credits_verify?}
-   * @returns {Promise<Object>} Updated profile
-   */
-  async updateCredits(userId, credits) {
-    if (!userId) {
-      throw new Error('User ID is required')
-    }
-
-    try {
-      console.log('💰 ProfileService: Updating credits for user:', userId, credits)
-      
-      const updates = {
-        updated_at: new Date().toISOString()
-      }
-
-      if (typeof credits.credits_find === 'number') {
-        updates.credits_find = credits.credits_find
-      }
-      
-      if (typeof credits.credits_verify === 'number') {
-        updates.credits_verify = credits.credits_verify
-      }
-
-      const { data, error } = await supabase
-        .from('profiles')
-        .update(updates)
-        .eq('id', userId)
-        .select()
-        .single()
-
-      if (error) {
-        console.error('❌ ProfileService: Credits update error:', error)
-        throw error
-      }
-
-      console.log('✅ ProfileService: Updated credits:', data)
-      return data
-
-    } catch (error) {
-      console.error('❌ ProfileService: Credits update fatal error:', error)
-      throw error
-    }
   }
 }
 
@@ -2,6 +2,9 @@
 import { supabase } from '../services/supabase.js'
 import { profileService } from './profileService.js'
 
+// Required: /api/* is rewritten to the find API (vercel.json), so there is no default on this origin
+const PURCHASE_CLAIM_URL = import.meta.env.VITE_PURCHASE_CLAIM_URL
+
 /**
  * Get user profile with credits and subscription info
  */
@@ -76,42 +79,281 @@ export async function checkCredits(userId, creditsNeeded, creditType = 'find') {
 }
 
 /**
- * Deduct credits for an operation
+ * Deduct credits for an operation in one atomic step (floored at zero).
+ * operation and sourcePage are recorded in the credit ledger.
  */
-export async function deductCredits(userId, creditsToDeduct, creditType = 'find') {
+export async function deductCredits(userId, creditsToDeduct, creditType = 'find', { operation = null, sourcePage = null, jobId = null } = {}) {
   try {
-    const column = creditType === 'find' ? 'credits_find' : 'credits_verify'
+    const { data: charged, error } = await supabase.rpc('consume_credits', {
+      p_user_id: userId,
+      p_credit_type: creditType,
+      p_amount: creditsToDeduct,
+      p_operation: operation,
+      p_source_page: sourcePage,
+      p_job_id: jobId
+    })
 
-    const { data: profile, error: fetchError } = await supabase
-      .from('profiles')
-      .select(column)
-      .eq('id', userId)
-      .single()
+    if (error) throw error
+
+    return {
+      deductedCredits: charged,
+      creditType
+    }
+  } catch (error) {
+    console.error('Error deducting credits:', error)
+    throw error
+  }
+}
+
+/**
+ * Hold credits before an operation; settle or release the reservation afterwards.
+ * Throws 'Insufficient ... credits' when the balance is too low (unless allowPartial).
+ * operation and sourcePage are recorded in the credit ledger.
+ */
+export async function reserveCredits(userId, creditType, amount, { allowPartial = false, jobId = null, operation = null, sourcePage = null } = {}) {
+  try {
+    const { data, error } = await supabase.rpc('reserve_credits', {
+      p_user_id: userId,
+      p_credit_type: creditType,
+      p_amount: amount,
+      p_allow_partial: allowPartial,
+      p_job_id: jobId,
+      p_operation: operation,
+      p_source_page: sourcePage
+    })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error reserving credits:', error)
+    throw error
+  }
+}
+
+/**
+ * Settle a reservation with the credits actually used; the rest is refunded
+ */
+export async function settleCreditReservation(reservationId, used) {
+  try {
+    const { data, error } = await supabase.rpc('settle_credit_reservation', {
+      p_reservation_id: reservationId,
+      p_used: used
+    })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error settling credit reservation:', error)
+    throw error
+  }
+}
+
+/**
+ * Refund the whole reservation, e.g. when the operation failed
+ */
+export async function releaseCreditReservation(reservationId) {
+  try {
+    const { data, error } = await supabase.rpc('release_credit_reservation', {
+      p_reservation_id: reservationId
+    })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error releasing credit reservation:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the user's credit ledger, newest first: changes of their own balance and the credits they
+ * spent from their organization's
+ */
+export async function getCreditLedger(userId, limit = 20, offset = 0) {
+  try {
+    const { data, error, count } = await supabase
+      .from('credit_ledger')
+      .select('*', { count: 'exact' })
+      // Credits spent from a team balance are recorded on the owner's account with the member as actor
+      .or(`user_id.eq.${userId},actor_id.eq.${userId}`)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1)
+
+    if (error) throw error
+
+    return {
+      entries: data,
+      total: count,
+      hasMore: count > offset + limit
+    }
+  } catch (error) {
+    console.error('Error fetching credit ledger:', error)
+    throw error
+  }
+}
+
+/**
+ * Get the user's balance with its open credit buckets, in the order they are spent
+ * (soonest expiry first, never-expiring credits last). Lapses expired buckets first.
+ */
+export async function getCreditBreakdown(userId) {
+  try {
+    const { data, error } = await supabase.rpc('get_credit_breakdown', { p_user_id: userId })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching credit breakdown:', error)
+    throw error
+  }
+}
+
+/**
+ * The balance the user spends and the plan it is priced by: their organization's shared balance
+ * when they belong to one (with their role, monthly credit limit and credits used this month),
+ * otherwise their own
+ */
+export async function getCreditAccount(userId) {
+  try {
+    const { data, error } = await supabase.rpc('get_credit_account', { p_user_id: userId })
 
-    if (fetchError) throw fetchError
-    const current = profile?.[column] ?? 0
-    const newValue = Math.max(0, current - creditsToDeduct)
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching credit account:', error)
+    throw error
+  }
+}
 
+/**
+ * Purchases made with the signed-in user's email before their account existed
+ * (RLS limits the rows to the user's own email)
+ */
+export async function getUnclaimedPurchases() {
+  try {
+    const { data, error } = await supabase
+      .from('unclaimed_purchases')
+      .select('id, product_name, order_number, created_at')
+      .eq('status', 'unclaimed')
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching unclaimed purchases:', error)
+    throw error
+  }
+}
+
+/**
+ * Claim a purchase for the signed-in user: by id for purchases made with their own email,
+ * or with the purchase email and the order identifier (or "View order" link) from the receipt
+ * @param {Object} claim - { purchaseId } or { email, orderIdentifier }
+ */
+export async function claimPurchase(claim) {
+  try {
+    if (!PURCHASE_CLAIM_URL) {
+      throw new Error('Purchase claiming is not configured: set VITE_PURCHASE_CLAIM_URL to the claim endpoint URL')
+    }
+    const { data: { session } } = await supabase.auth.getSession()
+
+    const response = await fetch(PURCHASE_CLAIM_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(session?.access_token ? { Authorization: `Bearer ${session.access_token}` } : {})
+      },
+      body: JSON.stringify(claim)
+    })
+    const result = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Failed to claim purchase')
+    }
+    return result
+  } catch (error) {
+    console.error('Error claiming purchase:', error)
+    throw error
+  }
+}
+
+/**
+ * Save the user's low-balance alert threshold (0 turns alerts off) and auto top-up choice.
+ * An open top-up is cancelled when auto top-up is turned off or set to another pack.
+ * @param {Object} settings - { threshold, autoTopupEnabled, autoTopupPack } (pack variant name)
+ */
+export async function updateLowBalanceSettings(userId, { threshold, autoTopupEnabled, autoTopupPack }) {
+  try {
     const { data, error } = await supabase
       .from('profiles')
-      .update({ [column]: newValue })
+      .update({
+        low_balance_threshold: threshold,
+        auto_topup_enabled: autoTopupEnabled,
+        auto_topup_pack: autoTopupPack || null
+      })
       .eq('id', userId)
       .select()
       .single()
 
     if (error) throw error
 
-    return {
-      remainingCredits: data?.[column] ?? newValue,
-      deductedCredits: Math.min(current, creditsToDeduct),
-      creditType
-    }
+    await cancelOpenTopups(userId, autoTopupEnabled ? autoTopupPack : null)
+    return data
   } catch (error) {
-    console.error('Error deducting credits:', error)
+    console.error('Error saving low-balance settings:', error)
+    throw error
+  }
+}
+
+/**
+ * The user's auto top-up that is waiting for a checkout or for payment, if any
+ */
+export async function getOpenCreditTopup(userId) {
+  try {
+    const { data, error } = await supabase
+      .from('credit_topups')
+      .select('*')
+      .eq('user_id', userId)
+      .in('status', ['pending', 'checkout_sent'])
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle()
+
+    if (error) throw error
+    return data
+  } catch (error) {
+    console.error('Error fetching credit top-up:', error)
     throw error
   }
 }
 
+/**
+ * Cancel the user's open auto top-up, e.g. when they don't want to complete its checkout.
+ * The next low balance queues a new one.
+ */
+export async function cancelCreditTopup(userId) {
+  try {
+    await cancelOpenTopups(userId)
+  } catch (error) {
+    console.error('Error cancelling credit top-up:', error)
+    throw error
+  }
+}
+
+// Cancel open top-ups, except one for keepPack (RLS only lets users cancel their own open top-ups)
+async function cancelOpenTopups(userId, keepPack = null) {
+  let query = supabase
+    .from('credit_topups')
+    .update({ status: 'cancelled' })
+    .eq('user_id', userId)
+    .in('status', ['pending', 'checkout_sent'])
+
+  if (keepPack) query = query.neq('pack', keepPack)
+
+  const { error } = await query
+  if (error) throw error
+}
+
 /**
  * Upsert user profile
  */
@@ -151,22 +393,12 @@ export async function getUserByEmail(email) {
 }
 
 /**
- * Initialize free trial for user if needed
+ * Start the signed-in user's free trial if it never started (users can't write their own
+ * plan or credits); returns their profile
  */
-export async function initializeFreeTrial(email) {
+export async function initializeFreeTrial() {
   try {
-    const { data, error } = await supabase
-      .from('profiles')
-      .update({
-        plan: 'free',
-        credits: 25,
-        credits_find: 25,
-        credits_verify: 25,
-        plan_expiry: new Date(new Date().getTime() + 3 * 24 * 60 * 60 * 1000).toISOString()
-      })
-      .eq('email', email)
-      .select()
-      .single()
+    const { data, error } = await supabase.rpc('start_free_trial')
 
     if (error) throw error
     return data
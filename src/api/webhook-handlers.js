@@ -1,10 +1,94 @@
 import {
-  findUserByEmail,
-  createUserIfNotExists,
+  findUserBySubscriptionId,
+  resolvePurchaseUser,
+  recordUnclaimedPurchase,
+  markUnclaimedPurchaseRefunded,
   updateUserCreditsAndPlan,
   createTransaction,
+  updateTransaction,
+  findTransactionByOrderId,
+  findTransactionBySubscriptionId,
+  getGrantedCredits,
+  getRevokedOrderCredits,
+  getPeriodSubscriptionGrants,
+  claimWebhookEvent,
+  updateWebhookEvent,
+  grantCredits,
+  revokeCredits,
+  expireSubscriptionCredits,
+  mergeCreditPool,
+  completeCreditTopup,
   getProductConfig
 } from './lemonsqueezy-webhook.js'
+import { getPlan, getCreditPricing } from '../constants/plans.js'
+
+/**
+ * Profile fields for a subscription period starting at `start`.
+ * Annual plans run for a year, but only the first month's credits are granted by the webhook;
+ * drip_subscription_credits() adds the rest one month at a time.
+ */
+function getBillingPeriodUpdates(productConfig, start) {
+  const isAnnual = productConfig.interval === 'annual'
+  const planExpiry = new Date(start)
+  planExpiry.setDate(planExpiry.getDate() + productConfig.durationDays)
+  const nextDrip = new Date(start)
+  nextDrip.setMonth(nextDrip.getMonth() + 1)
+
+  return {
+    plan_expiry: planExpiry.toISOString(),
+    billing_interval: isAnnual ? 'annual' : 'monthly',
+    credit_drip_find: isAnnual ? productConfig.credits_find : 0,
+    credit_drip_verify: isAnnual ? productConfig.credits_verify : 0,
+    next_credit_drip_at: isAnnual ? nextDrip.toISOString() : null,
+    credit_rollover_cap: productConfig.rolloverCap,
+    team_seats: productConfig.teamSeats
+  }
+}
+
+/**
+ * Bucket options for credits granted with a billing period: they expire when the period ends
+ * (after a month for annual plans, like each drip), and up to the plan's rollover cap carries over.
+ */
+function getSubscriptionGrant(updates) {
+  return {
+    source: 'subscription',
+    expiresAt: updates.next_credit_drip_at || updates.plan_expiry,
+    rolloverCap: updates.credit_rollover_cap
+  }
+}
+
+/**
+ * Credits an earlier delivery of the same event granted for its transaction, and whether they
+ * cover the transaction. A delivery that failed part-way is retried by granting only the rest.
+ */
+async function getEarlierGrant(transaction) {
+  const granted = transaction
+    ? await getGrantedCredits(transaction.id)
+    : { credits_find: 0, credits_verify: 0 }
+  const complete = Boolean(transaction) &&
+    granted.credits_find >= transaction.credits_find_added &&
+    granted.credits_verify >= transaction.credits_verify_added
+
+  return { granted, complete }
+}
+
+/**
+ * Credits still missing from a grant after an earlier delivery's
+ */
+function getMissingCredits(credits, granted) {
+  return {
+    credits_find: Math.max(0, (credits.credits_find || 0) - granted.credits_find),
+    credits_verify: Math.max(0, (credits.credits_verify || 0) - granted.credits_verify)
+  }
+}
+
+/**
+ * After a downgrade to a plan with pooled pricing, the verification credits left join the pool
+ * so they stay usable
+ */
+async function applyCreditPricing(userId, plan) {
+  return getCreditPricing(plan).pooled ? mergeCreditPool(userId) : 0
+}
 
 /**
  * Handle order_created webhook event
@@ -17,14 +101,27 @@ export async function handleOrderCreated(eventData) {
     
     console.log('Processing order_created:', order.id)
     
+    // An earlier delivery recorded the order; it is done once the ledger shows all of its credits.
+    // Otherwise that delivery failed part-way and the credits still missing are granted below.
+    const existingTransaction = await findTransactionByOrderId(order.id, 'order_created')
+    const { granted: alreadyGranted, complete } = await getEarlierGrant(existingTransaction)
+    if (complete) {
+      console.log('Order already processed:', order.id)
+      return { success: true, message: 'Order already processed' }
+    }
+    
     // Extract customer email
     const customerEmail = attributes.user_email
     if (!customerEmail) {
       throw new Error('No customer email found in order')
     }
     
-    // Find or create user
-    const user = await createUserIfNotExists(customerEmail)
+    // Find the buyer's account; without one the purchase waits to be claimed
+    const user = await resolvePurchaseUser(eventData, customerEmail)
+    if (!user) {
+      await recordUnclaimedPurchase(eventData, customerEmail)
+      return { success: true, message: 'Purchase recorded as unclaimed' }
+    }
     
     // Get product configuration
     const variantName = attributes.first_order_item?.variant_name || ''
@@ -36,23 +133,17 @@ export async function handleOrderCreated(eventData) {
       throw new Error(`Unknown product: ${productName}`)
     }
     
-    // Calculate new credits
-    const updates = {
-      credits_find: user.credits_find + (productConfig.credits_find || 0),
-      credits_verify: user.credits_verify + (productConfig.credits_verify || 0)
-    }
-    
     // For lifetime plans, update the plan
     if (productConfig.type === 'lifetime') {
-      updates.plan = 'lifetime'
-      updates.plan_expiry = null // Lifetime has no expiry
+      await updateUserCreditsAndPlan(user.id, {
+        plan: 'lifetime',
+        plan_expiry: null, // Lifetime has no expiry
+        team_seats: productConfig.teamSeats
+      })
     }
     
-    // Update user
-    await updateUserCreditsAndPlan(user.id, updates)
-    
     // Create transaction record
-    await createTransaction({
+    const transaction = existingTransaction || await createTransaction({
       user_id: user.id,
       lemonsqueezy_order_id: order.id,
       product_name: productName,
@@ -68,6 +159,19 @@ export async function handleOrderCreated(eventData) {
       }
     })
     
+    // Add the credits (recorded in the credit ledger); one-time purchases never expire
+    await grantCredits(user.id, getMissingCredits(productConfig, alreadyGranted), {
+      operation: 'order_created',
+      transactionId: transaction.id,
+      source: productConfig.type === 'lifetime' ? 'lifetime' : 'pack'
+    })
+    
+    // Purchase made from an auto top-up checkout
+    const topupId = eventData.meta?.custom_data?.topup_id
+    if (topupId) {
+      await completeCreditTopup(topupId, user.id, transaction.id)
+    }
+    
     console.log(`Order processed successfully for user ${customerEmail}`)
     return { success: true, message: 'Order processed successfully' }
     
@@ -88,14 +192,27 @@ export async function handleSubscriptionCreated(eventData) {
     
     console.log('Processing subscription_created:', subscription.id)
     
+    // Done once the ledger shows the credits of an earlier delivery; replaying it must not reset
+    // a period that renewals have moved on since
+    const existingTransaction = await findTransactionBySubscriptionId(subscription.id, 'subscription_created')
+    const { granted: alreadyGranted, complete } = await getEarlierGrant(existingTransaction)
+    if (complete) {
+      console.log('Subscription already processed:', subscription.id)
+      return { success: true, message: 'Subscription already processed' }
+    }
+    
     // Extract customer email
     const customerEmail = attributes.user_email
     if (!customerEmail) {
       throw new Error('No customer email found in subscription')
     }
     
-    // Find or create user
-    const user = await createUserIfNotExists(customerEmail)
+    // Find the buyer's account; without one the purchase waits to be claimed
+    const user = await resolvePurchaseUser(eventData, customerEmail)
+    if (!user) {
+      await recordUnclaimedPurchase(eventData, customerEmail)
+      return { success: true, message: 'Purchase recorded as unclaimed' }
+    }
     
     // Get product configuration
     const variantName = attributes.variant_name || ''
@@ -107,24 +224,19 @@ export async function handleSubscriptionCreated(eventData) {
       throw new Error(`Invalid subscription product: ${productName}`)
     }
     
-    // Calculate expiry date (30 days from now)
-    const planExpiry = new Date()
-    planExpiry.setDate(planExpiry.getDate() + 30)
-    
-    // Update user with subscription details
+    // Update user with subscription details; expiry is 30 days out, or 365 for annual plans
     const updates = {
       plan: productConfig.plan,
       subscription_id: subscription.id,
       customer_id: attributes.customer_id,
-      plan_expiry: planExpiry.toISOString(),
-      credits_find: user.credits_find + productConfig.credits_find,
-      credits_verify: user.credits_verify + productConfig.credits_verify
+      subscription_status: 'active',
+      ...getBillingPeriodUpdates(productConfig, new Date())
     }
     
     await updateUserCreditsAndPlan(user.id, updates)
     
     // Create transaction record
-    await createTransaction({
+    const transaction = existingTransaction || await createTransaction({
       user_id: user.id,
       lemonsqueezy_subscription_id: subscription.id,
       product_name: productName,
@@ -136,10 +248,18 @@ export async function handleSubscriptionCreated(eventData) {
       webhook_event: 'subscription_created',
       metadata: {
         variant_name: variantName,
-        customer_id: attributes.customer_id
+        customer_id: attributes.customer_id,
+        billing_interval: updates.billing_interval
       }
     })
     
+    // Add the plan's (first month's) credits (recorded in the credit ledger)
+    await grantCredits(user.id, getMissingCredits(productConfig, alreadyGranted), {
+      operation: 'subscription_created',
+      transactionId: transaction.id,
+      ...getSubscriptionGrant(updates)
+    })
+    
     console.log(`Subscription created successfully for user ${customerEmail}`)
     return { success: true, message: 'Subscription created successfully' }
     
@@ -149,31 +269,88 @@ export async function handleSubscriptionCreated(eventData) {
   }
 }
 
+/**
+ * Credits for a paid plan change: the current period is topped up to the new plan's monthly
+ * credits. What the period already received counts, so switching plans back and forth within a
+ * period never grants more than one month of the largest plan.
+ */
+async function grantPlanChangeCredits(user, invoice, existingTransaction) {
+  const { attributes } = invoice
+  const productConfig = getProductConfig(`${user.plan}_${user.billing_interval || 'monthly'}`, '')
+  if (!productConfig || productConfig.type !== 'subscription') {
+    throw new Error(`Invalid subscription plan: ${user.plan}`)
+  }
+  
+  // The period's grants include what an earlier delivery of this invoice granted
+  const topUp = getMissingCredits(productConfig, await getPeriodSubscriptionGrants(user.id))
+  
+  const transaction = existingTransaction || await createTransaction({
+    user_id: user.id,
+    lemonsqueezy_subscription_id: String(attributes.subscription_id || invoice.id),
+    product_name: attributes.product_name || 'Plan Change',
+    product_type: 'subscription',
+    amount: (attributes.total || 0) / 100, // Convert cents to dollars
+    credits_find_added: topUp.credits_find,
+    credits_verify_added: topUp.credits_verify,
+    status: 'completed',
+    webhook_event: 'subscription_payment_success',
+    metadata: {
+      invoice_id: invoice.id,
+      billing_reason: attributes.billing_reason,
+      plan: user.plan
+    }
+  })
+  
+  // Same expiry as the period's other subscription credits
+  await grantCredits(user.id, topUp, {
+    operation: 'subscription_updated',
+    transactionId: transaction.id,
+    ...getSubscriptionGrant(user)
+  })
+  
+  console.log(`Plan change credits granted for user ${user.email}`)
+  return { success: true, message: 'Plan change credits granted' }
+}
+
 /**
  * Handle subscription_payment_success webhook event
- * Triggered when a subscription payment is successful (monthly renewal)
+ * Triggered when a subscription payment is successful (monthly or annual renewal)
  */
 export async function handleSubscriptionPaymentSuccess(eventData) {
   try {
-    const { data: subscription } = eventData
-    const { attributes } = subscription
+    const { data: invoice } = eventData
+    const { attributes } = invoice
+    // The payload is a subscription invoice; older payloads carried the subscription itself
+    const subscriptionId = String(attributes.subscription_id || invoice.id)
+    const invoiceId = attributes.subscription_id ? invoice.id : null
     
-    console.log('Processing subscription_payment_success:', subscription.id)
+    console.log('Processing subscription_payment_success:', subscriptionId)
+    
+    // The first payment's credits are added by subscription_created
+    if (attributes.billing_reason === 'initial') {
+      return { success: true, message: 'Initial subscription payment acknowledged' }
+    }
+    
+    // Done once the ledger shows the credits of an earlier delivery of this invoice
+    const existingTransaction = invoiceId
+      ? await findTransactionBySubscriptionId(subscriptionId, 'subscription_payment_success', invoiceId)
+      : null
+    const { granted: alreadyGranted, complete } = await getEarlierGrant(existingTransaction)
+    if (complete) {
+      console.log('Subscription payment already processed:', invoice.id)
+      return { success: true, message: 'Subscription payment already processed' }
+    }
     
     // Find user by subscription ID
-    const { data: user, error } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('subscription_id', subscription.id)
-      .single()
-    
-    if (error || !user) {
-      console.error('User not found for subscription:', subscription.id)
-      throw new Error(`User not found for subscription: ${subscription.id}`)
+    const user = await findUserBySubscriptionId(subscriptionId)
+    
+    // Prorated charge for a plan change (subscription_updated already switched the plan)
+    if (attributes.billing_reason === 'updated') {
+      return await grantPlanChangeCredits(user, invoice, existingTransaction)
     }
     
-    // Get product configuration
-    const variantName = attributes.variant_name || ''
+    // Get product configuration; invoices don't name the variant, so fall back to the user's plan
+    const variantName = attributes.variant_name || `${user.plan}_${user.billing_interval || 'monthly'}`
     const productName = attributes.product_name || ''
     const productConfig = getProductConfig(variantName, productName)
     
@@ -182,25 +359,23 @@ export async function handleSubscriptionPaymentSuccess(eventData) {
       throw new Error(`Invalid subscription product: ${productName}`)
     }
     
-    // Extend plan expiry by 30 days
-    const currentExpiry = user.plan_expiry ? new Date(user.plan_expiry) : new Date()
-    const newExpiry = new Date(Math.max(currentExpiry.getTime(), Date.now()))
-    newExpiry.setDate(newExpiry.getDate() + 30)
-    
-    // Add monthly credits
-    const updates = {
-      plan_expiry: newExpiry.toISOString(),
-      credits_find: user.credits_find + productConfig.credits_find,
-      credits_verify: user.credits_verify + productConfig.credits_verify
+    // The new period (30 days, or 365 for annual plans) starts when the invoice was paid, so
+    // retries don't extend it again. subscription_updated may already have set the expiry to
+    // renews_at; a later expiry is kept.
+    const renewalStart = attributes.created_at ? new Date(attributes.created_at) : new Date()
+    const updates = { ...getBillingPeriodUpdates(productConfig, renewalStart), subscription_status: 'active' }
+    if (user.plan_expiry && new Date(user.plan_expiry) > new Date(updates.plan_expiry)) {
+      updates.plan_expiry = new Date(user.plan_expiry).toISOString()
     }
+    const newExpiry = new Date(updates.plan_expiry)
     
     await updateUserCreditsAndPlan(user.id, updates)
     
     // Create transaction record
-    await createTransaction({
+    const transaction = existingTransaction || await createTransaction({
       user_id: user.id,
-      lemonsqueezy_subscription_id: subscription.id,
-      product_name: productName,
+      lemonsqueezy_subscription_id: subscriptionId,
+      product_name: productName || 'Subscription Renewal',
       product_type: 'subscription',
       amount: productConfig.price || 0,
       credits_find_added: productConfig.credits_find,
@@ -208,11 +383,21 @@ export async function handleSubscriptionPaymentSuccess(eventData) {
       status: 'completed',
       webhook_event: 'subscription_payment_success',
       metadata: {
+        invoice_id: invoiceId,
         variant_name: variantName,
-        renewal_date: newExpiry.toISOString()
+        renewal_date: newExpiry.toISOString(),
+        billing_interval: updates.billing_interval
       }
     })
     
+    // Add the period's (first month's) credits (recorded in the credit ledger)
+    // The previous period's credits lapse (or roll over) when their own bucket expires
+    await grantCredits(user.id, getMissingCredits(productConfig, alreadyGranted), {
+      operation: 'subscription_payment_success',
+      transactionId: transaction.id,
+      ...getSubscriptionGrant(updates)
+    })
+    
     console.log(`Subscription payment processed successfully for user ${user.email}`)
     return { success: true, message: 'Subscription payment processed successfully' }
     
@@ -222,9 +407,56 @@ export async function handleSubscriptionPaymentSuccess(eventData) {
   }
 }
 
+/**
+ * Handle subscription_cancelled webhook event
+ * A cancelled subscription stays active until its ends_at, so the plan and its credits are kept
+ * until then; subscription_expired downgrades the plan and lapses the credits
+ */
+export async function handleSubscriptionCancelled(eventData) {
+  try {
+    const { data: subscription } = eventData
+    const { attributes } = subscription
+    
+    console.log('Processing subscription_cancelled:', subscription.id)
+    
+    const user = await findUserBySubscriptionId(subscription.id)
+    
+    const updates = { subscription_status: 'cancelled' }
+    if (attributes.ends_at) {
+      updates.plan_expiry = new Date(attributes.ends_at).toISOString()
+    }
+    
+    await updateUserCreditsAndPlan(user.id, updates)
+    
+    // Create transaction record
+    await createTransaction({
+      user_id: user.id,
+      lemonsqueezy_subscription_id: subscription.id,
+      product_name: attributes.product_name || 'Subscription Cancelled',
+      product_type: 'subscription',
+      amount: 0,
+      credits_find_added: 0,
+      credits_verify_added: 0,
+      status: 'completed',
+      webhook_event: 'subscription_cancelled',
+      metadata: {
+        variant_name: attributes.variant_name,
+        ends_at: attributes.ends_at || null
+      }
+    })
+    
+    console.log(`Subscription cancelled for user ${user.email}; active until ${updates.plan_expiry || user.plan_expiry}`)
+    return { success: true, message: 'Subscription cancelled; plan kept until it ends' }
+    
+  } catch (error) {
+    console.error('Error processing subscription_cancelled:', error)
+    throw error
+  }
+}
+
 /**
  * Handle subscription_expired webhook event
- * Triggered when a subscription expires or is cancelled
+ * Triggered when a subscription ends (at the end of the period of a cancelled subscription)
  */
 export async function handleSubscriptionExpired(eventData) {
   try {
@@ -233,27 +465,28 @@ export async function handleSubscriptionExpired(eventData) {
     console.log('Processing subscription_expired:', subscription.id)
     
     // Find user by subscription ID
-    const { data: user, error } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('subscription_id', subscription.id)
-      .single()
-    
-    if (error || !user) {
-      console.error('User not found for subscription:', subscription.id)
-      throw new Error(`User not found for subscription: ${subscription.id}`)
-    }
+    const user = await findUserBySubscriptionId(subscription.id)
     
     // Downgrade user to free plan
     const updates = {
       plan: 'free',
       subscription_id: null,
-      plan_expiry: null
-      // Note: We don't remove existing credits, just stop adding new ones
+      plan_expiry: null,
+      subscription_status: null,
+      billing_interval: 'monthly',
+      next_credit_drip_at: null,
+      credit_rollover_cap: 0,
+      // Existing team members stay, but no one new can join beyond the free plan's seats
+      team_seats: getPlan('free').teamSeats
     }
     
     await updateUserCreditsAndPlan(user.id, updates)
     
+    // Unused subscription credits end with the subscription, without rollover;
+    // pack, lifetime and trial credits are kept
+    const lapsed = await expireSubscriptionCredits(user.id)
+    const pooled = await applyCreditPricing(user.id, updates.plan)
+    
     // Create transaction record
     await createTransaction({
       user_id: user.id,
@@ -266,7 +499,9 @@ export async function handleSubscriptionExpired(eventData) {
       status: 'completed',
       webhook_event: 'subscription_expired',
       metadata: {
-        expired_at: new Date().toISOString()
+        expired_at: new Date().toISOString(),
+        lapsed_buckets: lapsed,
+        credits_pooled: pooled
       }
     })
     
@@ -279,6 +514,271 @@ export async function handleSubscriptionExpired(eventData) {
   }
 }
 
+/**
+ * Handle subscription_updated webhook event
+ * Triggered when a subscription changes plan (upgrade/downgrade) or billing date
+ */
+export async function handleSubscriptionUpdated(eventData) {
+  try {
+    const { data: subscription } = eventData
+    const { attributes } = subscription
+    
+    console.log('Processing subscription_updated:', subscription.id)
+    
+    const user = await findUserBySubscriptionId(subscription.id)
+    
+    // Get product configuration
+    const variantName = attributes.variant_name || ''
+    const productName = attributes.product_name || ''
+    const productConfig = getProductConfig(variantName, productName)
+    
+    if (!productConfig || productConfig.type !== 'subscription') {
+      console.error('Invalid subscription product:', { variantName, productName })
+      throw new Error(`Invalid subscription product: ${productName}`)
+    }
+    
+    const renewsAt = attributes.renews_at ? new Date(attributes.renews_at).toISOString() : user.plan_expiry
+    const planChanged = productConfig.plan !== user.plan || productConfig.interval !== (user.billing_interval || 'monthly')
+    
+    // Status-only or billing date updates just keep the expiry in sync
+    if (!planChanged) {
+      await updateUserCreditsAndPlan(user.id, { plan_expiry: renewsAt })
+      return { success: true, message: 'Subscription updated without plan change' }
+    }
+    
+    // Switch plan; the new plan's period ends when LemonSqueezy bills next
+    const updates = {
+      plan: productConfig.plan,
+      ...getBillingPeriodUpdates(productConfig, new Date()),
+      plan_expiry: renewsAt
+    }
+    
+    await updateUserCreditsAndPlan(user.id, updates)
+    
+    // Upgrades get their extra credits once the prorated invoice is paid (see
+    // grantPlanChangeCredits); downgrades keep the credits they have and receive the smaller
+    // amount from the next renewal
+    await createTransaction({
+      user_id: user.id,
+      lemonsqueezy_subscription_id: subscription.id,
+      product_name: productName,
+      product_type: 'subscription',
+      amount: 0,
+      credits_find_added: 0,
+      credits_verify_added: 0,
+      status: 'completed',
+      webhook_event: 'subscription_updated',
+      metadata: {
+        variant_name: variantName,
+        previous_plan: user.plan,
+        previous_billing_interval: user.billing_interval || 'monthly',
+        billing_interval: updates.billing_interval
+      }
+    })
+    
+    console.log(`Subscription changed from ${user.plan} to ${productConfig.plan} for user ${user.email}`)
+    return { success: true, message: 'Subscription plan changed successfully' }
+    
+  } catch (error) {
+    console.error('Error processing subscription_updated:', error)
+    throw error
+  }
+}
+
+/**
+ * Handle subscription_paused and subscription_resumed webhook events
+ * Paused subscriptions keep their plan and credits but stop receiving monthly credits
+ */
+export async function handleSubscriptionPauseChange(eventType, eventData) {
+  try {
+    const { data: subscription } = eventData
+    const { attributes } = subscription
+    const isPaused = eventType === 'subscription_paused'
+    
+    console.log(`Processing ${eventType}:`, subscription.id)
+    
+    const user = await findUserBySubscriptionId(subscription.id)
+    
+    const updates = { subscription_status: isPaused ? 'paused' : 'active' }
+    
+    if (!isPaused) {
+      if (attributes.renews_at) {
+        updates.plan_expiry = new Date(attributes.renews_at).toISOString()
+      }
+      // Annual plans pick up their monthly credits again from a month after resuming
+      if (user.billing_interval === 'annual') {
+        const nextDrip = new Date()
+        nextDrip.setMonth(nextDrip.getMonth() + 1)
+        updates.next_credit_drip_at = nextDrip.toISOString()
+      }
+    }
+    
+    await updateUserCreditsAndPlan(user.id, updates)
+    
+    // Create transaction record
+    await createTransaction({
+      user_id: user.id,
+      lemonsqueezy_subscription_id: subscription.id,
+      product_name: attributes.product_name || 'Subscription',
+      product_type: 'subscription',
+      amount: 0,
+      credits_find_added: 0,
+      credits_verify_added: 0,
+      status: 'completed',
+      webhook_event: eventType,
+      metadata: {
+        variant_name: attributes.variant_name,
+        pause: attributes.pause || null
+      }
+    })
+    
+    console.log(`Subscription ${isPaused ? 'paused' : 'resumed'} for user ${user.email}`)
+    return { success: true, message: `Subscription ${isPaused ? 'paused' : 'resumed'} successfully` }
+    
+  } catch (error) {
+    console.error(`Error processing ${eventType}:`, error)
+    throw error
+  }
+}
+
+/**
+ * Handle subscription_payment_failed webhook event
+ * The plan stays active until its expiry so LemonSqueezy can retry the payment
+ */
+export async function handleSubscriptionPaymentFailed(eventData) {
+  try {
+    const { data: invoice } = eventData
+    const { attributes } = invoice
+    const subscriptionId = String(attributes.subscription_id || invoice.id)
+    
+    console.log('Processing subscription_payment_failed:', subscriptionId)
+    
+    const user = await findUserBySubscriptionId(subscriptionId)
+    
+    await updateUserCreditsAndPlan(user.id, { subscription_status: 'past_due' })
+    
+    // Create transaction record
+    await createTransaction({
+      user_id: user.id,
+      lemonsqueezy_subscription_id: subscriptionId,
+      product_name: attributes.product_name || 'Subscription Payment',
+      product_type: 'subscription',
+      amount: (attributes.total || 0) / 100, // Convert cents to dollars
+      credits_find_added: 0,
+      credits_verify_added: 0,
+      status: 'failed',
+      webhook_event: 'subscription_payment_failed',
+      metadata: {
+        invoice_id: invoice.id,
+        billing_reason: attributes.billing_reason
+      }
+    })
+    
+    console.log(`Subscription payment failed for user ${user.email}`)
+    return { success: true, message: 'Subscription payment failure recorded' }
+    
+  } catch (error) {
+    console.error('Error processing subscription_payment_failed:', error)
+    throw error
+  }
+}
+
+/**
+ * Handle order_refunded webhook event
+ * Takes back the refunded share of the order's credits (as far as they haven't been spent)
+ * and ends lifetime plans that were refunded in full
+ */
+export async function handleOrderRefunded(eventData) {
+  try {
+    const { data: order } = eventData
+    const { attributes } = order
+    
+    console.log('Processing order_refunded:', order.id)
+    
+    const customerEmail = attributes.user_email
+    if (!customerEmail) {
+      throw new Error('No customer email found in order')
+    }
+    
+    const user = await resolvePurchaseUser(eventData, customerEmail)
+    if (!user) {
+      // Refunded before anyone claimed it: nothing was granted, so only close the purchase
+      await markUnclaimedPurchaseRefunded(order.id)
+      return { success: true, message: 'Unclaimed purchase refunded' }
+    }
+    
+    // Get product configuration
+    const variantName = attributes.first_order_item?.variant_name || ''
+    const productName = attributes.first_order_item?.product_name || ''
+    const productConfig = getProductConfig(variantName, productName)
+    
+    if (!productConfig) {
+      console.error('Unknown product:', { variantName, productName })
+      throw new Error(`Unknown product: ${productName}`)
+    }
+    
+    // Partial refunds take back the same share of the credits. refunded_amount is the total
+    // refunded so far, so earlier refunds of the order are subtracted.
+    const fullRefund = attributes.status === 'refunded'
+    const refundedShare = fullRefund || !attributes.total
+      ? 1
+      : Math.min(1, (attributes.refunded_amount || 0) / attributes.total)
+    const alreadyRevoked = await getRevokedOrderCredits(order.id)
+    const creditsToRevoke = {
+      credits_find: Math.max(0, Math.round((productConfig.credits_find || 0) * refundedShare) - alreadyRevoked.credits_find),
+      credits_verify: Math.max(0, Math.round((productConfig.credits_verify || 0) * refundedShare) - alreadyRevoked.credits_verify)
+    }
+    
+    if (productConfig.type === 'lifetime' && fullRefund) {
+      await updateUserCreditsAndPlan(user.id, {
+        plan: 'free',
+        plan_expiry: null,
+        team_seats: getPlan('free').teamSeats
+      })
+    }
+    
+    // Create transaction record; the credits are filled in once we know how many were taken back
+    const transaction = await createTransaction({
+      user_id: user.id,
+      lemonsqueezy_order_id: order.id,
+      product_name: productName,
+      product_type: productConfig.type,
+      amount: (attributes.refunded_amount || 0) / 100, // Convert cents to dollars
+      credits_find_added: 0,
+      credits_verify_added: 0,
+      status: 'refunded',
+      webhook_event: 'order_refunded',
+      metadata: {
+        variant_name: variantName,
+        order_number: attributes.order_number,
+        full_refund: fullRefund
+      }
+    })
+    
+    const revoked = await revokeCredits(user.id, creditsToRevoke, {
+      operation: 'order_refunded',
+      transactionId: transaction.id,
+      metadata: { order_id: order.id }
+    })
+    
+    await updateTransaction(transaction.id, {
+      credits_find_added: -revoked.find,
+      credits_verify_added: -revoked.verify
+    })
+    
+    if (productConfig.type === 'lifetime' && fullRefund) {
+      await applyCreditPricing(user.id, 'free')
+    }
+    
+    console.log(`Order refund processed for user ${customerEmail}`)
+    return { success: true, message: 'Order refund processed successfully' }
+    
+  } catch (error) {
+    console.error('Error processing order_refunded:', error)
+    throw error
+  }
+}
+
 /**
  * Main webhook handler that routes events to appropriate handlers
  */
@@ -295,12 +795,48 @@ export async function handleLemonSqueezyWebhook(eventType, eventData) {
     case 'subscription_payment_success':
       return await handleSubscriptionPaymentSuccess(eventData)
     
-    case 'subscription_expired':
+    case 'subscription_updated':
+      return await handleSubscriptionUpdated(eventData)
+    
+    case 'subscription_paused':
+    case 'subscription_resumed':
+      return await handleSubscriptionPauseChange(eventType, eventData)
+    
+    case 'subscription_payment_failed':
+      return await handleSubscriptionPaymentFailed(eventData)
+    
+    case 'order_refunded':
+      return await handleOrderRefunded(eventData)
+    
     case 'subscription_cancelled':
+      return await handleSubscriptionCancelled(eventData)
+    
+    case 'subscription_expired':
       return await handleSubscriptionExpired(eventData)
     
     default:
       console.log(`Unhandled webhook event: ${eventType}`)
       return { success: true, message: `Event ${eventType} acknowledged but not processed` }
   }
-}
\ No newline at end of file
+}
+/**
+ * Process a stored webhook event once: claim it, run its handler and record the outcome.
+ * Used for new deliveries, LemonSqueezy retries and admin replays alike.
+ * @returns {Promise<Object>} - Handler result, or { skipped: true } when the event was already handled
+ */
+export async function processWebhookEvent(eventId) {
+  const event = await claimWebhookEvent(eventId)
+  if (!event) {
+    console.log(`Webhook event ${eventId} already processed or in progress`)
+    return { success: true, skipped: true, message: 'Event already processed' }
+  }
+  
+  try {
+    const result = await handleLemonSqueezyWebhook(event.event_name, event.payload)
+    await updateWebhookEvent(eventId, { status: 'processed', processed_at: new Date().toISOString() })
+    return result
+  } catch (error) {
+    await updateWebhookEvent(eventId, { status: 'failed', error: error.message })
+    throw error
+  }
+}
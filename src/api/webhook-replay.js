@@ -0,0 +1,75 @@
+import { supabase } from './lemonsqueezy-webhook.js'
+import { processWebhookEvent } from './webhook-handlers.js'
+
+// Shared secret for support staff replaying failed webhook events
+const WEBHOOK_ADMIN_SECRET = process.env.WEBHOOK_ADMIN_SECRET
+
+const MAX_REPLAY_EVENTS = 50
+
+/**
+ * Failed webhook events, oldest first
+ */
+async function getFailedEventIds(limit) {
+  const { data, error } = await supabase
+    .from('webhook_events')
+    .select('id')
+    .eq('status', 'failed')
+    .order('received_at', { ascending: true })
+    .limit(limit)
+
+  if (error) {
+    console.error('Error fetching failed webhook events:', error)
+    throw error
+  }
+
+  return data.map(event => event.id)
+}
+
+/**
+ * Admin endpoint to replay failed webhook events from their stored payload
+ * POST { eventId } replays one event, POST {} replays the oldest failed events.
+ * This should be deployed as a serverless function (Vercel, Netlify, etc.)
+ */
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' })
+  }
+
+  if (!WEBHOOK_ADMIN_SECRET || req.headers['x-admin-secret'] !== WEBHOOK_ADMIN_SECRET) {
+    return res.status(401).json({ error: 'Unauthorized' })
+  }
+
+  try {
+    const eventIds = req.body?.eventId ? [req.body.eventId] : await getFailedEventIds(MAX_REPLAY_EVENTS)
+    const results = []
+
+    // One at a time: events of the same customer must be applied in order
+    for (const eventId of eventIds) {
+      try {
+        const result = await processWebhookEvent(eventId)
+        results.push({ event_id: eventId, status: result.skipped ? 'skipped' : 'processed', message: result.message })
+      } catch (error) {
+        results.push({ event_id: eventId, status: 'failed', error: error.message })
+      }
+    }
+
+    console.log(`Replayed ${results.length} webhook events`)
+    return res.status(200).json({
+      success: results.every(result => result.status !== 'failed'),
+      results
+    })
+  } catch (error) {
+    console.error('Webhook replay error:', error)
+
+    return res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    })
+  }
+}
+
+// For Vercel deployment
+export const config = {
+  maxDuration: 60,
+}
@@ -1,5 +1,25 @@
-import { verifyWebhookSignature } from './lemonsqueezy-webhook.js'
-import { handleLemonSqueezyWebhook } from './webhook-handlers.js'
+import { verifyWebhookSignature, isStaleWebhookEvent, getWebhookEventId, recordWebhookEvent } from './lemonsqueezy-webhook.js'
+import { processWebhookEvent } from './webhook-handlers.js'
+
+const MAX_BODY_BYTES = 1024 * 1024
+
+/**
+ * Read the request body exactly as sent; the signature covers these bytes
+ * @returns {Promise<Buffer|null>} - The body, or null when it exceeds MAX_BODY_BYTES
+ */
+async function readRawBody(req) {
+  const chunks = []
+  let size = 0
+  
+  for await (const chunk of req) {
+    const buffer = typeof chunk === 'string' ? Buffer.from(chunk) : chunk
+    size += buffer.length
+    if (size > MAX_BODY_BYTES) return null
+    chunks.push(buffer)
+  }
+  
+  return Buffer.concat(chunks)
+}
 
 /**
  * Main webhook endpoint for LemonSqueezy
@@ -14,7 +34,11 @@ export default async function handler(req, res) {
   try {
     // Get the raw body and signature
     const signature = req.headers['x-signature']
-    const rawBody = JSON.stringify(req.body)
+    const rawBody = await readRawBody(req)
+    
+    if (!rawBody) {
+      return res.status(413).json({ error: 'Webhook payload too large' })
+    }
     
     if (!signature) {
       console.error('Missing webhook signature')
@@ -29,7 +53,13 @@ export default async function handler(req, res) {
     }
     
     // Parse the webhook payload
-    const payload = req.body
+    let payload
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'))
+    } catch {
+      console.error('Invalid JSON in webhook payload')
+      return res.status(400).json({ error: 'Invalid JSON payload' })
+    }
     const eventType = payload.meta?.event_name
     
     if (!eventType) {
@@ -37,19 +67,33 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Missing event type' })
     }
     
+    if (isStaleWebhookEvent(payload)) {
+      console.error('Stale webhook event rejected:', eventType, payload.data?.id)
+      return res.status(400).json({ error: 'Stale webhook event' })
+    }
+    
     console.log(`Received webhook: ${eventType}`, {
       id: payload.data?.id,
       type: payload.data?.type
     })
     
+    // Log the event; a retried delivery of an event that was already processed is only acknowledged
+    const eventId = getWebhookEventId(payload)
+    const { duplicate } = await recordWebhookEvent(eventId, eventType, payload)
+    if (duplicate) {
+      console.log(`Duplicate webhook delivery: ${eventId}`)
+    }
+    
     // Process the webhook
-    const result = await handleLemonSqueezyWebhook(eventType, payload)
+    const result = await processWebhookEvent(eventId)
     
     // Return success response
     return res.status(200).json({
       success: true,
       message: result.message,
-      event_type: eventType
+      event_type: eventType,
+      event_id: eventId,
+      duplicate: Boolean(result.skipped)
     })
     
   } catch (error) {
@@ -64,11 +108,9 @@ export default async function handler(req, res) {
   }
 }
 
-// For Vercel deployment
+// For Vercel deployment; the body is read raw so the signature can be checked
 export const config = {
   api: {
-    bodyParser: {
-      sizeLimit: '1mb',
-    },
+    bodyParser: false,
   },
 }
\ No newline at end of file
@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import { summarizeValidation } from '../utils/bulkValidation.js'
+
+const VISIBLE_ISSUES = 50
+
+/**
+ * Bulk Issues Panel
+ * Lists the input rows flagged by pre-flight validation so they can be fixed inline or excluded
+ */
+export function BulkIssuesPanel({ entries, fields, onChange, onToggleExclude, onRemove, onRemoveFlagged }) {
+  const [showAll, setShowAll] = useState(false)
+  const summary = summarizeValidation(entries)
+  const flagged = entries.filter(e => e.issues.length)
+
+  if (!flagged.length) return null
+
+  const visible = showAll ? flagged : flagged.slice(0, VISIBLE_ISSUES)
+
+  return (
+    <div className="border border-yellow-300 bg-yellow-50 rounded-md p-3 space-y-3">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+        <div className="text-sm text-foreground">
+          <span className="font-medium">{summary.flagged.toLocaleString()} rows need attention.</span>{' '}
+          {summary.sendable.toLocaleString()} of {summary.total.toLocaleString()} rows will be sent
+          {summary.duplicates ? `, ${summary.duplicates.toLocaleString()} duplicates skipped` : ''}.
+        </div>
+        <button onClick={onRemoveFlagged} className="px-3 py-1.5 text-sm rounded-md border border-border bg-background hover:bg-accent hover:text-accent-foreground transition-colors">
+          Remove invalid and excluded rows
+        </button>
+      </div>
+
+      <div className="overflow-x-auto max-h-80 overflow-y-auto">
+        <table className="min-w-full text-xs border-collapse">
+          <thead>
+            <tr className="border-b border-yellow-200">
+              <th className="text-left p-2 text-foreground font-medium">Row</th>
+              {fields.map(field => (
+                <th key={field.key} className="text-left p-2 text-foreground font-medium">{field.label}</th>
+              ))}
+              <th className="text-left p-2 text-foreground font-medium">Issue</th>
+              <th className="text-left p-2 text-foreground font-medium"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {visible.map(entry => (
+              <tr key={entry.index} className={`border-b border-yellow-200 ${entry.excluded ? 'opacity-60' : ''}`}>
+                <td className="p-2 text-muted-foreground">{entry.index + 1}</td>
+                {fields.map(field => (
+                  <td key={field.key} className="p-2">
+                    <input
+                      className="w-full min-w-32 border border-input rounded-md px-2 py-1 bg-background text-foreground"
+                      value={entry.raw[field.key] || ''}
+                      onChange={(e) => onChange(entry.index, field.key, e.target.value)}
+                    />
+                  </td>
+                ))}
+                <td className="p-2">
+                  {entry.issues.map(i => (
+                    <div key={i.code} className={i.severity === 'error' ? 'text-red-600' : 'text-yellow-700'}>{i.message}</div>
+                  ))}
+                </td>
+                <td className="p-2 whitespace-nowrap">
+                  {entry.issues.some(i => i.severity === 'error') ? (
+                    <button onClick={() => onRemove(entry.index)} className="text-destructive hover:text-destructive/80 transition-colors">Remove</button>
+                  ) : (
+                    <button onClick={() => onToggleExclude(entry.index)} className="text-primary hover:underline">
+                      {entry.excluded ? 'Include' : 'Exclude'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {flagged.length > VISIBLE_ISSUES && (
+        <button onClick={() => setShowAll(v => !v)} className="text-sm text-primary hover:underline">
+          {showAll ? 'Show fewer' : `Show all ${flagged.length.toLocaleString()} flagged rows`}
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default BulkIssuesPanel
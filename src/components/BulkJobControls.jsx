@@ -0,0 +1,48 @@
+import { useState } from 'react'
+import { Pause, Play, Square } from 'lucide-react'
+
+/**
+ * Bulk Job Controls
+ * Pause, resume and cancel buttons for the current bulk job
+ */
+export function BulkJobControls({ isRunning, isPaused, onPause, onResume, onCancel }) {
+  const [pending, setPending] = useState(false)
+
+  if (!isRunning && !isPaused) return null
+
+  const run = async (action) => {
+    try {
+      setPending(true)
+      await action()
+    } catch (e) {
+      alert(`Could not update the run: ${e.message}`)
+    } finally {
+      setPending(false)
+    }
+  }
+
+  const confirmCancel = () => {
+    if (window.confirm('Cancel this run? Rows that were not processed yet will not be charged.')) {
+      run(onCancel)
+    }
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      {isPaused ? (
+        <button onClick={() => run(onResume)} disabled={pending} className="px-3 py-2 rounded-md border border-border hover:bg-accent hover:text-accent-foreground disabled:opacity-60 transition-colors inline-flex items-center gap-1">
+          <Play className="h-4 w-4" /> Resume
+        </button>
+      ) : (
+        <button onClick={() => run(onPause)} disabled={pending} className="px-3 py-2 rounded-md border border-border hover:bg-accent hover:text-accent-foreground disabled:opacity-60 transition-colors inline-flex items-center gap-1">
+          <Pause className="h-4 w-4" /> Pause
+        </button>
+      )}
+      <button onClick={confirmCancel} disabled={pending} className="px-3 py-2 rounded-md border border-border text-destructive hover:bg-accent disabled:opacity-60 transition-colors inline-flex items-center gap-1">
+        <Square className="h-4 w-4" /> Cancel run
+      </button>
+    </div>
+  )
+}
+
+export default BulkJobControls
@@ -0,0 +1,98 @@
+import { CreditUsageWarning } from './CreditGuard.jsx'
+import creditManager from '../services/creditUtils.js'
+import { summarizeValidation } from '../utils/bulkValidation.js'
+
+/**
+ * Bulk Run Confirmation
+ * Pre-run summary of a bulk list: what will be sent, what it can cost and what is left afterwards.
+ * onProceed receives the number of rows to process (capped by the balance and the plan quota when they are short).
+ * quota is the result of checkApiLimits; when it could not be loaded only the balance applies.
+ */
+export function BulkRunConfirmation({ operation, validation, balance, quota = null, loading = false, onProceed, onCancel }) {
+  const summary = summarizeValidation(validation)
+  const estimate = creditManager.estimateBulkRun(operation, summary.sendable, balance)
+  const skipped = validation.filter(e => !e.sendable && !e.issues.some(i => i.code === 'duplicate')).length
+  const isFind = operation === 'find'
+  const short = estimate.affordableRows < summary.sendable
+  const allowedRows = quota?.success ? quota.allowed : Infinity
+  const overQuota = allowedRows < summary.sendable
+  const rowsToProcess = Math.min(summary.sendable, estimate.affordableRows, allowedRows)
+  const creditsUsed = creditManager.calculateCreditsNeeded(operation, rowsToProcess, balance?.plan)
+
+  const stats = [
+    { label: 'Rows in list', value: summary.total },
+    { label: 'Duplicates removed', value: summary.duplicates },
+    { label: 'Skipped (invalid, blank or excluded)', value: skipped },
+    { label: 'Rows to process', value: rowsToProcess },
+    { label: isFind ? 'Max credits' : 'Credits', value: creditsUsed },
+    { label: estimate.limitedByBudget ? 'Left in team budget' : 'Current balance', value: estimate.availableCredits },
+    { label: isFind ? 'Balance after (at least)' : 'Balance after', value: Math.max(0, estimate.availableCredits - creditsUsed) }
+  ]
+  if (quota?.success) {
+    stats.push({ label: 'Plan lookups left', value: quota.allowed })
+  }
+
+  if (loading) {
+    return <div className="text-sm text-muted-foreground">Checking your balance...</div>
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3">
+        {stats.map(stat => (
+          <div key={stat.label} className="border border-border rounded-md p-2">
+            <div className="text-lg font-semibold text-foreground">{stat.value.toLocaleString()}</div>
+            <div className="text-xs text-muted-foreground">{stat.label}</div>
+          </div>
+        ))}
+      </div>
+
+      {isFind && (
+        <div className="text-xs text-muted-foreground">You are charged one credit per email found, so rows with several emails cost extra and rows with none are free. The run never costs more than the maximum.</div>
+      )}
+
+      {short && estimate.limitedByBudget && (
+        <div className="text-sm text-foreground">
+          Your team credit budget for this cycle covers {estimate.affordableRows.toLocaleString()} of {summary.sendable.toLocaleString()} rows.{' '}
+          {estimate.affordableRows
+            ? 'Proceed to process only the first rows it allows, or ask your team owner or an admin to raise it.'
+            : 'Ask your team owner or an admin to raise it to run this list.'}
+        </div>
+      )}
+
+      {short && !estimate.limitedByBudget && (
+        <div className="text-sm text-foreground">
+          Your balance covers {estimate.affordableRows.toLocaleString()} of {summary.sendable.toLocaleString()} rows.{' '}
+          {estimate.affordableRows
+            ? 'Proceed to process only the first rows your balance allows, or '
+            : 'You need more credits to run this list. '}
+          <a href="/billing" className="text-primary hover:underline">buy more credits</a>.
+        </div>
+      )}
+
+      {overQuota && (
+        <div className="text-sm text-foreground">
+          {quota.allowed
+            ? `Your plan allows ${quota.allowed.toLocaleString()} more lookups ${quota.remaining.today <= quota.remaining.thisMonth ? 'today' : 'this month'}, so only the first ${Math.min(quota.allowed, rowsToProcess).toLocaleString()} rows will be processed. `
+            : `${quota.message} `}
+          <a href="/billing" className="text-primary hover:underline">Upgrade your plan</a> for higher limits.
+        </div>
+      )}
+
+      {rowsToProcess > 0 ? (
+        <CreditUsageWarning
+          operation={operation}
+          quantity={creditsUsed}
+          onProceed={() => onProceed(rowsToProcess)}
+          onCancel={onCancel}
+        />
+      ) : (
+        <button onClick={onCancel} className="px-3 py-2 rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors">
+          Close
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default BulkRunConfirmation
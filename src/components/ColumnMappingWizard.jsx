@@ -0,0 +1,118 @@
+import { useState } from 'react'
+import { MAPPING_FIELDS, isMappingComplete, applyMapping } from '../utils/columnMapping.js'
+
+const PREVIEW_ROWS = 5
+
+/**
+ * Column Mapping Wizard
+ * Previews an uploaded file and lets the user assign its columns to the tool's input fields
+ */
+export function ColumnMappingWizard({ fileName, headers, rows, tool, initialMapping, fromSaved = false, sheetNames = [], sheetName, onSheetChange, onConfirm, onCancel }) {
+  const [mapping, setMapping] = useState(initialMapping || {})
+  const fields = MAPPING_FIELDS[tool]
+  const complete = isMappingComplete(mapping, tool)
+  const readyCount = complete ? applyMapping(rows, mapping, tool).length : 0
+
+  const setField = (key, header) => {
+    setMapping(prev => {
+      const next = { ...prev }
+      if (header) next[key] = header
+      else delete next[key]
+      return next
+    })
+  }
+
+  return (
+    <div className="space-y-4">
+      <div>
+        <div className="font-medium text-foreground">Map the columns of {fileName}</div>
+        <div className="text-sm text-muted-foreground">
+          {fromSaved
+            ? 'We reused the mapping you chose last time for a file with these columns.'
+            : 'We suggested a mapping from the column names. Adjust it if anything looks wrong.'}
+          {tool === 'find' && ' Use either a full name column or separate first and last name columns.'}
+        </div>
+      </div>
+
+      {sheetNames.length > 1 && (
+        <label className="text-sm block max-w-xs">
+          <div className="mb-1 text-foreground">Sheet</div>
+          <select
+            value={sheetName}
+            onChange={(e) => onSheetChange(e.target.value)}
+            className="w-full border border-input rounded-md px-2 py-1.5 bg-background text-foreground"
+          >
+            {sheetNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+        {fields.map(field => (
+          <label key={field.key} className="text-sm">
+            <div className="mb-1 text-foreground">{field.label}</div>
+            <select
+              value={mapping[field.key] || ''}
+              onChange={(e) => setField(field.key, e.target.value)}
+              className="w-full border border-input rounded-md px-2 py-1.5 bg-background text-foreground"
+            >
+              <option value="">— Not in this file —</option>
+              {headers.map(h => (
+                <option key={h} value={h}>{h}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto border border-border rounded-md">
+        <table className="min-w-full text-xs border-collapse">
+          <thead>
+            <tr className="bg-muted/50 border-b border-border">
+              {headers.map(h => {
+                const field = fields.find(f => mapping[f.key] === h)
+                return (
+                  <th key={h} className="text-left p-2 text-foreground font-medium whitespace-nowrap">
+                    <div>{h}</div>
+                    <div className={field ? 'text-primary' : 'text-muted-foreground font-normal'}>{field ? `→ ${field.label}` : 'ignored'}</div>
+                  </th>
+                )
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.slice(0, PREVIEW_ROWS).map((row, i) => (
+              <tr key={i} className="border-b border-border">
+                {headers.map(h => (
+                  <td key={h} className="p-2 text-muted-foreground whitespace-nowrap max-w-48 truncate">{row[h] == null ? '' : String(row[h])}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex flex-col sm:flex-row items-start sm:items-center gap-2">
+        <button
+          onClick={() => onConfirm(mapping)}
+          disabled={!complete}
+          className="px-3 py-2 rounded-md bg-primary text-primary-foreground hover:bg-primary/90 disabled:opacity-60 transition-colors"
+        >
+          Use {readyCount.toLocaleString()} rows
+        </button>
+        <button onClick={onCancel} className="px-3 py-2 rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors">
+          Cancel
+        </button>
+        <div className="text-sm text-muted-foreground">
+          {complete
+            ? `${rows.length.toLocaleString()} rows in file`
+            : tool === 'verify' ? 'Choose the email column to continue.' : 'Choose a name column and a domain or company column to continue.'}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ColumnMappingWizard
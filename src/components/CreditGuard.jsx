@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useCallback } from 'react'
 import { useCredits } from '../services/creditManager.jsx'
+import { MEMBER_LIMIT_MESSAGE } from '../services/creditUtils.js'
 import { useAuth } from '../hooks/useAuth.js'
+import { PLANS, getCreditPricing } from '../constants/plans.js'
 import { AlertTriangle, CreditCard, Zap } from 'lucide-react'
 
 /**
@@ -15,9 +17,9 @@ export function CreditGuard({
   fallbackComponent = null 
 }) {
   const { user, isAuthenticated } = useAuth()
-  const { hasCredits, find, verify, loading: creditsLoading } = useCredits(user, isAuthenticated)
+  const { checkCredits, find, verify, pooled, loading: creditsLoading } = useCredits(user, isAuthenticated)
   const [creditCheck, setCreditCheck] = useState(null)
-  const balance = { find, verify }
+  const balance = { find, verify, pooled }
   const [checkLoading, setCheckLoading] = useState(true)
   const [error, setError] = useState(null)
 
@@ -26,7 +28,7 @@ export function CreditGuard({
       setCheckLoading(true)
       setError(null)
       
-      const creditResult = await hasCredits(operation, quantity)
+      const creditResult = await checkCredits(operation, quantity)
       setCreditCheck(creditResult)
     } catch (err) {
       console.error('Error checking credits:', err)
@@ -34,7 +36,7 @@ export function CreditGuard({
     } finally {
       setCheckLoading(false)
     }
-  }, [hasCredits, operation, quantity])
+  }, [checkCredits, operation, quantity])
 
   useEffect(() => {
     if (isAuthenticated && user) {
@@ -116,7 +118,7 @@ export function CreditGuard({
         <CreditBalanceDisplay 
           balance={balance} 
           operation={operation}
-          quantity={quantity}
+          quantity={creditCheck?.creditsNeeded ?? quantity}
           onRefresh={refreshCredits}
         />
       )}
@@ -129,7 +131,8 @@ export function CreditGuard({
  * Credit Balance Display Component
  */
 function CreditBalanceDisplay({ balance, operation, quantity, onRefresh }) {
-  const creditType = operation?.includes('find') ? 'find' : 'verify'
+  // Pooled plans spend the credits_find balance for every operation
+  const creditType = balance.pooled || operation?.includes('find') ? 'find' : 'verify'
   const currentCredits = balance[creditType] || 0
   const otherCredits = balance[creditType === 'find' ? 'verify' : 'find'] || 0
   
@@ -154,12 +157,20 @@ function CreditBalanceDisplay({ balance, operation, quantity, onRefresh }) {
               : 'text-green-600'
           }`} />
           <div>
-            <p className="font-medium text-gray-900">
-              {currentCredits.toLocaleString()} {creditType === 'find' ? 'Finding' : 'Verification'} Credits
-            </p>
-            <p className="text-sm text-gray-600">
-              {otherCredits.toLocaleString()} {creditType === 'find' ? 'Verification' : 'Finding'} Credits
-            </p>
+            {balance.pooled ? (
+              <p className="font-medium text-gray-900">
+                {currentCredits.toLocaleString()} Credits
+              </p>
+            ) : (
+              <>
+                <p className="font-medium text-gray-900">
+                  {currentCredits.toLocaleString()} {creditType === 'find' ? 'Finding' : 'Verification'} Credits
+                </p>
+                <p className="text-sm text-gray-600">
+                  {otherCredits.toLocaleString()} {creditType === 'find' ? 'Verification' : 'Finding'} Credits
+                </p>
+              </>
+            )}
           </div>
         </div>
         
@@ -211,16 +222,19 @@ function InsufficientCreditsUI({ creditCheck, balance, operation, quantity, onRe
   const creditType = operation?.includes('find') ? 'finding' : 'verification'
   const availableCredits = creditCheck?.availableCredits || 0
   const creditsNeeded = creditCheck?.creditsNeeded || quantity
+  const memberLimit = creditCheck?.reason === 'member_limit'
   
   return (
     <div className="text-center p-8 bg-gradient-to-br from-orange-50 to-red-50 border border-orange-200 rounded-xl">
       <div className="mb-6">
         <CreditCard className="h-16 w-16 text-orange-600 mx-auto mb-4" />
         <h3 className="text-2xl font-bold text-gray-900 mb-2">
-          Insufficient Credits
+          {memberLimit ? 'Team Budget Reached' : 'Insufficient Credits'}
         </h3>
         <p className="text-gray-700 text-lg">
-          You need <span className="font-semibold text-orange-600">{creditsNeeded}</span> {creditType} credits to use this feature.
+          {memberLimit ? MEMBER_LIMIT_MESSAGE : (
+            <>You need <span className="font-semibold text-orange-600">{creditsNeeded}</span> {creditType} credits to use this feature.</>
+          )}
         </p>
       </div>
       
@@ -228,7 +242,7 @@ function InsufficientCreditsUI({ creditCheck, balance, operation, quantity, onRe
         <div className="grid grid-cols-2 gap-4 text-center">
           <div>
             <p className="text-2xl font-bold text-red-600">{availableCredits}</p>
-            <p className="text-sm text-gray-600">Available</p>
+            <p className="text-sm text-gray-600">{memberLimit ? 'Left in budget' : 'Available'}</p>
           </div>
           <div>
             <p className="text-2xl font-bold text-orange-600">{creditsNeeded}</p>
@@ -256,7 +270,8 @@ function InsufficientCreditsUI({ creditCheck, balance, operation, quantity, onRe
       {balance?.plan === 'free' && (
         <div className="mt-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
           <p className="text-sm text-blue-800">
-            <strong>Free Plan:</strong> You get 25 finding + 25 verification credits for 3 days.
+            <strong>Free Plan:</strong> You get {PLANS.free.credits_find} credits for {PLANS.free.durationDays} days to find or verify emails
+            (a verification costs {getCreditPricing('free').weights.verify} credit).
             Upgrade to get thousands of credits monthly!
           </p>
         </div>
@@ -308,31 +323,37 @@ export function CreditUsageWarning({ operation, quantity = 1, onProceed, onCance
  */
 export function useCreditAwareOperation() {
   const { user, isAuthenticated } = useAuth()
-  const { useCredits: deductCredits, hasCredits } = useCredits(user, isAuthenticated)
+  const { useCredits: deductCredits, hasCredits, releaseCredits } = useCredits(user, isAuthenticated)
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
   
   const executeWithCredits = async (operation, quantity, callback) => {
+    let reservationId = null
     try {
       setLoading(true)
       setError(null)
       
-      // Check credits first
+      // Reserve credits first
       const creditCheck = await hasCredits(operation, quantity)
       if (!creditCheck.hasCredits) {
-        throw new Error(`Insufficient ${creditCheck.creditType} credits`)
+        throw new Error(creditCheck.reason === 'member_limit' ? MEMBER_LIMIT_MESSAGE : `Insufficient ${creditCheck.creditType} credits`)
       }
+      reservationId = creditCheck.reservationId
       
       // Execute the operation
       const result = await callback()
       
-      // Deduct credits only if operation was successful
+      // Commit the reservation only if operation was successful
       if (result && result.success !== false) {
-        await deductCredits(operation, quantity)
+        await deductCredits(operation, quantity, reservationId)
+      } else {
+        await releaseCredits(reservationId)
       }
+      reservationId = null
       
       return result
     } catch (err) {
+      if (reservationId) await releaseCredits(reservationId)
       setError(err.message)
       throw err
     } finally {
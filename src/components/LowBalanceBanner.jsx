@@ -0,0 +1,50 @@
+import { useState } from 'react'
+
+/**
+ * Low Balance Banner
+ * Shown under the top bar while a balance is below the user's alert threshold, so users top up
+ * before a bulk run stops halfway. Takes the live creditData of useRealTimeCredits.
+ */
+export function LowBalanceBanner({ creditData }) {
+  const [dismissedFor, setDismissedFor] = useState(null)
+  const { find, verify, pooled, teamBalance, organizationName, lowBalanceThreshold, autoTopupEnabled, loading } = creditData
+
+  if (loading || !lowBalanceThreshold) return null
+
+  // Pooled plans only spend the find balance
+  const balances = pooled
+    ? [{ key: 'find', label: 'credits', value: find }]
+    : [
+        { key: 'find', label: 'finding credits', value: find },
+        { key: 'verify', label: 'verification credits', value: verify }
+      ]
+  const low = balances.filter(balance => balance.value < lowBalanceThreshold)
+  const lowKey = low.map(balance => balance.key).join(',')
+
+  if (!low.length || lowKey === dismissedFor) return null
+
+  return (
+    <div className="px-4 py-2 bg-yellow-50 border-b border-yellow-200 text-sm text-yellow-800 flex items-center justify-between gap-3">
+      <div>
+        You have {low.map(balance => `${(balance.value || 0).toLocaleString()} ${balance.label}`).join(' and ')} left.{' '}
+        {teamBalance
+          ? `These are ${organizationName}'s shared credits; ask the team owner to top up.`
+          : autoTopupEnabled
+          ? 'Your automatic top-up has been started; check your email or the billing page to complete it.'
+          : <>Top up now to keep your lookups running, or <a href="/billing" className="underline">turn on automatic top-up</a>.</>}
+      </div>
+      <div className="flex items-center gap-2 shrink-0">
+        {!teamBalance && (
+          <a href="/billing" className="px-3 py-1 rounded-md bg-yellow-600 hover:bg-yellow-700 text-white">
+            Buy credits
+          </a>
+        )}
+        <button onClick={() => setDismissedFor(lowKey)} className="px-2 py-1 rounded-md hover:bg-yellow-100">
+          Dismiss
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default LowBalanceBanner
@@ -1,3 +1,4 @@
 export const STORAGE_KEY = 'auth_user'
 export const TOKEN_STORAGE_KEY = 'auth_tokens'
-export const FIND_RESULTS_STORAGE_KEY = 'find_results'
\ No newline at end of file
+export const FIND_RESULTS_STORAGE_KEY = 'find_results'
+export const COLUMN_MAPPINGS_STORAGE_KEY = 'column_mappings'
\ No newline at end of file
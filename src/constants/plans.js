@@ -0,0 +1,380 @@
+/**
+ * Plan catalog: every plan and credit pack with its price, credits and lookup quotas.
+ * This is the only place plan numbers are defined. The billing page, the LemonSqueezy webhooks,
+ * CreditManager and checkApiLimits all read from here, so it must not depend on browser-only or
+ * Node-only globals. Run `npm run check:plans` after editing it.
+ *
+ * variantName is the LemonSqueezy variant name the webhooks match purchases against.
+ * Subscription credits expire at the end of their month; up to rolloverCap of each credit type
+ * carries over into the next month. Credit pack and lifetime credits never expire.
+ * creditPricing picks how the plan's operations are charged (see CREDIT_PRICING).
+ * teamSeats is how many people, the owner included, can share the plan's credits in a team workspace.
+ * Replace productId/variantId/checkoutUrl with your actual LemonSqueezy IDs.
+ */
+
+/**
+ * How operations are charged. With separate balances each operation spends one credit of its own
+ * type. With a pool every operation spends the shared balance, kept in credits_find, at its weight
+ * (rounded up per request), so credit pack credits can pay for verification as well.
+ */
+export const CREDIT_PRICING = {
+  separate: { pooled: false, weights: { find: 1, verify: 1 } },
+  pool: { pooled: true, weights: { find: 1, verify: 0.5 } }
+}
+
+export const PLANS = {
+  free: {
+    key: 'free',
+    name: 'Free Trial',
+    type: 'trial',
+    interval: 'trial',
+    price: 0,
+    credits_find: 50,
+    credits_verify: 0,
+    durationDays: 3,
+    rolloverCap: 0,
+    teamSeats: 1,
+    creditPricing: 'pool',
+    quota: { dailyLimit: 10, monthlyLimit: 100 },
+    features: [
+      '50 credits for finding and verifying emails',
+      'Verifications cost half a credit',
+      '3 day trial'
+    ]
+  },
+  starter: {
+    key: 'starter',
+    name: 'Starter Plan',
+    type: 'subscription',
+    interval: 'monthly',
+    price: 29,
+    credits_find: 50000,
+    credits_verify: 50000,
+    durationDays: 30,
+    rolloverCap: 25000,
+    teamSeats: 3,
+    creditPricing: 'separate',
+    quota: { dailyLimit: 1000, monthlyLimit: 50000 },
+    variantName: 'starter_monthly',
+    productId: 'your-starter-product-id',
+    variantId: 'your-starter-variant-id',
+    checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-starter-variant-id',
+    features: [
+      '50,000 email finding credits',
+      '50,000 email verification credits',
+      'Monthly renewal',
+      'Up to 25,000 unused credits roll over',
+      'Team workspace for up to 3 members',
+      'Email support'
+    ]
+  },
+  pro: {
+    key: 'pro',
+    name: 'Pro Plan',
+    type: 'subscription',
+    interval: 'monthly',
+    price: 49,
+    credits_find: 150000,
+    credits_verify: 150000,
+    durationDays: 30,
+    rolloverCap: 75000,
+    teamSeats: 10,
+    creditPricing: 'separate',
+    quota: { dailyLimit: 5000, monthlyLimit: 150000 },
+    variantName: 'pro_monthly',
+    productId: 'your-pro-product-id',
+    variantId: 'your-pro-variant-id',
+    checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-pro-variant-id',
+    features: [
+      '150,000 email finding credits',
+      '150,000 email verification credits',
+      'Monthly renewal',
+      'Up to 75,000 unused credits roll over',
+      'Team workspace for up to 10 members',
+      'Priority email support',
+      'API access'
+    ]
+  },
+  lifetime: {
+    key: 'lifetime',
+    name: 'Lifetime Plan',
+    type: 'lifetime',
+    interval: 'lifetime',
+    price: 249,
+    credits_find: 500000,
+    credits_verify: 500000,
+    durationDays: null,
+    rolloverCap: 0,
+    teamSeats: 5,
+    creditPricing: 'separate',
+    quota: { dailyLimit: 10000, monthlyLimit: 500000 },
+    variantName: 'lifetime',
+    productId: 'your-lifetime-product-id',
+    variantId: 'your-lifetime-variant-id',
+    checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-lifetime-variant-id',
+    features: [
+      '500,000 email finding credits',
+      '500,000 email verification credits',
+      'One-time payment',
+      'Lifetime access',
+      'Team workspace for up to 5 members',
+      'Priority support',
+      'API access'
+    ]
+  }
+}
+
+// Annual billing for the subscription plans: one payment for 365 days, with the monthly plan's
+// credits added each month (credits_find/credits_verify are per month, as for monthly plans).
+export const ANNUAL_PLANS = {
+  starter: {
+    ...PLANS.starter,
+    interval: 'annual',
+    price: 290,
+    durationDays: 365,
+    variantName: 'starter_annual',
+    productId: 'your-starter-product-id',
+    variantId: 'your-starter-annual-variant-id',
+    checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-starter-annual-variant-id',
+    features: [
+      '50,000 email finding credits per month',
+      '50,000 email verification credits per month',
+      'Billed yearly, credits added monthly',
+      'Up to 25,000 unused credits roll over',
+      'Team workspace for up to 3 members',
+      'Email support'
+    ]
+  },
+  pro: {
+    ...PLANS.pro,
+    interval: 'annual',
+    price: 490,
+    durationDays: 365,
+    variantName: 'pro_annual',
+    productId: 'your-pro-product-id',
+    variantId: 'your-pro-annual-variant-id',
+    checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-pro-annual-variant-id',
+    features: [
+      '150,000 email finding credits per month',
+      '150,000 email verification credits per month',
+      'Billed yearly, credits added monthly',
+      'Up to 75,000 unused credits roll over',
+      'Team workspace for up to 10 members',
+      'Priority email support',
+      'API access'
+    ]
+  }
+}
+
+export const CREDIT_PACKS = {
+  credits_10k: {
+    key: 'credits_10k',
+    name: '10,000 Credits',
+    type: 'credit_pack',
+    price: 9,
+    credits_find: 10000,
+    credits_verify: 0,
+    variantName: 'credits_10k',
+    productId: 'your-10k-credits-product-id',
+    variantId: 'your-10k-credits-variant-id',
+    checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-10k-credits-variant-id'
+  },
+  credits_25k: {
+    key: 'credits_25k',
+    name: '25,000 Credits',
+    type: 'credit_pack',
+    price: 12,
+    credits_find: 25000,
+    credits_verify: 0,
+    variantName: 'credits_25k',
+    productId: 'your-25k-credits-product-id',
+    variantId: 'your-25k-credits-variant-id',
+    checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-25k-credits-variant-id'
+  },
+  credits_50k: {
+    key: 'credits_50k',
+    name: '50,000 Credits',
+    type: 'credit_pack',
+    price: 20,
+    credits_find: 50000,
+    credits_verify: 0,
+    variantName: 'credits_50k',
+    productId: 'your-50k-credits-product-id',
+    variantId: 'your-50k-credits-variant-id',
+    checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-50k-credits-variant-id'
+  },
+  credits_100k: {
+    key: 'credits_100k',
+    name: '100,000 Credits',
+    type: 'credit_pack',
+    price: 35,
+    credits_find: 100000,
+    credits_verify: 0,
+    variantName: 'credits_100k',
+    productId: 'your-100k-credits-product-id',
+    variantId: 'your-100k-credits-variant-id',
+    checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-100k-credits-variant-id'
+  }
+}
+
+/**
+ * Plan by key; unknown or missing plans fall back to the free trial
+ */
+export function getPlan(key) {
+  return PLANS[key] || PLANS.free
+}
+
+/**
+ * Credit pricing of a plan ({ pooled, weights }); unknown plans get the free plan's pricing
+ */
+export function getCreditPricing(key) {
+  return CREDIT_PRICING[getPlan(key).creditPricing] || CREDIT_PRICING.separate
+}
+
+/**
+ * Credit pack by its LemonSqueezy variant name, or null
+ */
+export function getCreditPack(variantName) {
+  return Object.values(CREDIT_PACKS).find(pack => pack.variantName === variantName) || null
+}
+
+/**
+ * LemonSqueezy checkout link for a product, prefilled with the buyer's email.
+ * The Supabase user id travels in the checkout's custom data, so the webhooks credit this account
+ * even if the buyer changes the email at checkout.
+ * @param {Object} product - Catalog product
+ * @param {Object} user - Buyer ({ id, email })
+ * @param {Object} customData - Extra checkout[custom][...] fields
+ */
+export function getCheckoutUrl(product, user, customData = {}) {
+  const params = new URLSearchParams({
+    'checkout[email]': user.email,
+    'checkout[custom][user_id]': user.id,
+    'checkout[custom][user_email]': user.email,
+    ...Object.fromEntries(Object.entries(customData).map(([key, value]) => [`checkout[custom][${key}]`, value]))
+  })
+
+  return `${product.checkoutUrl}?${params.toString()}`
+}
+
+/**
+ * Everything that can be bought through LemonSqueezy
+ */
+export function getPurchasableProducts() {
+  return [...Object.values(PLANS), ...Object.values(ANNUAL_PLANS), ...Object.values(CREDIT_PACKS)]
+    .filter(product => product.variantName)
+}
+
+/**
+ * Credits a plan grants per period, find and verify combined (Infinity for one-time plans)
+ */
+export function getPlanCreditAllowance(key) {
+  const plan = getPlan(key)
+  return plan.type === 'lifetime' ? Infinity : plan.credits_find + plan.credits_verify
+}
+
+const parseAmount = (text) => Number(text.replace(/,/g, ''))
+
+/**
+ * Check the catalog for contradictions, e.g. feature copy that promises other credit amounts
+ * than the plan grants.
+ * @returns {Array<string>} - Problems found; empty when the catalog is consistent
+ */
+export function validatePlanCatalog(plans = PLANS, creditPacks = CREDIT_PACKS, annualPlans = ANNUAL_PLANS) {
+  const problems = []
+  const variantNames = new Set()
+
+  for (const product of [...Object.values(plans), ...Object.values(annualPlans), ...Object.values(creditPacks)]) {
+    const label = product.variantName || product.key
+
+    for (const field of ['credits_find', 'credits_verify', 'price']) {
+      if (!Number.isInteger(product[field]) || product[field] < 0) {
+        problems.push(`${label}: ${field} must be a non-negative integer`)
+      }
+    }
+
+    if (product.variantName) {
+      if (variantNames.has(product.variantName)) {
+        problems.push(`${label}: variant name ${product.variantName} is used twice`)
+      }
+      variantNames.add(product.variantName)
+    }
+
+    for (const feature of product.features || []) {
+      const match = feature.match(/^([\d,]+) email (finding|verification) credits/)
+      if (!match) continue
+      const field = match[2] === 'finding' ? 'credits_find' : 'credits_verify'
+      if (parseAmount(match[1]) !== product[field]) {
+        problems.push(`${label}: feature "${feature}" does not match ${field} = ${product[field]}`)
+      }
+    }
+
+    if (product.type === 'credit_pack') {
+      const match = product.name.match(/^([\d,]+) Credits/)
+      if (match && parseAmount(match[1]) !== product.credits_find + product.credits_verify) {
+        problems.push(`${label}: name "${product.name}" does not match its ${product.credits_find + product.credits_verify} credits`)
+      }
+    }
+
+    if (product.rolloverCap !== undefined) {
+      if (!Number.isInteger(product.rolloverCap) || product.rolloverCap < 0) {
+        problems.push(`${label}: rolloverCap must be a non-negative integer`)
+      } else if (product.rolloverCap > Math.max(product.credits_find, product.credits_verify)) {
+        problems.push(`${label}: rolloverCap is larger than a month's credits`)
+      }
+      const rollover = (product.features || []).map(feature => feature.match(/^Up to ([\d,]+) unused credits roll over/)).find(Boolean)
+      if (rollover && parseAmount(rollover[1]) !== product.rolloverCap) {
+        problems.push(`${label}: feature "${rollover[0]}" does not match rolloverCap = ${product.rolloverCap}`)
+      }
+    }
+
+    if (product.teamSeats !== undefined) {
+      if (!Number.isInteger(product.teamSeats) || product.teamSeats < 1) {
+        problems.push(`${label}: teamSeats must be a positive integer`)
+      }
+      const team = (product.features || []).map(feature => feature.match(/^Team workspace for up to ([\d,]+) members/)).find(Boolean)
+      if (team && parseAmount(team[1]) !== product.teamSeats) {
+        problems.push(`${label}: feature "${team[0]}" does not match teamSeats = ${product.teamSeats}`)
+      }
+    }
+
+    if (product.creditPricing !== undefined) {
+      const pricing = CREDIT_PRICING[product.creditPricing]
+      if (!pricing) {
+        problems.push(`${label}: unknown creditPricing ${product.creditPricing}`)
+      } else if (pricing.pooled && product.credits_verify !== 0) {
+        problems.push(`${label}: pooled plans grant their credits as credits_find, credits_verify must be 0`)
+      }
+    }
+
+    if (product.quota && product.quota.dailyLimit > product.quota.monthlyLimit) {
+      problems.push(`${label}: daily quota is larger than the monthly quota`)
+    }
+  }
+
+  for (const [key, pricing] of Object.entries(CREDIT_PRICING)) {
+    for (const operation of ['find', 'verify']) {
+      if (!(pricing.weights[operation] > 0)) {
+        problems.push(`creditPricing ${key}: weight of ${operation} must be a positive number`)
+      }
+    }
+  }
+
+  for (const annual of Object.values(annualPlans)) {
+    const monthly = plans[annual.key]
+    if (!monthly) {
+      problems.push(`${annual.variantName}: no monthly plan ${annual.key}`)
+      continue
+    }
+    for (const field of ['credits_find', 'credits_verify']) {
+      if (annual[field] !== monthly[field]) {
+        problems.push(`${annual.variantName}: ${field} per month differs from ${monthly.variantName}`)
+      }
+    }
+    if (annual.price >= monthly.price * 12) {
+      problems.push(`${annual.variantName}: price is not below twelve monthly payments`)
+    }
+  }
+
+  return problems
+}
@@ -0,0 +1,64 @@
+import { useState, useEffect, useCallback } from 'react'
+import { supabase } from '../services/supabase.js'
+import { checkApiLimits } from '../api/emails.js'
+
+/**
+ * Remaining daily and monthly lookups of the user's plan, refreshed as new lookups are logged
+ */
+export function useApiLimits(user) {
+  const [limits, setLimits] = useState(null)
+  const [loading, setLoading] = useState(true)
+
+  const fetchLimits = useCallback(async () => {
+    if (!user?.id) {
+      setLimits(null)
+      setLoading(false)
+      return
+    }
+
+    const result = await checkApiLimits(user.id)
+    if (result.success) {
+      console.log('📊 useApiLimits: Remaining allowance:', result.remaining)
+      setLimits(result)
+    } else {
+      console.error('❌ useApiLimits: Error fetching limits:', result.error)
+    }
+    setLoading(false)
+  }, [user?.id])
+
+  // Initial fetch
+  useEffect(() => {
+    fetchLimits()
+  }, [fetchLimits])
+
+  // Every logged lookup uses up part of the allowance; bulk batches log many rows at once,
+  // so refetch once they have settled
+  useEffect(() => {
+    if (!user?.id) return
+
+    let timer = null
+    const subscription = supabase
+      .channel(`usage-events-${user.id}`)
+      .on(
+        'postgres_changes',
+        {
+          event: 'INSERT',
+          schema: 'public',
+          table: 'usage_events',
+          filter: `user_id=eq.${user.id}`
+        },
+        () => {
+          clearTimeout(timer)
+          timer = setTimeout(fetchLimits, 1000)
+        }
+      )
+      .subscribe()
+
+    return () => {
+      clearTimeout(timer)
+      subscription.unsubscribe()
+    }
+  }, [user?.id, fetchLimits])
+
+  return { limits, loading, refetch: fetchLimits }
+}
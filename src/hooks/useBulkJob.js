@@ -0,0 +1,137 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import {
+  ACTIVE_JOB_STATUSES,
+  OPEN_JOB_STATUSES,
+  createBulkJob,
+  controlBulkJob,
+  retryFailedBulkItems,
+  startBulkJob,
+  getActiveBulkJob,
+  getBulkJob,
+  getBulkJobResults,
+  subscribeToBulkJob,
+  isBulkJobStalled
+} from '../api/jobs.js'
+
+/**
+ * Tracks the user's current bulk job of a type: reattaches to an in-flight or paused job on mount,
+ * streams its progress and keeps the finished items keyed by row index.
+ */
+export function useBulkJob(user, jobType = 'find') {
+  const [job, setJob] = useState(null)
+  const [items, setItems] = useState({})
+  const cursorRef = useRef(null)
+
+  const loadResults = useCallback(async (jobId) => {
+    try {
+      const { items: fresh, cursor } = await getBulkJobResults(jobId, { since: cursorRef.current })
+      if (cursor) cursorRef.current = cursor
+      if (fresh.length) {
+        setItems(prev => {
+          const next = { ...prev }
+          for (const item of fresh) next[item.row_index] = item
+          return next
+        })
+      }
+    } catch (error) {
+      console.error('❌ useBulkJob: Error loading results:', error)
+    }
+  }, [])
+
+  const attach = useCallback(async (nextJob) => {
+    cursorRef.current = null
+    setItems({})
+    setJob(nextJob)
+    if (nextJob) await loadResults(nextJob.id)
+  }, [loadResults])
+
+  // Reattach to an in-flight job after a reload
+  useEffect(() => {
+    if (!user?.id) return
+    let cancelled = false
+
+    getActiveBulkJob(user.id, jobType)
+      .then(active => {
+        if (cancelled || !active) return
+        console.log('🔄 useBulkJob: Reattaching to job:', active.id)
+        attach(active)
+        if (isBulkJobStalled(active)) return startBulkJob(active.id)
+      })
+      .catch(error => console.error('❌ useBulkJob: Error checking active job:', error))
+
+    return () => { cancelled = true }
+  }, [user?.id, jobType, attach])
+
+  // Stream progress while the job is open; a paused job still finishes its current batch
+  const jobId = job?.id
+  const isActive = ACTIVE_JOB_STATUSES.includes(job?.status)
+  const isOpen = OPEN_JOB_STATUSES.includes(job?.status)
+
+  useEffect(() => {
+    if (!jobId || !isOpen) return
+
+    const unsubscribe = subscribeToBulkJob(jobId, (updated) => {
+      setJob(updated)
+      loadResults(jobId)
+    })
+
+    // Realtime updates can be missed while the tab sleeps; poll as a fallback
+    const interval = setInterval(async () => {
+      try {
+        const latest = await getBulkJob(jobId)
+        setJob(latest)
+        loadResults(jobId)
+        if (isBulkJobStalled(latest)) await startBulkJob(jobId)
+      } catch (error) {
+        console.error('❌ useBulkJob: Error polling job:', error)
+      }
+    }, 15000)
+
+    return () => {
+      unsubscribe()
+      clearInterval(interval)
+    }
+  }, [jobId, isOpen, loadResults])
+
+  const submitJob = useCallback(async (rows, options = {}) => {
+    if (!user?.id) throw new Error('User not authenticated')
+    const created = await createBulkJob(user.id, { jobType, rows, ...options })
+    await attach(created)
+    await startBulkJob(created.id)
+    return created
+  }, [user?.id, jobType, attach])
+
+  const control = useCallback(async (action) => {
+    if (!jobId) return
+    const updated = await controlBulkJob(jobId, action)
+    setJob(updated)
+    if (action === 'resume') await startBulkJob(jobId)
+    return updated
+  }, [jobId])
+
+  const retryFailed = useCallback(async () => {
+    if (!jobId) return
+    const updated = await retryFailedBulkItems(jobId)
+    // Failed rows come back through the results stream once they are processed again
+    setItems(prev => Object.fromEntries(Object.entries(prev).filter(([, item]) => item.status !== 'error')))
+    setJob(updated)
+    await startBulkJob(jobId)
+    return updated
+  }, [jobId])
+
+  const orderedItems = Object.values(items).sort((a, b) => a.row_index - b.row_index)
+
+  return {
+    job,
+    items: orderedItems,
+    isRunning: isActive,
+    isPaused: job?.status === 'paused',
+    progress: { done: job?.processed_rows || 0, total: job?.total_rows || 0 },
+    submitJob,
+    pauseJob: () => control('pause'),
+    resumeJob: () => control('resume'),
+    cancelJob: () => control('cancel'),
+    failedCount: orderedItems.filter(item => item.status === 'error').length,
+    retryFailed
+  }
+}
@@ -1,6 +1,11 @@
 import { useState, useEffect, useCallback } from 'react'
 import { supabase } from '../services/supabase.js'
 import { profileService } from '../api/profileService.js'
+import { getCreditAccount } from '../api/user.js'
+import { getCreditPricing } from '../constants/plans.js'
+
+// Team members can't subscribe to the owner's profile, so their shared balance is polled
+const TEAM_BALANCE_POLL_MS = 30000
 
 export function useRealTimeCredits(user) {
   const [creditData, setCreditData] = useState({
@@ -23,9 +28,17 @@ export function useRealTimeCredits(user) {
       console.log('💰 useRealTimeCredits: Profile received:', profile)
       
       if (profile) {
+        // Members of an organization spend its shared balance instead of their own
+        const account = await getCreditAccount(user.id)
         const newCreditData = {
-          find: Number(profile.credits_find) || 0,
-          verify: Number(profile.credits_verify) || 0,
+          find: Number(account.credits_find) || 0,
+          verify: Number(account.credits_verify) || 0,
+          // Pooled plans spend credits_find for every operation
+          pooled: getCreditPricing(account.plan).pooled,
+          organizationName: account.organization_name,
+          teamBalance: account.account_id !== user.id,
+          lowBalanceThreshold: Number(profile.low_balance_threshold) || 0,
+          autoTopupEnabled: Boolean(profile.auto_topup_enabled),
           loading: false
         }
         console.log('💰 useRealTimeCredits: Setting credits:', newCreditData)
@@ -64,13 +77,23 @@ export function useRealTimeCredits(user) {
         (payload) => {
           console.log('🔄 useRealTimeCredits: Real-time update:', payload)
           if (payload.new) {
-            const newCreditData = {
-              find: Number(payload.new.credits_find) || 0,
-              verify: Number(payload.new.credits_verify) || 0,
-              loading: false
-            }
-            console.log('🔄 useRealTimeCredits: Updating credits from real-time:', newCreditData)
-            setCreditData(newCreditData)
+            setCreditData(current => {
+              // A team member's own balance isn't the one they spend; only their settings apply
+              const newCreditData = current.teamBalance ? {
+                ...current,
+                lowBalanceThreshold: Number(payload.new.low_balance_threshold) || 0,
+                autoTopupEnabled: Boolean(payload.new.auto_topup_enabled)
+              } : {
+                find: Number(payload.new.credits_find) || 0,
+                verify: Number(payload.new.credits_verify) || 0,
+                pooled: getCreditPricing(payload.new.plan).pooled,
+                lowBalanceThreshold: Number(payload.new.low_balance_threshold) || 0,
+                autoTopupEnabled: Boolean(payload.new.auto_topup_enabled),
+                loading: false
+              }
+              console.log('🔄 useRealTimeCredits: Updating credits from real-time:', newCreditData)
+              return newCreditData
+            })
           }
         }
       )
@@ -82,5 +105,14 @@ export function useRealTimeCredits(user) {
     }
   }, [user?.id])
 
+  const teamBalance = Boolean(creditData.teamBalance)
+
+  useEffect(() => {
+    if (!user?.id || !teamBalance) return
+
+    const interval = setInterval(fetchCreditData, TEAM_BALANCE_POLL_MS)
+    return () => clearInterval(interval)
+  }, [user?.id, teamBalance, fetchCreditData])
+
   return { creditData, refetch: fetchCreditData }
 }
\ No newline at end of file
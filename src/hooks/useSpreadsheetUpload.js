@@ -0,0 +1,58 @@
+import { useState } from 'react'
+import { readSpreadsheet } from '../utils/spreadsheet.js'
+import { suggestMapping, loadSavedMapping, saveMapping, applyMapping } from '../utils/columnMapping.js'
+
+/**
+ * Upload flow shared by the bulk tools: read the file, pick a sheet, map its columns.
+ * onMapped receives { rows, fileName, listName, columns } once the user confirms the mapping.
+ */
+export function useSpreadsheetUpload(tool, onMapped) {
+  const [upload, setUpload] = useState(null)
+
+  const buildUpload = (fileName, workbook, sheetName) => {
+    const { headers, rows } = workbook.sheets[sheetName]
+    const saved = loadSavedMapping(tool, headers)
+    return {
+      fileName,
+      workbook,
+      sheetName,
+      headers,
+      rows,
+      mapping: saved || suggestMapping(headers, tool),
+      fromSaved: !!saved
+    }
+  }
+
+  const handleFile = async (file) => {
+    try {
+      const workbook = await readSpreadsheet(file)
+      setUpload(buildUpload(file.name, workbook, workbook.sheetNames[0]))
+    } catch (e) {
+      alert(`Could not read file: ${e.message}`)
+    }
+  }
+
+  const selectSheet = (sheetName) => {
+    setUpload(prev => buildUpload(prev.fileName, prev.workbook, sheetName))
+  }
+
+  const confirmMapping = (mapping) => {
+    saveMapping(tool, upload.headers, mapping)
+    const multiSheet = upload.workbook.sheetNames.length > 1
+    onMapped({
+      rows: applyMapping(upload.rows, mapping, tool),
+      fileName: upload.fileName,
+      listName: multiSheet ? `${upload.fileName} (${upload.sheetName})` : upload.fileName,
+      columns: upload.headers
+    })
+    setUpload(null)
+  }
+
+  return {
+    upload,
+    handleFile,
+    selectSheet,
+    confirmMapping,
+    cancelUpload: () => setUpload(null)
+  }
+}
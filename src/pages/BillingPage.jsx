@@ -1,7 +1,9 @@
 import React, { useState, useEffect, useCallback } from 'react'
 import { useAuth } from '../hooks/useAuth.js'
-import { getUserProfile, getUserTransactions } from '../api/user.js'
-import { PRODUCTS, openCheckout, formatPrice, formatCredits } from '../services/lemonsqueezy.js'
+import { getUserProfile, getUserTransactions, getCreditLedger, getUnclaimedPurchases, claimPurchase, updateLowBalanceSettings, getOpenCreditTopup, cancelCreditTopup, getCreditAccount } from '../api/user.js'
+import { PRODUCTS, openCheckout, formatPrice, formatCredits, calculateSavings } from '../services/lemonsqueezy.js'
+import creditManager from '../services/creditUtils.js'
+import { getCreditPricing } from '../constants/plans.js'
 
 function CreditCard({ title, credits, icon, color }) {
   return (
@@ -21,9 +23,10 @@ function CreditCard({ title, credits, icon, color }) {
   )
 }
 
-function PlanCard({ plan, isCurrentPlan, onUpgrade, userEmail }) {
+function PlanCard({ plan, isCurrentPlan, onUpgrade, savings }) {
   const isLifetime = plan.interval === 'lifetime'
   const isSubscription = plan.interval === 'monthly'
+  const isAnnual = plan.interval === 'annual'
   
   return (
     <div className={`bg-white rounded-lg border-2 p-6 relative ${
@@ -42,8 +45,17 @@ function PlanCard({ plan, isCurrentPlan, onUpgrade, userEmail }) {
         <div className="mt-2">
           <span className="text-3xl font-bold text-gray-900">{formatPrice(plan.price)}</span>
           {isSubscription && <span className="text-gray-600">/month</span>}
+          {isAnnual && <span className="text-gray-600">/year</span>}
           {isLifetime && <span className="text-gray-600"> once</span>}
         </div>
+        {isAnnual && (
+          <p className="text-sm text-gray-600 mt-1">
+            {formatPrice(plan.price / 12)}/month billed yearly
+            {savings?.savingsPercentage > 0 && (
+              <span className="ml-2 text-green-600 font-medium">Save {savings.savingsPercentage}%</span>
+            )}
+          </p>
+        )}
       </div>
       
       <ul className="mt-6 space-y-3">
@@ -64,7 +76,7 @@ function PlanCard({ plan, isCurrentPlan, onUpgrade, userEmail }) {
           </button>
         ) : (
           <button
-            onClick={() => onUpgrade(plan, userEmail)}
+            onClick={() => onUpgrade(plan)}
             className="w-full bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-md transition-colors"
           >
             {isLifetime ? 'Buy Now' : 'Upgrade'}
@@ -75,7 +87,7 @@ function PlanCard({ plan, isCurrentPlan, onUpgrade, userEmail }) {
   )
 }
 
-function CreditPackCard({ pack, onPurchase, userEmail }) {
+function CreditPackCard({ pack, onPurchase }) {
   return (
     <div className="bg-white rounded-lg border border-gray-200 p-4">
       <div className="text-center">
@@ -89,7 +101,7 @@ function CreditPackCard({ pack, onPurchase, userEmail }) {
       </div>
       
       <button
-        onClick={() => onPurchase(pack, userEmail)}
+        onClick={() => onPurchase(pack)}
         className="w-full mt-4 bg-green-600 hover:bg-green-700 text-white py-2 px-3 rounded-md text-sm transition-colors"
       >
         Buy Credits
@@ -99,6 +111,8 @@ function CreditPackCard({ pack, onPurchase, userEmail }) {
 }
 
 function TransactionRow({ transaction }) {
+  const creditsAdded = (transaction.credits_find_added || 0) + (transaction.credits_verify_added || 0)
+
   const statusColors = {
     completed: 'text-green-600 bg-green-100',
     pending: 'text-yellow-600 bg-yellow-100',
@@ -123,9 +137,9 @@ function TransactionRow({ transaction }) {
       </td>
       <td className="py-3 px-4 text-right">
         <div className="font-medium text-gray-900">{formatPrice(transaction.amount)}</div>
-        {(transaction.credits_find_added > 0 || transaction.credits_verify_added > 0) && (
+        {creditsAdded !== 0 && (
           <div className="text-sm text-gray-600">
-            +{formatCredits(transaction.credits_find_added + transaction.credits_verify_added)} credits
+            {creditsAdded > 0 ? '+' : '-'}{formatCredits(Math.abs(creditsAdded))} credits
           </div>
         )}
       </td>
@@ -133,23 +147,338 @@ function TransactionRow({ transaction }) {
   )
 }
 
+const LEDGER_ENTRY_LABELS = {
+  reserve: 'Reserved',
+  settle: 'Settled',
+  release: 'Released',
+  expire: 'Hold expired',
+  charge: 'Charged',
+  grant: 'Added',
+  revoke: 'Refunded',
+  lapse: 'Expired'
+}
+
+// A pool merge revokes verification credits and grants the same amount to the pool: nothing is spent
+const POOL_MERGE_LABEL = 'Moved to pool'
+
+function LedgerRow({ entry }) {
+  return (
+    <tr className="border-b border-gray-200">
+      <td className="py-3 px-4">
+        <div className="font-medium text-gray-900">{entry.operation}</div>
+        <div className="text-sm text-gray-600">
+          {new Date(entry.created_at).toLocaleString()}
+          {entry.source_page && <span className="ml-2">{entry.source_page}</span>}
+        </div>
+      </td>
+      <td className="py-3 px-4 text-center text-sm text-gray-700">
+        {entry.operation === 'credit_pool_merge'
+          ? POOL_MERGE_LABEL
+          : LEDGER_ENTRY_LABELS[entry.entry_type] || entry.entry_type}
+      </td>
+      <td className={`py-3 px-4 text-right font-medium ${entry.quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>
+        {entry.quantity > 0 ? '+' : '-'}{formatCredits(Math.abs(entry.quantity))} {entry.credit_type}
+      </td>
+      <td className="py-3 px-4 text-right text-gray-900">{formatCredits(entry.balance_after)}</td>
+    </tr>
+  )
+}
+
+const BUCKET_SOURCE_LABELS = {
+  subscription: 'Subscription',
+  rollover: 'Rolled over',
+  pack: 'Credit pack',
+  lifetime: 'Lifetime plan',
+  manual: 'Added by support'
+}
+
+function CreditBreakdown({ title, breakdown }) {
+  if (!breakdown || (breakdown.buckets.length === 0 && breakdown.other === 0)) return null
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4">
+      <h3 className="text-sm font-medium text-gray-900 mb-2">{title}</h3>
+      <ul className="divide-y divide-gray-100">
+        {breakdown.buckets.map(bucket => (
+          <li key={bucket.id} className="flex items-center justify-between py-2 text-sm">
+            <div>
+              <div className="text-gray-900">{BUCKET_SOURCE_LABELS[bucket.source] || bucket.source}</div>
+              <div className="text-gray-500">
+                {bucket.expires_at
+                  ? `Expires ${new Date(bucket.expires_at).toLocaleDateString()}`
+                  : 'Never expires'}
+                {bucket.rollover_cap > 0 && ` · up to ${formatCredits(bucket.rollover_cap)} roll over`}
+              </div>
+            </div>
+            <div className="text-right text-gray-900">
+              {formatCredits(bucket.remaining)}
+              <span className="text-gray-500"> / {formatCredits(bucket.granted)}</span>
+            </div>
+          </li>
+        ))}
+        {breakdown.other > 0 && (
+          <li className="flex items-center justify-between py-2 text-sm">
+            <div>
+              <div className="text-gray-900">Other credits</div>
+              <div className="text-gray-500">Never expires</div>
+            </div>
+            <div className="text-right text-gray-900">{formatCredits(breakdown.other)}</div>
+          </li>
+        )}
+      </ul>
+    </div>
+  )
+}
+
+function ClaimPurchases({ purchases, onClaimed }) {
+  const [email, setEmail] = useState('')
+  const [orderIdentifier, setOrderIdentifier] = useState('')
+  const [claiming, setClaiming] = useState(false)
+  const [message, setMessage] = useState(null)
+  
+  const claim = async (request) => {
+    setClaiming(true)
+    setMessage(null)
+    try {
+      const result = await claimPurchase(request)
+      setMessage({ type: 'success', text: `${result.purchase?.product_name || 'Purchase'} added to your account` })
+      setEmail('')
+      setOrderIdentifier('')
+      onClaimed()
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message })
+    } finally {
+      setClaiming(false)
+    }
+  }
+  
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    claim({ email, orderIdentifier })
+  }
+  
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+      {purchases.length > 0 && (
+        <div className="space-y-2">
+          <p className="text-sm text-gray-700">These purchases were made with your email before you signed up:</p>
+          {purchases.map(purchase => (
+            <div key={purchase.id} className="flex items-center justify-between border border-gray-200 rounded-md px-4 py-2">
+              <div>
+                <div className="font-medium text-gray-900">{purchase.product_name || 'Purchase'}</div>
+                <div className="text-sm text-gray-600">
+                  {purchase.order_number && `Order #${purchase.order_number} · `}
+                  {new Date(purchase.created_at).toLocaleDateString()}
+                </div>
+              </div>
+              <button
+                onClick={() => claim({ purchaseId: purchase.id })}
+                disabled={claiming}
+                className="bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white py-1 px-3 rounded-md text-sm"
+              >
+                Claim
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+      
+      <form onSubmit={handleSubmit} className="space-y-2">
+        <p className="text-sm text-gray-700">
+          Bought with a different email? Enter it with the order identifier from your receipt (or paste its "View order" link).
+        </p>
+        <div className="flex flex-col sm:flex-row gap-2">
+          <input
+            type="email"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Purchase email"
+            className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+          <input
+            type="text"
+            required
+            value={orderIdentifier}
+            onChange={(e) => setOrderIdentifier(e.target.value)}
+            placeholder="Order identifier"
+            className="sm:w-64 border border-gray-300 rounded-md px-3 py-2 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={claiming}
+            className="bg-gray-900 hover:bg-gray-800 disabled:opacity-50 text-white py-2 px-4 rounded-md text-sm"
+          >
+            {claiming ? 'Claiming...' : 'Claim Purchase'}
+          </button>
+        </div>
+      </form>
+      
+      {message && (
+        <p className={`text-sm ${message.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>{message.text}</p>
+      )}
+    </div>
+  )
+}
+
+function LowBalanceAlerts({ profile, topup, onSaved }) {
+  const [threshold, setThreshold] = useState(profile?.low_balance_threshold ?? 100)
+  const [autoTopupEnabled, setAutoTopupEnabled] = useState(!!profile?.auto_topup_enabled)
+  const [autoTopupPack, setAutoTopupPack] = useState(profile?.auto_topup_pack || Object.values(PRODUCTS.creditPacks)[0].variantName)
+  const [saving, setSaving] = useState(false)
+  const [cancelling, setCancelling] = useState(false)
+  const [message, setMessage] = useState(null)
+  
+  const handleCancelTopup = async () => {
+    setCancelling(true)
+    setMessage(null)
+    try {
+      await cancelCreditTopup(profile.id)
+      setMessage({ type: 'success', text: 'Automatic top-up cancelled' })
+      onSaved()
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message })
+    } finally {
+      setCancelling(false)
+    }
+  }
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+    setMessage(null)
+    try {
+      await updateLowBalanceSettings(profile.id, {
+        threshold: Math.max(0, parseInt(threshold, 10) || 0),
+        autoTopupEnabled,
+        autoTopupPack: autoTopupEnabled ? autoTopupPack : null
+      })
+      setMessage({ type: 'success', text: 'Alert settings saved' })
+      onSaved()
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message })
+    } finally {
+      setSaving(false)
+    }
+  }
+  
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6 space-y-4">
+      {topup && (
+        <div className="flex items-center justify-between bg-yellow-50 border border-yellow-200 rounded-md px-4 py-2">
+          <div className="text-sm text-yellow-800">
+            {topup.status === 'checkout_sent'
+              ? `Your automatic top-up is ready (balance was ${topup.balance_at_trigger.toLocaleString()} when it started).`
+              : 'Your automatic top-up is being prepared.'}
+          </div>
+          <div className="flex items-center gap-2">
+            {topup.checkout_url && (
+              <a
+                href={topup.checkout_url}
+                className="bg-yellow-600 hover:bg-yellow-700 text-white py-1 px-3 rounded-md text-sm"
+              >
+                Complete purchase
+              </a>
+            )}
+            <button
+              type="button"
+              onClick={handleCancelTopup}
+              disabled={cancelling}
+              className="text-yellow-800 hover:text-yellow-900 disabled:opacity-50 py-1 px-3 text-sm"
+            >
+              {cancelling ? 'Cancelling...' : 'Cancel'}
+            </button>
+          </div>
+        </div>
+      )}
+      
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <label className="block text-sm text-gray-700">
+          Alert me when a balance drops below
+          <input
+            type="number"
+            min="0"
+            value={threshold}
+            onChange={(e) => setThreshold(e.target.value)}
+            className="ml-2 w-28 border border-gray-300 rounded-md px-3 py-1 text-sm"
+          />
+          <span className="ml-2 text-gray-500">credits (0 turns alerts off)</span>
+        </label>
+        
+        <label className="flex items-center gap-2 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={autoTopupEnabled}
+            onChange={(e) => setAutoTopupEnabled(e.target.checked)}
+          />
+          Automatically top up with
+          <select
+            value={autoTopupPack}
+            onChange={(e) => setAutoTopupPack(e.target.value)}
+            disabled={!autoTopupEnabled}
+            className="border border-gray-300 rounded-md px-2 py-1 text-sm disabled:opacity-50"
+          >
+            {Object.values(PRODUCTS.creditPacks).map(pack => (
+              <option key={pack.variantName} value={pack.variantName}>
+                {pack.name} ({formatPrice(pack.price)})
+              </option>
+            ))}
+          </select>
+        </label>
+        <p className="text-xs text-gray-500">
+          When an alert fires, we prepare a checkout for the selected pack and email you the link to complete the purchase.
+        </p>
+        
+        <button
+          type="submit"
+          disabled={saving}
+          className="bg-gray-900 hover:bg-gray-800 disabled:opacity-50 text-white py-2 px-4 rounded-md text-sm"
+        >
+          {saving ? 'Saving...' : 'Save Alert Settings'}
+        </button>
+      </form>
+      
+      {message && (
+        <p className={`text-sm ${message.type === 'success' ? 'text-green-600' : 'text-red-600'}`}>{message.text}</p>
+      )}
+    </div>
+  )
+}
+
 export default function BillingPage() {
   const { user, isAuthenticated } = useAuth()
   const [userProfile, setUserProfile] = useState(null)
   const [transactions, setTransactions] = useState([])
+  const [ledger, setLedger] = useState([])
+  const [unclaimedPurchases, setUnclaimedPurchases] = useState([])
+  const [creditBreakdown, setCreditBreakdown] = useState(null)
+  const [openTopup, setOpenTopup] = useState(null)
+  const [creditAccount, setCreditAccount] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  const [billingInterval, setBillingInterval] = useState('monthly')
   
   const loadUserData = useCallback(async () => {
     try {
       setLoading(true)
-      const [profile, transactionData] = await Promise.all([
+      // The breakdown lapses expired credits first, so the profile is read after it
+      const breakdown = await creditManager.getCreditBreakdown(user.id).catch(() => null)
+      const [profile, transactionData, ledgerData, unclaimed, topup, account] = await Promise.all([
         getUserProfile(user.id),
-        getUserTransactions(user.id, 10)
+        getUserTransactions(user.id, 10),
+        getCreditLedger(user.id, 20),
+        getUnclaimedPurchases().catch(() => []),
+        getOpenCreditTopup(user.id).catch(() => null),
+        getCreditAccount(user.id).catch(() => null)
       ])
       
       setUserProfile(profile)
       setTransactions(transactionData.transactions)
+      setLedger(ledgerData.entries)
+      setUnclaimedPurchases(unclaimed)
+      setCreditBreakdown(breakdown)
+      setOpenTopup(topup)
+      setCreditAccount(account)
     } catch (err) {
       console.error('Error loading user data:', err)
       setError('Failed to load billing information')
@@ -164,18 +493,12 @@ export default function BillingPage() {
     }
   }, [isAuthenticated, user, loadUserData])
   
-  const handleUpgrade = (plan, userEmail) => {
-    openCheckout(plan, userEmail, {
-      'checkout[custom][user_id]': user.id,
-      'checkout[custom][plan_type]': plan.interval
-    })
+  const handleUpgrade = (plan) => {
+    openCheckout(plan, user, { plan_type: plan.interval })
   }
   
-  const handleCreditPurchase = (pack, userEmail) => {
-    openCheckout(pack, userEmail, {
-      'checkout[custom][user_id]': user.id,
-      'checkout[custom][product_type]': 'credit_pack'
-    })
+  const handleCreditPurchase = (pack) => {
+    openCheckout(pack, user, { product_type: 'credit_pack' })
   }
   
   if (!isAuthenticated) {
@@ -218,6 +541,16 @@ export default function BillingPage() {
   const planExpiry = userProfile?.plan_expiry ? new Date(userProfile.plan_expiry) : null
   const isExpired = planExpiry && planExpiry < new Date()
   const daysUntilExpiry = planExpiry ? Math.ceil((planExpiry - new Date()) / (1000 * 60 * 60 * 24)) : null
+  const nextCreditDrip = userProfile?.next_credit_drip_at ? new Date(userProfile.next_credit_drip_at) : null
+  const currentInterval = userProfile?.billing_interval || 'monthly'
+  const creditPricing = getCreditPricing(userProfile?.plan)
+  
+  const subscriptions = billingInterval === 'annual' ? PRODUCTS.annualSubscriptions : PRODUCTS.subscriptions
+  const annualSavings = {
+    starter: calculateSavings(PRODUCTS.subscriptions.starter.price, PRODUCTS.annualSubscriptions.starter.price),
+    pro: calculateSavings(PRODUCTS.subscriptions.pro.price, PRODUCTS.annualSubscriptions.pro.price)
+  }
+  const bestSavings = Math.max(annualSavings.starter.savingsPercentage, annualSavings.pro.savingsPercentage)
   
   return (
     <div className="max-w-6xl mx-auto p-6 space-y-8">
@@ -237,16 +570,31 @@ export default function BillingPage() {
             </p>
             {planExpiry && !isExpired && (
               <p className="text-sm text-gray-600 mt-1">
-                {daysUntilExpiry > 0 ? `Renews in ${daysUntilExpiry} days` : 'Expires today'}
+                {daysUntilExpiry > 0 ? `${userProfile?.subscription_status === 'cancelled' ? 'Ends' : 'Renews'} in ${daysUntilExpiry} days` : 'Expires today'}
+                {currentInterval === 'annual' && ' · Billed yearly'}
+              </p>
+            )}
+            {nextCreditDrip && !isExpired && (
+              <p className="text-sm text-gray-600">
+                Next monthly credits on {nextCreditDrip.toLocaleDateString()}
               </p>
             )}
             {isExpired && (
               <p className="text-sm text-red-600 mt-1">Plan expired</p>
             )}
+            {userProfile?.subscription_status === 'paused' && (
+              <p className="text-sm text-yellow-600 mt-1">Subscription paused: no new credits are added until it resumes</p>
+            )}
+            {userProfile?.subscription_status === 'cancelled' && !isExpired && (
+              <p className="text-sm text-yellow-600 mt-1">Subscription cancelled: your plan and its credits stay until it ends</p>
+            )}
+            {userProfile?.subscription_status === 'past_due' && (
+              <p className="text-sm text-red-600 mt-1">Your last payment failed. Please update your payment method to keep your plan.</p>
+            )}
           </div>
           {userProfile?.plan === 'free' && (
             <button
-              onClick={() => handleUpgrade(PRODUCTS.subscriptions.starter, user.email)}
+              onClick={() => handleUpgrade(PRODUCTS.subscriptions.starter)}
               className="bg-blue-600 hover:bg-blue-700 text-white py-2 px-4 rounded-md"
             >
               Upgrade Now
@@ -258,43 +606,96 @@ export default function BillingPage() {
       {/* Credits Overview */}
       <div>
         <h2 className="text-xl font-semibold text-gray-900 mb-4">Credit Balance</h2>
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-          <CreditCard
-            title="Email Finding Credits"
-            credits={userProfile?.credits_find || 0}
-            icon="🔍"
-            color="text-blue-600"
-          />
-          <CreditCard
-            title="Email Verification Credits"
-            credits={userProfile?.credits_verify || 0}
-            icon="✅"
-            color="text-green-600"
-          />
-        </div>
+        {creditAccount && creditAccount.account_id !== user.id && (
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-4 text-sm text-blue-800">
+            You're using {creditAccount.organization_name}'s shared credits
+            {creditAccount.credit_limit != null && ` (your budget this cycle is ${creditAccount.credit_limit.toLocaleString()}, ${creditAccount.credits_used.toLocaleString()} used)`}.
+            The balance below is your own and is used again if you leave the team.
+          </div>
+        )}
+        {creditPricing.pooled ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <CreditCard
+              title="Credits"
+              credits={userProfile?.credits_find || 0}
+              icon="💳"
+              color="text-blue-600"
+            />
+            <div className="bg-white rounded-lg border border-gray-200 p-6 text-sm text-gray-600">
+              Your plan uses one balance for everything: finding an email costs {creditPricing.weights.find} credit,
+              verifying one costs {creditPricing.weights.verify} credit.
+            </div>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <CreditCard
+              title="Email Finding Credits"
+              credits={userProfile?.credits_find || 0}
+              icon="🔍"
+              color="text-blue-600"
+            />
+            <CreditCard
+              title="Email Verification Credits"
+              credits={userProfile?.credits_verify || 0}
+              icon="✅"
+              color="text-green-600"
+            />
+          </div>
+        )}
+        {creditBreakdown && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mt-4">
+            <CreditBreakdown
+              title={`${creditPricing.pooled ? 'Credits' : 'Finding credits'}, in the order they are used`}
+              breakdown={creditBreakdown.find}
+            />
+            <CreditBreakdown title="Verification credits, in the order they are used" breakdown={creditBreakdown.verify} />
+          </div>
+        )}
+        <p className="text-sm text-gray-500 mt-2">
+          Subscription credits expire at the end of each month; your plan's rollover allowance carries into the next month. Credit packs never expire.
+        </p>
       </div>
       
       {/* Subscription Plans */}
       <div>
-        <h2 className="text-xl font-semibold text-gray-900 mb-4">Subscription Plans</h2>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900">Subscription Plans</h2>
+          <div className="inline-flex rounded-lg border border-gray-200 p-1 bg-white">
+            {['monthly', 'annual'].map(interval => (
+              <button
+                key={interval}
+                onClick={() => setBillingInterval(interval)}
+                className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                  billingInterval === interval ? 'bg-blue-600 text-white' : 'text-gray-600 hover:text-gray-900'
+                }`}
+              >
+                {interval === 'monthly' ? 'Monthly' : 'Annual'}
+                {interval === 'annual' && bestSavings > 0 && (
+                  <span className={`ml-1 ${billingInterval === interval ? 'text-blue-100' : 'text-green-600'}`}>
+                    (save up to {bestSavings}%)
+                  </span>
+                )}
+              </button>
+            ))}
+          </div>
+        </div>
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
           <PlanCard
-            plan={PRODUCTS.subscriptions.starter}
-            isCurrentPlan={userProfile?.plan === 'starter'}
+            plan={subscriptions.starter}
+            isCurrentPlan={userProfile?.plan === 'starter' && currentInterval === billingInterval}
             onUpgrade={handleUpgrade}
-            userEmail={user.email}
+            savings={annualSavings.starter}
           />
           <PlanCard
-            plan={PRODUCTS.subscriptions.pro}
-            isCurrentPlan={userProfile?.plan === 'pro'}
+            plan={subscriptions.pro}
+            isCurrentPlan={userProfile?.plan === 'pro' && currentInterval === billingInterval}
             onUpgrade={handleUpgrade}
-            userEmail={user.email}
+            savings={annualSavings.pro}
           />
           <PlanCard
             plan={PRODUCTS.lifetime}
             isCurrentPlan={userProfile?.plan === 'lifetime'}
             onUpgrade={handleUpgrade}
-            userEmail={user.email}
           />
         </div>
       </div>
@@ -308,12 +709,23 @@ export default function BillingPage() {
               key={index}
               pack={pack}
               onPurchase={handleCreditPurchase}
-              userEmail={user.email}
             />
           ))}
         </div>
       </div>
       
+      {/* Low-Balance Alerts */}
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Low-Balance Alerts</h2>
+        <LowBalanceAlerts profile={userProfile} topup={openTopup} onSaved={loadUserData} />
+      </div>
+      
+      {/* Unclaimed Purchases */}
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Claim a Purchase</h2>
+        <ClaimPurchases purchases={unclaimedPurchases} onClaimed={loadUserData} />
+      </div>
+      
       {/* Transaction History */}
       <div>
         <h2 className="text-xl font-semibold text-gray-900 mb-4">Transaction History</h2>
@@ -340,6 +752,34 @@ export default function BillingPage() {
           )}
         </div>
       </div>
+      
+      {/* Credit Activity */}
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900 mb-4">Credit Activity</h2>
+        <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+          {ledger.length > 0 ? (
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="py-3 px-4 text-left text-sm font-medium text-gray-700">Operation</th>
+                  <th className="py-3 px-4 text-center text-sm font-medium text-gray-700">Type</th>
+                  <th className="py-3 px-4 text-right text-sm font-medium text-gray-700">Credits</th>
+                  <th className="py-3 px-4 text-right text-sm font-medium text-gray-700">Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ledger.map((entry) => (
+                  <LedgerRow key={entry.id} entry={entry} />
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="p-8 text-center text-gray-500">
+              <p>No credit activity yet</p>
+            </div>
+          )}
+        </div>
+      </div>
     </div>
   )
 }
\ No newline at end of file
@@ -1,11 +1,17 @@
 import { useMemo, useState } from 'react'
-import Papa from 'papaparse'
-import * as XLSX from 'xlsx'
-import { findEmail } from '../services/api.js'
 import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card.jsx'
 import { useCredits } from '../services/creditManager.jsx'
-import creditManager from '../services/creditUtils.js'
 import { useAuth } from '../hooks/useAuth.js'
+import { useBulkJob } from '../hooks/useBulkJob.js'
+import { checkApiLimits } from '../api/emails.js'
+import { flattenFindItems, toFindCsvRows, toFindXlsxRows, summarizeFindResults, downloadCsv } from '../utils/bulkResults.js'
+import { downloadXlsx } from '../utils/spreadsheet.js'
+import { useSpreadsheetUpload } from '../hooks/useSpreadsheetUpload.js'
+import ColumnMappingWizard from '../components/ColumnMappingWizard.jsx'
+import BulkIssuesPanel from '../components/BulkIssuesPanel.jsx'
+import BulkRunConfirmation from '../components/BulkRunConfirmation.jsx'
+import BulkJobControls from '../components/BulkJobControls.jsx'
+import { validateFindRows } from '../utils/bulkValidation.js'
 
 function normalizeConfidence(raw) {
   if (raw == null) return null
@@ -45,116 +51,63 @@ function ConfidencePill({ value }) {
 
 export default function BulkSearchPage() {
   const [rows, setRows] = useState([])
-  const [results, setResults] = useState([])
-  const [progress, setProgress] = useState({ done: 0, total: 0 })
-  const [isRunning, setIsRunning] = useState(false)
+  const [listName, setListName] = useState('')
+  const [sourceColumns, setSourceColumns] = useState([])
+  const [confirming, setConfirming] = useState(false)
+  const [quota, setQuota] = useState(null)
   const { user, isAuthenticated } = useAuth()
-  const { hasCredits } = useCredits(user, isAuthenticated)
+  const { find, verify, plan, creditLimitRemaining, loading: creditsLoading, refetch: refetchCredits } = useCredits(user, isAuthenticated)
+  const { job, items, isRunning, isPaused, progress, submitJob, pauseJob, resumeJob, cancelJob, failedCount, retryFailed } = useBulkJob(user, 'find')
+  const { upload, handleFile, selectSheet, confirmMapping, cancelUpload } = useSpreadsheetUpload('find', (mapped) => {
+    setRows(mapped.rows)
+    setListName(mapped.listName)
+    setSourceColumns(mapped.columns)
+  })
 
-  const pickFrom = (obj, keys) => {
-    for (const key of keys) {
-      const found = Object.keys(obj || {}).find(k => k.toLowerCase().replace(/\s+/g,'') === key.toLowerCase().replace(/\s+/g,''))
-      if (found && obj[found] != null && String(obj[found]).trim() !== '') return String(obj[found]).trim()
-    }
-    return ''
+  const validation = useMemo(() => validateFindRows(rows), [rows])
+  const mapped = useMemo(() => validation.filter(e => e.sendable).map(e => e.row), [validation])
+
+  const updateRow = (index, key, value) => {
+    setRows(prev => prev.map((x, idx) => idx === index ? { ...x, [key]: value } : x))
   }
 
-  const handleFile = async (file) => {
-    const ext = file.name.split('.').pop()?.toLowerCase()
-    const text = ext === 'csv' ? await file.text() : null
-    if (ext === 'csv') {
-      const parsed = Papa.parse(text, { header: true })
-      const cleaned = (parsed.data || []).filter(Boolean).map(r => ({
-        name: pickFrom(r, ['Full Name', 'FullName', 'Name', 'full_name', 'name']),
-        domain: pickFrom(r, ['Domain', 'Company Domain', 'company', 'Company', 'domain']),
-        role: pickFrom(r, ['Role', 'Title', 'role'])
-      }))
-      setRows(cleaned.filter(r => r.name || r.domain))
-    } else if (ext === 'xlsx' || ext === 'xls') {
-      const arrayBuffer = await file.arrayBuffer()
-      const workbook = XLSX.read(arrayBuffer, { type: 'array' })
-      const sheetName = workbook.SheetNames[0]
-      const sheet = workbook.Sheets[sheetName]
-      const json = XLSX.utils.sheet_to_json(sheet)
-      const cleaned = (json || []).map(r => ({
-        name: pickFrom(r, ['Full Name', 'FullName', 'Name', 'full_name', 'name']),
-        domain: pickFrom(r, ['Domain', 'Company Domain', 'company', 'Company', 'domain']),
-        role: pickFrom(r, ['Role', 'Title', 'role'])
-      }))
-      setRows(cleaned.filter(r => r.name || r.domain))
-    }
+  const removeInvalidRows = () => {
+    const keep = new Set(validation.filter(e => !e.excluded && e.issues.every(i => i.severity !== 'error')).map(e => e.index))
+    setRows(prev => prev.filter((_, idx) => keep.has(idx)))
   }
 
-  const mapped = useMemo(() => rows.map(r => ({
-    domain: (r.domain || '').trim(),
-    name: (r.name || '').trim(),
-    role: (r.role || '').trim(),
-  })).filter(r => r.domain && r.name), [rows])
+  const reviewRun = async () => {
+    setQuota(null)
+    setConfirming(true)
+    // Signed-out users have no quota to check; the balance check shows the credit message
+    const [, limits] = await Promise.all([refetchCredits(), user?.id ? checkApiLimits(user.id) : { success: false }])
+    setQuota(limits)
+  }
 
-  const runBatches = async () => {
-    // Check if user has credits for bulk email finding
-    const creditCheck = await hasCredits('find', mapped.length)
-    if (!creditCheck.hasCredits) {
-      alert('Insufficient credits for bulk email finding. Please upgrade your plan.')
-      return
+  const runBatches = async (rowLimit) => {
+    setConfirming(false)
+    try {
+      await submitJob(mapped.slice(0, rowLimit), {
+        name: listName || `Bulk search ${new Date().toLocaleString()}`,
+        metadata: { columns: sourceColumns }
+      })
+    } catch (e) {
+      alert(`Could not start bulk search: ${e.message}`)
     }
+  }
 
-    const concurrency = 5
-    setIsRunning(true)
-    setResults([])
-    setProgress({ done: 0, total: mapped.length })
-
-    let index = 0
-    const next = async () => {
-      if (index >= mapped.length) return
-      const current = mapped[index++]
-      try {
-        const resp = await findEmail({ domain: current.domain, name: current.name, role: current.role })
-        const payload = resp.data
-        const items = Array.isArray(payload) ? payload : (payload ? [payload] : [])
-        setResults(prev => [
-          ...prev,
-          ...items.map(it => ({
-            ...it,
-            name: it.name || it.full_name || current.name,
-            domain: current.domain
-          }))
-        ])
-        
-        // Deduct credits for successful email finding
-        if (items.length > 0 && user?.id) {
-          await creditManager.useCredits(user.id, 'find', items.length)
-        }
-      } catch (e) {
-        setResults(prev => [...prev, { name: current.name, domain: current.domain, email: '-', confidence: '-', error: e.message }])
-      } finally {
-        setProgress(prev => ({ ...prev, done: prev.done + 1 }))
-        await next()
-      }
+  const retryFailedRows = async () => {
+    try {
+      await retryFailed()
+    } catch (e) {
+      alert(`Could not retry failed rows: ${e.message}`)
     }
-
-    await Promise.all(Array.from({ length: Math.min(concurrency, mapped.length) }, () => next()))
-
-    setIsRunning(false)
   }
 
+  const results = flattenFindItems(items)
+
   const exportCsv = () => {
-    const forCsv = results.map((r) => ({
-      Name: r.name,
-      Email: r.email || '-',
-      catch_all: r.catch_all ?? '',
-      domain: r.domain ?? '',
-      mx: Array.isArray(r.mx) ? r.mx.join(', ') : (typeof r.mx === 'object' && r.mx !== null ? JSON.stringify(r.mx) : (r.mx ?? '')) ,
-      status: r.status ?? ''
-    }))
-    const csv = Papa.unparse(forCsv)
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = 'bulk-search-results.csv'
-    a.click()
-    URL.revokeObjectURL(url)
+    downloadCsv(toFindCsvRows(results, job?.metadata?.columns), 'bulk-search-results.csv')
   }
 
   const normalized = results.map((r) => {
@@ -162,6 +115,13 @@ export default function BulkSearchPage() {
     return { ...r, _confidence: c }
   })
 
+  const exportXlsx = () => {
+    downloadXlsx([
+      { name: 'Results', rows: toFindXlsxRows(normalized, job?.metadata?.columns) },
+      { name: 'Summary', rows: summarizeFindResults(normalized) }
+    ], 'bulk-search-results.xlsx')
+  }
+
   return (
     <div className="space-y-6">
       <div className="text-[13px] text-center py-2 bg-accent/50 border border-border rounded-md">Start your 3 days trial today.</div>
@@ -171,14 +131,31 @@ export default function BulkSearchPage() {
           <CardTitle className="text-2xl">Bulk Email Finder</CardTitle>
         </CardHeader>
         <CardContent>
-          <div className="flex flex-col md:flex-row md:items-center gap-3">
-            <label className="inline-block">
-              <span className="sr-only">Upload List</span>
-              <input type="file" className="hidden" accept=".csv,.xlsx,.xls" onChange={(e)=> e.target.files?.[0] && handleFile(e.target.files[0])} />
-              <div className="px-4 py-2 rounded-md bg-primary text-primary-foreground hover:bg-primary/90 cursor-pointer inline-flex items-center transition-colors">Upload CSV/XLSX</div>
-            </label>
-            <div className="text-sm text-muted-foreground">Expected columns: <span className="font-medium text-foreground">Full Name</span> and <span className="font-medium text-foreground">Domain</span>. Optional: <span className="font-medium text-foreground">Role</span>.</div>
-          </div>
+          {upload ? (
+            <ColumnMappingWizard
+              key={`${upload.fileName}:${upload.sheetName}`}
+              fileName={upload.fileName}
+              headers={upload.headers}
+              rows={upload.rows}
+              tool="find"
+              initialMapping={upload.mapping}
+              fromSaved={upload.fromSaved}
+              sheetNames={upload.workbook.sheetNames}
+              sheetName={upload.sheetName}
+              onSheetChange={selectSheet}
+              onConfirm={confirmMapping}
+              onCancel={cancelUpload}
+            />
+          ) : (
+            <div className="flex flex-col md:flex-row md:items-center gap-3">
+              <label className="inline-block">
+                <span className="sr-only">Upload List</span>
+                <input type="file" className="hidden" accept=".csv,.xlsx,.xls" onChange={(e)=> { const file = e.target.files?.[0]; e.target.value = ''; if (file) handleFile(file) }} />
+                <div className="px-4 py-2 rounded-md bg-primary text-primary-foreground hover:bg-primary/90 cursor-pointer inline-flex items-center transition-colors">Upload CSV/XLSX</div>
+              </label>
+              <div className="text-sm text-muted-foreground">You'll map the name, domain and role columns after uploading. Separate first and last name columns work too.</div>
+            </div>
+          )}
           <div className="text-muted-foreground text-xs mt-2">You can also add rows manually below.</div>
         </CardContent>
       </Card>
@@ -188,15 +165,47 @@ export default function BulkSearchPage() {
           <div className="space-y-3">
             <div className="flex flex-col sm:flex-row items-start sm:items-center gap-2">
               <button onClick={() => setRows(prev => [...prev, { name: '', domain: '', role: '' }])} className="px-3 py-2 rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors">Add Row</button>
-              <button onClick={runBatches} disabled={!mapped.length || isRunning} className="px-3 py-2 rounded-md bg-primary text-primary-foreground hover:bg-primary/90 disabled:opacity-60 transition-colors">
+              <button onClick={reviewRun} disabled={!mapped.length || isRunning || isPaused || confirming} className="px-3 py-2 rounded-md bg-primary text-primary-foreground hover:bg-primary/90 disabled:opacity-60 transition-colors">
                 {isRunning ? 'Running...' : 'Run Bulk Search'}
               </button>
               <button onClick={exportCsv} disabled={!normalized.length} className="px-3 py-2 rounded-md bg-secondary text-secondary-foreground hover:bg-secondary/80 disabled:opacity-60 transition-colors">Export CSV</button>
+              <button onClick={exportXlsx} disabled={!normalized.length} className="px-3 py-2 rounded-md bg-secondary text-secondary-foreground hover:bg-secondary/80 disabled:opacity-60 transition-colors">Export XLSX</button>
             </div>
             <div className="w-full h-2 bg-muted rounded">
               <div className="h-2 bg-primary rounded transition-all duration-300" style={{ width: `${progress.total ? (progress.done/progress.total)*100 : 0}%` }} />
             </div>
             <div className="text-sm text-muted-foreground">Rows ready: {mapped.length}</div>
+            {confirming && (
+              <BulkRunConfirmation
+                operation="find"
+                validation={validation}
+                balance={{ find, verify, plan, creditLimitRemaining }}
+                quota={quota}
+                loading={creditsLoading || !quota}
+                onProceed={runBatches}
+                onCancel={() => setConfirming(false)}
+              />
+            )}
+            <BulkIssuesPanel
+              entries={validation}
+              fields={[{ key: 'name', label: 'Full Name' }, { key: 'domain', label: 'Domain' }]}
+              onChange={updateRow}
+              onToggleExclude={(index) => updateRow(index, 'excluded', !rows[index].excluded)}
+              onRemove={(index) => setRows(prev => prev.filter((_, idx) => idx !== index))}
+              onRemoveFlagged={removeInvalidRows}
+            />
+            {isRunning && (
+              <div className="text-sm text-muted-foreground">
+                Processing {job?.name ? <span className="font-medium text-foreground">{job.name}</span> : 'your list'} on our servers ({progress.done}/{progress.total}). You can close this tab and come back later.
+              </div>
+            )}
+            {isPaused && (
+              <div className="text-sm text-muted-foreground">
+                {job?.name ? <span className="font-medium text-foreground">{job.name}</span> : 'Your list'} is paused at {progress.done}/{progress.total}. Resume to continue with the remaining rows, or cancel the run.
+                {job?.error && <div className="mt-1 text-red-600">{job.error}</div>}
+              </div>
+            )}
+            <BulkJobControls isRunning={isRunning} isPaused={isPaused} onPause={pauseJob} onResume={resumeJob} onCancel={cancelJob} />
           </div>
         </CardContent>
       </Card>
@@ -215,8 +224,8 @@ export default function BulkSearchPage() {
               <tbody>
                 {rows.map((r, i) => (
                   <tr key={i} className="border-b border-border hover:bg-muted/30">
-                    <td className="p-3"><input className="w-full border border-input rounded-md px-2 py-1 bg-background text-foreground" value={r.name || ''} onChange={(e)=> setRows(prev => prev.map((x,idx)=> idx===i? { ...x, name: e.target.value }: x))} placeholder="e.g., Jane Doe" /></td>
-                    <td className="p-3"><input className="w-full border border-input rounded-md px-2 py-1 bg-background text-foreground" value={r.domain || ''} onChange={(e)=> setRows(prev => prev.map((x,idx)=> idx===i? { ...x, domain: e.target.value }: x))} placeholder="company.com" /></td>
+                    <td className="p-3"><input className="w-full border border-input rounded-md px-2 py-1 bg-background text-foreground" value={r.name || ''} onChange={(e)=> updateRow(i, 'name', e.target.value)} placeholder="e.g., Jane Doe" /></td>
+                    <td className="p-3"><input className="w-full border border-input rounded-md px-2 py-1 bg-background text-foreground" value={r.domain || ''} onChange={(e)=> updateRow(i, 'domain', e.target.value)} placeholder="company.com" /></td>
                     <td className="p-3"><button className="text-destructive hover:text-destructive/80 transition-colors" onClick={()=> setRows(prev => prev.filter((_,idx)=> idx!==i))}>Remove</button></td>
                   </tr>
                 ))}
@@ -234,7 +243,14 @@ export default function BulkSearchPage() {
       {!!normalized.length && (
         <Card>
           <CardHeader>
-            <CardTitle>Search Results</CardTitle>
+            <div className="flex justify-between items-center">
+              <CardTitle>Search Results</CardTitle>
+              {failedCount > 0 && (
+                <button onClick={retryFailedRows} disabled={isPaused} className="px-3 py-2 rounded-md border border-border hover:bg-accent hover:text-accent-foreground disabled:opacity-60 transition-colors">
+                  Retry {failedCount.toLocaleString()} failed {failedCount === 1 ? 'row' : 'rows'}
+                </button>
+              )}
+            </div>
           </CardHeader>
           <CardContent className="p-0">
             <div className="overflow-x-auto">
@@ -0,0 +1,148 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card.jsx'
+import { useAuth } from '../hooks/useAuth.js'
+import { listBulkJobs, getBulkJobResults } from '../api/jobs.js'
+import { flattenFindItems, flattenVerifyItems, toFindCsvRows, toVerifyCsvRows, downloadCsv } from '../utils/bulkResults.js'
+
+const PAGE_SIZE = 20
+
+const STATUS_COLORS = {
+  queued: 'text-yellow-600 bg-yellow-100',
+  running: 'text-blue-600 bg-blue-100',
+  paused: 'text-orange-600 bg-orange-100',
+  completed: 'text-green-600 bg-green-100',
+  failed: 'text-red-600 bg-red-100',
+  cancelled: 'text-gray-600 bg-gray-100'
+}
+
+function exportFilename(job) {
+  const base = (job.name || `${job.job_type}-list`).replace(/\.(csv|xlsx|xls)$/i, '')
+  return `${base}-${job.job_type === 'verify' ? 'verify' : 'search'}-results.csv`
+}
+
+function JobRow({ job, onExport, exporting }) {
+  const isVerify = job.job_type === 'verify'
+
+  return (
+    <tr className="border-b border-border hover:bg-muted/30">
+      <td className="p-3 text-foreground">
+        <div className="font-medium">{job.name || 'Untitled list'}</div>
+        <div className="text-xs text-muted-foreground">{isVerify ? 'Bulk verify' : 'Bulk find'}</div>
+      </td>
+      <td className="p-3 text-foreground">{job.total_rows.toLocaleString()}</td>
+      <td className="p-3 text-foreground">
+        {job.found_rows.toLocaleString()} {isVerify ? 'valid' : 'found'}
+      </td>
+      <td className="p-3 text-foreground">{job.credits_used.toLocaleString()}</td>
+      <td className="p-3 text-foreground">{new Date(job.created_at).toLocaleString()}</td>
+      <td className="p-3">
+        <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${STATUS_COLORS[job.status] || STATUS_COLORS.queued}`}>
+          {job.status}
+        </span>
+      </td>
+      <td className="p-3">
+        <button
+          onClick={() => onExport(job)}
+          disabled={exporting || !job.processed_rows}
+          className="px-3 py-1.5 rounded-md bg-secondary text-secondary-foreground hover:bg-secondary/80 disabled:opacity-60 transition-colors"
+        >
+          {exporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </td>
+    </tr>
+  )
+}
+
+export default function ListsPage() {
+  const { user } = useAuth()
+  const [jobs, setJobs] = useState([])
+  const [hasMore, setHasMore] = useState(false)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [exportingId, setExportingId] = useState(null)
+
+  const loadJobs = useCallback(async (offset = 0) => {
+    try {
+      setLoading(true)
+      setError(null)
+      const result = await listBulkJobs(user.id, PAGE_SIZE, offset)
+      setJobs(prev => offset === 0 ? result.jobs : [...prev, ...result.jobs])
+      setHasMore(result.hasMore)
+    } catch (err) {
+      console.error('Error loading lists:', err)
+      setError('Failed to load your lists')
+    } finally {
+      setLoading(false)
+    }
+  }, [user?.id])
+
+  useEffect(() => {
+    if (user?.id) loadJobs()
+  }, [user?.id, loadJobs])
+
+  const handleExport = async (job) => {
+    try {
+      setExportingId(job.id)
+      const { items } = await getBulkJobResults(job.id)
+      const ordered = items.sort((a, b) => a.row_index - b.row_index)
+      const rows = job.job_type === 'verify'
+        ? toVerifyCsvRows(flattenVerifyItems(ordered), job.metadata?.columns)
+        : toFindCsvRows(flattenFindItems(ordered), job.metadata?.columns)
+      downloadCsv(rows, exportFilename(job))
+    } catch (err) {
+      alert(`Could not export list: ${err.message}`)
+    } finally {
+      setExportingId(null)
+    }
+  }
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-2xl">My Lists</CardTitle>
+          <p className="text-sm text-muted-foreground">Every bulk find and bulk verify you have run. Re-download the results at any time.</p>
+        </CardHeader>
+        <CardContent className="p-0">
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm border-collapse">
+              <thead>
+                <tr className="bg-muted/50 border-b border-border">
+                  <th className="text-left p-3 text-foreground font-medium">Name</th>
+                  <th className="text-left p-3 text-foreground font-medium">Rows</th>
+                  <th className="text-left p-3 text-foreground font-medium">Found / Valid</th>
+                  <th className="text-left p-3 text-foreground font-medium">Credits</th>
+                  <th className="text-left p-3 text-foreground font-medium">Date</th>
+                  <th className="text-left p-3 text-foreground font-medium">Status</th>
+                  <th className="text-left p-3 text-foreground font-medium">Results</th>
+                </tr>
+              </thead>
+              <tbody>
+                {jobs.map(job => (
+                  <JobRow key={job.id} job={job} onExport={handleExport} exporting={exportingId === job.id} />
+                ))}
+                {!loading && !error && jobs.length === 0 && (
+                  <tr>
+                    <td className="p-3 text-muted-foreground text-center" colSpan={7}>No lists yet. Run a bulk find or bulk verify to see it here.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+          {error && (
+            <div className="p-4 text-center">
+              <p className="text-destructive text-sm">{error}</p>
+              <button onClick={() => loadJobs()} className="mt-2 px-3 py-2 rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors">Retry</button>
+            </div>
+          )}
+          {loading && <div className="p-4 text-center text-sm text-muted-foreground">Loading lists...</div>}
+          {hasMore && !loading && (
+            <div className="p-4 text-center">
+              <button onClick={() => loadJobs(jobs.length)} className="px-3 py-2 rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors">Load more</button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -1,12 +1,15 @@
-import { useState, useEffect } from 'react'
+import { useState } from 'react'
 import { useFindResults } from '../hooks/useFindResults.js'
 import { useMutation } from '@tanstack/react-query'
 import Papa from 'papaparse'
 import { findEmail } from '../services/api.js'
+import { recordUsageEvents, checkApiLimits } from '../api/emails.js'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card.jsx'
 import { useCredits } from '../services/creditManager.jsx'
-import creditManager from '../services/creditUtils.js'
+import { MEMBER_LIMIT_MESSAGE } from '../services/creditUtils.js'
 import { useAuth } from '../hooks/useAuth.js'
+import { formatMx, toBoolean, summarizeFindResults } from '../utils/bulkResults.js'
+import { downloadXlsx } from '../utils/spreadsheet.js'
 
 function normalizeConfidence(raw, statusLike, validLike) {
   if (raw == null) {
@@ -73,7 +76,7 @@ export default function SearchPage() {
   const [formError, setFormError] = useState('')
   const { rows: accumulatedRows, appendRows } = useFindResults()
   const { user, isAuthenticated } = useAuth()
-  const { hasCredits } = useCredits(user, isAuthenticated)
+  const { hasCredits, useCredits: spendCredits, releaseCredits } = useCredits(user, isAuthenticated)
 
   const handleSuccessfulFind = async (res) => {
     const payload = res?.data
@@ -97,37 +100,20 @@ export default function SearchPage() {
     onSettled: () => setFormError(''),
   })
 
-  // Handle credit deduction after successful mutation
-  useEffect(() => {
-    if (findMutation.isSuccess && findMutation.data?.data && user?.id) {
-      const payload = findMutation.data.data
-      const rows = Array.isArray(payload) ? payload : (payload ? [payload] : [])
-      if (rows.length > 0) {
-        creditManager.useCredits(user.id, 'find', rows.length)
-      }
-    }
-  }, [findMutation.isSuccess, findMutation.data, user?.id])
-
   const parseNames = (value) => value.split(',').map(n => n.trim()).filter(Boolean)
 
   const onSubmit = async (e) => {
     e.preventDefault()
     setFormError('')
 
-    // Check if user has credits for finding emails
-    const creditCheck = await hasCredits('find', 1)
-    if (!creditCheck.hasCredits) {
-      setFormError('Insufficient credits for email finding. Please upgrade your plan.')
-      return
-    }
-
+    let request
     if (mode === 'Company') {
       if (!domainOrCompany.trim()) {
         setFormError('Please enter a company or domain.')
         return
       }
       const isDomain = /\./.test(domainOrCompany)
-      findMutation.mutate({ domain: isDomain ? domainOrCompany.trim() : undefined, company: !isDomain ? domainOrCompany.trim() : undefined, all: true })
+      request = { domain: isDomain ? domainOrCompany.trim() : undefined, company: !isDomain ? domainOrCompany.trim() : undefined, all: true }
     } else {
       if (!domain.trim()) {
         setFormError('Please enter a domain or company.')
@@ -138,8 +124,41 @@ export default function SearchPage() {
         setFormError('Names must be a non-empty list (comma-separated for multiple).')
         return
       }
-      findMutation.mutate({ domain: domain.trim(), names, role: mode })
+      request = { domain: domain.trim(), names, role: mode }
     }
+
+    if (!user?.id) {
+      setFormError('Please sign in to search for emails.')
+      return
+    }
+
+    // Each name is one lookup against the plan's daily and monthly quota
+    const limits = await checkApiLimits(user.id, request.names?.length || 1)
+    if (limits.success && !limits.canMakeRequest) {
+      setFormError(limits.message)
+      return
+    }
+
+    // Reserve a credit for the search; it is settled with the number of emails returned
+    const creditCheck = await hasCredits('find', 1)
+    if (!creditCheck.hasCredits) {
+      setFormError(creditCheck.reason === 'member_limit' ? MEMBER_LIMIT_MESSAGE : 'Insufficient credits for email finding. Please upgrade your plan.')
+      return
+    }
+
+    const usageDomain = request.domain || request.company
+    findMutation.mutate(request, {
+      onSuccess: (res) => {
+        const data = res?.data
+        const found = Array.isArray(data) ? data.length : (data ? 1 : 0)
+        spendCredits('find', found, creditCheck.reservationId)
+        recordUsageEvents(user.id, [{ operation: 'find', domain: usageDomain, status: found ? 'found' : 'not_found', hit: found > 0, credits: found }])
+      },
+      onError: () => {
+        releaseCredits(creditCheck.reservationId)
+        recordUsageEvents(user.id, [{ operation: 'find', domain: usageDomain, status: 'error', hit: false, credits: 0 }])
+      },
+    })
   }
 
   const payload = findMutation.data?.data
@@ -180,6 +199,26 @@ export default function SearchPage() {
     URL.revokeObjectURL(url)
   }
 
+  const exportXlsx = () => {
+    const forXlsx = tableRows.map(({ _confidence: score, ...r }) => ({
+      Name: r.name,
+      Email: r.email || '-',
+      catch_all: toBoolean(r.catch_all),
+      confidence: typeof score === 'number' ? score : '',
+      connections: Array.isArray(r.connections) ? r.connections.join(', ') : (r.connections ?? ''),
+      domain: r.domain ?? '',
+      mx: formatMx(r.mx),
+      status: r.status ?? '',
+      time_exec: r.time_exec ?? '',
+      user_name: r.user_name ?? '',
+      ver_ops: formatMx(r.ver_ops),
+    }))
+    downloadXlsx([
+      { name: 'Results', rows: forXlsx },
+      { name: 'Summary', rows: summarizeFindResults(tableRows) }
+    ], 'search-results.xlsx')
+  }
+
   return (
     <div className="space-y-6">
       <div className="text-[13px] text-center py-2 bg-accent/50 border border-border rounded-md">Start your 3 days trial today.</div>
@@ -273,7 +312,10 @@ export default function SearchPage() {
           <CardHeader>
             <div className="flex justify-between items-center">
               <CardTitle className="text-lg">Search Results</CardTitle>
-              <button onClick={exportCsv} className="px-3 py-2 rounded-md bg-primary text-primary-foreground hover:bg-primary/90 transition-colors">Export CSV</button>
+              <div className="flex gap-2">
+                <button onClick={exportCsv} className="px-3 py-2 rounded-md bg-primary text-primary-foreground hover:bg-primary/90 transition-colors">Export CSV</button>
+                <button onClick={exportXlsx} className="px-3 py-2 rounded-md bg-secondary text-secondary-foreground hover:bg-secondary/80 transition-colors">Export XLSX</button>
+              </div>
             </div>
           </CardHeader>
           <CardContent>
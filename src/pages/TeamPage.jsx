@@ -0,0 +1,486 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card.jsx'
+import { useAuth } from '../hooks/useAuth.js'
+import { getCreditAccount } from '../api/user.js'
+import {
+  getMyOrganization,
+  createOrganization,
+  deleteOrganization,
+  getOrganizationMembers,
+  updateOrganizationMember,
+  removeOrganizationMember,
+  getOrganizationInvites,
+  inviteOrganizationMember,
+  revokeOrganizationInvite,
+  getInvitesForEmail,
+  acceptOrganizationInvite,
+  getInviteLink
+} from '../api/organizations.js'
+
+const ROLE_COLORS = {
+  owner: 'text-purple-600 bg-purple-100',
+  admin: 'text-blue-600 bg-blue-100',
+  member: 'text-gray-600 bg-gray-100'
+}
+
+const buttonClass = 'px-3 py-1.5 rounded-md border border-border hover:bg-accent hover:text-accent-foreground disabled:opacity-60 transition-colors'
+const inputClass = 'border border-border rounded-md px-3 py-1.5 text-sm bg-background'
+
+/**
+ * One member with their credit budget per cycle; owners change roles and budgets, admins change the
+ * budgets of members
+ */
+function MemberRow({ member, myRole, isMe, onChange, onRemove }) {
+  const [limit, setLimit] = useState(member.credit_limit ?? '')
+  const [saving, setSaving] = useState(false)
+
+  const canEdit = member.role !== 'owner' && (myRole === 'owner' || (myRole === 'admin' && member.role === 'member'))
+  const canChangeRole = member.role !== 'owner' && myRole === 'owner'
+  const limitChanged = String(limit) !== String(member.credit_limit ?? '')
+
+  const save = async (changes) => {
+    setSaving(true)
+    try {
+      await onChange(member, changes)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <tr className="border-b border-border">
+      <td className="p-3 text-foreground">
+        <div className="font-medium">{member.full_name || member.email}{isMe && ' (you)'}</div>
+        {member.full_name && <div className="text-xs text-muted-foreground">{member.email}</div>}
+      </td>
+      <td className="p-3">
+        {canChangeRole ? (
+          <select
+            value={member.role}
+            onChange={(e) => save({ role: e.target.value })}
+            disabled={saving}
+            className={inputClass}
+          >
+            <option value="admin">admin</option>
+            <option value="member">member</option>
+          </select>
+        ) : (
+          <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${ROLE_COLORS[member.role]}`}>
+            {member.role}
+          </span>
+        )}
+      </td>
+      <td className="p-3 text-foreground">
+        {canEdit ? (
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="0"
+              value={limit}
+              onChange={(e) => setLimit(e.target.value)}
+              placeholder="No budget"
+              className={`${inputClass} w-28`}
+            />
+            {limitChanged && (
+              <button onClick={() => save({ creditLimit: limit === '' ? null : Math.max(0, parseInt(limit, 10) || 0) })} disabled={saving} className={buttonClass}>
+                Save
+              </button>
+            )}
+          </div>
+        ) : (
+          member.credit_limit == null ? 'No budget' : member.credit_limit.toLocaleString()
+        )}
+      </td>
+      <td className="p-3">
+        {member.role !== 'owner' && (isMe || canEdit) && (
+          <button onClick={() => onRemove(member)} disabled={saving} className={buttonClass}>
+            {isMe ? 'Leave team' : 'Remove'}
+          </button>
+        )}
+      </td>
+    </tr>
+  )
+}
+
+/**
+ * Finds, verifications and credits each member used this cycle, against their budget
+ */
+function TeamUsage({ members, cycleStart }) {
+  const totalUsed = members.reduce((sum, member) => sum + member.credits_used, 0)
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="text-lg">Team Usage</CardTitle>
+        <p className="text-sm text-muted-foreground">
+          {cycleStart ? `Since ${new Date(cycleStart).toLocaleDateString()}, the start of the team's credit cycle. ` : ''}
+          {totalUsed.toLocaleString()} credits used in total.
+        </p>
+      </CardHeader>
+      <CardContent className="p-0">
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm border-collapse">
+            <thead>
+              <tr className="bg-muted/50 border-b border-border">
+                <th className="text-left p-3 text-foreground font-medium">Member</th>
+                <th className="text-right p-3 text-foreground font-medium">Finds</th>
+                <th className="text-right p-3 text-foreground font-medium">Verifies</th>
+                <th className="text-right p-3 text-foreground font-medium">Credits used</th>
+                <th className="text-right p-3 text-foreground font-medium">Budget left</th>
+              </tr>
+            </thead>
+            <tbody>
+              {members.map(member => (
+                <tr key={member.id} className="border-b border-border">
+                  <td className="p-3 text-foreground">{member.full_name || member.email}</td>
+                  <td className="p-3 text-right text-foreground">{member.finds.toLocaleString()}</td>
+                  <td className="p-3 text-right text-foreground">{member.verifies.toLocaleString()}</td>
+                  <td className="p-3 text-right text-foreground">{member.credits_used.toLocaleString()}</td>
+                  <td className="p-3 text-right text-foreground">
+                    {member.credit_limit == null
+                      ? '-'
+                      : `${Math.max(0, member.credit_limit - member.credits_used).toLocaleString()} of ${member.credit_limit.toLocaleString()}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+function InviteForm({ organizationId, myRole, onInvited }) {
+  const [email, setEmail] = useState('')
+  const [role, setRole] = useState('member')
+  const [sending, setSending] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSending(true)
+    setMessage(null)
+    try {
+      const invite = await inviteOrganizationMember(organizationId, email, role)
+      setMessage({ type: 'success', text: `Invite created. Send ${invite.email} this link: ${getInviteLink(invite)}` })
+      setEmail('')
+      onInvited()
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message })
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-2">
+      <div className="flex flex-col sm:flex-row gap-2">
+        <input
+          type="email"
+          required
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Teammate's email"
+          className={`${inputClass} flex-1`}
+        />
+        {myRole === 'owner' && (
+          <select value={role} onChange={(e) => setRole(e.target.value)} className={inputClass}>
+            <option value="member">Member</option>
+            <option value="admin">Admin</option>
+          </select>
+        )}
+        <button type="submit" disabled={sending} className="px-4 py-1.5 rounded-md bg-primary text-primary-foreground hover:bg-primary/90 disabled:opacity-60 transition-colors">
+          {sending ? 'Inviting...' : 'Invite'}
+        </button>
+      </div>
+      {message && (
+        <p className={`text-sm break-all ${message.type === 'success' ? 'text-green-600' : 'text-destructive'}`}>{message.text}</p>
+      )}
+    </form>
+  )
+}
+
+/**
+ * Invites for the signed-in user (and the one in the link they opened), plus creating a team
+ */
+function NoTeam({ invites, linkToken, onJoined }) {
+  const [name, setName] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+  const linkInvite = linkToken && !invites.some(invite => invite.token === linkToken)
+
+  const run = async (action) => {
+    setBusy(true)
+    setError(null)
+    try {
+      await action()
+      onJoined()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const handleCreate = (e) => {
+    e.preventDefault()
+    run(() => createOrganization(name))
+  }
+
+  return (
+    <div className="space-y-6">
+      {(invites.length > 0 || linkInvite) && (
+        <div className="space-y-2">
+          <h3 className="font-medium text-foreground">Invitations</h3>
+          {invites.map(invite => (
+            <div key={invite.id} className="flex items-center justify-between border border-border rounded-md px-4 py-2">
+              <div className="text-sm text-foreground">
+                Join <span className="font-medium">{invite.organization?.name || 'a team'}</span> as {invite.role}
+              </div>
+              <button onClick={() => run(() => acceptOrganizationInvite(invite.token))} disabled={busy} className={buttonClass}>
+                Accept
+              </button>
+            </div>
+          ))}
+          {linkInvite && (
+            <div className="flex items-center justify-between border border-border rounded-md px-4 py-2">
+              <div className="text-sm text-foreground">You opened a team invite link.</div>
+              <button onClick={() => run(() => acceptOrganizationInvite(linkToken))} disabled={busy} className={buttonClass}>
+                Accept
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-2">
+        <h3 className="font-medium text-foreground">Create a team</h3>
+        <p className="text-sm text-muted-foreground">
+          Your teammates will spend your credits, at your plan's pricing. You can give each of them a credit budget per billing cycle.
+        </p>
+        <div className="flex gap-2">
+          <input
+            type="text"
+            required
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Team name"
+            className={`${inputClass} flex-1`}
+          />
+          <button type="submit" disabled={busy} className="px-4 py-1.5 rounded-md bg-primary text-primary-foreground hover:bg-primary/90 disabled:opacity-60 transition-colors">
+            Create Team
+          </button>
+        </div>
+      </form>
+
+      {error && <p className="text-destructive text-sm">{error}</p>}
+    </div>
+  )
+}
+
+export default function TeamPage() {
+  const { user } = useAuth()
+  const [searchParams] = useSearchParams()
+  const [membership, setMembership] = useState(null)
+  const [members, setMembers] = useState([])
+  const [invites, setInvites] = useState([])
+  const [myInvites, setMyInvites] = useState([])
+  const [seats, setSeats] = useState(null)
+  const [cycleStart, setCycleStart] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const linkToken = searchParams.get('invite')
+
+  const loadTeam = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const [mine, account] = await Promise.all([
+        getMyOrganization(user.id),
+        getCreditAccount(user.id)
+      ])
+      setMembership(mine)
+      setSeats(account?.team_seats ?? null)
+      setCycleStart(account?.cycle_start ?? null)
+
+      if (mine) {
+        const canManage = mine.role !== 'member'
+        const [memberList, inviteList] = await Promise.all([
+          getOrganizationMembers(mine.organization_id),
+          canManage ? getOrganizationInvites(mine.organization_id) : []
+        ])
+        setMembers(memberList)
+        setInvites(inviteList)
+        setMyInvites([])
+      } else {
+        setMembers([])
+        setInvites([])
+        setMyInvites(await getInvitesForEmail(user.email))
+      }
+    } catch (err) {
+      console.error('Error loading team:', err)
+      setError('Failed to load your team')
+    } finally {
+      setLoading(false)
+    }
+  }, [user?.id, user?.email])
+
+  useEffect(() => {
+    if (user?.id) loadTeam()
+  }, [user?.id, loadTeam])
+
+  const handleMemberChange = async (member, changes) => {
+    try {
+      await updateOrganizationMember(member.id, {
+        // Admins can only change limits
+        role: changes.role ?? (membership.role === 'owner' ? member.role : null),
+        creditLimit: 'creditLimit' in changes ? changes.creditLimit : member.credit_limit
+      })
+      await loadTeam()
+    } catch (err) {
+      alert(`Could not update member: ${err.message}`)
+    }
+  }
+
+  const handleRemove = async (member) => {
+    const leaving = member.user_id === user.id
+    if (!confirm(leaving ? 'Leave this team? You will spend your own credits again.' : `Remove ${member.email} from the team?`)) return
+    try {
+      await removeOrganizationMember(member.id)
+      await loadTeam()
+    } catch (err) {
+      alert(`Could not remove member: ${err.message}`)
+    }
+  }
+
+  const handleRevoke = async (invite) => {
+    try {
+      await revokeOrganizationInvite(invite.id)
+      await loadTeam()
+    } catch (err) {
+      alert(`Could not revoke invite: ${err.message}`)
+    }
+  }
+
+  const handleDelete = async () => {
+    if (!confirm(`Delete ${membership.organization.name}? Members will go back to their own credits.`)) return
+    try {
+      await deleteOrganization(membership.organization_id)
+      await loadTeam()
+    } catch (err) {
+      alert(`Could not delete team: ${err.message}`)
+    }
+  }
+
+  const myRole = membership?.role
+  const canManage = myRole === 'owner' || myRole === 'admin'
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="text-2xl">{membership ? membership.organization.name : 'Team'}</CardTitle>
+          <p className="text-sm text-muted-foreground">
+            {membership
+              ? 'Everyone on the team spends the owner\'s credits. Credits you buy yourself stay on your own account and are used again if you leave.'
+              : 'Share one credit balance with your teammates.'}
+          </p>
+        </CardHeader>
+        <CardContent>
+          {loading && <div className="text-sm text-muted-foreground">Loading team...</div>}
+          {error && (
+            <div className="text-center">
+              <p className="text-destructive text-sm">{error}</p>
+              <button onClick={loadTeam} className={`mt-2 ${buttonClass}`}>Retry</button>
+            </div>
+          )}
+          {!loading && !error && !membership && (
+            <NoTeam invites={myInvites} linkToken={linkToken} onJoined={loadTeam} />
+          )}
+        </CardContent>
+      </Card>
+
+      {!loading && !error && membership && (
+        <>
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg">Members</CardTitle>
+              {seats != null && (
+                <p className="text-sm text-muted-foreground">
+                  {members.length + invites.length} of {seats} seats used, pending invites included
+                </p>
+              )}
+              {canManage && (
+                <p className="text-sm text-muted-foreground">
+                  A budget caps the credits a member can spend from the team balance each billing cycle of the owner's plan
+                  (each calendar month without a subscription). Leave it blank for no budget.
+                </p>
+              )}
+            </CardHeader>
+            <CardContent className="p-0">
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm border-collapse">
+                  <thead>
+                    <tr className="bg-muted/50 border-b border-border">
+                      <th className="text-left p-3 text-foreground font-medium">Member</th>
+                      <th className="text-left p-3 text-foreground font-medium">Role</th>
+                      <th className="text-left p-3 text-foreground font-medium">Credit budget per cycle</th>
+                      <th className="text-left p-3 text-foreground font-medium"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {members.map(member => (
+                      <MemberRow
+                        key={`${member.id}:${member.credit_limit}:${member.role}`}
+                        member={member}
+                        myRole={myRole}
+                        isMe={member.user_id === user.id}
+                        onChange={handleMemberChange}
+                        onRemove={handleRemove}
+                      />
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </CardContent>
+          </Card>
+
+          <TeamUsage members={members} cycleStart={cycleStart} />
+
+          {canManage && (
+            <Card>
+              <CardHeader>
+                <CardTitle className="text-lg">Invite Teammates</CardTitle>
+                <p className="text-sm text-muted-foreground">
+                  Invites are valid for 7 days. Your teammate signs in with the invited email and opens the link to join.
+                </p>
+              </CardHeader>
+              <CardContent className="space-y-4">
+                <InviteForm organizationId={membership.organization_id} myRole={myRole} onInvited={loadTeam} />
+                {invites.map(invite => (
+                  <div key={invite.id} className="flex items-center justify-between border border-border rounded-md px-4 py-2 gap-3">
+                    <div className="text-sm min-w-0">
+                      <div className="text-foreground">{invite.email} · {invite.role}</div>
+                      <div className="text-xs text-muted-foreground break-all">{getInviteLink(invite)}</div>
+                    </div>
+                    <button onClick={() => handleRevoke(invite)} className={buttonClass}>Revoke</button>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          )}
+
+          {myRole === 'owner' && (
+            <div className="text-right">
+              <button onClick={handleDelete} className="px-3 py-1.5 rounded-md border border-red-200 text-red-600 hover:bg-red-50 transition-colors">
+                Delete Team
+              </button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
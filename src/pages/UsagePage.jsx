@@ -0,0 +1,254 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '../components/ui/card.jsx'
+import { useAuth } from '../hooks/useAuth.js'
+import { getUsageStats } from '../api/emails.js'
+
+const TIMEFRAMES = [
+  { value: '7d', label: '7 days' },
+  { value: '30d', label: '30 days' },
+  { value: '90d', label: '90 days' }
+]
+
+const toggleClass = (active) => `px-3 py-1.5 text-sm rounded-md border transition-colors ${
+  active ? 'bg-primary text-primary-foreground border-primary' : 'border-border hover:bg-accent hover:text-accent-foreground'
+}`
+
+function formatPeriod(row, granularity) {
+  const date = new Date(`${granularity === 'week' ? row.week : row.date}T00:00:00Z`)
+  const label = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' })
+  return granularity === 'week' ? `Week of ${label}` : label
+}
+
+function StatCard({ label, value, hint }) {
+  return (
+    <div className="p-4 rounded-lg border border-border bg-card">
+      <div className="text-sm text-muted-foreground">{label}</div>
+      <div className="text-2xl font-semibold text-foreground mt-1">{value}</div>
+      {hint && <div className="text-xs text-muted-foreground mt-1">{hint}</div>}
+    </div>
+  )
+}
+
+/**
+ * Vertical bar chart with one bar group per period
+ */
+function BarChart({ rows, series, granularity }) {
+  const max = Math.max(1, ...rows.flatMap(row => series.map(s => row[s.key])))
+
+  return (
+    <div>
+      <div className="flex items-end gap-1 h-40">
+        {rows.map(row => (
+          <div key={row.week || row.date} className="flex-1 flex items-end justify-center gap-px h-full" title={formatPeriod(row, granularity)}>
+            {series.map(s => (
+              <div
+                key={s.key}
+                className={`flex-1 rounded-t ${s.color}`}
+                style={{ height: `${(row[s.key] / max) * 100}%` }}
+                title={`${formatPeriod(row, granularity)} · ${s.label}: ${row[s.key].toLocaleString()}`}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-muted-foreground mt-2">
+        <span>{rows.length ? formatPeriod(rows[0], granularity) : ''}</span>
+        <span>{rows.length ? formatPeriod(rows[rows.length - 1], granularity) : ''}</span>
+      </div>
+      <div className="flex gap-4 text-xs text-muted-foreground mt-2">
+        {series.map(s => (
+          <span key={s.key} className="inline-flex items-center gap-1">
+            <span className={`w-3 h-3 rounded-sm ${s.color}`} />
+            {s.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+function HitRateRow({ row, granularity }) {
+  const finds = row.finds ? Math.round((row.findHits / row.finds) * 100) : null
+  const verifies = row.verifications ? Math.round((row.verifyHits / row.verifications) * 100) : null
+
+  return (
+    <tr className="border-b border-border">
+      <td className="p-3 text-foreground">{formatPeriod(row, granularity)}</td>
+      <td className="p-3 text-foreground">{row.finds.toLocaleString()}</td>
+      <td className="p-3 text-foreground">{finds == null ? '-' : `${finds}%`}</td>
+      <td className="p-3 text-foreground">{row.verifications.toLocaleString()}</td>
+      <td className="p-3 text-foreground">{verifies == null ? '-' : `${verifies}%`}</td>
+      <td className="p-3 text-foreground">{(row.creditsFind + row.creditsVerify).toLocaleString()}</td>
+    </tr>
+  )
+}
+
+export default function UsagePage() {
+  const { user } = useAuth()
+  const [timeframe, setTimeframe] = useState('30d')
+  const [granularity, setGranularity] = useState('day')
+  const [stats, setStats] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const loadStats = useCallback(async () => {
+    setLoading(true)
+    setError(null)
+    const result = await getUsageStats(user.id, timeframe)
+    if (result.success) {
+      setStats(result.stats)
+    } else {
+      setError('Failed to load usage statistics')
+    }
+    setLoading(false)
+  }, [user?.id, timeframe])
+
+  useEffect(() => {
+    if (user?.id) loadStats()
+  }, [user?.id, loadStats])
+
+  const rows = stats ? (granularity === 'week' ? stats.weeklyUsage : stats.dailyUsage) : []
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3">
+            <div>
+              <CardTitle className="text-2xl">Usage</CardTitle>
+              <p className="text-sm text-muted-foreground">Finds, verifications and credits from the single tools and your bulk lists.</p>
+            </div>
+            <div className="flex gap-2">
+              {TIMEFRAMES.map(t => (
+                <button key={t.value} onClick={() => setTimeframe(t.value)} className={toggleClass(timeframe === t.value)}>{t.label}</button>
+              ))}
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {error && (
+            <div className="p-4 text-center">
+              <p className="text-destructive text-sm">{error}</p>
+              <button onClick={loadStats} className="mt-2 px-3 py-2 rounded-md border border-border hover:bg-accent hover:text-accent-foreground transition-colors">Retry</button>
+            </div>
+          )}
+          {loading && !stats && <div className="p-4 text-center text-sm text-muted-foreground">Loading usage...</div>}
+          {stats && (
+            <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+              <StatCard label="Finds" value={stats.totalFinds.toLocaleString()} hint={`${stats.findHitRate}% found an email`} />
+              <StatCard label="Verifications" value={stats.totalVerifications.toLocaleString()} hint={`${stats.verifyHitRate}% valid`} />
+              <StatCard label="Hit rate" value={`${stats.successRate}%`} hint="Across finds and verifications" />
+              <StatCard
+                label="Credits spent"
+                value={stats.creditsUsed.total.toLocaleString()}
+                hint={`${stats.creditsUsed.find.toLocaleString()} find · ${stats.creditsUsed.verify.toLocaleString()} verify`}
+              />
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {stats && (
+        <>
+          <Card>
+            <CardHeader>
+              <div className="flex items-center justify-between gap-3">
+                <CardTitle className="text-lg">Activity</CardTitle>
+                <div className="flex gap-2">
+                  <button onClick={() => setGranularity('day')} className={toggleClass(granularity === 'day')}>Daily</button>
+                  <button onClick={() => setGranularity('week')} className={toggleClass(granularity === 'week')}>Weekly</button>
+                </div>
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-8">
+              <div>
+                <div className="text-sm font-medium text-foreground mb-3">Lookups</div>
+                <BarChart
+                  rows={rows}
+                  granularity={granularity}
+                  series={[
+                    { key: 'finds', label: 'Finds', color: 'bg-blue-500' },
+                    { key: 'verifications', label: 'Verifications', color: 'bg-green-500' }
+                  ]}
+                />
+              </div>
+              <div>
+                <div className="text-sm font-medium text-foreground mb-3">Credits spent</div>
+                <BarChart
+                  rows={rows}
+                  granularity={granularity}
+                  series={[
+                    { key: 'creditsFind', label: 'Find credits', color: 'bg-indigo-500' },
+                    { key: 'creditsVerify', label: 'Verify credits', color: 'bg-teal-500' }
+                  ]}
+                />
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg">Hit rate by {granularity === 'week' ? 'week' : 'day'}</CardTitle>
+            </CardHeader>
+            <CardContent className="p-0">
+              <div className="overflow-x-auto max-h-96">
+                <table className="min-w-full text-sm border-collapse">
+                  <thead>
+                    <tr className="bg-muted/50 border-b border-border">
+                      <th className="text-left p-3 text-foreground font-medium">Period</th>
+                      <th className="text-left p-3 text-foreground font-medium">Finds</th>
+                      <th className="text-left p-3 text-foreground font-medium">Found</th>
+                      <th className="text-left p-3 text-foreground font-medium">Verifications</th>
+                      <th className="text-left p-3 text-foreground font-medium">Valid</th>
+                      <th className="text-left p-3 text-foreground font-medium">Credits</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...rows].reverse().map(row => (
+                      <HitRateRow key={row.week || row.date} row={row} granularity={granularity} />
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </CardContent>
+          </Card>
+
+          <Card>
+            <CardHeader>
+              <CardTitle className="text-lg">Top domains</CardTitle>
+            </CardHeader>
+            <CardContent className="p-0">
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm border-collapse">
+                  <thead>
+                    <tr className="bg-muted/50 border-b border-border">
+                      <th className="text-left p-3 text-foreground font-medium">Domain</th>
+                      <th className="text-left p-3 text-foreground font-medium">Lookups</th>
+                      <th className="text-left p-3 text-foreground font-medium">Hits</th>
+                      <th className="text-left p-3 text-foreground font-medium">Hit rate</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {stats.topDomains.map(d => (
+                      <tr key={d.domain} className="border-b border-border">
+                        <td className="p-3 text-foreground font-medium">{d.domain}</td>
+                        <td className="p-3 text-foreground">{d.lookups.toLocaleString()}</td>
+                        <td className="p-3 text-foreground">{d.hits.toLocaleString()}</td>
+                        <td className="p-3 text-foreground">{d.hitRate}%</td>
+                      </tr>
+                    ))}
+                    {stats.topDomains.length === 0 && (
+                      <tr>
+                        <td className="p-3 text-muted-foreground text-center" colSpan={4}>No lookups in this period yet.</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </CardContent>
+          </Card>
+        </>
+      )}
+    </div>
+  )
+}
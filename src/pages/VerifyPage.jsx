@@ -1,115 +1,135 @@
-import { useState, useEffect } from 'react'
+import { useState, useMemo } from 'react'
 import { useMutation } from '@tanstack/react-query'
 import { verifyEmail } from '../services/api.js'
-import Papa from 'papaparse'
-import * as XLSX from 'xlsx'
+import { recordUsageEvents, checkApiLimits } from '../api/emails.js'
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card.jsx'
 import { useCredits } from '../services/creditManager.jsx'
-import creditManager from '../services/creditUtils.js'
+import { MEMBER_LIMIT_MESSAGE } from '../services/creditUtils.js'
 import { useAuth } from '../hooks/useAuth.js'
-
-// function normalizeVerifyStatus(payload) {
-//   if (!payload) return '-'
-//   if (typeof payload === 'string') return payload
-//   if (typeof payload.status === 'string' && payload.status) return payload.status
-//   if (typeof payload.result === 'string' && payload.result) return payload.result
-//   if (typeof payload.verdict === 'string' && payload.verdict) return payload.verdict
-//   if (typeof payload.valid === 'boolean') return payload.valid ? 'valid' : 'invalid'
-//   if (typeof payload.is_valid === 'boolean') return payload.is_valid ? 'valid' : 'invalid'
-//   return '-'
-// }
-
-function normalizeVerifyStatus(payload) {
-  if (!payload) return '-'
-  if (typeof payload === 'string') return payload
-  if (typeof payload.status === 'string' && payload.status) return payload.status
-  if (typeof payload.result === 'string' && payload.result) return payload.result
-  if (typeof payload.verdict === 'string' && payload.verdict) return payload.verdict
-  if (typeof payload.valid === 'boolean') return payload.valid ? 'valid' : 'invalid'
-  if (payload.valid && typeof payload.valid.status === 'string') return payload.valid.status
-  if (typeof payload.is_valid === 'boolean') return payload.is_valid ? 'valid' : 'invalid'
-  return '-'
-}
-
+import { useBulkJob } from '../hooks/useBulkJob.js'
+import { normalizeVerifyStatus, flattenVerifyItems, toVerifyCsvRows, summarizeVerifyResults, downloadCsv } from '../utils/bulkResults.js'
+import { downloadXlsx } from '../utils/spreadsheet.js'
+import { useSpreadsheetUpload } from '../hooks/useSpreadsheetUpload.js'
+import ColumnMappingWizard from '../components/ColumnMappingWizard.jsx'
+import BulkIssuesPanel from '../components/BulkIssuesPanel.jsx'
+import BulkRunConfirmation from '../components/BulkRunConfirmation.jsx'
+import BulkJobControls from '../components/BulkJobControls.jsx'
+import { validateVerifyRows } from '../utils/bulkValidation.js'
 
 export default function VerifyPage() {
   const [email, setEmail] = useState('')
   const [bulkRows, setBulkRows] = useState([])
-  const [bulkResults, setBulkResults] = useState([])
+  const [listName, setListName] = useState('')
+  const [sourceColumns, setSourceColumns] = useState([])
+  const [confirming, setConfirming] = useState(false)
+  const [quota, setQuota] = useState(null)
   const { user, isAuthenticated } = useAuth()
-  const { hasCredits } = useCredits(user, isAuthenticated)
+  const { hasCredits, useCredits: spendCredits, releaseCredits, find, verify, plan, creditLimitRemaining, loading: creditsLoading, refetch: refetchCredits } = useCredits(user, isAuthenticated)
+  const { job, items, isRunning, isPaused, progress, submitJob, pauseJob, resumeJob, cancelJob, failedCount, retryFailed } = useBulkJob(user, 'verify')
+  const { upload, handleFile, selectSheet, confirmMapping, cancelUpload } = useSpreadsheetUpload('verify', (mapped) => {
+    setBulkRows(mapped.rows)
+    setListName(mapped.listName)
+    setSourceColumns(mapped.columns)
+  })
 
   const verifyMutation = useMutation({ 
     mutationFn: (payload) => verifyEmail(payload)
   })
 
-  // Handle credit deduction after successful verification
-  useEffect(() => {
-    if (verifyMutation.isSuccess && verifyMutation.data?.data && user?.id) {
-      creditManager.useCredits(user.id, 'verify', 1)
-    }
-  }, [verifyMutation.isSuccess, verifyMutation.data, user?.id])
-
   const onVerify = async (e) => {
     e.preventDefault()
     if (!email) return
+    if (!user?.id) {
+      alert('Please sign in to verify emails.')
+      return
+    }
     
-    // Check if user has credits for email verification
+    const limits = await checkApiLimits(user.id, 1)
+    if (limits.success && !limits.canMakeRequest) {
+      alert(limits.message)
+      return
+    }
+
+    // Reserve the credit; it is only spent when the verification returns a result
     const creditCheck = await hasCredits('verify', 1)
     if (!creditCheck.hasCredits) {
-      alert('Insufficient credits for email verification. Please upgrade your plan.')
+      alert(creditCheck.reason === 'member_limit' ? MEMBER_LIMIT_MESSAGE : 'Insufficient credits for email verification. Please upgrade your plan.')
       return
     }
     
-    verifyMutation.mutate({ email })
+    const domain = email.split('@')[1]?.toLowerCase() || null
+    verifyMutation.mutate({ email }, {
+      onSuccess: (res) => {
+        const verdict = normalizeVerifyStatus(res?.data)
+        const status = verdict === '-' ? 'unknown' : verdict
+        spendCredits('verify', res?.data ? 1 : 0, creditCheck.reservationId)
+        recordUsageEvents(user.id, [{ operation: 'verify', domain, status, hit: status === 'valid', credits: res?.data ? 1 : 0 }])
+      },
+      onError: () => {
+        releaseCredits(creditCheck.reservationId)
+        recordUsageEvents(user.id, [{ operation: 'verify', domain, status: 'error', hit: false, credits: 0 }])
+      }
+    })
+  }
+
+  const validation = useMemo(() => validateVerifyRows(bulkRows), [bulkRows])
+  const inputs = useMemo(() => validation.filter(e => e.sendable).map(e => e.row), [validation])
+
+  const updateBulkRow = (index, key, value) => {
+    setBulkRows(prev => prev.map((x, idx) => idx === index ? { ...x, [key]: value } : x))
   }
 
-  const handleFile = async (file) => {
-    const ext = file.name.split('.').pop()?.toLowerCase()
-    const text = ext === 'csv' ? await file.text() : null
-    if (ext === 'csv') {
-      const parsed = Papa.parse(text, { header: true })
-      setBulkRows(parsed.data.filter(Boolean))
-    } else if (ext === 'xlsx' || ext === 'xls') {
-      const arrayBuffer = await file.arrayBuffer()
-      const workbook = XLSX.read(arrayBuffer, { type: 'array' })
-      const sheetName = workbook.SheetNames[0]
-      const sheet = workbook.Sheets[sheetName]
-      const json = XLSX.utils.sheet_to_json(sheet)
-      setBulkRows(json)
+  const removeInvalidRows = () => {
+    const keep = new Set(validation.filter(e => !e.excluded && e.issues.every(i => i.severity !== 'error')).map(e => e.index))
+    setBulkRows(prev => prev.filter((_, idx) => keep.has(idx)))
+  }
+
+  const reviewBulkVerify = async () => {
+    setQuota(null)
+    setConfirming(true)
+    // Signed-out users have no quota to check; the balance check shows the credit message
+    const [, limits] = await Promise.all([refetchCredits(), user?.id ? checkApiLimits(user.id) : { success: false }])
+    setQuota(limits)
+  }
+
+  const onBulkVerify = async (rowLimit) => {
+    setConfirming(false)
+    if (!inputs.length) return
+
+    try {
+      await submitJob(inputs.slice(0, rowLimit), {
+        name: listName || `Bulk verify ${new Date().toLocaleString()}`,
+        metadata: { columns: sourceColumns }
+      })
+    } catch (e) {
+      alert(`Could not start bulk verification: ${e.message}`)
     }
   }
 
-  const onBulkVerify = async () => {
-    const emails = bulkRows.map((r) => r.email || r.Email || r.EMail || r.eMail).filter(Boolean)
-    if (!emails.length) return
-
-    setBulkResults([])
-    for (const e of emails) {
-      try {
-        const resp = await verifyEmail({ email: e })
-        const data = resp.data || {}
-        const status = normalizeVerifyStatus(data)
-        setBulkResults(prev => [...prev, { email: e, status, _raw: data }])
-      } catch {
-        setBulkResults(prev => [...prev, { email: e, status: 'error' }])
-      }
+  const retryFailedRows = async () => {
+    try {
+      await retryFailed()
+    } catch (e) {
+      alert(`Could not retry failed rows: ${e.message}`)
     }
   }
 
+  const bulkResults = flattenVerifyItems(items)
+
   const single = verifyMutation.data?.data
   const singleStatus = normalizeVerifyStatus(single)
 
   const exportBulkCsv = () => {
     if (!bulkResults.length) return
-    const csv = Papa.unparse(bulkResults.map(r => ({ Email: r.email, Status: r.status })))
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = 'verify-results.csv'
-    a.click()
-    URL.revokeObjectURL(url)
+    downloadCsv(toVerifyCsvRows(bulkResults, job?.metadata?.columns), 'verify-results.csv')
+  }
+
+  const exportBulkXlsx = () => {
+    if (!bulkResults.length) return
+    downloadXlsx([
+      { name: 'Results', rows: toVerifyCsvRows(bulkResults, job?.metadata?.columns) },
+      { name: 'Summary', rows: summarizeVerifyResults(bulkResults) }
+    ], 'verify-results.xlsx')
   }
 
   return (
@@ -150,12 +170,60 @@ export default function VerifyPage() {
         </CardHeader>
         <CardContent>
           <div className="space-y-3">
-            <input type="file" accept=".csv,.xlsx,.xls" onChange={(e)=> e.target.files?.[0] && handleFile(e.target.files[0])} className="block w-full text-sm text-foreground file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-primary file:text-primary-foreground hover:file:bg-primary/90" />
+            <input type="file" accept=".csv,.xlsx,.xls" onChange={(e)=> { const file = e.target.files?.[0]; e.target.value = ''; if (file) handleFile(file) }} className="block w-full text-sm text-foreground file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-semibold file:bg-primary file:text-primary-foreground hover:file:bg-primary/90" />
+            {upload && (
+              <ColumnMappingWizard
+                key={`${upload.fileName}:${upload.sheetName}`}
+                fileName={upload.fileName}
+                headers={upload.headers}
+                rows={upload.rows}
+                tool="verify"
+                initialMapping={upload.mapping}
+                fromSaved={upload.fromSaved}
+                sheetNames={upload.workbook.sheetNames}
+                sheetName={upload.sheetName}
+                onSheetChange={selectSheet}
+                onConfirm={confirmMapping}
+                onCancel={cancelUpload}
+              />
+            )}
             <div className="flex flex-col sm:flex-row gap-2 items-start sm:items-center">
-              <button onClick={onBulkVerify} className="bg-primary text-primary-foreground hover:bg-primary/90 px-3 py-2 rounded-md transition-colors" disabled={!bulkRows.length}>Start Bulk Verify</button>
+              <button onClick={reviewBulkVerify} className="bg-primary text-primary-foreground hover:bg-primary/90 px-3 py-2 rounded-md disabled:opacity-60 transition-colors" disabled={!inputs.length || isRunning || isPaused || confirming}>{isRunning ? 'Verifying...' : 'Start Bulk Verify'}</button>
               <button onClick={exportBulkCsv} className="bg-secondary text-secondary-foreground hover:bg-secondary/80 px-3 py-2 rounded-md disabled:opacity-60 transition-colors" disabled={!bulkResults.length}>Export CSV</button>
-              <div className="text-sm text-muted-foreground">Rows loaded: {bulkRows.length}</div>
+              <button onClick={exportBulkXlsx} className="bg-secondary text-secondary-foreground hover:bg-secondary/80 px-3 py-2 rounded-md disabled:opacity-60 transition-colors" disabled={!bulkResults.length}>Export XLSX</button>
+              <div className="text-sm text-muted-foreground">Rows loaded: {bulkRows.length}, ready: {inputs.length}</div>
             </div>
+            {confirming && (
+              <BulkRunConfirmation
+                operation="verify"
+                validation={validation}
+                balance={{ find, verify, plan, creditLimitRemaining }}
+                quota={quota}
+                loading={creditsLoading || !quota}
+                onProceed={onBulkVerify}
+                onCancel={() => setConfirming(false)}
+              />
+            )}
+            <BulkIssuesPanel
+              entries={validation}
+              fields={[{ key: 'email', label: 'Email' }]}
+              onChange={updateBulkRow}
+              onToggleExclude={(index) => updateBulkRow(index, 'excluded', !bulkRows[index].excluded)}
+              onRemove={(index) => setBulkRows(prev => prev.filter((_, idx) => idx !== index))}
+              onRemoveFlagged={removeInvalidRows}
+            />
+            {isRunning && (
+              <div className="text-sm text-muted-foreground">
+                Verifying {job?.name ? <span className="font-medium text-foreground">{job.name}</span> : 'your list'} on our servers ({progress.done}/{progress.total}). You can close this tab and come back later.
+              </div>
+            )}
+            {isPaused && (
+              <div className="text-sm text-muted-foreground">
+                {job?.name ? <span className="font-medium text-foreground">{job.name}</span> : 'Your list'} is paused at {progress.done}/{progress.total}. Resume to continue with the remaining rows, or cancel the run.
+                {job?.error && <div className="mt-1 text-red-600">{job.error}</div>}
+              </div>
+            )}
+            <BulkJobControls isRunning={isRunning} isPaused={isPaused} onPause={pauseJob} onResume={resumeJob} onCancel={cancelJob} />
           </div>
         </CardContent>
       </Card>
@@ -163,7 +231,14 @@ export default function VerifyPage() {
       {!!bulkResults.length && (
         <Card>
           <CardHeader>
-            <CardTitle>Bulk Verification Results</CardTitle>
+            <div className="flex justify-between items-center">
+              <CardTitle>Bulk Verification Results</CardTitle>
+              {failedCount > 0 && (
+                <button onClick={retryFailedRows} disabled={isPaused} className="px-3 py-2 rounded-md border border-border hover:bg-accent hover:text-accent-foreground disabled:opacity-60 transition-colors">
+                  Retry {failedCount.toLocaleString()} failed {failedCount === 1 ? 'row' : 'rows'}
+                </button>
+              )}
+            </div>
           </CardHeader>
           <CardContent>
             <div className="overflow-x-auto">
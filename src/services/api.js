@@ -1,4 +1,5 @@
 import axios from 'axios'
+import { attachRetry } from '../utils/retry.js'
 
 const baseURL = import.meta.env.VITE_API_BASE || 'http://173.249.7.231:8500'
 
@@ -9,6 +10,11 @@ const api = axios.create({
   },
 })
 
+// find and verify are lookups, so transient failures are safe to retry
+attachRetry(api, {
+  retries: Number(import.meta.env.VITE_API_RETRIES ?? 3)
+})
+
 api.interceptors.response.use(
   (res) => res,
   (err) => {
@@ -1,5 +1,5 @@
 import { useState, useEffect, useCallback } from 'react'
-import creditManager from './creditUtils.js'
+import creditManager, { MEMBER_LIMIT_MESSAGE } from './creditUtils.js'
 
 /**
  * React hook for credit management
@@ -24,6 +24,9 @@ export function useCredits(user, isAuthenticated) {
       setCreditData({
         find: balance.find,
         verify: balance.verify,
+        plan: balance.plan,
+        pooled: balance.pooled,
+        creditLimitRemaining: balance.creditLimitRemaining,
         loading: false
       })
     } catch (error) {
@@ -36,19 +39,38 @@ export function useCredits(user, isAuthenticated) {
     fetchCredits()
   }, [fetchCredits])
 
+  const refetch = useCallback(async () => {
+    // Bulk jobs deduct credits server-side, so skip the cached balance
+    if (user?.id) creditManager.clearCache(user.id)
+    await fetchCredits()
+  }, [user?.id, fetchCredits])
+
   return {
     ...creditData,
+    checkCredits: async (operation, quantity = 1) => {
+      if (!user?.id) return { hasCredits: false, error: 'User not authenticated' }
+      return await creditManager.checkCredits(user.id, operation, quantity)
+    },
+    // Reserves the credits; settle with useCredits or give them back with releaseCredits
     hasCredits: async (operation, quantity = 1) => {
       if (!user?.id) return { hasCredits: false, error: 'User not authenticated' }
-      return await creditManager.hasCredits(user.id, operation, quantity)
+      const result = await creditManager.hasCredits(user.id, operation, quantity)
+      if (result.reservationId) await fetchCredits()
+      return result
     },
-    useCredits: async (operation, quantity = 1) => {
+    useCredits: async (operation, quantity = 1, reservationId = null) => {
       if (!user?.id) throw new Error('User not authenticated')
-      const result = await creditManager.useCredits(user.id, operation, quantity)
+      const result = await creditManager.useCredits(user.id, operation, quantity, reservationId)
       await fetchCredits() // Refresh credits after use
       return result
     },
-    refetch: fetchCredits
+    releaseCredits: async (reservationId) => {
+      if (!user?.id) return false
+      const result = await creditManager.releaseCredits(user.id, reservationId)
+      await fetchCredits()
+      return result
+    },
+    refetch
   }
 }
 
@@ -70,7 +92,7 @@ export function withCreditCheck(WrappedComponent, operation, quantity = 1) {
           return
         }
         
-        const result = await creditManager.hasCredits(user.id, operation, quantity)
+        const result = await creditManager.checkCredits(user.id, operation, quantity)
         setCreditCheck(result)
       } catch (error) {
         setCreditCheck({ hasCredits: false, error: error.message })
@@ -91,10 +113,12 @@ export function withCreditCheck(WrappedComponent, operation, quantity = 1) {
       return (
         <div className="text-center p-6 bg-yellow-50 border border-yellow-200 rounded-lg">
           <h3 className="text-lg font-semibold text-yellow-800 mb-2">
-            Insufficient Credits
+            {creditCheck?.reason === 'member_limit' ? 'Team Budget Reached' : 'Insufficient Credits'}
           </h3>
           <p className="text-yellow-700 mb-4">
-            You need {quantity} {operation.includes('find') ? 'finding' : 'verification'} credits to use this feature.
+            {creditCheck?.reason === 'member_limit'
+              ? MEMBER_LIMIT_MESSAGE
+              : `You need ${quantity} ${operation.includes('find') ? 'finding' : 'verification'} credits to use this feature.`}
           </p>
           <p className="text-sm text-yellow-600 mb-4">
             Available: {creditCheck?.availableCredits || 0} credits
@@ -1,4 +1,5 @@
-import { checkCredits, deductCredits } from '../api/user.js'
+import { getPlan, getCreditPricing } from '../constants/plans.js'
+import { getCreditAccount, getCreditBreakdown, deductCredits, reserveCredits, settleCreditReservation, releaseCreditReservation } from '../api/user.js'
 
 /**
  * Credit Manager class for handling credit operations
@@ -8,60 +9,135 @@ class CreditManager {
     this.cache = new Map()
     this.cacheExpiry = new Map()
     this.CACHE_DURATION = 5 * 60 * 1000 // 5 minutes
+    // Balance each operation spends on plans with separate balances; the cost per operation
+    // comes from the plan's credit pricing (see CREDIT_PRICING in constants/plans.js)
     this.operations = {
-      find: { credits: 1, type: 'find' },
-      verify: { credits: 1, type: 'verify' }
+      find: { type: 'find' },
+      verify: { type: 'verify' }
     }
   }
 
   /**
-   * Check if user has sufficient credits for an operation
+   * Check the balance without holding anything (for display and pre-run estimates).
+   * Team members are checked against both the team balance and what is left of their budget.
    * @param {string} userId - User ID
    * @param {string} operation - Operation type ('find' or 'verify')
    * @param {number} quantity - Number of credits needed
-   * @returns {Promise<boolean>} - Whether user has sufficient credits
+   * @returns {Promise<Object>} - { hasCredits, reason, availableCredits, creditsNeeded, creditType }
    */
-  async hasCredits(userId, operation, quantity = 1) {
+  async checkCredits(userId, operation, quantity = 1) {
     try {
-      const creditsNeeded = this.calculateCreditsNeeded(operation, quantity)
       const balance = await this.getCreditBalance(userId)
-      const creditType = this.getCreditType(operation)
-      
-      if (balance[creditType] >= creditsNeeded) {
-        return true
-      } else {
-        console.warn(`Insufficient ${creditType} credits. Need: ${creditsNeeded}, Have: ${balance[creditType]}`)
-        return false
+      const creditsNeeded = this.calculateCreditsNeeded(operation, quantity, balance.plan)
+      const creditType = this.getCreditType(operation, balance.plan)
+      const { availableCredits, limitedByBudget } = this.getSpendableCredits(balance, creditType)
+      const hasCredits = availableCredits >= creditsNeeded
+
+      if (!hasCredits) {
+        console.warn(`Insufficient ${creditType} credits. Need: ${creditsNeeded}, Have: ${availableCredits}`)
+      }
+      return {
+        hasCredits,
+        reason: hasCredits ? null : this.getShortfallReason(limitedByBudget),
+        availableCredits,
+        creditsNeeded,
+        creditType
       }
     } catch (error) {
       console.error('Error checking credits:', error)
-      return false
+      return { hasCredits: false, availableCredits: 0, creditsNeeded: quantity, error: error.message }
+    }
+  }
+
+  /**
+   * Reserve the credits for an operation. The hold is taken atomically server-side, so two tabs
+   * can't both spend the same balance. Pass reservationId to useCredits once the operation
+   * succeeded, or to releaseCredits if it failed; unsettled holds expire after 15 minutes.
+   * Credits are taken from the bucket that expires first, so subscription credits are spent
+   * before pack credits (see getCreditBreakdown).
+   * Team members hold from the team balance, up to what is left of their budget this cycle; when
+   * the hold is refused, reason says which of the two ran short.
+   * @param {string} userId - User ID
+   * @param {string} operation - Operation type ('find' or 'verify')
+   * @param {number} quantity - Number of credits needed
+   * @param {Object} [options] - { sourcePage } recorded in the credit ledger (defaults to the current path)
+   * @returns {Promise<Object>} - { hasCredits, reason, reservationId, availableCredits, creditsNeeded, creditType }
+   */
+  async hasCredits(userId, operation, quantity = 1, { sourcePage = this.getSourcePage() } = {}) {
+    const { plan } = await this.getCreditBalance(userId)
+    const creditsNeeded = this.calculateCreditsNeeded(operation, quantity, plan)
+    const creditType = this.getCreditType(operation, plan)
+
+    try {
+      const reservation = await reserveCredits(userId, creditType, creditsNeeded, { operation, sourcePage })
+      this.clearCache(userId)
+      return { hasCredits: true, reservationId: reservation.id, creditsNeeded, creditType }
+    } catch (error) {
+      if (!/insufficient/i.test(error.message || '')) {
+        console.error('Error reserving credits:', error)
+        return { hasCredits: false, availableCredits: 0, creditsNeeded, creditType, error: error.message }
+      }
+      // The cached balance may predate what used up the credits or the budget
+      this.clearCache(userId)
+      const balance = await this.getCreditBalance(userId)
+      const { availableCredits } = this.getSpendableCredits(balance, creditType)
+      console.warn(`Insufficient ${creditType} credits. Need: ${creditsNeeded}, Have: ${availableCredits}`)
+      return {
+        hasCredits: false,
+        reason: this.getShortfallReason(/credit limit/i.test(error.message)),
+        availableCredits,
+        creditsNeeded,
+        creditType
+      }
     }
   }
 
   /**
-   * Use credits for an operation (deduct from balance)
+   * Estimate the cost of a bulk run against the current balance
+   * @param {string} operation - Operation type
+   * @param {number} rowCount - Rows that will be sent
+   * @param {Object} balance - Credit balance ({ find, verify, plan, creditLimitRemaining })
+   * @returns {Object} - { creditsNeeded, availableCredits, limitedByBudget, balanceAfter, affordableRows }
+   */
+  estimateBulkRun(operation, rowCount, balance) {
+    const weight = getCreditPricing(balance?.plan).weights[operation]
+    const creditsNeeded = this.calculateCreditsNeeded(operation, rowCount, balance?.plan)
+    const { availableCredits, limitedByBudget } = this.getSpendableCredits(balance, this.getCreditType(operation, balance?.plan))
+    return {
+      creditsNeeded,
+      availableCredits,
+      limitedByBudget,
+      balanceAfter: Math.max(0, availableCredits - creditsNeeded),
+      affordableRows: Math.min(rowCount, Math.floor(availableCredits / weight))
+    }
+  }
+
+  /**
+   * Use credits for an operation. With a reservationId from hasCredits the reservation is settled
+   * for the quantity actually used and the rest refunded; without one the credits are charged directly.
    * @param {string} userId - User ID
    * @param {string} operation - Operation type
-   * @param {number} quantity - Number of credits to deduct
+   * @param {number} quantity - Number of credits used
+   * @param {string} [reservationId] - Reservation returned by hasCredits
+   * @param {Object} [options] - { sourcePage, jobId } recorded in the credit ledger for direct charges
    * @returns {Promise<boolean>} - Success status
    */
-  async useCredits(userId, operation, quantity = 1) {
+  async useCredits(userId, operation, quantity = 1, reservationId = null, { sourcePage = this.getSourcePage(), jobId = null } = {}) {
     try {
-      const creditsNeeded = this.calculateCreditsNeeded(operation, quantity)
-      const creditType = this.getCreditType(operation)
-      
-      const result = await deductCredits(userId, creditType, creditsNeeded)
-      
-      if (result.success) {
-        // Clear cache to force refresh
-        this.cache.delete(userId)
-        this.cacheExpiry.delete(userId)
-        return true
+      const { plan } = await this.getCreditBalance(userId)
+      const creditsNeeded = this.calculateCreditsNeeded(operation, quantity, plan)
+      const creditType = this.getCreditType(operation, plan)
+
+      // Every balance change is written to credit_ledger by the database functions
+      if (reservationId) {
+        await settleCreditReservation(reservationId, creditsNeeded)
       } else {
-        console.error('Failed to deduct credits:', result.error)
-        return false
+        await deductCredits(userId, creditsNeeded, creditType, { operation, sourcePage, jobId })
       }
+
+      // Clear cache to force refresh
+      this.clearCache(userId)
+      return true
     } catch (error) {
       console.error('Error using credits:', error)
       return false
@@ -69,34 +145,91 @@ class CreditManager {
   }
 
   /**
-   * Get the credit type for an operation
+   * Give back a reservation whose operation failed
+   * @param {string} userId - User ID
+   * @param {string} reservationId - Reservation returned by hasCredits
+   * @returns {Promise<boolean>} - Success status
+   */
+  async releaseCredits(userId, reservationId) {
+    if (!reservationId) return true
+    try {
+      await releaseCreditReservation(reservationId)
+      this.clearCache(userId)
+      return true
+    } catch (error) {
+      console.error('Error releasing credits:', error)
+      return false
+    }
+  }
+
+  /**
+   * Credits the user can spend of a type: the balance, capped for team members by what is left of
+   * their budget this cycle
+   * @param {Object} balance - Credit balance from getCreditBalance
+   * @param {string} creditType - 'find' or 'verify'
+   * @returns {Object} - { availableCredits, limitedByBudget }
+   */
+  getSpendableCredits(balance, creditType) {
+    const availableCredits = balance?.[creditType] || 0
+    const budget = balance?.creditLimitRemaining
+    if (budget != null && budget < availableCredits) {
+      return { availableCredits: budget, limitedByBudget: true }
+    }
+    return { availableCredits, limitedByBudget: false }
+  }
+
+  /**
+   * Why an operation can't be paid for: 'member_limit' when the member's budget ran out before the
+   * team balance, otherwise 'insufficient_credits'
+   * @param {boolean} limitedByBudget - Whether the member budget is the tighter cap
+   * @returns {string} - Shortfall reason
+   */
+  getShortfallReason(limitedByBudget) {
+    return limitedByBudget ? 'member_limit' : 'insufficient_credits'
+  }
+
+  /**
+   * Page the operation was started from, for the credit ledger
+   * @returns {string|null} - Current path, or null outside the browser
+   */
+  getSourcePage() {
+    return typeof window !== 'undefined' ? window.location.pathname : null
+  }
+
+  /**
+   * Get the credit type for an operation; on pooled plans every operation spends the pool (credits_find)
    * @param {string} operation - Operation type
+   * @param {string} [plan] - User's plan
    * @returns {string} - Credit type
    */
-  getCreditType(operation) {
+  getCreditType(operation, plan) {
     const config = this.operations[operation]
     if (!config) {
       throw new Error(`Unknown operation: ${operation}`)
     }
-    return config.type
+    return getCreditPricing(plan).pooled ? 'find' : config.type
   }
 
   /**
-   * Calculate credits needed for an operation
+   * Calculate credits needed for an operation at the plan's weight for it, rounded up
+   * (e.g. 3 verifications at 0.5 cost 2 credits)
    * @param {string} operation - Operation type
    * @param {number} quantity - Quantity
+   * @param {string} [plan] - User's plan
    * @returns {number} - Credits needed
    */
-  calculateCreditsNeeded(operation, quantity = 1) {
+  calculateCreditsNeeded(operation, quantity = 1, plan) {
     const config = this.operations[operation]
     if (!config) {
       throw new Error(`Unknown operation: ${operation}`)
     }
-    return config.credits * quantity
+    return Math.ceil(getCreditPricing(plan).weights[operation] * quantity)
   }
 
   /**
-   * Get user's credit balance with caching
+   * Get the balance the user spends, with caching. Members of an organization spend its shared
+   * balance (the owner's) at the owner's plan pricing, within their budget for the team's credit
+   * cycle (creditLimit, null for none; creditLimitRemaining is what is left of it).
    * @param {string} userId - User ID
    * @returns {Promise<Object>} - Credit balance object
    */
@@ -110,21 +243,63 @@ class CreditManager {
     }
 
     try {
-      const result = await checkCredits(userId)
-      if (result.success) {
-        this.cache.set(userId, result.data)
-        this.cacheExpiry.set(userId, now + this.CACHE_DURATION)
-        return result.data
-      } else {
-        console.error('Failed to fetch credits:', result.error)
+      const account = await getCreditAccount(userId)
+      if (!account) {
+        console.error('Failed to fetch credits: no profile for user', userId)
         return { find: 0, verify: 0 }
       }
+      const balance = {
+        find: account.credits_find ?? 0,
+        verify: account.credits_verify ?? 0,
+        plan: account.plan,
+        planExpiry: account.plan_expiry,
+        pooled: getCreditPricing(account.plan).pooled,
+        organizationId: account.organization_id,
+        organizationName: account.organization_name,
+        role: account.role,
+        creditLimit: account.credit_limit,
+        creditsUsed: account.credits_used,
+        creditLimitRemaining: account.credit_limit == null ? null : Math.max(0, account.credit_limit - account.credits_used),
+        cycleStart: account.cycle_start
+      }
+      this.cache.set(userId, balance)
+      this.cacheExpiry.set(userId, now + this.CACHE_DURATION)
+      return balance
     } catch (error) {
       console.error('Error fetching credit balance:', error)
       return { find: 0, verify: 0 }
     }
   }
 
+  /**
+   * Credit buckets per credit type, in the order hasCredits spends them. Credits not held in a
+   * bucket (trial credits, older balances) never expire and are reported as `other`.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} - { find, verify }, each { total, buckets, other }
+   */
+  async getCreditBreakdown(userId) {
+    const breakdown = await getCreditBreakdown(userId)
+    const buckets = breakdown?.buckets || []
+
+    const byType = (creditType) => {
+      const total = breakdown?.[`credits_${creditType}`] ?? 0
+      const typeBuckets = buckets.filter(bucket => bucket.credit_type === creditType)
+      const bucketed = typeBuckets.reduce((sum, bucket) => sum + bucket.remaining, 0)
+      return { total, buckets: typeBuckets, other: Math.max(0, total - bucketed) }
+    }
+
+    return { find: byType('find'), verify: byType('verify') }
+  }
+
+  /**
+   * Drop the cached balance so the next read hits the database
+   * @param {string} userId - User ID
+   */
+  clearCache(userId) {
+    this.cache.delete(userId)
+    this.cacheExpiry.delete(userId)
+  }
+
   /**
    * Check if a plan is currently active
    * @param {string} planExpiry - Plan expiry date
@@ -138,30 +313,30 @@ class CreditManager {
   /**
    * Get credit limits for a plan
    * @param {string} plan - Plan type
-   * @returns {Object} - Plan limits
+   * @returns {Object} - Credits the plan grants per period ({ find, verify })
    */
   getPlanLimits(plan) {
-    const limits = {
-      free: { find: 10, verify: 10 },
-      starter: { find: 100, verify: 100 },
-      pro: { find: 500, verify: 500 },
-      enterprise: { find: 2000, verify: 2000 }
-    }
-    return limits[plan] || limits.free
+    const { credits_find: find, credits_verify: verify } = getPlan(plan)
+    return { find, verify }
   }
 }
 
 const creditManager = new CreditManager()
 
+/**
+ * Message for a team member whose budget ran out (shortfall reason 'member_limit')
+ */
+export const MEMBER_LIMIT_MESSAGE = 'You have used your team credit budget for this cycle. Ask your team owner or an admin to raise it.'
+
 /**
  * Middleware function to check credits before an operation
  * @param {string} userId - User ID
  * @param {string} operation - Operation type
  * @param {number} quantity - Quantity needed
- * @returns {Promise<boolean>} - Whether operation can proceed
+ * @returns {Promise<Object>} - Result of creditManager.checkCredits
  */
 export async function creditMiddleware(userId, operation, quantity = 1) {
-  return await creditManager.hasCredits(userId, operation, quantity)
+  return await creditManager.checkCredits(userId, operation, quantity)
 }
 
 /**
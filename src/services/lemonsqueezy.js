@@ -1,124 +1,39 @@
 // LemonSqueezy configuration and checkout integration
+import { PLANS, ANNUAL_PLANS, CREDIT_PACKS, getPlanCreditAllowance, getCheckoutUrl } from '../constants/plans.js'
 
 // LemonSqueezy store configuration
 const LEMONSQUEEZY_STORE_ID = import.meta.env.VITE_LEMONSQUEEZY_STORE_ID
 const LEMONSQUEEZY_API_KEY = import.meta.env.VITE_LEMONSQUEEZY_API_KEY
 
-// Product configurations with LemonSqueezy product/variant IDs
-// Note: Replace these with your actual LemonSqueezy product/variant IDs
+// Products as shown on the billing page; the numbers come from the plan catalog
 export const PRODUCTS = {
   subscriptions: {
-    starter: {
-      name: 'Starter Plan',
-      price: 29,
-      credits_find: 50000,
-      credits_verify: 50000,
-      interval: 'monthly',
-      productId: 'your-starter-product-id', // Replace with actual LemonSqueezy product ID
-      variantId: 'your-starter-variant-id', // Replace with actual LemonSqueezy variant ID
-      checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-starter-variant-id',
-      features: [
-        '50,000 email finding credits',
-        '50,000 email verification credits',
-        'Monthly renewal',
-        'Email support'
-      ]
-    },
-    pro: {
-      name: 'Pro Plan',
-      price: 49,
-      credits_find: 150000,
-      credits_verify: 150000,
-      interval: 'monthly',
-      productId: 'your-pro-product-id',
-      variantId: 'your-pro-variant-id',
-      checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-pro-variant-id',
-      features: [
-        '150,000 email finding credits',
-        '150,000 email verification credits',
-        'Monthly renewal',
-        'Priority email support',
-        'API access'
-      ]
-    }
+    starter: PLANS.starter,
+    pro: PLANS.pro
   },
-  lifetime: {
-    name: 'Lifetime Plan',
-    price: 249,
-    credits_find: 500000,
-    credits_verify: 500000,
-    interval: 'lifetime',
-    productId: 'your-lifetime-product-id',
-    variantId: 'your-lifetime-variant-id',
-    checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-lifetime-variant-id',
-    features: [
-      '500,000 email finding credits',
-      '500,000 email verification credits',
-      'One-time payment',
-      'Lifetime access',
-      'Priority support',
-      'API access'
-    ]
+  annualSubscriptions: {
+    starter: ANNUAL_PLANS.starter,
+    pro: ANNUAL_PLANS.pro
   },
-  creditPacks: {
-    credits_10k: {
-      name: '10,000 Credits',
-      price: 9,
-      credits_find: 10000,
-      credits_verify: 0,
-      productId: 'your-10k-credits-product-id',
-      variantId: 'your-10k-credits-variant-id',
-      checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-10k-credits-variant-id'
-    },
-    credits_25k: {
-      name: '25,000 Credits',
-      price: 12,
-      credits_find: 25000,
-      credits_verify: 0,
-      productId: 'your-25k-credits-product-id',
-      variantId: 'your-25k-credits-variant-id',
-      checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-25k-credits-variant-id'
-    },
-    credits_50k: {
-      name: '50,000 Credits',
-      price: 20,
-      credits_find: 50000,
-      credits_verify: 0,
-      productId: 'your-50k-credits-product-id',
-      variantId: 'your-50k-credits-variant-id',
-      checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-50k-credits-variant-id'
-    },
-    credits_100k: {
-      name: '100,000 Credits',
-      price: 35,
-      credits_find: 100000,
-      credits_verify: 0,
-      productId: 'your-100k-credits-product-id',
-      variantId: 'your-100k-credits-variant-id',
-      checkoutUrl: 'https://mailsfinder.lemonsqueezy.com/checkout/buy/your-100k-credits-variant-id'
-    }
-  }
+  lifetime: PLANS.lifetime,
+  creditPacks: CREDIT_PACKS
 }
 
 /**
- * Generate checkout URL with custom data
+ * Generate checkout URL with custom data (see getCheckoutUrl in the plan catalog)
+ * @param {Object} product - Catalog product
+ * @param {Object} user - Signed-in user ({ id, email })
+ * @param {Object} customData - Extra checkout[custom][...] fields
  */
-export function generateCheckoutUrl(product, userEmail, customData = {}) {
-  const baseUrl = product.checkoutUrl
-  const params = new URLSearchParams({
-    'checkout[email]': userEmail,
-    'checkout[custom][user_email]': userEmail,
-    ...customData
-  })
-  
-  return `${baseUrl}?${params.toString()}`
+export function generateCheckoutUrl(product, user, customData = {}) {
+  return getCheckoutUrl(product, user, customData)
 }
 
 /**
  * Open LemonSqueezy checkout
  */
-export function openCheckout(product, userEmail, customData = {}) {
-  const checkoutUrl = generateCheckoutUrl(product, userEmail, customData)
+export function openCheckout(product, user, customData = {}) {
+  const checkoutUrl = generateCheckoutUrl(product, user, customData)
   
   // Open in new window/tab
   window.open(checkoutUrl, '_blank', 'noopener,noreferrer')
@@ -191,9 +106,9 @@ export function formatCredits(credits) {
 export function getRecommendedPlan(monthlyEmailFinds, monthlyVerifications) {
   const totalMonthlyUsage = monthlyEmailFinds + monthlyVerifications
   
-  if (totalMonthlyUsage <= 50000) {
+  if (totalMonthlyUsage <= PLANS.starter.credits_find) {
     return PRODUCTS.subscriptions.starter
-  } else if (totalMonthlyUsage <= 150000) {
+  } else if (totalMonthlyUsage <= PLANS.pro.credits_find) {
     return PRODUCTS.subscriptions.pro
   } else {
     return PRODUCTS.lifetime
@@ -204,14 +119,7 @@ export function getRecommendedPlan(monthlyEmailFinds, monthlyVerifications) {
  * Check if user should upgrade based on current usage
  */
 export function shouldUpgrade(currentPlan, creditsUsedThisMonth) {
-  const planLimits = {
-    free: 50, // 25 find + 25 verify
-    starter: 100000, // 50k find + 50k verify
-    pro: 300000, // 150k find + 150k verify
-    lifetime: Infinity
-  }
-  
-  const currentLimit = planLimits[currentPlan] || 0
+  const currentLimit = getPlanCreditAllowance(currentPlan)
   const usagePercentage = (creditsUsedThisMonth / currentLimit) * 100
   
   return {
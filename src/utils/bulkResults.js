@@ -0,0 +1,176 @@
+import Papa from 'papaparse'
+
+/**
+ * Helpers for turning bulk job items into result rows and export files.
+ * Shared by BulkSearchPage, VerifyPage, ListsPage and the job worker.
+ */
+
+export function normalizeVerifyStatus(payload) {
+  if (!payload) return '-'
+  if (typeof payload === 'string') return payload
+  if (typeof payload.status === 'string' && payload.status) return payload.status
+  if (typeof payload.result === 'string' && payload.result) return payload.result
+  if (typeof payload.verdict === 'string' && payload.verdict) return payload.verdict
+  if (typeof payload.valid === 'boolean') return payload.valid ? 'valid' : 'invalid'
+  if (payload.valid && typeof payload.valid.status === 'string') return payload.valid.status
+  if (typeof payload.is_valid === 'boolean') return payload.is_valid ? 'valid' : 'invalid'
+  return '-'
+}
+
+export function formatMx(mx) {
+  if (Array.isArray(mx)) return mx.join(', ')
+  if (typeof mx === 'object' && mx !== null) return JSON.stringify(mx)
+  return mx ?? ''
+}
+
+/**
+ * Flatten bulk find job items into one row per found email, in input order
+ */
+export function flattenFindItems(items) {
+  return items.flatMap((item) => {
+    const current = item.input || {}
+    if (item.status === 'error') {
+      return [{ name: current.name, domain: current.domain, email: '-', confidence: '-', error: item.error, source: current.source }]
+    }
+    return (item.result || []).map(it => ({
+      ...it,
+      name: it.name || it.full_name || current.name,
+      domain: current.domain,
+      source: current.source
+    }))
+  })
+}
+
+/**
+ * Flatten bulk verify job items into one row per email, in input order
+ */
+export function flattenVerifyItems(items) {
+  return items.map((item) => {
+    const { email, source } = item.input || {}
+    if (item.status === 'error') return { email, status: 'error', error: item.error, source }
+    return { email, status: normalizeVerifyStatus(item.result), _raw: item.result, source }
+  })
+}
+
+/**
+ * Original uploaded row in its column order, followed by the result columns.
+ * Result columns that clash with an uploaded column get a " (result)" suffix.
+ */
+function withResultColumns(source, columns, resultColumns) {
+  const row = {}
+  for (const column of (columns?.length ? columns : Object.keys(source))) {
+    row[column] = source[column] ?? ''
+  }
+  for (const [key, value] of Object.entries(resultColumns)) {
+    row[key in row ? `${key} (result)` : key] = value
+  }
+  return row
+}
+
+/**
+ * Coerce a catch_all style flag into a real boolean for typed XLSX cells; unknown values stay empty
+ */
+export function toBoolean(value) {
+  if (typeof value === 'boolean') return value
+  if (typeof value === 'number') return value !== 0
+  if (typeof value === 'string') {
+    const v = value.trim().toLowerCase()
+    if (['true', 'yes', '1'].includes(v)) return true
+    if (['false', 'no', '0'].includes(v)) return false
+  }
+  return ''
+}
+
+function findRows(results, columns, typed) {
+  return results.map((r) => {
+    const { _confidence: score } = r
+    const catchAll = typed ? toBoolean(r.catch_all) : (r.catch_all ?? '')
+    const confidence = typed ? { confidence: typeof score === 'number' ? score : '' } : {}
+    if (r.source) {
+      return withResultColumns(r.source, columns, {
+        Email: r.email || '-',
+        catch_all: catchAll,
+        ...confidence,
+        mx: formatMx(r.mx),
+        status: r.status ?? ''
+      })
+    }
+    return {
+      Name: r.name,
+      Email: r.email || '-',
+      catch_all: catchAll,
+      ...confidence,
+      domain: r.domain ?? '',
+      mx: formatMx(r.mx),
+      status: r.status ?? ''
+    }
+  })
+}
+
+/**
+ * Export rows for bulk find results; rows from an uploaded file keep all their original columns
+ */
+export function toFindCsvRows(results, columns = []) {
+  return findRows(results, columns, false)
+}
+
+/**
+ * Same as toFindCsvRows with typed cells for XLSX: boolean catch_all and numeric confidence (from _confidence)
+ */
+export function toFindXlsxRows(results, columns = []) {
+  return findRows(results, columns, true)
+}
+
+/**
+ * Export rows for bulk verify results; rows from an uploaded file keep all their original columns
+ */
+export function toVerifyCsvRows(results, columns = []) {
+  return results.map(r => (
+    r.source
+      ? withResultColumns(r.source, columns, { Status: r.status })
+      : { Email: r.email, Status: r.status }
+  ))
+}
+
+/**
+ * Summary sheet rows (Metric/Count) for find results
+ */
+export function summarizeFindResults(results) {
+  const found = results.filter(r => r.email && r.email !== '-')
+  return [
+    { Metric: 'Result rows', Count: results.length },
+    { Metric: 'Emails found', Count: found.length },
+    { Metric: 'Catch-all', Count: found.filter(r => toBoolean(r.catch_all) === true).length },
+    { Metric: 'Errors', Count: results.filter(r => r.error).length }
+  ]
+}
+
+/**
+ * Summary sheet rows (Metric/Count) for verify results, one row per status
+ */
+export function summarizeVerifyResults(results) {
+  const counts = {}
+  for (const r of results) {
+    counts[r.status] = (counts[r.status] || 0) + 1
+  }
+  return [
+    { Metric: 'Emails checked', Count: results.length },
+    ...Object.entries(counts).map(([status, count]) => ({ Metric: status, Count: count }))
+  ]
+}
+
+/**
+ * Trigger a browser download of rows as CSV
+ */
+export function downloadCsv(rows, filename) {
+  // Rows may not share the same keys (uploaded rows next to manually added ones)
+  const fields = [...new Set(rows.flatMap(row => Object.keys(row)))]
+  const csv = Papa.unparse({ fields, data: rows })
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
@@ -0,0 +1,115 @@
+/**
+ * Pre-flight checks for bulk find/verify input rows.
+ * Every row gets a list of issues; rows with an error are never sent, rows with
+ * only warnings are sent unless the user excludes them.
+ */
+
+const DOMAIN_PATTERN = /^([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Personal mailbox providers: finding a company address on these never works
+export const FREE_MAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.fr', 'ymail.com',
+  'hotmail.com', 'hotmail.co.uk', 'hotmail.fr', 'outlook.com', 'live.com', 'msn.com',
+  'aol.com', 'icloud.com', 'me.com', 'mac.com', 'proton.me', 'protonmail.com',
+  'gmx.com', 'gmx.de', 'gmx.net', 'web.de', 'mail.com', 'yandex.com', 'yandex.ru',
+  'mail.ru', 'zoho.com', 'qq.com', '163.com', 'orange.fr', 'free.fr', 'laposte.net'
+])
+
+/**
+ * Reduce a pasted URL, email address or hostname to a bare lowercase domain
+ * e.g. "https://www.Acme.com/about?x=1" -> "acme.com", "jane@acme.com" -> "acme.com"
+ */
+export function normalizeDomain(value) {
+  let domain = String(value ?? '').trim().toLowerCase()
+  if (!domain) return ''
+  if (domain.includes('@')) domain = domain.slice(domain.lastIndexOf('@') + 1)
+  domain = domain.replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+  domain = domain.split(/[/?#]/)[0]
+  domain = domain.replace(/:\d+$/, '').replace(/\.$/, '')
+  return domain.replace(/^www\d?\./, '')
+}
+
+function issue(code, message, severity = 'error') {
+  return { code, message, severity }
+}
+
+/**
+ * Validate bulk find rows ({ name, domain, role, source, excluded })
+ * @returns {Array<{index: number, raw: Object, row: Object, issues: Array, excluded: boolean, sendable: boolean}>}
+ */
+export function validateFindRows(rows) {
+  const seen = new Map()
+
+  return rows.map((raw, index) => {
+    const name = String(raw.name ?? '').trim()
+    const domain = normalizeDomain(raw.domain)
+    const issues = []
+    // Blank rows (e.g. a freshly added manual row) are skipped without being flagged
+    const blank = !name && !domain
+
+    if (!blank) {
+      if (!name) issues.push(issue('missing_name', 'Name is empty'))
+      else if (name.includes('@')) issues.push(issue('email_in_name', 'Name looks like an email address'))
+
+      if (!domain) issues.push(issue('missing_domain', 'Domain is empty'))
+      else if (!DOMAIN_PATTERN.test(domain)) issues.push(issue('invalid_domain', `"${raw.domain}" is not a valid domain`))
+      else if (FREE_MAIL_DOMAINS.has(domain)) issues.push(issue('free_mail', `${domain} is a personal email provider`, 'warning'))
+    }
+
+    if (name && domain) {
+      const key = `${name.toLowerCase().replace(/\s+/g, ' ')}|${domain}`
+      if (seen.has(key)) issues.push(issue('duplicate', `Duplicate of row ${seen.get(key) + 1}`))
+      else seen.set(key, index)
+    }
+
+    const row = {
+      name,
+      domain,
+      role: String(raw.role ?? '').trim(),
+      ...(raw.source ? { source: raw.source } : {})
+    }
+    const excluded = !!raw.excluded
+    const hasError = issues.some(i => i.severity === 'error')
+    return { index, raw, row, issues, excluded, sendable: !blank && !excluded && !hasError }
+  })
+}
+
+/**
+ * Validate bulk verify rows ({ email, source, excluded })
+ */
+export function validateVerifyRows(rows) {
+  const seen = new Map()
+
+  return rows.map((raw, index) => {
+    const email = String(raw.email ?? '').trim().toLowerCase()
+    const issues = []
+
+    // Blank rows are skipped without being flagged
+    if (email && !EMAIL_PATTERN.test(email)) {
+      issues.push(issue('invalid_email', `"${raw.email}" is not a valid email address`))
+    } else if (email && seen.has(email)) {
+      issues.push(issue('duplicate', `Duplicate of row ${seen.get(email) + 1}`))
+    } else if (email) {
+      seen.set(email, index)
+    }
+
+    const row = { email, ...(raw.source ? { source: raw.source } : {}) }
+    const excluded = !!raw.excluded
+    const hasError = issues.some(i => i.severity === 'error')
+    return { index, raw, row, issues, excluded, sendable: !!email && !excluded && !hasError }
+  })
+}
+
+/**
+ * Counts for the issues panel header
+ */
+export function summarizeValidation(entries) {
+  return {
+    total: entries.length,
+    sendable: entries.filter(e => e.sendable).length,
+    duplicates: entries.filter(e => e.issues.some(i => i.code === 'duplicate')).length,
+    flagged: entries.filter(e => e.issues.length).length,
+    excluded: entries.filter(e => e.excluded).length
+  }
+}
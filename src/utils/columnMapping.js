@@ -0,0 +1,158 @@
+import { COLUMN_MAPPINGS_STORAGE_KEY } from '../constants/auth.js'
+
+/**
+ * Column mapping for uploaded lists: which file column feeds which input field.
+ * Mappings are suggested from header names and remembered per header signature.
+ */
+
+export const MAPPING_FIELDS = {
+  find: [
+    {
+      key: 'fullName',
+      label: 'Full name',
+      aliases: ['fullname', 'name', 'contactname', 'personname', 'contact'],
+      keywords: ['fullname', 'name'],
+      exclude: ['first', 'last', 'sur', 'company', 'organisation', 'organization', 'account', 'domain', 'user', 'file']
+    },
+    {
+      key: 'firstName',
+      label: 'First name',
+      aliases: ['firstname', 'first', 'givenname', 'fname'],
+      keywords: ['firstname', 'givenname']
+    },
+    {
+      key: 'lastName',
+      label: 'Last name',
+      aliases: ['lastname', 'last', 'surname', 'familyname', 'lname'],
+      keywords: ['lastname', 'surname', 'familyname']
+    },
+    {
+      key: 'domain',
+      label: 'Domain or company',
+      aliases: ['domain', 'companydomain', 'website', 'companywebsite', 'url', 'web'],
+      keywords: ['domain', 'website', 'web', 'site', 'company', 'organisation', 'organization', 'account', 'url'],
+      exclude: ['linkedin', 'twitter', 'facebook', 'email', 'mail']
+    },
+    {
+      key: 'role',
+      label: 'Role',
+      aliases: ['role', 'title', 'jobtitle', 'position'],
+      keywords: ['title', 'role', 'position']
+    }
+  ],
+  verify: [
+    {
+      key: 'email',
+      label: 'Email',
+      aliases: ['email', 'emailaddress', 'mail', 'workemail'],
+      keywords: ['email', 'mail']
+    }
+  ]
+}
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '')
+
+/**
+ * Stable key for a set of headers, independent of column order
+ */
+export function headerSignature(headers) {
+  return headers.map(normalizeHeader).sort().join('|')
+}
+
+/**
+ * Suggest a mapping from header names: exact aliases first, then keyword matches
+ * @returns {Object} - Field key to header name
+ */
+export function suggestMapping(headers, tool) {
+  const fields = MAPPING_FIELDS[tool]
+  const mapping = {}
+  const used = new Set()
+
+  for (const field of fields) {
+    const match = headers.find(h => !used.has(h) && field.aliases.includes(normalizeHeader(h)))
+    if (match) {
+      mapping[field.key] = match
+      used.add(match)
+    }
+  }
+
+  for (const field of fields) {
+    if (mapping[field.key]) continue
+    // Keywords are ordered by preference, so try each one against every header
+    for (const keyword of field.keywords) {
+      const match = headers.find((h) => {
+        const n = normalizeHeader(h)
+        return !used.has(h) && n.includes(keyword) && !(field.exclude || []).some(x => n.includes(x))
+      })
+      if (match) {
+        mapping[field.key] = match
+        used.add(match)
+        break
+      }
+    }
+  }
+
+  // A full name column makes split name columns redundant and vice versa
+  if (mapping.firstName && mapping.fullName && !mapping.lastName) delete mapping.firstName
+  if (mapping.firstName && mapping.lastName) delete mapping.fullName
+
+  return mapping
+}
+
+function readSavedMappings() {
+  try {
+    const raw = localStorage.getItem(COLUMN_MAPPINGS_STORAGE_KEY)
+    return raw ? JSON.parse(raw) : {}
+  } catch (error) {
+    console.error('Failed to load column mappings from localStorage:', error)
+    return {}
+  }
+}
+
+/**
+ * Mapping saved for this exact set of headers, if all its columns still exist
+ */
+export function loadSavedMapping(tool, headers) {
+  const saved = readSavedMappings()[`${tool}:${headerSignature(headers)}`]
+  if (!saved) return null
+  return Object.values(saved).every(h => headers.includes(h)) ? saved : null
+}
+
+export function saveMapping(tool, headers, mapping) {
+  try {
+    const saved = readSavedMappings()
+    saved[`${tool}:${headerSignature(headers)}`] = mapping
+    localStorage.setItem(COLUMN_MAPPINGS_STORAGE_KEY, JSON.stringify(saved))
+  } catch (error) {
+    console.error('Failed to save column mapping to localStorage:', error)
+  }
+}
+
+/**
+ * Whether the mapping has the columns a tool needs
+ */
+export function isMappingComplete(mapping, tool) {
+  if (tool === 'verify') return !!mapping.email
+  return !!mapping.domain && !!(mapping.fullName || mapping.firstName)
+}
+
+const cell = (row, header) => (header && row[header] != null ? String(row[header]).trim() : '')
+
+/**
+ * Build tool input rows from raw file rows; the raw row is kept as source for exports
+ */
+export function applyMapping(rows, mapping, tool) {
+  if (tool === 'verify') {
+    return rows.map(r => ({ email: cell(r, mapping.email), source: r })).filter(r => r.email)
+  }
+
+  return rows.map((r) => {
+    const split = [cell(r, mapping.firstName), cell(r, mapping.lastName)].filter(Boolean).join(' ')
+    return {
+      name: cell(r, mapping.fullName) || split,
+      domain: cell(r, mapping.domain),
+      role: cell(r, mapping.role),
+      source: r
+    }
+  }).filter(r => r.name || r.domain)
+}
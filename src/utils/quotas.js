@@ -0,0 +1,47 @@
+import { getPlan } from '../constants/plans.js'
+
+/**
+ * Plan lookup quota (finds + verifies per day and per calendar month, UTC) from the plan catalog.
+ * Shared by checkApiLimits in the dashboard and the job worker, so it must not
+ * depend on browser-only or Node-only globals. Unknown plans get the free quota.
+ */
+export function getPlanQuota(plan) {
+  return getPlan(plan).quota
+}
+
+/**
+ * Remaining allowance for a plan given the lookups already made
+ * @param {string} plan - Plan name
+ * @param {Object} usage - { today, thisMonth }
+ * @param {number} quantity - Lookups about to be made
+ * @returns {Object} - { limits, usage, remaining: { today, thisMonth }, allowed, canMakeRequest }
+ */
+export function getQuotaStatus(plan, usage, quantity = 1) {
+  const limits = getPlanQuota(plan)
+  const remaining = {
+    today: Math.max(0, limits.dailyLimit - usage.today),
+    thisMonth: Math.max(0, limits.monthlyLimit - usage.thisMonth)
+  }
+  const allowed = Math.min(remaining.today, remaining.thisMonth)
+
+  return {
+    limits,
+    usage,
+    remaining,
+    allowed,
+    canMakeRequest: allowed >= quantity
+  }
+}
+
+/**
+ * User-facing explanation of why a request was refused
+ */
+export function getQuotaMessage(status) {
+  if (status.remaining.thisMonth === 0) {
+    return `You have used all ${status.limits.monthlyLimit.toLocaleString()} lookups of your plan this month. Upgrade your plan to continue.`
+  }
+  if (status.remaining.today === 0) {
+    return `You have used all ${status.limits.dailyLimit.toLocaleString()} lookups of your plan today. Try again tomorrow or upgrade your plan.`
+  }
+  return `Your plan allows ${status.allowed.toLocaleString()} more lookups right now.`
+}
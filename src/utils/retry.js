@@ -0,0 +1,79 @@
+/**
+ * Retry with exponential backoff and full jitter for idempotent API calls.
+ * Used by the browser API client (services/api.js) and the job worker, so it must not
+ * depend on browser-only or Node-only globals.
+ */
+
+export const DEFAULT_RETRY_OPTIONS = {
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000
+}
+
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ERR_NETWORK'])
+
+/**
+ * Transient failures worth retrying: timeouts, network errors, 5xx and 429
+ */
+export function isRetryableError(err) {
+  const status = err?.response?.status
+  if (status) return status === 429 || status >= 500
+  return RETRYABLE_CODES.has(err?.code) || err?.message === 'Network Error'
+}
+
+/**
+ * Whether the backend asked us to slow down
+ */
+export function isRateLimitError(err) {
+  return err?.response?.status === 429
+}
+
+/**
+ * Wait requested by a Retry-After header (seconds or HTTP date), or null when absent
+ */
+export function getRetryAfterMs(err) {
+  const header = err?.response?.headers?.['retry-after']
+  if (header == null || header === '') return null
+
+  const seconds = Number(header)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000)
+
+  const date = Date.parse(header)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Delay before the given retry (1-based): random between 0 and min(max, base * 2^(attempt - 1))
+ */
+export function getRetryDelay(attempt, { baseDelayMs, maxDelayMs } = DEFAULT_RETRY_OPTIONS) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1))
+  return Math.round(Math.random() * ceiling)
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * Retry failed requests of an axios instance in place.
+ * Only attach this to instances whose calls are safe to repeat (lookups such as find and verify);
+ * register it before any interceptor that rewrites errors, since it needs the raw axios error.
+ * A 429 waits for its Retry-After when the header is present; pass retryRateLimited: false
+ * to leave 429s to the caller (the job worker's TaskQueue throttles the whole batch instead).
+ */
+export function attachRetry(instance, options = {}) {
+  const settings = { ...DEFAULT_RETRY_OPTIONS, retryRateLimited: true, ...options }
+
+  instance.interceptors.response.use(undefined, async (err) => {
+    const config = err.config
+    if (!config || config.retry === false || !isRetryableError(err)) throw err
+    if (isRateLimitError(err) && !settings.retryRateLimited) throw err
+
+    const attempt = (config.retryAttempt || 0) + 1
+    if (attempt > settings.retries) throw err
+
+    config.retryAttempt = attempt
+    await sleep(getRetryAfterMs(err) ?? getRetryDelay(attempt, settings))
+    return instance(config)
+  })
+
+  return instance
+}
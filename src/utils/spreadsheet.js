@@ -0,0 +1,55 @@
+import Papa from 'papaparse'
+import * as XLSX from 'xlsx'
+
+function readSheet(sheet) {
+  const [headerRow = []] = XLSX.utils.sheet_to_json(sheet, { header: 1 })
+  const rows = XLSX.utils.sheet_to_json(sheet, { defval: '' })
+  return { headers: headerRow.map(h => String(h)).filter(Boolean), rows }
+}
+
+/**
+ * Read an uploaded CSV/XLSX file into header names and row objects, one entry per sheet.
+ * A CSV file is returned as a single sheet named after the file.
+ * @returns {Promise<{sheetNames: string[], sheets: Object<string, {headers: string[], rows: Object[]}>}>}
+ */
+export async function readSpreadsheet(file) {
+  const ext = file.name.split('.').pop()?.toLowerCase()
+
+  if (ext === 'csv') {
+    const text = await file.text()
+    const parsed = Papa.parse(text, { header: true, skipEmptyLines: true })
+    return {
+      sheetNames: [file.name],
+      sheets: { [file.name]: { headers: parsed.meta.fields || [], rows: (parsed.data || []).filter(Boolean) } }
+    }
+  }
+
+  if (ext === 'xlsx' || ext === 'xls') {
+    const arrayBuffer = await file.arrayBuffer()
+    const workbook = XLSX.read(arrayBuffer, { type: 'array' })
+    const sheets = {}
+    for (const name of workbook.SheetNames) {
+      sheets[name] = readSheet(workbook.Sheets[name])
+    }
+    // Skip empty tabs so they don't show up in the sheet picker
+    const sheetNames = workbook.SheetNames.filter(name => sheets[name].headers.length)
+    if (!sheetNames.length) throw new Error('The workbook has no sheets with data')
+    return { sheetNames, sheets }
+  }
+
+  throw new Error(`Unsupported file type: .${ext}`)
+}
+
+/**
+ * Trigger a browser download of an XLSX workbook
+ * @param {Array<{name: string, rows: Object[]}>} sheets - Sheets in tab order
+ */
+export function downloadXlsx(sheets, filename) {
+  const workbook = XLSX.utils.book_new()
+  for (const { name, rows } of sheets) {
+    // Rows may not share the same keys (uploaded rows next to manually added ones)
+    const header = [...new Set(rows.flatMap(row => Object.keys(row)))]
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows, { header }), name)
+  }
+  XLSX.writeFile(workbook, filename)
+}
@@ -0,0 +1,135 @@
+import { isRateLimitError, isRetryableError, getRetryAfterMs } from './retry.js'
+
+/**
+ * Concurrency-limited task queue with rate-limit awareness.
+ * Used by the job worker for both bulk find and bulk verify jobs.
+ *
+ * - At most `concurrency` tasks run at once.
+ * - A 429 pauses dispatching for its Retry-After (or defaultRetryAfterMs, capped at maxRetryAfterMs), halves the
+ *   concurrency and puts the task back at the front of the queue.
+ * - Server errors that survived the request retries lower the concurrency by one.
+ * - After a full round of successes the concurrency grows by one, up to maxConcurrency.
+ * - No task is started after startBefore (e.g. the end of a serverless time slice); the items left are
+ *   reported as skipped so the caller can queue them again.
+ *
+ * The queue keeps its concurrency between run() calls, so one instance should be reused
+ * for all batches of a job slice.
+ */
+export class TaskQueue {
+  constructor({
+    concurrency = 5,
+    minConcurrency = 1,
+    maxConcurrency = 10,
+    maxRateLimitRetries = 5,
+    defaultRetryAfterMs = 5000,
+    maxRetryAfterMs = 30000
+  } = {}) {
+    this.concurrency = concurrency
+    this.minConcurrency = minConcurrency
+    this.maxConcurrency = maxConcurrency
+    this.maxRateLimitRetries = maxRateLimitRetries
+    this.defaultRetryAfterMs = defaultRetryAfterMs
+    this.maxRetryAfterMs = maxRetryAfterMs
+    this.cooldownUntil = 0
+    this.successStreak = 0
+  }
+
+  /**
+   * Run a task for every item
+   * @param {Object} [options] - { startBefore } timestamp after which no more tasks are started
+   * @returns {Promise<Array<{status: 'fulfilled', value: any} | {status: 'rejected', reason: Error} | {status: 'skipped'}>>}
+   *   - Settled outcomes in item order, like Promise.allSettled
+   */
+  run(items, task, { startBefore = Infinity } = {}) {
+    const outcomes = new Array(items.length)
+    const queue = items.map((item, index) => ({ item, index, rateLimited: 0 }))
+    let active = 0
+    let timer = null
+
+    return new Promise((resolve) => {
+      const pump = () => {
+        // Out of time, or the rate-limit cooldown would end too late: leave the rest unstarted
+        if (queue.length && Math.max(Date.now(), this.cooldownUntil) >= startBefore) {
+          queue.splice(0).forEach(entry => { outcomes[entry.index] = { status: 'skipped' } })
+          if (timer) {
+            clearTimeout(timer)
+            timer = null
+          }
+        }
+
+        if (!queue.length && active === 0) {
+          resolve(outcomes)
+          return
+        }
+
+        const wait = this.cooldownUntil - Date.now()
+        if (wait > 0) {
+          if (!timer) {
+            timer = setTimeout(() => {
+              timer = null
+              pump()
+            }, wait)
+          }
+          return
+        }
+
+        while (active < this.concurrency && queue.length) {
+          const entry = queue.shift()
+          active++
+
+          Promise.resolve()
+            .then(() => task(entry.item))
+            .then(
+              (value) => {
+                outcomes[entry.index] = { status: 'fulfilled', value }
+                this.recordSuccess()
+              },
+              (reason) => {
+                if (isRateLimitError(reason) && entry.rateLimited < this.maxRateLimitRetries) {
+                  entry.rateLimited++
+                  this.recordRateLimit(reason)
+                  queue.unshift(entry)
+                  return
+                }
+                outcomes[entry.index] = { status: 'rejected', reason }
+                if (isRetryableError(reason)) this.recordFailure()
+              }
+            )
+            .finally(() => {
+              active--
+              pump()
+            })
+        }
+      }
+
+      pump()
+    })
+  }
+
+  recordSuccess() {
+    this.successStreak++
+    if (this.successStreak >= this.concurrency * 2 && this.concurrency < this.maxConcurrency) {
+      this.concurrency++
+      this.successStreak = 0
+    }
+  }
+
+  recordRateLimit(err) {
+    // Capped so a single wait can't outlast the worker's time slice
+    const retryAfter = Math.min(getRetryAfterMs(err) ?? this.defaultRetryAfterMs, this.maxRetryAfterMs)
+    // Tasks already in flight often hit the same limit; only back off once per cooldown
+    if (this.cooldownUntil <= Date.now()) {
+      this.concurrency = Math.max(this.minConcurrency, Math.floor(this.concurrency / 2))
+    }
+    this.cooldownUntil = Math.max(this.cooldownUntil, Date.now() + retryAfter)
+    this.successStreak = 0
+    console.warn(`Rate limited; waiting ${retryAfter}ms, concurrency now ${this.concurrency}`)
+  }
+
+  recordFailure() {
+    this.concurrency = Math.max(this.minConcurrency, this.concurrency - 1)
+    this.successStreak = 0
+  }
+}
+
+export default TaskQueue
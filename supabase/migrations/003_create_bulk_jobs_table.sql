@@ -0,0 +1,79 @@
+-- Create bulk_jobs table for server-side bulk find runs
+CREATE TABLE IF NOT EXISTS bulk_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  job_type VARCHAR(20) NOT NULL DEFAULT 'find' CHECK (job_type IN ('find', 'verify')),
+  name VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'completed', 'failed')),
+  total_rows INTEGER NOT NULL DEFAULT 0,
+  processed_rows INTEGER NOT NULL DEFAULT 0,
+  found_rows INTEGER NOT NULL DEFAULT 0,
+  error_rows INTEGER NOT NULL DEFAULT 0,
+  credits_used INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  metadata JSONB,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  started_at TIMESTAMP WITH TIME ZONE,
+  completed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per input line of a bulk job; result holds the raw API response items
+CREATE TABLE IF NOT EXISTS bulk_job_items (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  job_id UUID NOT NULL REFERENCES bulk_jobs(id) ON DELETE CASCADE,
+  row_index INTEGER NOT NULL,
+  input JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'done', 'error')),
+  result JSONB,
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (job_id, row_index)
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_user_id ON bulk_jobs(user_id);
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_status ON bulk_jobs(status);
+CREATE INDEX IF NOT EXISTS idx_bulk_jobs_created_at ON bulk_jobs(created_at);
+CREATE INDEX IF NOT EXISTS idx_bulk_job_items_job_status ON bulk_job_items(job_id, status);
+CREATE INDEX IF NOT EXISTS idx_bulk_job_items_job_updated ON bulk_job_items(job_id, updated_at);
+
+-- Create updated_at triggers (function is created in 002_create_transactions_table.sql)
+CREATE TRIGGER update_bulk_jobs_updated_at BEFORE UPDATE ON bulk_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_bulk_job_items_updated_at BEFORE UPDATE ON bulk_job_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security
+ALTER TABLE bulk_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE bulk_job_items ENABLE ROW LEVEL SECURITY;
+
+-- Users can create and read their own jobs; processing is done by the worker with the service role
+CREATE POLICY "Users can view own bulk jobs" ON bulk_jobs
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can create own bulk jobs" ON bulk_jobs
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can view own bulk job items" ON bulk_job_items
+    FOR SELECT USING (
+      EXISTS (SELECT 1 FROM bulk_jobs WHERE bulk_jobs.id = bulk_job_items.job_id AND bulk_jobs.user_id = auth.uid())
+    );
+
+CREATE POLICY "Users can create own bulk job items" ON bulk_job_items
+    FOR INSERT WITH CHECK (
+      EXISTS (SELECT 1 FROM bulk_jobs WHERE bulk_jobs.id = bulk_job_items.job_id AND bulk_jobs.user_id = auth.uid())
+    );
+
+CREATE POLICY "Service role can manage bulk jobs" ON bulk_jobs
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+CREATE POLICY "Service role can manage bulk job items" ON bulk_job_items
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- Stream job progress to the dashboard
+ALTER PUBLICATION supabase_realtime ADD TABLE bulk_jobs;
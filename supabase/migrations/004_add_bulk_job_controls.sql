@@ -0,0 +1,41 @@
+-- Allow bulk jobs to be paused and cancelled by their owner
+ALTER TABLE bulk_jobs DROP CONSTRAINT IF EXISTS bulk_jobs_status_check;
+ALTER TABLE bulk_jobs ADD CONSTRAINT bulk_jobs_status_check
+  CHECK (status IN ('queued', 'running', 'paused', 'completed', 'failed', 'cancelled'));
+
+ALTER TABLE bulk_jobs ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP WITH TIME ZONE;
+
+-- Pause, resume or cancel a job owned by the caller.
+-- Pending items are left untouched, so a resumed job continues where it stopped.
+-- The worker checks the status after every batch and stops once the job is no longer running.
+CREATE OR REPLACE FUNCTION public.control_bulk_job(p_job_id UUID, p_action TEXT)
+RETURNS bulk_jobs AS $$
+DECLARE
+    job bulk_jobs;
+BEGIN
+    SELECT * INTO job FROM bulk_jobs
+    WHERE id = p_job_id AND user_id = auth.uid()
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Bulk job not found';
+    END IF;
+
+    IF p_action = 'pause' AND job.status IN ('queued', 'running') THEN
+        UPDATE bulk_jobs SET status = 'paused', paused_at = NOW()
+        WHERE id = p_job_id RETURNING * INTO job;
+    ELSIF p_action = 'resume' AND job.status = 'paused' THEN
+        UPDATE bulk_jobs SET status = 'running', paused_at = NULL
+        WHERE id = p_job_id RETURNING * INTO job;
+    ELSIF p_action = 'cancel' AND job.status IN ('queued', 'running', 'paused') THEN
+        UPDATE bulk_jobs SET status = 'cancelled', completed_at = NOW(), locked_until = NULL
+        WHERE id = p_job_id RETURNING * INTO job;
+    ELSE
+        RAISE EXCEPTION 'Cannot % a % job', p_action, job.status;
+    END IF;
+
+    RETURN job;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.control_bulk_job(UUID, TEXT) TO authenticated;
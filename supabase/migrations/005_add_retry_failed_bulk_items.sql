@@ -0,0 +1,43 @@
+-- Put the failed rows of a bulk job back in the queue.
+-- Failed rows were never charged, so retrying them only costs what the retry finds.
+-- A finished job is reopened; a running or paused job simply picks the rows up again.
+CREATE OR REPLACE FUNCTION public.retry_failed_bulk_items(p_job_id UUID)
+RETURNS bulk_jobs AS $$
+DECLARE
+    job bulk_jobs;
+    reset_count INTEGER;
+BEGIN
+    SELECT * INTO job FROM bulk_jobs
+    WHERE id = p_job_id AND user_id = auth.uid()
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Bulk job not found';
+    END IF;
+
+    IF job.status = 'cancelled' THEN
+        RAISE EXCEPTION 'Cannot retry rows of a cancelled job';
+    END IF;
+
+    UPDATE bulk_job_items SET status = 'pending', error = NULL
+    WHERE job_id = p_job_id AND status = 'error';
+    GET DIAGNOSTICS reset_count = ROW_COUNT;
+
+    IF reset_count = 0 THEN
+        RETURN job;
+    END IF;
+
+    UPDATE bulk_jobs SET
+        processed_rows = GREATEST(0, processed_rows - reset_count),
+        error_rows = GREATEST(0, error_rows - reset_count),
+        status = CASE WHEN status IN ('completed', 'failed') THEN 'running' ELSE status END,
+        completed_at = CASE WHEN status IN ('completed', 'failed') THEN NULL ELSE completed_at END,
+        error = NULL
+    WHERE id = p_job_id
+    RETURNING * INTO job;
+
+    RETURN job;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.retry_failed_bulk_items(UUID) TO authenticated;
@@ -0,0 +1,244 @@
+-- Atomic credit reservation and settlement.
+-- Credits are held (taken off the profile balance) before an operation runs and settled
+-- afterwards with the amount actually used; the unused part goes back to the balance.
+-- All balance changes happen inside these functions with the profile row locked,
+-- so concurrent tabs and bulk jobs can no longer overspend or lose credits.
+CREATE TABLE IF NOT EXISTS credit_reservations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  credit_type VARCHAR(20) NOT NULL CHECK (credit_type IN ('find', 'verify')),
+  amount INTEGER NOT NULL CHECK (amount >= 0),
+  used INTEGER,
+  status VARCHAR(20) NOT NULL DEFAULT 'reserved' CHECK (status IN ('reserved', 'settled', 'released', 'expired')),
+  job_id UUID REFERENCES bulk_jobs(id) ON DELETE SET NULL,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_credit_reservations_user_id ON credit_reservations(user_id);
+CREATE INDEX IF NOT EXISTS idx_credit_reservations_open ON credit_reservations(expires_at) WHERE status = 'reserved';
+
+-- Create updated_at trigger
+CREATE TRIGGER update_credit_reservations_updated_at BEFORE UPDATE ON credit_reservations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security
+ALTER TABLE credit_reservations ENABLE ROW LEVEL SECURITY;
+
+-- Users can see their own reservations; all writes go through the functions below
+CREATE POLICY "Users can view own credit reservations" ON credit_reservations
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Service role can manage credit reservations" ON credit_reservations
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- The caller must be the user themselves or the service role (webhooks, job worker)
+CREATE OR REPLACE FUNCTION public.assert_credit_caller(p_user_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    IF auth.uid() IS DISTINCT FROM p_user_id AND COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' THEN
+        RAISE EXCEPTION 'Not allowed to manage credits of this user';
+    END IF;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Add a (possibly negative) amount to one credit column
+CREATE OR REPLACE FUNCTION public.adjust_credit_balance(p_user_id UUID, p_credit_type TEXT, p_delta INTEGER)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE profiles SET
+        credits_find = credits_find + CASE WHEN p_credit_type = 'find' THEN p_delta ELSE 0 END,
+        credits_verify = credits_verify + CASE WHEN p_credit_type = 'verify' THEN p_delta ELSE 0 END
+    WHERE id = p_user_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Return the holds of reservations that were never settled (e.g. a closed tab) to their owners
+CREATE OR REPLACE FUNCTION public.release_expired_credit_reservations(p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    released_count INTEGER;
+BEGIN
+    WITH expired AS (
+        UPDATE credit_reservations SET status = 'expired'
+        WHERE status = 'reserved'
+          AND expires_at < NOW()
+          AND (p_user_id IS NULL OR user_id = p_user_id)
+        RETURNING user_id, credit_type, amount
+    ), totals AS (
+        SELECT
+            user_id,
+            COALESCE(SUM(amount) FILTER (WHERE credit_type = 'find'), 0) AS find_amount,
+            COALESCE(SUM(amount) FILTER (WHERE credit_type = 'verify'), 0) AS verify_amount,
+            COUNT(*) AS reservation_count
+        FROM expired
+        GROUP BY user_id
+    ), refunded AS (
+        UPDATE profiles p SET
+            credits_find = p.credits_find + t.find_amount,
+            credits_verify = p.credits_verify + t.verify_amount
+        FROM totals t
+        WHERE p.id = t.user_id
+        RETURNING t.reservation_count
+    )
+    SELECT COALESCE(SUM(reservation_count), 0) INTO released_count FROM refunded;
+
+    RETURN released_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Hold credits for an operation. Raises 'Insufficient credits' when the balance is too low,
+-- unless p_allow_partial is set, in which case as much as the balance allows is held.
+CREATE OR REPLACE FUNCTION public.reserve_credits(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_amount INTEGER,
+    p_allow_partial BOOLEAN DEFAULT FALSE,
+    p_job_id UUID DEFAULT NULL,
+    p_ttl_seconds INTEGER DEFAULT 900
+)
+RETURNS credit_reservations AS $$
+DECLARE
+    available INTEGER;
+    held INTEGER;
+    reservation credit_reservations;
+BEGIN
+    PERFORM assert_credit_caller(p_user_id);
+
+    IF p_credit_type NOT IN ('find', 'verify') THEN
+        RAISE EXCEPTION 'Unknown credit type: %', p_credit_type;
+    END IF;
+    IF p_amount < 0 THEN
+        RAISE EXCEPTION 'Amount must not be negative';
+    END IF;
+
+    PERFORM release_expired_credit_reservations(p_user_id);
+
+    SELECT CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END
+    INTO available
+    FROM profiles WHERE id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    held := CASE WHEN p_allow_partial THEN LEAST(p_amount, GREATEST(available, 0)) ELSE p_amount END;
+    IF held > available OR (held = 0 AND p_amount > 0) THEN
+        RAISE EXCEPTION 'Insufficient % credits', p_credit_type;
+    END IF;
+
+    PERFORM adjust_credit_balance(p_user_id, p_credit_type, -held);
+
+    INSERT INTO credit_reservations (user_id, credit_type, amount, job_id, expires_at)
+    VALUES (p_user_id, p_credit_type, held, p_job_id, NOW() + make_interval(secs => p_ttl_seconds))
+    RETURNING * INTO reservation;
+
+    RETURN reservation;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Settle a reservation with the credits actually used and refund the rest.
+-- Using more than was held charges the difference, as far as the balance allows.
+-- An expired reservation (its hold already refunded) is charged from the balance the same way.
+CREATE OR REPLACE FUNCTION public.settle_credit_reservation(p_reservation_id UUID, p_used INTEGER)
+RETURNS credit_reservations AS $$
+DECLARE
+    reservation credit_reservations;
+    held INTEGER;
+    charged INTEGER;
+    available INTEGER;
+BEGIN
+    SELECT * INTO reservation FROM credit_reservations WHERE id = p_reservation_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Credit reservation not found';
+    END IF;
+
+    PERFORM assert_credit_caller(reservation.user_id);
+
+    IF reservation.status NOT IN ('reserved', 'expired') THEN
+        RAISE EXCEPTION 'Credit reservation is already %', reservation.status;
+    END IF;
+
+    held := CASE WHEN reservation.status = 'reserved' THEN reservation.amount ELSE 0 END;
+    charged := GREATEST(p_used, 0);
+
+    IF charged > held THEN
+        SELECT CASE WHEN reservation.credit_type = 'find' THEN credits_find ELSE credits_verify END
+        INTO available
+        FROM profiles WHERE id = reservation.user_id
+        FOR UPDATE;
+
+        charged := held + LEAST(charged - held, GREATEST(available, 0));
+    END IF;
+
+    PERFORM adjust_credit_balance(reservation.user_id, reservation.credit_type, held - charged);
+
+    UPDATE credit_reservations SET status = 'settled', used = charged
+    WHERE id = p_reservation_id
+    RETURNING * INTO reservation;
+
+    RETURN reservation;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Give back the whole hold of a reservation whose operation failed
+CREATE OR REPLACE FUNCTION public.release_credit_reservation(p_reservation_id UUID)
+RETURNS credit_reservations AS $$
+DECLARE
+    reservation credit_reservations;
+BEGIN
+    SELECT * INTO reservation FROM credit_reservations WHERE id = p_reservation_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Credit reservation not found';
+    END IF;
+
+    PERFORM assert_credit_caller(reservation.user_id);
+
+    IF reservation.status <> 'reserved' THEN
+        RETURN reservation;
+    END IF;
+
+    PERFORM adjust_credit_balance(reservation.user_id, reservation.credit_type, reservation.amount);
+
+    UPDATE credit_reservations SET status = 'released', used = 0
+    WHERE id = p_reservation_id
+    RETURNING * INTO reservation;
+
+    RETURN reservation;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Charge credits in one step, floored at zero; returns the credits actually charged
+CREATE OR REPLACE FUNCTION public.consume_credits(p_user_id UUID, p_credit_type TEXT, p_amount INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    available INTEGER;
+    charged INTEGER;
+BEGIN
+    PERFORM assert_credit_caller(p_user_id);
+
+    SELECT CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END
+    INTO available
+    FROM profiles WHERE id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    charged := LEAST(GREATEST(p_amount, 0), GREATEST(available, 0));
+    PERFORM adjust_credit_balance(p_user_id, p_credit_type, -charged);
+
+    RETURN charged;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Balance changes only go through the functions that check the caller
+REVOKE EXECUTE ON FUNCTION public.adjust_credit_balance(UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.reserve_credits(UUID, TEXT, INTEGER, BOOLEAN, UUID, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.settle_credit_reservation(UUID, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.release_credit_reservation(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.consume_credits(UUID, TEXT, INTEGER) TO authenticated;
@@ -0,0 +1,308 @@
+-- Credit ledger: one row per change of a credit balance, with the balance after the change,
+-- so support can explain how any balance came about.
+-- Every balance change goes through adjust_credit_balance(), which now writes the ledger row
+-- in the same transaction as the update.
+CREATE TABLE IF NOT EXISTS credit_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  credit_type VARCHAR(20) NOT NULL CHECK (credit_type IN ('find', 'verify')),
+  -- What the credits were for: find, verify, order_created, subscription_payment_success, ...
+  operation VARCHAR(100) NOT NULL,
+  -- How the balance moved: reserve, settle, release, expire, charge or grant
+  entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('reserve', 'settle', 'release', 'expire', 'charge', 'grant')),
+  -- Signed change: negative for debits, positive for credits
+  quantity INTEGER NOT NULL,
+  balance_after INTEGER NOT NULL,
+  source_page VARCHAR(255),
+  job_id UUID REFERENCES bulk_jobs(id) ON DELETE SET NULL,
+  reservation_id UUID REFERENCES credit_reservations(id) ON DELETE SET NULL,
+  transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_user_created ON credit_ledger(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_job_id ON credit_ledger(job_id);
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_transaction_id ON credit_ledger(transaction_id);
+
+-- Enable Row Level Security
+ALTER TABLE credit_ledger ENABLE ROW LEVEL SECURITY;
+
+-- Users can read their own ledger; rows are only written by the credit functions
+CREATE POLICY "Users can view own credit ledger" ON credit_ledger
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Service role can manage credit ledger" ON credit_ledger
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- Reservations remember what they were taken for, so settling them can be attributed
+ALTER TABLE credit_reservations ADD COLUMN IF NOT EXISTS operation VARCHAR(100);
+ALTER TABLE credit_reservations ADD COLUMN IF NOT EXISTS source_page VARCHAR(255);
+
+-- The old signatures are replaced by versions that carry the ledger context
+DROP FUNCTION IF EXISTS public.adjust_credit_balance(UUID, TEXT, INTEGER);
+DROP FUNCTION IF EXISTS public.reserve_credits(UUID, TEXT, INTEGER, BOOLEAN, UUID, INTEGER);
+DROP FUNCTION IF EXISTS public.consume_credits(UUID, TEXT, INTEGER);
+
+-- Add a (possibly negative) amount to one credit column and record it in the ledger.
+-- Returns the balance after the change.
+CREATE OR REPLACE FUNCTION public.adjust_credit_balance(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_delta INTEGER,
+    p_operation TEXT,
+    p_entry_type TEXT,
+    p_source_page TEXT DEFAULT NULL,
+    p_job_id UUID DEFAULT NULL,
+    p_reservation_id UUID DEFAULT NULL,
+    p_transaction_id UUID DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS INTEGER AS $$
+DECLARE
+    balance INTEGER;
+BEGIN
+    UPDATE profiles SET
+        credits_find = credits_find + CASE WHEN p_credit_type = 'find' THEN p_delta ELSE 0 END,
+        credits_verify = credits_verify + CASE WHEN p_credit_type = 'verify' THEN p_delta ELSE 0 END
+    WHERE id = p_user_id
+    RETURNING CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END INTO balance;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    IF p_delta <> 0 THEN
+        INSERT INTO credit_ledger (
+            user_id, credit_type, operation, entry_type, quantity, balance_after,
+            source_page, job_id, reservation_id, transaction_id, metadata
+        ) VALUES (
+            p_user_id, p_credit_type, COALESCE(p_operation, p_credit_type), p_entry_type, p_delta, balance,
+            p_source_page, p_job_id, p_reservation_id, p_transaction_id, COALESCE(p_metadata, '{}'::jsonb)
+        );
+    END IF;
+
+    RETURN balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Return the holds of reservations that were never settled (e.g. a closed tab) to their owners
+CREATE OR REPLACE FUNCTION public.release_expired_credit_reservations(p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    reservation credit_reservations;
+    released_count INTEGER := 0;
+BEGIN
+    FOR reservation IN
+        UPDATE credit_reservations SET status = 'expired'
+        WHERE status = 'reserved'
+          AND expires_at < NOW()
+          AND (p_user_id IS NULL OR user_id = p_user_id)
+        RETURNING *
+    LOOP
+        PERFORM adjust_credit_balance(
+            reservation.user_id, reservation.credit_type, reservation.amount,
+            reservation.operation, 'expire', reservation.source_page, reservation.job_id, reservation.id
+        );
+        released_count := released_count + 1;
+    END LOOP;
+
+    RETURN released_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Hold credits for an operation. Raises 'Insufficient credits' when the balance is too low,
+-- unless p_allow_partial is set, in which case as much as the balance allows is held.
+CREATE OR REPLACE FUNCTION public.reserve_credits(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_amount INTEGER,
+    p_allow_partial BOOLEAN DEFAULT FALSE,
+    p_job_id UUID DEFAULT NULL,
+    p_ttl_seconds INTEGER DEFAULT 900,
+    p_operation TEXT DEFAULT NULL,
+    p_source_page TEXT DEFAULT NULL
+)
+RETURNS credit_reservations AS $$
+DECLARE
+    available INTEGER;
+    held INTEGER;
+    reservation credit_reservations;
+BEGIN
+    PERFORM assert_credit_caller(p_user_id);
+
+    IF p_credit_type NOT IN ('find', 'verify') THEN
+        RAISE EXCEPTION 'Unknown credit type: %', p_credit_type;
+    END IF;
+    IF p_amount < 0 THEN
+        RAISE EXCEPTION 'Amount must not be negative';
+    END IF;
+
+    PERFORM release_expired_credit_reservations(p_user_id);
+
+    SELECT CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END
+    INTO available
+    FROM profiles WHERE id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    held := CASE WHEN p_allow_partial THEN LEAST(p_amount, GREATEST(available, 0)) ELSE p_amount END;
+    IF held > available OR (held = 0 AND p_amount > 0) THEN
+        RAISE EXCEPTION 'Insufficient % credits', p_credit_type;
+    END IF;
+
+    INSERT INTO credit_reservations (user_id, credit_type, amount, job_id, expires_at, operation, source_page)
+    VALUES (
+        p_user_id, p_credit_type, held, p_job_id, NOW() + make_interval(secs => p_ttl_seconds),
+        COALESCE(p_operation, p_credit_type), p_source_page
+    )
+    RETURNING * INTO reservation;
+
+    PERFORM adjust_credit_balance(
+        p_user_id, p_credit_type, -held, reservation.operation, 'reserve', p_source_page, p_job_id, reservation.id
+    );
+
+    RETURN reservation;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Settle a reservation with the credits actually used and refund the rest.
+-- Using more than was held charges the difference, as far as the balance allows.
+-- An expired reservation (its hold already refunded) is charged from the balance the same way.
+CREATE OR REPLACE FUNCTION public.settle_credit_reservation(p_reservation_id UUID, p_used INTEGER)
+RETURNS credit_reservations AS $$
+DECLARE
+    reservation credit_reservations;
+    held INTEGER;
+    charged INTEGER;
+    available INTEGER;
+BEGIN
+    SELECT * INTO reservation FROM credit_reservations WHERE id = p_reservation_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Credit reservation not found';
+    END IF;
+
+    PERFORM assert_credit_caller(reservation.user_id);
+
+    IF reservation.status NOT IN ('reserved', 'expired') THEN
+        RAISE EXCEPTION 'Credit reservation is already %', reservation.status;
+    END IF;
+
+    held := CASE WHEN reservation.status = 'reserved' THEN reservation.amount ELSE 0 END;
+    charged := GREATEST(p_used, 0);
+
+    IF charged > held THEN
+        SELECT CASE WHEN reservation.credit_type = 'find' THEN credits_find ELSE credits_verify END
+        INTO available
+        FROM profiles WHERE id = reservation.user_id
+        FOR UPDATE;
+
+        charged := held + LEAST(charged - held, GREATEST(available, 0));
+    END IF;
+
+    PERFORM adjust_credit_balance(
+        reservation.user_id, reservation.credit_type, held - charged, reservation.operation, 'settle',
+        reservation.source_page, reservation.job_id, reservation.id, NULL,
+        jsonb_build_object('held', held, 'used', charged)
+    );
+
+    UPDATE credit_reservations SET status = 'settled', used = charged
+    WHERE id = p_reservation_id
+    RETURNING * INTO reservation;
+
+    RETURN reservation;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Give back the whole hold of a reservation whose operation failed
+CREATE OR REPLACE FUNCTION public.release_credit_reservation(p_reservation_id UUID)
+RETURNS credit_reservations AS $$
+DECLARE
+    reservation credit_reservations;
+BEGIN
+    SELECT * INTO reservation FROM credit_reservations WHERE id = p_reservation_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Credit reservation not found';
+    END IF;
+
+    PERFORM assert_credit_caller(reservation.user_id);
+
+    IF reservation.status <> 'reserved' THEN
+        RETURN reservation;
+    END IF;
+
+    PERFORM adjust_credit_balance(
+        reservation.user_id, reservation.credit_type, reservation.amount, reservation.operation, 'release',
+        reservation.source_page, reservation.job_id, reservation.id
+    );
+
+    UPDATE credit_reservations SET status = 'released', used = 0
+    WHERE id = p_reservation_id
+    RETURNING * INTO reservation;
+
+    RETURN reservation;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Charge credits in one step, floored at zero; returns the credits actually charged
+CREATE OR REPLACE FUNCTION public.consume_credits(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_amount INTEGER,
+    p_operation TEXT DEFAULT NULL,
+    p_source_page TEXT DEFAULT NULL,
+    p_job_id UUID DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+    available INTEGER;
+    charged INTEGER;
+BEGIN
+    PERFORM assert_credit_caller(p_user_id);
+
+    SELECT CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END
+    INTO available
+    FROM profiles WHERE id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    charged := LEAST(GREATEST(p_amount, 0), GREATEST(available, 0));
+    PERFORM adjust_credit_balance(p_user_id, p_credit_type, -charged, p_operation, 'charge', p_source_page, p_job_id);
+
+    RETURN charged;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Add purchased or renewed credits (webhooks only); returns the balance after the grant
+CREATE OR REPLACE FUNCTION public.grant_credits(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_amount INTEGER,
+    p_operation TEXT,
+    p_transaction_id UUID DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS INTEGER AS $$
+BEGIN
+    IF COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' THEN
+        RAISE EXCEPTION 'Only the service role can grant credits';
+    END IF;
+
+    RETURN adjust_credit_balance(
+        p_user_id, p_credit_type, p_amount, p_operation, 'grant', NULL, NULL, NULL, p_transaction_id, p_metadata
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Balance changes only go through the functions that check the caller
+REVOKE EXECUTE ON FUNCTION public.adjust_credit_balance(UUID, TEXT, INTEGER, TEXT, TEXT, TEXT, UUID, UUID, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.grant_credits(UUID, TEXT, INTEGER, TEXT, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.reserve_credits(UUID, TEXT, INTEGER, BOOLEAN, UUID, INTEGER, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.consume_credits(UUID, TEXT, INTEGER, TEXT, TEXT, UUID) TO authenticated;
@@ -0,0 +1,96 @@
+-- Usage events: one row per find or verify lookup, from the single tools and from bulk jobs.
+-- They back the usage dashboard (counts, hit rate, top domains); credits spent come from credit_ledger.
+CREATE TABLE IF NOT EXISTS usage_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  operation VARCHAR(20) NOT NULL CHECK (operation IN ('find', 'verify')),
+  source VARCHAR(20) NOT NULL DEFAULT 'single' CHECK (source IN ('single', 'bulk')),
+  domain VARCHAR(255),
+  -- found / not_found for finds, the normalized verify status for verifies, error when the lookup failed
+  status VARCHAR(50) NOT NULL,
+  hit BOOLEAN NOT NULL DEFAULT FALSE,
+  credits INTEGER NOT NULL DEFAULT 0,
+  job_id UUID REFERENCES bulk_jobs(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_usage_events_user_created ON usage_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_usage_events_job_id ON usage_events(job_id);
+
+-- Enable Row Level Security
+ALTER TABLE usage_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own usage events" ON usage_events
+    FOR SELECT USING (user_id = auth.uid());
+
+-- Single lookups are logged from the dashboard
+CREATE POLICY "Users can insert own usage events" ON usage_events
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+-- Bulk lookups are logged by the job worker
+CREATE POLICY "Service role can manage usage events" ON usage_events
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- Daily usage for the last p_days days (today included) plus the most looked-up domains.
+-- Runs with the caller's rights, so RLS limits it to the caller's own rows.
+CREATE OR REPLACE FUNCTION public.get_usage_stats(p_user_id UUID, p_days INTEGER DEFAULT 30)
+RETURNS JSONB AS $$
+    WITH bounds AS (
+        SELECT CURRENT_DATE - (LEAST(GREATEST(p_days, 1), 366) - 1) AS start_day
+    ), days AS (
+        SELECT generate_series((SELECT start_day FROM bounds), CURRENT_DATE, INTERVAL '1 day')::date AS day
+    ), events AS (
+        SELECT * FROM usage_events
+        WHERE user_id = p_user_id AND created_at >= (SELECT start_day FROM bounds)
+    ), daily_events AS (
+        SELECT
+            created_at::date AS day,
+            COUNT(*) FILTER (WHERE operation = 'find') AS finds,
+            COUNT(*) FILTER (WHERE operation = 'find' AND hit) AS find_hits,
+            COUNT(*) FILTER (WHERE operation = 'verify') AS verifies,
+            COUNT(*) FILTER (WHERE operation = 'verify' AND hit) AS verify_hits
+        FROM events
+        GROUP BY 1
+    ), daily_credits AS (
+        -- Holds, settlements, refunds and charges net out to the credits actually spent
+        SELECT
+            created_at::date AS day,
+            COALESCE(-SUM(quantity) FILTER (WHERE credit_type = 'find'), 0) AS credits_find,
+            COALESCE(-SUM(quantity) FILTER (WHERE credit_type = 'verify'), 0) AS credits_verify
+        FROM credit_ledger
+        WHERE user_id = p_user_id
+          AND entry_type <> 'grant'
+          AND created_at >= (SELECT start_day FROM bounds)
+        GROUP BY 1
+    ), top_domains AS (
+        SELECT domain, COUNT(*) AS lookups, COUNT(*) FILTER (WHERE hit) AS hits
+        FROM events
+        WHERE domain IS NOT NULL AND domain <> ''
+        GROUP BY domain
+        ORDER BY lookups DESC, domain
+        LIMIT 10
+    )
+    SELECT jsonb_build_object(
+        'daily', (
+            SELECT jsonb_agg(jsonb_build_object(
+                'date', d.day,
+                'finds', COALESCE(e.finds, 0),
+                'find_hits', COALESCE(e.find_hits, 0),
+                'verifies', COALESCE(e.verifies, 0),
+                'verify_hits', COALESCE(e.verify_hits, 0),
+                'credits_find', COALESCE(c.credits_find, 0),
+                'credits_verify', COALESCE(c.credits_verify, 0)
+            ) ORDER BY d.day)
+            FROM days d
+            LEFT JOIN daily_events e USING (day)
+            LEFT JOIN daily_credits c USING (day)
+        ),
+        'top_domains', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('domain', domain, 'lookups', lookups, 'hits', hits) ORDER BY lookups DESC, domain)
+            FROM top_domains
+        ), '[]'::jsonb)
+    );
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION public.get_usage_stats(UUID, INTEGER) TO authenticated;
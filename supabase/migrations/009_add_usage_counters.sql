@@ -0,0 +1,19 @@
+-- Lookups counted against the plan quotas (see src/utils/quotas.js): finds and verifies
+-- made today and this calendar month (UTC). Failed lookups don't count.
+-- Runs with the caller's rights, so RLS limits users to their own counters.
+CREATE OR REPLACE FUNCTION public.get_usage_counters(p_user_id UUID)
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'today', COUNT(*) FILTER (WHERE created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC'),
+        'this_month', COUNT(*)
+    )
+    FROM usage_events
+    WHERE user_id = p_user_id
+      AND status <> 'error'
+      AND created_at >= date_trunc('month', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC';
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION public.get_usage_counters(UUID) TO authenticated;
+
+-- Let the dashboard refresh the remaining allowance as lookups are logged
+ALTER PUBLICATION supabase_realtime ADD TABLE usage_events;
@@ -0,0 +1,67 @@
+-- Annual subscriptions: the plan runs for 365 days, but its credits are added one month at a time.
+-- The webhook grants the first month and stores the monthly amounts (from the plan catalog) here;
+-- drip_subscription_credits() adds the remaining months as they come due.
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS billing_interval TEXT DEFAULT 'monthly'
+    CHECK (billing_interval IN ('monthly', 'annual'));
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS credit_drip_find INTEGER DEFAULT 0;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS credit_drip_verify INTEGER DEFAULT 0;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS next_credit_drip_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_next_credit_drip ON profiles(next_credit_drip_at)
+    WHERE next_credit_drip_at IS NOT NULL;
+
+-- Add every monthly credit drip that is due, catching up on missed months.
+-- Drips stop at plan_expiry; the renewal webhook starts the next year.
+-- Runs from the scheduler or with the service role; pass p_user_id to catch up a single user.
+-- Returns the number of drips added.
+CREATE OR REPLACE FUNCTION public.drip_subscription_credits(p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    profile profiles;
+    dripped_count INTEGER := 0;
+BEGIN
+    -- pg_cron and direct database sessions carry no JWT
+    IF auth.jwt() IS NOT NULL AND COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' THEN
+        RAISE EXCEPTION 'Only the service role can drip credits';
+    END IF;
+
+    FOR profile IN
+        SELECT * FROM profiles
+        WHERE next_credit_drip_at <= NOW()
+          AND next_credit_drip_at < plan_expiry
+          AND (p_user_id IS NULL OR id = p_user_id)
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        WHILE profile.next_credit_drip_at <= NOW() AND profile.next_credit_drip_at < profile.plan_expiry LOOP
+            PERFORM adjust_credit_balance(
+                profile.id, 'find', profile.credit_drip_find, 'subscription_credit_drip', 'grant',
+                NULL, NULL, NULL, NULL, jsonb_build_object('drip_at', profile.next_credit_drip_at)
+            );
+            PERFORM adjust_credit_balance(
+                profile.id, 'verify', profile.credit_drip_verify, 'subscription_credit_drip', 'grant',
+                NULL, NULL, NULL, NULL, jsonb_build_object('drip_at', profile.next_credit_drip_at)
+            );
+            profile.next_credit_drip_at := profile.next_credit_drip_at + INTERVAL '1 month';
+            dripped_count := dripped_count + 1;
+        END LOOP;
+
+        UPDATE profiles SET
+            next_credit_drip_at = CASE WHEN profile.next_credit_drip_at < plan_expiry THEN profile.next_credit_drip_at END
+        WHERE id = profile.id;
+    END LOOP;
+
+    RETURN dripped_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.drip_subscription_credits(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Run the drip every hour when pg_cron is enabled (Database > Extensions in the dashboard).
+-- Without it, schedule `SELECT drip_subscription_credits();` with any other scheduler.
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+        PERFORM cron.schedule('drip-subscription-credits', '5 * * * *', 'SELECT public.drip_subscription_credits()');
+    END IF;
+END;
+$$;
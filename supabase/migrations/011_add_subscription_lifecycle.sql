@@ -0,0 +1,91 @@
+-- Subscription lifecycle: plan changes, pauses, failed payments and refunds.
+-- subscription_status mirrors the LemonSqueezy subscription status; NULL when the user has none.
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS subscription_status TEXT
+    CHECK (subscription_status IN ('active', 'paused', 'past_due', 'cancelled', 'expired'));
+
+-- Refunds take credits back, recorded in the ledger as 'revoke'
+ALTER TABLE credit_ledger DROP CONSTRAINT IF EXISTS credit_ledger_entry_type_check;
+ALTER TABLE credit_ledger ADD CONSTRAINT credit_ledger_entry_type_check
+    CHECK (entry_type IN ('reserve', 'settle', 'release', 'expire', 'charge', 'grant', 'revoke'));
+
+-- Take back refunded credits (webhooks only), floored at zero: credits already spent can't be
+-- recovered. Returns the credits actually taken back.
+CREATE OR REPLACE FUNCTION public.revoke_credits(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_amount INTEGER,
+    p_operation TEXT,
+    p_transaction_id UUID DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS INTEGER AS $$
+DECLARE
+    available INTEGER;
+    revoked INTEGER;
+BEGIN
+    IF COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' THEN
+        RAISE EXCEPTION 'Only the service role can revoke credits';
+    END IF;
+
+    SELECT CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END
+    INTO available
+    FROM profiles WHERE id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    revoked := LEAST(GREATEST(p_amount, 0), GREATEST(available, 0));
+    PERFORM adjust_credit_balance(
+        p_user_id, p_credit_type, -revoked, p_operation, 'revoke', NULL, NULL, NULL, p_transaction_id,
+        COALESCE(p_metadata, '{}'::jsonb) || jsonb_build_object('requested', p_amount)
+    );
+
+    RETURN revoked;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.revoke_credits(UUID, TEXT, INTEGER, TEXT, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Paused subscriptions don't receive their monthly credits until they are resumed
+CREATE OR REPLACE FUNCTION public.drip_subscription_credits(p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    profile profiles;
+    dripped_count INTEGER := 0;
+BEGIN
+    -- pg_cron and direct database sessions carry no JWT
+    IF auth.jwt() IS NOT NULL AND COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' THEN
+        RAISE EXCEPTION 'Only the service role can drip credits';
+    END IF;
+
+    FOR profile IN
+        SELECT * FROM profiles
+        WHERE next_credit_drip_at <= NOW()
+          AND next_credit_drip_at < plan_expiry
+          AND subscription_status IS DISTINCT FROM 'paused'
+          AND (p_user_id IS NULL OR id = p_user_id)
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        WHILE profile.next_credit_drip_at <= NOW() AND profile.next_credit_drip_at < profile.plan_expiry LOOP
+            PERFORM adjust_credit_balance(
+                profile.id, 'find', profile.credit_drip_find, 'subscription_credit_drip', 'grant',
+                NULL, NULL, NULL, NULL, jsonb_build_object('drip_at', profile.next_credit_drip_at)
+            );
+            PERFORM adjust_credit_balance(
+                profile.id, 'verify', profile.credit_drip_verify, 'subscription_credit_drip', 'grant',
+                NULL, NULL, NULL, NULL, jsonb_build_object('drip_at', profile.next_credit_drip_at)
+            );
+            profile.next_credit_drip_at := profile.next_credit_drip_at + INTERVAL '1 month';
+            dripped_count := dripped_count + 1;
+        END LOOP;
+
+        UPDATE profiles SET
+            next_credit_drip_at = CASE WHEN profile.next_credit_drip_at < plan_expiry THEN profile.next_credit_drip_at END
+        WHERE id = profile.id;
+    END LOOP;
+
+    RETURN dripped_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
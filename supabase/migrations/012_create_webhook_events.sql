@@ -0,0 +1,30 @@
+-- Log of every LemonSqueezy webhook received, keyed by event id, so retried deliveries are
+-- processed only once and failed events can be replayed from the stored payload.
+-- The event id is built by the webhook endpoint from the event name, resource and its updated_at
+-- (see getWebhookEventId in src/api/lemonsqueezy-webhook.js); LemonSqueezy resends the same payload on retry.
+CREATE TABLE IF NOT EXISTS webhook_events (
+  id VARCHAR(255) PRIMARY KEY,
+  event_name VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'processing', 'processed', 'failed')),
+  error TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  processed_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, received_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_event_name ON webhook_events(event_name);
+
+-- Create updated_at trigger
+CREATE TRIGGER update_webhook_events_updated_at BEFORE UPDATE ON webhook_events
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security
+ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Payloads contain customer details; only the webhook endpoints (service role) may read them
+CREATE POLICY "Service role can manage webhook events" ON webhook_events
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
@@ -0,0 +1,37 @@
+-- Purchases that couldn't be linked to an account: the checkout carried no user id and no profile
+-- has the buyer's email. Nothing is granted until a signed-in user claims the purchase; the claim
+-- endpoint (src/api/claim-purchase.js) then processes the stored webhook payload for that user.
+CREATE TABLE IF NOT EXISTS unclaimed_purchases (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  webhook_event_id VARCHAR(255) REFERENCES webhook_events(id) ON DELETE SET NULL,
+  event_name VARCHAR(100) NOT NULL,
+  customer_email TEXT NOT NULL,
+  -- LemonSqueezy identifiers the buyer can quote from their receipt
+  order_id VARCHAR(255),
+  order_number VARCHAR(255),
+  subscription_id VARCHAR(255),
+  product_name VARCHAR(255),
+  payload JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'unclaimed' CHECK (status IN ('unclaimed', 'claimed', 'refunded')),
+  claimed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  claimed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_unclaimed_purchases_email ON unclaimed_purchases(lower(customer_email)) WHERE status = 'unclaimed';
+CREATE INDEX IF NOT EXISTS idx_unclaimed_purchases_order_id ON unclaimed_purchases(order_id);
+CREATE INDEX IF NOT EXISTS idx_unclaimed_purchases_claimed_by ON unclaimed_purchases(claimed_by);
+
+-- Enable Row Level Security
+ALTER TABLE unclaimed_purchases ENABLE ROW LEVEL SECURITY;
+
+-- Users see open purchases made with their own email, and the purchases they claimed
+CREATE POLICY "Users can view own unclaimed purchases" ON unclaimed_purchases
+    FOR SELECT USING (
+        (status = 'unclaimed' AND lower(customer_email) = lower(auth.jwt() ->> 'email'))
+        OR claimed_by = auth.uid()
+    );
+
+CREATE POLICY "Service role can manage unclaimed purchases" ON unclaimed_purchases
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
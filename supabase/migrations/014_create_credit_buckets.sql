@@ -0,0 +1,445 @@
+-- Credit buckets: every grant is kept as a bucket with its source and expiry, so subscription credits
+-- can lapse at the end of their period while credit packs never expire.
+-- profiles.credits_find/credits_verify stay the spendable balance. Credits not held in a bucket
+-- (trial credits, balances from before this migration, refunded holds with no bucket to go back to)
+-- never expire.
+--
+-- Spending takes credits from the bucket that expires first, packs last. When a subscription bucket
+-- expires, up to its rollover cap (from the plan catalog) moves to a 'rollover' bucket for one more month
+-- while the subscription is active; the rest lapses and is recorded in the ledger as 'lapse'.
+CREATE TABLE IF NOT EXISTS credit_buckets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  credit_type VARCHAR(20) NOT NULL CHECK (credit_type IN ('find', 'verify')),
+  source VARCHAR(20) NOT NULL CHECK (source IN ('subscription', 'rollover', 'pack', 'lifetime', 'manual')),
+  granted INTEGER NOT NULL CHECK (granted >= 0),
+  remaining INTEGER NOT NULL CHECK (remaining >= 0),
+  -- NULL = never expires
+  expires_at TIMESTAMP WITH TIME ZONE,
+  -- Credits that may roll over into the next period when this bucket expires
+  rollover_cap INTEGER NOT NULL DEFAULT 0,
+  transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_credit_buckets_open ON credit_buckets(user_id, credit_type, expires_at) WHERE remaining > 0;
+CREATE INDEX IF NOT EXISTS idx_credit_buckets_expiry ON credit_buckets(expires_at) WHERE remaining > 0;
+
+-- Enable Row Level Security
+ALTER TABLE credit_buckets ENABLE ROW LEVEL SECURITY;
+
+-- Users can read their own buckets; rows are only written by the credit functions
+CREATE POLICY "Users can view own credit buckets" ON credit_buckets
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Service role can manage credit buckets" ON credit_buckets
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- Rollover cap of the user's subscription, set by the webhooks with the credit drip amounts
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS credit_rollover_cap INTEGER DEFAULT 0;
+
+-- Expired subscription credits are recorded as 'lapse'
+ALTER TABLE credit_ledger DROP CONSTRAINT IF EXISTS credit_ledger_entry_type_check;
+ALTER TABLE credit_ledger ADD CONSTRAINT credit_ledger_entry_type_check
+    CHECK (entry_type IN ('reserve', 'settle', 'release', 'expire', 'charge', 'grant', 'revoke', 'lapse'));
+
+-- Take spent credits from the buckets that expire first; whatever the buckets don't cover
+-- comes from the unbucketed balance
+CREATE OR REPLACE FUNCTION public.consume_credit_buckets(p_user_id UUID, p_credit_type TEXT, p_amount INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    bucket credit_buckets;
+    still_needed INTEGER := p_amount;
+    taken INTEGER;
+BEGIN
+    FOR bucket IN
+        SELECT * FROM credit_buckets
+        WHERE user_id = p_user_id
+          AND credit_type = p_credit_type
+          AND remaining > 0
+          AND (expires_at IS NULL OR expires_at > NOW())
+        ORDER BY expires_at ASC NULLS LAST, created_at ASC
+        FOR UPDATE
+    LOOP
+        EXIT WHEN still_needed <= 0;
+        taken := LEAST(bucket.remaining, still_needed);
+        UPDATE credit_buckets SET remaining = remaining - taken WHERE id = bucket.id;
+        still_needed := still_needed - taken;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Put returned credits (released or settled holds) back into the buckets they were most likely
+-- taken from, in the same order; what doesn't fit stays unbucketed
+CREATE OR REPLACE FUNCTION public.refill_credit_buckets(p_user_id UUID, p_credit_type TEXT, p_amount INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    bucket credit_buckets;
+    left_over INTEGER := p_amount;
+    added INTEGER;
+BEGIN
+    FOR bucket IN
+        SELECT * FROM credit_buckets
+        WHERE user_id = p_user_id
+          AND credit_type = p_credit_type
+          AND remaining < granted
+          AND (expires_at IS NULL OR expires_at > NOW())
+        ORDER BY expires_at ASC NULLS LAST, created_at ASC
+        FOR UPDATE
+    LOOP
+        EXIT WHEN left_over <= 0;
+        added := LEAST(bucket.granted - bucket.remaining, left_over);
+        UPDATE credit_buckets SET remaining = remaining + added WHERE id = bucket.id;
+        left_over := left_over - added;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Same as before, but debits and refunds now also move credits out of and back into buckets.
+-- Grants create their bucket in add_credit_bucket(); lapses empty theirs in expire_credit_buckets().
+CREATE OR REPLACE FUNCTION public.adjust_credit_balance(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_delta INTEGER,
+    p_operation TEXT,
+    p_entry_type TEXT,
+    p_source_page TEXT DEFAULT NULL,
+    p_job_id UUID DEFAULT NULL,
+    p_reservation_id UUID DEFAULT NULL,
+    p_transaction_id UUID DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS INTEGER AS $$
+DECLARE
+    balance INTEGER;
+BEGIN
+    UPDATE profiles SET
+        credits_find = credits_find + CASE WHEN p_credit_type = 'find' THEN p_delta ELSE 0 END,
+        credits_verify = credits_verify + CASE WHEN p_credit_type = 'verify' THEN p_delta ELSE 0 END
+    WHERE id = p_user_id
+    RETURNING CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END INTO balance;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    IF p_delta < 0 AND p_entry_type <> 'lapse' THEN
+        PERFORM consume_credit_buckets(p_user_id, p_credit_type, -p_delta);
+    ELSIF p_delta > 0 AND p_entry_type <> 'grant' THEN
+        PERFORM refill_credit_buckets(p_user_id, p_credit_type, p_delta);
+    END IF;
+
+    IF p_delta <> 0 THEN
+        INSERT INTO credit_ledger (
+            user_id, credit_type, operation, entry_type, quantity, balance_after,
+            source_page, job_id, reservation_id, transaction_id, metadata
+        ) VALUES (
+            p_user_id, p_credit_type, COALESCE(p_operation, p_credit_type), p_entry_type, p_delta, balance,
+            p_source_page, p_job_id, p_reservation_id, p_transaction_id, COALESCE(p_metadata, '{}'::jsonb)
+        );
+    END IF;
+
+    RETURN balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Grant credits into a new bucket and record the grant; returns the balance after the grant
+CREATE OR REPLACE FUNCTION public.add_credit_bucket(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_amount INTEGER,
+    p_source TEXT,
+    p_expires_at TIMESTAMP WITH TIME ZONE,
+    p_rollover_cap INTEGER,
+    p_operation TEXT,
+    p_transaction_id UUID DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS INTEGER AS $$
+BEGIN
+    IF p_amount <= 0 THEN
+        RETURN adjust_credit_balance(p_user_id, p_credit_type, 0, p_operation, 'grant');
+    END IF;
+
+    INSERT INTO credit_buckets (user_id, credit_type, source, granted, remaining, expires_at, rollover_cap, transaction_id)
+    VALUES (p_user_id, p_credit_type, p_source, p_amount, p_amount, p_expires_at, COALESCE(p_rollover_cap, 0), p_transaction_id);
+
+    RETURN adjust_credit_balance(
+        p_user_id, p_credit_type, p_amount, p_operation, 'grant', NULL, NULL, NULL, p_transaction_id,
+        COALESCE(p_metadata, '{}'::jsonb) || jsonb_build_object('source', p_source, 'expires_at', p_expires_at)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Lapse expired buckets, rolling over up to their cap while the user still has a subscription.
+-- Users may run it for themselves; the scheduled run (p_user_id NULL) needs the service role.
+-- Returns the number of buckets processed.
+CREATE OR REPLACE FUNCTION public.expire_credit_buckets(p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    bucket credit_buckets;
+    profile profiles;
+    rolled INTEGER;
+    lapsed INTEGER;
+    expired_count INTEGER := 0;
+BEGIN
+    IF p_user_id IS NULL THEN
+        -- pg_cron and direct database sessions carry no JWT
+        IF auth.jwt() IS NOT NULL AND COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' THEN
+            RAISE EXCEPTION 'Only the service role can expire credits of all users';
+        END IF;
+    ELSE
+        PERFORM assert_credit_caller(p_user_id);
+    END IF;
+
+    FOR bucket IN
+        SELECT * FROM credit_buckets
+        WHERE remaining > 0
+          AND expires_at <= NOW()
+          AND (p_user_id IS NULL OR user_id = p_user_id)
+        ORDER BY expires_at ASC
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        UPDATE credit_buckets SET remaining = 0 WHERE id = bucket.id;
+
+        SELECT * INTO profile FROM profiles WHERE id = bucket.user_id FOR UPDATE;
+
+        rolled := CASE WHEN profile.subscription_id IS NOT NULL THEN LEAST(bucket.remaining, bucket.rollover_cap) ELSE 0 END;
+        IF rolled > 0 THEN
+            INSERT INTO credit_buckets (user_id, credit_type, source, granted, remaining, expires_at, rollover_cap, transaction_id)
+            VALUES (bucket.user_id, bucket.credit_type, 'rollover', rolled, rolled, bucket.expires_at + INTERVAL '1 month', 0, bucket.transaction_id);
+        END IF;
+
+        -- The balance may have been lowered outside the buckets; never take it below zero
+        lapsed := LEAST(
+            bucket.remaining - rolled,
+            GREATEST(CASE WHEN bucket.credit_type = 'find' THEN profile.credits_find ELSE profile.credits_verify END, 0)
+        );
+        IF lapsed > 0 THEN
+            PERFORM adjust_credit_balance(
+                bucket.user_id, bucket.credit_type, -lapsed, bucket.source || '_credits', 'lapse',
+                NULL, NULL, NULL, bucket.transaction_id,
+                jsonb_build_object('bucket_id', bucket.id, 'expired_at', bucket.expires_at, 'rolled_over', rolled)
+            );
+        END IF;
+
+        expired_count := expired_count + 1;
+    END LOOP;
+
+    RETURN expired_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Grants now carry where the credits come from and when they expire
+DROP FUNCTION IF EXISTS public.grant_credits(UUID, TEXT, INTEGER, TEXT, UUID, JSONB);
+
+-- Add purchased or renewed credits (webhooks only); returns the balance after the grant
+CREATE OR REPLACE FUNCTION public.grant_credits(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_amount INTEGER,
+    p_operation TEXT,
+    p_transaction_id UUID DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'::jsonb,
+    p_source TEXT DEFAULT 'pack',
+    p_expires_at TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    p_rollover_cap INTEGER DEFAULT 0
+)
+RETURNS INTEGER AS $$
+BEGIN
+    IF COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' THEN
+        RAISE EXCEPTION 'Only the service role can grant credits';
+    END IF;
+
+    RETURN add_credit_bucket(
+        p_user_id, p_credit_type, p_amount, p_source, p_expires_at, p_rollover_cap,
+        p_operation, p_transaction_id, p_metadata
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Monthly drips of annual plans go into a bucket that lapses after a month
+CREATE OR REPLACE FUNCTION public.drip_subscription_credits(p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    profile profiles;
+    dripped_count INTEGER := 0;
+BEGIN
+    -- pg_cron and direct database sessions carry no JWT
+    IF auth.jwt() IS NOT NULL AND COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' THEN
+        RAISE EXCEPTION 'Only the service role can drip credits';
+    END IF;
+
+    FOR profile IN
+        SELECT * FROM profiles
+        WHERE next_credit_drip_at <= NOW()
+          AND next_credit_drip_at < plan_expiry
+          AND subscription_status IS DISTINCT FROM 'paused'
+          AND (p_user_id IS NULL OR id = p_user_id)
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        WHILE profile.next_credit_drip_at <= NOW() AND profile.next_credit_drip_at < profile.plan_expiry LOOP
+            PERFORM add_credit_bucket(
+                profile.id, 'find', profile.credit_drip_find, 'subscription',
+                profile.next_credit_drip_at + INTERVAL '1 month', profile.credit_rollover_cap,
+                'subscription_credit_drip', NULL, jsonb_build_object('drip_at', profile.next_credit_drip_at)
+            );
+            PERFORM add_credit_bucket(
+                profile.id, 'verify', profile.credit_drip_verify, 'subscription',
+                profile.next_credit_drip_at + INTERVAL '1 month', profile.credit_rollover_cap,
+                'subscription_credit_drip', NULL, jsonb_build_object('drip_at', profile.next_credit_drip_at)
+            );
+            profile.next_credit_drip_at := profile.next_credit_drip_at + INTERVAL '1 month';
+            dripped_count := dripped_count + 1;
+        END LOOP;
+
+        UPDATE profiles SET
+            next_credit_drip_at = CASE WHEN profile.next_credit_drip_at < plan_expiry THEN profile.next_credit_drip_at END
+        WHERE id = profile.id;
+    END LOOP;
+
+    RETURN dripped_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Lapse due buckets before holding credits, so expired credits can't be spent
+CREATE OR REPLACE FUNCTION public.reserve_credits(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_amount INTEGER,
+    p_allow_partial BOOLEAN DEFAULT FALSE,
+    p_job_id UUID DEFAULT NULL,
+    p_ttl_seconds INTEGER DEFAULT 900,
+    p_operation TEXT DEFAULT NULL,
+    p_source_page TEXT DEFAULT NULL
+)
+RETURNS credit_reservations AS $$
+DECLARE
+    available INTEGER;
+    held INTEGER;
+    reservation credit_reservations;
+BEGIN
+    PERFORM assert_credit_caller(p_user_id);
+
+    IF p_credit_type NOT IN ('find', 'verify') THEN
+        RAISE EXCEPTION 'Unknown credit type: %', p_credit_type;
+    END IF;
+    IF p_amount < 0 THEN
+        RAISE EXCEPTION 'Amount must not be negative';
+    END IF;
+
+    PERFORM release_expired_credit_reservations(p_user_id);
+    PERFORM expire_credit_buckets(p_user_id);
+
+    SELECT CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END
+    INTO available
+    FROM profiles WHERE id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    held := CASE WHEN p_allow_partial THEN LEAST(p_amount, GREATEST(available, 0)) ELSE p_amount END;
+    IF held > available OR (held = 0 AND p_amount > 0) THEN
+        RAISE EXCEPTION 'Insufficient % credits', p_credit_type;
+    END IF;
+
+    INSERT INTO credit_reservations (user_id, credit_type, amount, job_id, expires_at, operation, source_page)
+    VALUES (
+        p_user_id, p_credit_type, held, p_job_id, NOW() + make_interval(secs => p_ttl_seconds),
+        COALESCE(p_operation, p_credit_type), p_source_page
+    )
+    RETURNING * INTO reservation;
+
+    PERFORM adjust_credit_balance(
+        p_user_id, p_credit_type, -held, reservation.operation, 'reserve', p_source_page, p_job_id, reservation.id
+    );
+
+    RETURN reservation;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Charge credits in one step, floored at zero; returns the credits actually charged
+CREATE OR REPLACE FUNCTION public.consume_credits(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_amount INTEGER,
+    p_operation TEXT DEFAULT NULL,
+    p_source_page TEXT DEFAULT NULL,
+    p_job_id UUID DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+    available INTEGER;
+    charged INTEGER;
+BEGIN
+    PERFORM assert_credit_caller(p_user_id);
+    PERFORM expire_credit_buckets(p_user_id);
+
+    SELECT CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END
+    INTO available
+    FROM profiles WHERE id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    charged := LEAST(GREATEST(p_amount, 0), GREATEST(available, 0));
+    PERFORM adjust_credit_balance(p_user_id, p_credit_type, -charged, p_operation, 'charge', p_source_page, p_job_id);
+
+    RETURN charged;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Balance and open buckets for the billing page; lapses due buckets first so the numbers are current
+CREATE OR REPLACE FUNCTION public.get_credit_breakdown(p_user_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    result JSONB;
+BEGIN
+    PERFORM expire_credit_buckets(p_user_id);
+
+    SELECT jsonb_build_object(
+        'credits_find', profiles.credits_find,
+        'credits_verify', profiles.credits_verify,
+        'buckets', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', b.id,
+                'credit_type', b.credit_type,
+                'source', b.source,
+                'granted', b.granted,
+                'remaining', b.remaining,
+                'expires_at', b.expires_at,
+                'rollover_cap', b.rollover_cap,
+                'created_at', b.created_at
+            ) ORDER BY b.expires_at ASC NULLS LAST, b.created_at ASC)
+            FROM credit_buckets b
+            WHERE b.user_id = p_user_id AND b.remaining > 0
+        ), '[]'::jsonb)
+    )
+    INTO result
+    FROM profiles WHERE id = p_user_id;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Bucket bookkeeping only runs inside the credit functions
+REVOKE EXECUTE ON FUNCTION public.consume_credit_buckets(UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.refill_credit_buckets(UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.add_credit_bucket(UUID, TEXT, INTEGER, TEXT, TIMESTAMP WITH TIME ZONE, INTEGER, TEXT, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.grant_credits(UUID, TEXT, INTEGER, TEXT, UUID, JSONB, TEXT, TIMESTAMP WITH TIME ZONE, INTEGER) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.expire_credit_buckets(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_credit_breakdown(UUID) TO authenticated;
+
+-- Lapse expired buckets every hour when pg_cron is enabled, like the credit drip
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_extension WHERE extname = 'pg_cron') THEN
+        PERFORM cron.schedule('expire-credit-buckets', '10 * * * *', 'SELECT public.expire_credit_buckets()');
+    END IF;
+END;
+$$;
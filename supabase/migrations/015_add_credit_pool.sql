@@ -0,0 +1,69 @@
+-- Pooled credit pricing (CREDIT_PRICING in src/constants/plans.js): plans on a pool spend one balance,
+-- kept in credits_find, for both operations at per-operation weights. The free plan uses the pool,
+-- so credit packs (which only add credits_find) also pay for verification.
+
+-- The free trial's credits go into the pool
+ALTER TABLE profiles ALTER COLUMN credits_find SET DEFAULT 50;
+ALTER TABLE profiles ALTER COLUMN credits_verify SET DEFAULT 0;
+
+-- New profiles take their trial credits from the column defaults instead of repeating them here
+CREATE OR REPLACE FUNCTION public.handle_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO public.profiles (
+        id, email, full_name, company, plan, plan_expiry, created_at, updated_at
+    )
+    VALUES (
+        NEW.id,
+        NEW.email,
+        COALESCE(
+            NEW.raw_user_meta_data->>'full_name',
+            CONCAT(NEW.raw_user_meta_data->>'first_name', ' ', NEW.raw_user_meta_data->>'last_name')
+        ),
+        NEW.raw_user_meta_data->>'company',
+        'free',
+        NOW() + INTERVAL '3 days',  -- Automatically set plan_expiry to 3 days from now
+        NOW(),
+        NOW()
+    )
+    ON CONFLICT (id) DO UPDATE SET
+        email = EXCLUDED.email,
+        full_name = COALESCE(EXCLUDED.full_name, profiles.full_name),
+        company = COALESCE(EXCLUDED.company, profiles.company),
+        plan_expiry = COALESCE(profiles.plan_expiry, NOW() + INTERVAL '3 days'),
+        updated_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Move a user's verification credits into the pool, one for one, when they switch to a pooled plan.
+-- Both sides are recorded in the credit ledger. Returns the credits moved.
+CREATE OR REPLACE FUNCTION public.merge_credit_pool(p_user_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    moved INTEGER;
+BEGIN
+    -- Webhooks use the service role; the backfill below runs without a JWT
+    IF auth.jwt() IS NOT NULL AND COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' THEN
+        RAISE EXCEPTION 'Only the service role can merge credits';
+    END IF;
+
+    SELECT GREATEST(credits_verify, 0) INTO moved FROM profiles WHERE id = p_user_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    IF moved > 0 THEN
+        PERFORM adjust_credit_balance(p_user_id, 'verify', -moved, 'credit_pool_merge', 'revoke');
+        PERFORM adjust_credit_balance(p_user_id, 'find', moved, 'credit_pool_merge', 'grant');
+    END IF;
+
+    RETURN moved;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.merge_credit_pool(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Existing free users keep the verification credits they have, now as pool credits
+SELECT public.merge_credit_pool(id) FROM profiles WHERE plan = 'free' AND credits_verify > 0;
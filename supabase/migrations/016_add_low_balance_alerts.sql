@@ -0,0 +1,162 @@
+-- Low-balance alerts and auto top-up.
+-- When a balance drops below the user's threshold, a notification is recorded (ready to be emailed
+-- by any mailer that picks up rows with email_status 'pending') and, if the user opted in, a top-up
+-- with their saved credit pack is queued for src/api/auto-topup.js.
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS low_balance_threshold INTEGER DEFAULT 100 CHECK (low_balance_threshold >= 0);
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS auto_topup_enabled BOOLEAN DEFAULT FALSE;
+-- Variant name of the credit pack to buy (CREDIT_PACKS in src/constants/plans.js)
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS auto_topup_pack VARCHAR(50);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  type VARCHAR(30) NOT NULL CHECK (type IN ('low_balance', 'auto_topup')),
+  email TEXT,
+  subject TEXT NOT NULL,
+  body TEXT NOT NULL,
+  data JSONB DEFAULT '{}'::jsonb,
+  email_status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (email_status IN ('pending', 'sent', 'failed', 'skipped')),
+  sent_at TIMESTAMP WITH TIME ZONE,
+  read_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS credit_topups (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  pack VARCHAR(50) NOT NULL,
+  credit_type VARCHAR(20) NOT NULL CHECK (credit_type IN ('find', 'verify')),
+  balance_at_trigger INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'checkout_sent', 'completed', 'failed', 'cancelled')),
+  checkout_url TEXT,
+  transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_email_pending ON notifications(created_at) WHERE email_status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_credit_topups_status ON credit_topups(status, created_at);
+-- At most one open top-up per user, however often the balance dips
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_topups_open ON credit_topups(user_id) WHERE status IN ('pending', 'checkout_sent');
+
+-- Create updated_at trigger
+CREATE TRIGGER update_credit_topups_updated_at BEFORE UPDATE ON credit_topups
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Enable Row Level Security
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE credit_topups ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own notifications" ON notifications
+    FOR SELECT USING (user_id = auth.uid());
+
+-- Users mark their notifications as read
+CREATE POLICY "Users can update own notifications" ON notifications
+    FOR UPDATE USING (user_id = auth.uid());
+
+CREATE POLICY "Service role can manage notifications" ON notifications
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+CREATE POLICY "Users can view own credit topups" ON credit_topups
+    FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Service role can manage credit topups" ON credit_topups
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- Record the alert (and queue the top-up) when a balance crosses the user's threshold downwards
+CREATE OR REPLACE FUNCTION public.check_low_balance(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_balance_before INTEGER,
+    p_balance_after INTEGER
+)
+RETURNS VOID AS $$
+DECLARE
+    profile profiles;
+    label TEXT := CASE WHEN p_credit_type = 'find' THEN 'email finding' ELSE 'email verification' END;
+BEGIN
+    SELECT * INTO profile FROM profiles WHERE id = p_user_id;
+
+    IF COALESCE(profile.low_balance_threshold, 0) <= 0
+       OR p_balance_before < profile.low_balance_threshold
+       OR p_balance_after >= profile.low_balance_threshold THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO notifications (user_id, type, email, subject, body, data)
+    VALUES (
+        p_user_id, 'low_balance', profile.email,
+        'Your ' || label || ' credits are running low',
+        'You have ' || p_balance_after || ' ' || label || ' credits left, below your alert threshold of '
+            || profile.low_balance_threshold || '. Top up from the billing page to keep your lookups running.',
+        jsonb_build_object('credit_type', p_credit_type, 'balance', p_balance_after, 'threshold', profile.low_balance_threshold)
+    );
+
+    IF profile.auto_topup_enabled AND profile.auto_topup_pack IS NOT NULL THEN
+        INSERT INTO credit_topups (user_id, pack, credit_type, balance_at_trigger)
+        VALUES (p_user_id, profile.auto_topup_pack, p_credit_type, p_balance_after)
+        ON CONFLICT DO NOTHING;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Same as in 014, plus the low-balance check after every debit. Moving credits into the pool
+-- (merge_credit_pool) is not spending, so it doesn't alert.
+CREATE OR REPLACE FUNCTION public.adjust_credit_balance(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_delta INTEGER,
+    p_operation TEXT,
+    p_entry_type TEXT,
+    p_source_page TEXT DEFAULT NULL,
+    p_job_id UUID DEFAULT NULL,
+    p_reservation_id UUID DEFAULT NULL,
+    p_transaction_id UUID DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'::jsonb
+)
+RETURNS INTEGER AS $$
+DECLARE
+    balance INTEGER;
+BEGIN
+    UPDATE profiles SET
+        credits_find = credits_find + CASE WHEN p_credit_type = 'find' THEN p_delta ELSE 0 END,
+        credits_verify = credits_verify + CASE WHEN p_credit_type = 'verify' THEN p_delta ELSE 0 END
+    WHERE id = p_user_id
+    RETURNING CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END INTO balance;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    IF p_delta < 0 AND p_entry_type <> 'lapse' THEN
+        PERFORM consume_credit_buckets(p_user_id, p_credit_type, -p_delta);
+    ELSIF p_delta > 0 AND p_entry_type <> 'grant' THEN
+        PERFORM refill_credit_buckets(p_user_id, p_credit_type, p_delta);
+    END IF;
+
+    IF p_delta < 0 AND COALESCE(p_operation, '') <> 'credit_pool_merge' THEN
+        PERFORM check_low_balance(p_user_id, p_credit_type, balance - p_delta, balance);
+    END IF;
+
+    IF p_delta <> 0 THEN
+        INSERT INTO credit_ledger (
+            user_id, credit_type, operation, entry_type, quantity, balance_after,
+            source_page, job_id, reservation_id, transaction_id, metadata
+        ) VALUES (
+            p_user_id, p_credit_type, COALESCE(p_operation, p_credit_type), p_entry_type, p_delta, balance,
+            p_source_page, p_job_id, p_reservation_id, p_transaction_id, COALESCE(p_metadata, '{}'::jsonb)
+        );
+    END IF;
+
+    RETURN balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.check_low_balance(UUID, TEXT, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Let the banner and the billing page follow alerts and top-ups as they happen
+ALTER PUBLICATION supabase_realtime ADD TABLE notifications;
+ALTER PUBLICATION supabase_realtime ADD TABLE credit_topups;
@@ -0,0 +1,885 @@
+-- Team workspaces: an organization shares its owner's credit balance with its members.
+-- The owner's profile is the team's credit account, so purchases, subscriptions, credit buckets and
+-- the ledger keep working per profile; a member's reservations and charges are taken from the
+-- owner's balance and recorded with the member as actor. A user belongs to at most one organization;
+-- their own balance is left untouched while they are a member and is used again when they leave.
+
+-- Seats the owner's plan allows (teamSeats in src/constants/plans.js, set by the webhooks)
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS team_seats INTEGER DEFAULT 1 CHECK (team_seats >= 1);
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name VARCHAR(255) NOT NULL,
+  owner_id UUID NOT NULL UNIQUE REFERENCES profiles(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS organization_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL UNIQUE REFERENCES profiles(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'admin', 'member')),
+  -- Credits the member may spend from the shared balance per calendar month; NULL for no limit
+  credit_limit INTEGER CHECK (credit_limit >= 0),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS organization_invites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+  -- Shared in the invite link; accepting also requires signing in with the invited email
+  token UUID NOT NULL UNIQUE DEFAULT gen_random_uuid(),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted')),
+  invited_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  accepted_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  accepted_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW() + INTERVAL '7 days',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Credit activity records who spent the credits; for solo users that is the account holder
+ALTER TABLE credit_ledger ADD COLUMN IF NOT EXISTS actor_id UUID REFERENCES profiles(id) ON DELETE SET NULL;
+ALTER TABLE credit_reservations ADD COLUMN IF NOT EXISTS actor_id UUID REFERENCES profiles(id) ON DELETE SET NULL;
+UPDATE credit_ledger SET actor_id = user_id WHERE actor_id IS NULL;
+UPDATE credit_reservations SET actor_id = user_id WHERE actor_id IS NULL;
+
+-- Create indexes for faster lookups
+CREATE INDEX IF NOT EXISTS idx_organization_members_organization_id ON organization_members(organization_id);
+CREATE INDEX IF NOT EXISTS idx_organization_invites_organization_id ON organization_invites(organization_id);
+CREATE INDEX IF NOT EXISTS idx_organization_invites_email ON organization_invites(lower(email)) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_actor_created ON credit_ledger(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_credit_reservations_actor_id ON credit_reservations(actor_id);
+
+-- Create updated_at triggers
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_organization_members_updated_at BEFORE UPDATE ON organization_members
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The caller's role in an organization, or NULL when they are not a member.
+-- Runs with definer rights so the policies below can use it without recursing into themselves.
+CREATE OR REPLACE FUNCTION public.organization_role(p_organization_id UUID)
+RETURNS TEXT AS $$
+    SELECT role FROM organization_members
+    WHERE organization_id = p_organization_id AND user_id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Enable Row Level Security
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_members ENABLE ROW LEVEL SECURITY;
+ALTER TABLE organization_invites ENABLE ROW LEVEL SECURITY;
+
+-- Everything is readable by the organization's members; changes go through the functions below
+CREATE POLICY "Members can view own organization" ON organizations
+    FOR SELECT USING (organization_role(id) IS NOT NULL);
+
+-- Invited users see the name of the organization that invited them
+CREATE POLICY "Invited users can view inviting organization" ON organizations
+    FOR SELECT USING (EXISTS (
+        SELECT 1 FROM organization_invites i
+        WHERE i.organization_id = organizations.id
+          AND i.status = 'pending'
+          AND lower(i.email) = lower(auth.jwt() ->> 'email')
+    ));
+
+CREATE POLICY "Owners can delete own organization" ON organizations
+    FOR DELETE USING (owner_id = auth.uid());
+
+CREATE POLICY "Service role can manage organizations" ON organizations
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+CREATE POLICY "Members can view organization members" ON organization_members
+    FOR SELECT USING (organization_role(organization_id) IS NOT NULL);
+
+CREATE POLICY "Service role can manage organization members" ON organization_members
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- Owners and admins manage invites; invited users see the invites sent to their email
+CREATE POLICY "Admins can view organization invites" ON organization_invites
+    FOR SELECT USING (organization_role(organization_id) IN ('owner', 'admin'));
+
+CREATE POLICY "Users can view own organization invites" ON organization_invites
+    FOR SELECT USING (status = 'pending' AND lower(email) = lower(auth.jwt() ->> 'email'));
+
+CREATE POLICY "Admins can delete organization invites" ON organization_invites
+    FOR DELETE USING (organization_role(organization_id) IN ('owner', 'admin'));
+
+CREATE POLICY "Service role can manage organization invites" ON organization_invites
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+-- Members see the credits they spent from the team balance; owners and admins see all of it
+CREATE POLICY "Users can view own credit activity" ON credit_ledger
+    FOR SELECT USING (actor_id = auth.uid());
+
+CREATE POLICY "Admins can view organization credit ledger" ON credit_ledger
+    FOR SELECT USING (EXISTS (
+        SELECT 1 FROM organizations o
+        WHERE o.owner_id = credit_ledger.user_id AND organization_role(o.id) IN ('owner', 'admin')
+    ));
+
+CREATE POLICY "Users can view own team credit reservations" ON credit_reservations
+    FOR SELECT USING (actor_id = auth.uid());
+
+-- Profile whose balance a user spends: their organization's owner, or themselves
+CREATE OR REPLACE FUNCTION public.credit_account_id(p_user_id UUID)
+RETURNS UUID AS $$
+    SELECT COALESCE((
+        SELECT o.owner_id
+        FROM organization_members m
+        JOIN organizations o ON o.id = m.organization_id
+        WHERE m.user_id = p_user_id
+    ), p_user_id);
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Credits a user spent from their credit account since p_since.
+-- Holds, settlements, refunds and charges net out to the credits actually spent.
+CREATE OR REPLACE FUNCTION public.member_credits_used(p_user_id UUID, p_since TIMESTAMP WITH TIME ZONE)
+RETURNS INTEGER AS $$
+    SELECT COALESCE(-SUM(quantity), 0)::INTEGER
+    FROM credit_ledger
+    WHERE actor_id = p_user_id
+      AND user_id = credit_account_id(p_user_id)
+      AND entry_type IN ('reserve', 'settle', 'release', 'expire', 'charge')
+      AND created_at >= p_since;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Credits a member may still spend this month, or NULL when they have no limit (owners never do)
+CREATE OR REPLACE FUNCTION public.member_credit_allowance(p_user_id UUID)
+RETURNS INTEGER AS $$
+    SELECT GREATEST(m.credit_limit - member_credits_used(p_user_id, date_trunc('month', NOW())), 0)
+    FROM organization_members m
+    WHERE m.user_id = p_user_id AND m.role <> 'owner' AND m.credit_limit IS NOT NULL;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Like assert_credit_caller, but members may also act on their organization's shared account.
+-- Only for housekeeping that doesn't spend (lapsing buckets, reading the breakdown).
+CREATE OR REPLACE FUNCTION public.assert_credit_account_caller(p_account_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    IF auth.uid() IS NOT NULL AND credit_account_id(auth.uid()) = p_account_id THEN
+        RETURN;
+    END IF;
+
+    PERFORM assert_credit_caller(p_account_id);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- The ledger context gains the member who spent the credits
+DROP FUNCTION IF EXISTS public.adjust_credit_balance(UUID, TEXT, INTEGER, TEXT, TEXT, TEXT, UUID, UUID, UUID, JSONB);
+
+-- Same as in 016, plus the actor (defaults to the account holder)
+CREATE OR REPLACE FUNCTION public.adjust_credit_balance(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_delta INTEGER,
+    p_operation TEXT,
+    p_entry_type TEXT,
+    p_source_page TEXT DEFAULT NULL,
+    p_job_id UUID DEFAULT NULL,
+    p_reservation_id UUID DEFAULT NULL,
+    p_transaction_id UUID DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'::jsonb,
+    p_actor_id UUID DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+    balance INTEGER;
+BEGIN
+    UPDATE profiles SET
+        credits_find = credits_find + CASE WHEN p_credit_type = 'find' THEN p_delta ELSE 0 END,
+        credits_verify = credits_verify + CASE WHEN p_credit_type = 'verify' THEN p_delta ELSE 0 END
+    WHERE id = p_user_id
+    RETURNING CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END INTO balance;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    IF p_delta < 0 AND p_entry_type <> 'lapse' THEN
+        PERFORM consume_credit_buckets(p_user_id, p_credit_type, -p_delta);
+    ELSIF p_delta > 0 AND p_entry_type <> 'grant' THEN
+        PERFORM refill_credit_buckets(p_user_id, p_credit_type, p_delta);
+    END IF;
+
+    IF p_delta < 0 AND COALESCE(p_operation, '') <> 'credit_pool_merge' THEN
+        PERFORM check_low_balance(p_user_id, p_credit_type, balance - p_delta, balance);
+    END IF;
+
+    IF p_delta <> 0 THEN
+        INSERT INTO credit_ledger (
+            user_id, credit_type, operation, entry_type, quantity, balance_after,
+            source_page, job_id, reservation_id, transaction_id, metadata, actor_id
+        ) VALUES (
+            p_user_id, p_credit_type, COALESCE(p_operation, p_credit_type), p_entry_type, p_delta, balance,
+            p_source_page, p_job_id, p_reservation_id, p_transaction_id, COALESCE(p_metadata, '{}'::jsonb),
+            COALESCE(p_actor_id, p_user_id)
+        );
+    END IF;
+
+    RETURN balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Refunded holds are credited back to the member who made them
+CREATE OR REPLACE FUNCTION public.release_expired_credit_reservations(p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    reservation credit_reservations;
+    released_count INTEGER := 0;
+BEGIN
+    FOR reservation IN
+        UPDATE credit_reservations SET status = 'expired'
+        WHERE status = 'reserved'
+          AND expires_at < NOW()
+          AND (p_user_id IS NULL OR user_id = p_user_id)
+        RETURNING *
+    LOOP
+        PERFORM adjust_credit_balance(
+            reservation.user_id, reservation.credit_type, reservation.amount,
+            reservation.operation, 'expire', reservation.source_page, reservation.job_id, reservation.id,
+            NULL, '{}'::jsonb, reservation.actor_id
+        );
+        released_count := released_count + 1;
+    END LOOP;
+
+    RETURN released_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Members may lapse the expired buckets of their organization's balance
+CREATE OR REPLACE FUNCTION public.expire_credit_buckets(p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER AS $$
+DECLARE
+    bucket credit_buckets;
+    profile profiles;
+    rolled INTEGER;
+    lapsed INTEGER;
+    expired_count INTEGER := 0;
+BEGIN
+    IF p_user_id IS NULL THEN
+        -- pg_cron and direct database sessions carry no JWT
+        IF auth.jwt() IS NOT NULL AND COALESCE(auth.jwt() ->> 'role', '') <> 'service_role' THEN
+            RAISE EXCEPTION 'Only the service role can expire credits of all users';
+        END IF;
+    ELSE
+        PERFORM assert_credit_account_caller(p_user_id);
+    END IF;
+
+    FOR bucket IN
+        SELECT * FROM credit_buckets
+        WHERE remaining > 0
+          AND expires_at <= NOW()
+          AND (p_user_id IS NULL OR user_id = p_user_id)
+        ORDER BY expires_at ASC
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        UPDATE credit_buckets SET remaining = 0 WHERE id = bucket.id;
+
+        SELECT * INTO profile FROM profiles WHERE id = bucket.user_id FOR UPDATE;
+
+        rolled := CASE WHEN profile.subscription_id IS NOT NULL THEN LEAST(bucket.remaining, bucket.rollover_cap) ELSE 0 END;
+        IF rolled > 0 THEN
+            INSERT INTO credit_buckets (user_id, credit_type, source, granted, remaining, expires_at, rollover_cap, transaction_id)
+            VALUES (bucket.user_id, bucket.credit_type, 'rollover', rolled, rolled, bucket.expires_at + INTERVAL '1 month', 0, bucket.transaction_id);
+        END IF;
+
+        -- The balance may have been lowered outside the buckets; never take it below zero
+        lapsed := LEAST(
+            bucket.remaining - rolled,
+            GREATEST(CASE WHEN bucket.credit_type = 'find' THEN profile.credits_find ELSE profile.credits_verify END, 0)
+        );
+        IF lapsed > 0 THEN
+            PERFORM adjust_credit_balance(
+                bucket.user_id, bucket.credit_type, -lapsed, bucket.source || '_credits', 'lapse',
+                NULL, NULL, NULL, bucket.transaction_id,
+                jsonb_build_object('bucket_id', bucket.id, 'expired_at', bucket.expires_at, 'rolled_over', rolled)
+            );
+        END IF;
+
+        expired_count := expired_count + 1;
+    END LOOP;
+
+    RETURN expired_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Hold credits from the user's credit account. A member with a credit limit can't hold more than
+-- what is left of it this month.
+CREATE OR REPLACE FUNCTION public.reserve_credits(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_amount INTEGER,
+    p_allow_partial BOOLEAN DEFAULT FALSE,
+    p_job_id UUID DEFAULT NULL,
+    p_ttl_seconds INTEGER DEFAULT 900,
+    p_operation TEXT DEFAULT NULL,
+    p_source_page TEXT DEFAULT NULL
+)
+RETURNS credit_reservations AS $$
+DECLARE
+    account_id UUID;
+    available INTEGER;
+    allowance INTEGER;
+    limited BOOLEAN := FALSE;
+    held INTEGER;
+    reservation credit_reservations;
+BEGIN
+    PERFORM assert_credit_caller(p_user_id);
+
+    IF p_credit_type NOT IN ('find', 'verify') THEN
+        RAISE EXCEPTION 'Unknown credit type: %', p_credit_type;
+    END IF;
+    IF p_amount < 0 THEN
+        RAISE EXCEPTION 'Amount must not be negative';
+    END IF;
+
+    account_id := credit_account_id(p_user_id);
+
+    PERFORM release_expired_credit_reservations(account_id);
+    PERFORM expire_credit_buckets(account_id);
+
+    SELECT CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END
+    INTO available
+    FROM profiles WHERE id = account_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    -- Read under the account lock, so concurrent holds of the same member can't both pass
+    allowance := member_credit_allowance(p_user_id);
+    IF allowance IS NOT NULL AND allowance < available THEN
+        available := allowance;
+        limited := TRUE;
+    END IF;
+
+    held := CASE WHEN p_allow_partial THEN LEAST(p_amount, GREATEST(available, 0)) ELSE p_amount END;
+    IF held > available OR (held = 0 AND p_amount > 0) THEN
+        IF limited THEN
+            RAISE EXCEPTION 'Insufficient % credits: monthly team credit limit reached', p_credit_type;
+        END IF;
+        RAISE EXCEPTION 'Insufficient % credits', p_credit_type;
+    END IF;
+
+    INSERT INTO credit_reservations (user_id, credit_type, amount, job_id, expires_at, operation, source_page, actor_id)
+    VALUES (
+        account_id, p_credit_type, held, p_job_id, NOW() + make_interval(secs => p_ttl_seconds),
+        COALESCE(p_operation, p_credit_type), p_source_page, p_user_id
+    )
+    RETURNING * INTO reservation;
+
+    PERFORM adjust_credit_balance(
+        account_id, p_credit_type, -held, reservation.operation, 'reserve', p_source_page, p_job_id, reservation.id,
+        NULL, '{}'::jsonb, p_user_id
+    );
+
+    RETURN reservation;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Reservations are settled by the member who made them; charges beyond the hold also respect
+-- their credit limit
+CREATE OR REPLACE FUNCTION public.settle_credit_reservation(p_reservation_id UUID, p_used INTEGER)
+RETURNS credit_reservations AS $$
+DECLARE
+    reservation credit_reservations;
+    held INTEGER;
+    charged INTEGER;
+    available INTEGER;
+    allowance INTEGER;
+BEGIN
+    SELECT * INTO reservation FROM credit_reservations WHERE id = p_reservation_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Credit reservation not found';
+    END IF;
+
+    PERFORM assert_credit_caller(COALESCE(reservation.actor_id, reservation.user_id));
+
+    IF reservation.status NOT IN ('reserved', 'expired') THEN
+        RAISE EXCEPTION 'Credit reservation is already %', reservation.status;
+    END IF;
+
+    held := CASE WHEN reservation.status = 'reserved' THEN reservation.amount ELSE 0 END;
+    charged := GREATEST(p_used, 0);
+
+    IF charged > held THEN
+        SELECT CASE WHEN reservation.credit_type = 'find' THEN credits_find ELSE credits_verify END
+        INTO available
+        FROM profiles WHERE id = reservation.user_id
+        FOR UPDATE;
+
+        allowance := member_credit_allowance(reservation.actor_id);
+        IF allowance IS NOT NULL THEN
+            available := LEAST(available, allowance);
+        END IF;
+
+        charged := held + LEAST(charged - held, GREATEST(available, 0));
+    END IF;
+
+    PERFORM adjust_credit_balance(
+        reservation.user_id, reservation.credit_type, held - charged, reservation.operation, 'settle',
+        reservation.source_page, reservation.job_id, reservation.id, NULL,
+        jsonb_build_object('held', held, 'used', charged), reservation.actor_id
+    );
+
+    UPDATE credit_reservations SET status = 'settled', used = charged
+    WHERE id = p_reservation_id
+    RETURNING * INTO reservation;
+
+    RETURN reservation;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION public.release_credit_reservation(p_reservation_id UUID)
+RETURNS credit_reservations AS $$
+DECLARE
+    reservation credit_reservations;
+BEGIN
+    SELECT * INTO reservation FROM credit_reservations WHERE id = p_reservation_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Credit reservation not found';
+    END IF;
+
+    PERFORM assert_credit_caller(COALESCE(reservation.actor_id, reservation.user_id));
+
+    IF reservation.status <> 'reserved' THEN
+        RETURN reservation;
+    END IF;
+
+    PERFORM adjust_credit_balance(
+        reservation.user_id, reservation.credit_type, reservation.amount, reservation.operation, 'release',
+        reservation.source_page, reservation.job_id, reservation.id, NULL, '{}'::jsonb, reservation.actor_id
+    );
+
+    UPDATE credit_reservations SET status = 'released', used = 0
+    WHERE id = p_reservation_id
+    RETURNING * INTO reservation;
+
+    RETURN reservation;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Charge credits from the user's credit account in one step, floored at zero and at what is left
+-- of a member's credit limit; returns the credits actually charged
+CREATE OR REPLACE FUNCTION public.consume_credits(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_amount INTEGER,
+    p_operation TEXT DEFAULT NULL,
+    p_source_page TEXT DEFAULT NULL,
+    p_job_id UUID DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+    account_id UUID;
+    available INTEGER;
+    allowance INTEGER;
+    charged INTEGER;
+BEGIN
+    PERFORM assert_credit_caller(p_user_id);
+
+    account_id := credit_account_id(p_user_id);
+    PERFORM expire_credit_buckets(account_id);
+
+    SELECT CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END
+    INTO available
+    FROM profiles WHERE id = account_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    allowance := member_credit_allowance(p_user_id);
+    IF allowance IS NOT NULL THEN
+        available := LEAST(available, allowance);
+    END IF;
+
+    charged := LEAST(GREATEST(p_amount, 0), GREATEST(available, 0));
+    PERFORM adjust_credit_balance(
+        account_id, p_credit_type, -charged, p_operation, 'charge', p_source_page, p_job_id,
+        NULL, NULL, '{}'::jsonb, p_user_id
+    );
+
+    RETURN charged;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Members see the breakdown of their organization's balance
+CREATE OR REPLACE FUNCTION public.get_credit_breakdown(p_user_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    account_id UUID;
+    result JSONB;
+BEGIN
+    PERFORM assert_credit_caller(p_user_id);
+
+    account_id := credit_account_id(p_user_id);
+    PERFORM expire_credit_buckets(account_id);
+
+    SELECT jsonb_build_object(
+        'credits_find', profiles.credits_find,
+        'credits_verify', profiles.credits_verify,
+        'buckets', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object(
+                'id', b.id,
+                'credit_type', b.credit_type,
+                'source', b.source,
+                'granted', b.granted,
+                'remaining', b.remaining,
+                'expires_at', b.expires_at,
+                'rollover_cap', b.rollover_cap,
+                'created_at', b.created_at
+            ) ORDER BY b.expires_at ASC NULLS LAST, b.created_at ASC)
+            FROM credit_buckets b
+            WHERE b.user_id = account_id AND b.remaining > 0
+        ), '[]'::jsonb)
+    )
+    INTO result
+    FROM profiles WHERE id = account_id;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- The balance a user spends and the plan it is priced by, with their team membership if any.
+-- team_seats is the account's seat count; credits_used and credit_limit are the member's spending
+-- this month and its limit.
+CREATE OR REPLACE FUNCTION public.get_credit_account(p_user_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    account_id UUID;
+    result JSONB;
+BEGIN
+    PERFORM assert_credit_caller(p_user_id);
+
+    account_id := credit_account_id(p_user_id);
+
+    SELECT jsonb_build_object(
+        'account_id', account_id,
+        'credits_find', a.credits_find,
+        'credits_verify', a.credits_verify,
+        'plan', a.plan,
+        'plan_expiry', a.plan_expiry,
+        'team_seats', a.team_seats,
+        'organization_id', o.id,
+        'organization_name', o.name,
+        'role', m.role,
+        'credit_limit', m.credit_limit,
+        'credits_used', CASE WHEN m.id IS NULL THEN NULL ELSE member_credits_used(p_user_id, date_trunc('month', NOW())) END
+    )
+    INTO result
+    FROM profiles a
+    LEFT JOIN organization_members m ON m.user_id = p_user_id
+    LEFT JOIN organizations o ON o.id = m.organization_id
+    WHERE a.id = account_id;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Start an organization owned by the caller, who shares their balance with it
+CREATE OR REPLACE FUNCTION public.create_organization(p_name TEXT)
+RETURNS organizations AS $$
+DECLARE
+    organization organizations;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+    IF COALESCE(trim(p_name), '') = '' THEN
+        RAISE EXCEPTION 'Organization name is required';
+    END IF;
+    IF EXISTS (SELECT 1 FROM organization_members WHERE user_id = auth.uid()) THEN
+        RAISE EXCEPTION 'You already belong to an organization';
+    END IF;
+
+    INSERT INTO organizations (name, owner_id)
+    VALUES (trim(p_name), auth.uid())
+    RETURNING * INTO organization;
+
+    INSERT INTO organization_members (organization_id, user_id, role)
+    VALUES (organization.id, auth.uid(), 'owner');
+
+    RETURN organization;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Invite someone by email. Owners invite admins and members, admins invite members.
+-- Members and pending invites together can't exceed the owner's team_seats.
+CREATE OR REPLACE FUNCTION public.invite_organization_member(
+    p_organization_id UUID,
+    p_email TEXT,
+    p_role TEXT DEFAULT 'member'
+)
+RETURNS organization_invites AS $$
+DECLARE
+    caller_role TEXT := organization_role(p_organization_id);
+    seats INTEGER;
+    taken INTEGER;
+    invite organization_invites;
+BEGIN
+    IF caller_role IS NULL OR caller_role = 'member' THEN
+        RAISE EXCEPTION 'Only owners and admins can invite members';
+    END IF;
+    IF p_role NOT IN ('admin', 'member') THEN
+        RAISE EXCEPTION 'Unknown role: %', p_role;
+    END IF;
+    IF p_role = 'admin' AND caller_role <> 'owner' THEN
+        RAISE EXCEPTION 'Only the owner can invite admins';
+    END IF;
+    IF COALESCE(trim(p_email), '') = '' THEN
+        RAISE EXCEPTION 'Email is required';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM organization_members m JOIN profiles p ON p.id = m.user_id
+        WHERE m.organization_id = p_organization_id AND lower(p.email) = lower(trim(p_email))
+    ) THEN
+        RAISE EXCEPTION '% is already a member', trim(p_email);
+    END IF;
+    IF EXISTS (
+        SELECT 1 FROM organization_invites
+        WHERE organization_id = p_organization_id AND status = 'pending' AND expires_at > NOW()
+          AND lower(email) = lower(trim(p_email))
+    ) THEN
+        RAISE EXCEPTION '% has already been invited', trim(p_email);
+    END IF;
+
+    SELECT p.team_seats INTO seats
+    FROM organizations o JOIN profiles p ON p.id = o.owner_id
+    WHERE o.id = p_organization_id
+    FOR UPDATE OF o;
+
+    SELECT (SELECT COUNT(*) FROM organization_members WHERE organization_id = p_organization_id)
+         + (SELECT COUNT(*) FROM organization_invites
+            WHERE organization_id = p_organization_id AND status = 'pending' AND expires_at > NOW())
+    INTO taken;
+
+    IF taken >= COALESCE(seats, 1) THEN
+        RAISE EXCEPTION 'All % seats of your plan are taken', COALESCE(seats, 1);
+    END IF;
+
+    INSERT INTO organization_invites (organization_id, email, role, invited_by)
+    VALUES (p_organization_id, trim(p_email), p_role, auth.uid())
+    RETURNING * INTO invite;
+
+    RETURN invite;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Join the organization of an invite sent to the caller's email
+CREATE OR REPLACE FUNCTION public.accept_organization_invite(p_token UUID)
+RETURNS organization_members AS $$
+DECLARE
+    invite organization_invites;
+    member organization_members;
+    seats INTEGER;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in';
+    END IF;
+
+    SELECT * INTO invite FROM organization_invites WHERE token = p_token FOR UPDATE;
+    IF NOT FOUND OR invite.status <> 'pending' OR invite.expires_at <= NOW() THEN
+        RAISE EXCEPTION 'This invite is no longer valid';
+    END IF;
+    IF lower(invite.email) <> lower(COALESCE(auth.jwt() ->> 'email', '')) THEN
+        RAISE EXCEPTION 'This invite was sent to another email address';
+    END IF;
+    IF EXISTS (SELECT 1 FROM organization_members WHERE user_id = auth.uid()) THEN
+        RAISE EXCEPTION 'You already belong to an organization';
+    END IF;
+
+    -- The invite held a seat, but the owner's plan may have been downgraded since
+    SELECT p.team_seats INTO seats
+    FROM organizations o JOIN profiles p ON p.id = o.owner_id
+    WHERE o.id = invite.organization_id
+    FOR UPDATE OF o;
+
+    IF (SELECT COUNT(*) FROM organization_members WHERE organization_id = invite.organization_id) >= COALESCE(seats, 1) THEN
+        RAISE EXCEPTION 'The organization has no free seats';
+    END IF;
+
+    INSERT INTO organization_members (organization_id, user_id, role)
+    VALUES (invite.organization_id, auth.uid(), invite.role)
+    RETURNING * INTO member;
+
+    UPDATE organization_invites SET status = 'accepted', accepted_by = auth.uid(), accepted_at = NOW()
+    WHERE id = invite.id;
+
+    RETURN member;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Change a member's role (owner only) or monthly credit limit (owner, or admins for members).
+-- Pass p_role NULL to keep the role; p_credit_limit NULL removes the limit.
+CREATE OR REPLACE FUNCTION public.update_organization_member(
+    p_member_id UUID,
+    p_role TEXT,
+    p_credit_limit INTEGER
+)
+RETURNS organization_members AS $$
+DECLARE
+    member organization_members;
+    caller_role TEXT;
+BEGIN
+    SELECT * INTO member FROM organization_members WHERE id = p_member_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Member not found';
+    END IF;
+
+    caller_role := organization_role(member.organization_id);
+    IF caller_role IS NULL OR caller_role = 'member' THEN
+        RAISE EXCEPTION 'Only owners and admins can change members';
+    END IF;
+    IF member.role = 'owner' THEN
+        RAISE EXCEPTION 'The owner can''t be changed';
+    END IF;
+    IF caller_role = 'admin' AND (member.role = 'admin' OR p_role IS NOT NULL) THEN
+        RAISE EXCEPTION 'Only the owner can change admins and roles';
+    END IF;
+    IF p_role IS NOT NULL AND p_role NOT IN ('admin', 'member') THEN
+        RAISE EXCEPTION 'Unknown role: %', p_role;
+    END IF;
+
+    UPDATE organization_members SET
+        role = COALESCE(p_role, role),
+        credit_limit = p_credit_limit
+    WHERE id = p_member_id
+    RETURNING * INTO member;
+
+    RETURN member;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Remove a member (owner, or admins for members), or leave the organization yourself.
+-- The owner can't leave; they delete the organization instead.
+CREATE OR REPLACE FUNCTION public.remove_organization_member(p_member_id UUID)
+RETURNS VOID AS $$
+DECLARE
+    member organization_members;
+    caller_role TEXT;
+BEGIN
+    SELECT * INTO member FROM organization_members WHERE id = p_member_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Member not found';
+    END IF;
+
+    IF member.role = 'owner' THEN
+        RAISE EXCEPTION 'The owner can''t leave the organization; delete it instead';
+    END IF;
+
+    IF member.user_id <> auth.uid() THEN
+        caller_role := organization_role(member.organization_id);
+        IF caller_role IS NULL OR caller_role = 'member' OR (caller_role = 'admin' AND member.role = 'admin') THEN
+            RAISE EXCEPTION 'Not allowed to remove this member';
+        END IF;
+    END IF;
+
+    DELETE FROM organization_members WHERE id = p_member_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Members with their name, email and the credits they spent this month
+CREATE OR REPLACE FUNCTION public.get_organization_members(p_organization_id UUID)
+RETURNS JSONB AS $$
+BEGIN
+    IF organization_role(p_organization_id) IS NULL THEN
+        RAISE EXCEPTION 'Not a member of this organization';
+    END IF;
+
+    RETURN COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+            'id', m.id,
+            'user_id', m.user_id,
+            'email', p.email,
+            'full_name', p.full_name,
+            'role', m.role,
+            'credit_limit', m.credit_limit,
+            'credits_used', member_credits_used(m.user_id, date_trunc('month', NOW())),
+            'created_at', m.created_at
+        ) ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, m.created_at)
+        FROM organization_members m
+        JOIN profiles p ON p.id = m.user_id
+        WHERE m.organization_id = p_organization_id
+    ), '[]'::jsonb);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Usage stats count the credits the user spent, whichever balance they came from
+CREATE OR REPLACE FUNCTION public.get_usage_stats(p_user_id UUID, p_days INTEGER DEFAULT 30)
+RETURNS JSONB AS $$
+    WITH bounds AS (
+        SELECT CURRENT_DATE - (LEAST(GREATEST(p_days, 1), 366) - 1) AS start_day
+    ), days AS (
+        SELECT generate_series((SELECT start_day FROM bounds), CURRENT_DATE, INTERVAL '1 day')::date AS day
+    ), events AS (
+        SELECT * FROM usage_events
+        WHERE user_id = p_user_id AND created_at >= (SELECT start_day FROM bounds)
+    ), daily_events AS (
+        SELECT
+            created_at::date AS day,
+            COUNT(*) FILTER (WHERE operation = 'find') AS finds,
+            COUNT(*) FILTER (WHERE operation = 'find' AND hit) AS find_hits,
+            COUNT(*) FILTER (WHERE operation = 'verify') AS verifies,
+            COUNT(*) FILTER (WHERE operation = 'verify' AND hit) AS verify_hits
+        FROM events
+        GROUP BY 1
+    ), daily_credits AS (
+        -- Holds, settlements, refunds and charges net out to the credits actually spent
+        SELECT
+            created_at::date AS day,
+            COALESCE(-SUM(quantity) FILTER (WHERE credit_type = 'find'), 0) AS credits_find,
+            COALESCE(-SUM(quantity) FILTER (WHERE credit_type = 'verify'), 0) AS credits_verify
+        FROM credit_ledger
+        WHERE actor_id = p_user_id
+          AND entry_type <> 'grant'
+          AND created_at >= (SELECT start_day FROM bounds)
+        GROUP BY 1
+    ), top_domains AS (
+        SELECT domain, COUNT(*) AS lookups, COUNT(*) FILTER (WHERE hit) AS hits
+        FROM events
+        WHERE domain IS NOT NULL AND domain <> ''
+        GROUP BY domain
+        ORDER BY lookups DESC, domain
+        LIMIT 10
+    )
+    SELECT jsonb_build_object(
+        'daily', (
+            SELECT jsonb_agg(jsonb_build_object(
+                'date', d.day,
+                'finds', COALESCE(e.finds, 0),
+                'find_hits', COALESCE(e.find_hits, 0),
+                'verifies', COALESCE(e.verifies, 0),
+                'verify_hits', COALESCE(e.verify_hits, 0),
+                'credits_find', COALESCE(c.credits_find, 0),
+                'credits_verify', COALESCE(c.credits_verify, 0)
+            ) ORDER BY d.day)
+            FROM days d
+            LEFT JOIN daily_events e USING (day)
+            LEFT JOIN daily_credits c USING (day)
+        ),
+        'top_domains', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('domain', domain, 'lookups', lookups, 'hits', hits) ORDER BY lookups DESC, domain)
+            FROM top_domains
+        ), '[]'::jsonb)
+    );
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION public.adjust_credit_balance(UUID, TEXT, INTEGER, TEXT, TEXT, TEXT, UUID, UUID, UUID, JSONB, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.member_credits_used(UUID, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.member_credit_allowance(UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.get_credit_account(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.create_organization(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.invite_organization_member(UUID, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.accept_organization_invite(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.update_organization_member(UUID, TEXT, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.remove_organization_member(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_organization_members(UUID) TO authenticated;
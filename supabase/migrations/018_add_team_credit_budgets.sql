@@ -0,0 +1,118 @@
+-- Per-member credit budgets follow the team's billing cycle.
+-- A member's credit_limit (migration 017) is their budget for the current cycle of the owner's
+-- subscription (monthly, also for annual plans, on the day their credits drip) instead of the
+-- calendar month. Without an active subscription the cycle is the calendar month.
+
+-- Start of the current credit cycle of a credit account
+CREATE OR REPLACE FUNCTION public.team_credit_cycle_start(p_account_id UUID)
+RETURNS TIMESTAMP WITH TIME ZONE AS $$
+DECLARE
+    expiry TIMESTAMP WITH TIME ZONE;
+    months INTEGER := 1;
+BEGIN
+    SELECT plan_expiry INTO expiry
+    FROM profiles
+    WHERE id = p_account_id AND subscription_id IS NOT NULL AND plan_expiry > NOW();
+
+    -- Annual plans renew once a year but start a new month on the same day
+    WHILE expiry IS NOT NULL AND months <= 12 LOOP
+        IF expiry - make_interval(months => months) <= NOW() THEN
+            RETURN expiry - make_interval(months => months);
+        END IF;
+        months := months + 1;
+    END LOOP;
+
+    RETURN date_trunc('month', NOW());
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Credits a member may still spend this cycle, or NULL when they have no budget (owners never do)
+CREATE OR REPLACE FUNCTION public.member_credit_allowance(p_user_id UUID)
+RETURNS INTEGER AS $$
+    SELECT GREATEST(
+        m.credit_limit - member_credits_used(p_user_id, team_credit_cycle_start(credit_account_id(p_user_id))),
+        0
+    )
+    FROM organization_members m
+    WHERE m.user_id = p_user_id AND m.role <> 'owner' AND m.credit_limit IS NOT NULL;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Same as in 017, with the cycle the budget applies to
+CREATE OR REPLACE FUNCTION public.get_credit_account(p_user_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    account_id UUID;
+    cycle_start TIMESTAMP WITH TIME ZONE;
+    result JSONB;
+BEGIN
+    PERFORM assert_credit_caller(p_user_id);
+
+    account_id := credit_account_id(p_user_id);
+    cycle_start := team_credit_cycle_start(account_id);
+
+    SELECT jsonb_build_object(
+        'account_id', account_id,
+        'credits_find', a.credits_find,
+        'credits_verify', a.credits_verify,
+        'plan', a.plan,
+        'plan_expiry', a.plan_expiry,
+        'team_seats', a.team_seats,
+        'organization_id', o.id,
+        'organization_name', o.name,
+        'role', m.role,
+        'credit_limit', m.credit_limit,
+        'credits_used', CASE WHEN m.id IS NULL THEN NULL ELSE member_credits_used(p_user_id, cycle_start) END,
+        'cycle_start', CASE WHEN m.id IS NULL THEN NULL ELSE cycle_start END
+    )
+    INTO result
+    FROM profiles a
+    LEFT JOIN organization_members m ON m.user_id = p_user_id
+    LEFT JOIN organizations o ON o.id = m.organization_id
+    WHERE a.id = account_id;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Team usage: members with their budget and the finds, verifications and credits of this cycle
+CREATE OR REPLACE FUNCTION public.get_organization_members(p_organization_id UUID)
+RETURNS JSONB AS $$
+DECLARE
+    cycle_start TIMESTAMP WITH TIME ZONE;
+BEGIN
+    IF organization_role(p_organization_id) IS NULL THEN
+        RAISE EXCEPTION 'Not a member of this organization';
+    END IF;
+
+    SELECT team_credit_cycle_start(owner_id) INTO cycle_start
+    FROM organizations WHERE id = p_organization_id;
+
+    RETURN COALESCE((
+        SELECT jsonb_agg(jsonb_build_object(
+            'id', m.id,
+            'user_id', m.user_id,
+            'email', p.email,
+            'full_name', p.full_name,
+            'role', m.role,
+            'credit_limit', m.credit_limit,
+            'credits_used', member_credits_used(m.user_id, cycle_start),
+            'finds', COALESCE(u.finds, 0),
+            'verifies', COALESCE(u.verifies, 0),
+            'created_at', m.created_at
+        ) ORDER BY CASE m.role WHEN 'owner' THEN 0 WHEN 'admin' THEN 1 ELSE 2 END, m.created_at)
+        FROM organization_members m
+        JOIN profiles p ON p.id = m.user_id
+        LEFT JOIN LATERAL (
+            SELECT
+                COUNT(*) FILTER (WHERE operation = 'find') AS finds,
+                COUNT(*) FILTER (WHERE operation = 'verify') AS verifies
+            FROM usage_events
+            WHERE user_id = m.user_id AND created_at >= cycle_start
+        ) u ON TRUE
+        WHERE m.organization_id = p_organization_id
+    ), '[]'::jsonb);
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.member_credit_allowance(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.team_credit_cycle_start(UUID) FROM PUBLIC, anon, authenticated;
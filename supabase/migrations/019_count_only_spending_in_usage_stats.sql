@@ -0,0 +1,63 @@
+-- Usage stats count only the entries that spend credits.
+-- get_usage_stats (008, redefined in 017) counted every entry but grants as spent, so lapsed credits
+-- (014), refund revokes (011) and moves into the credit pool (015) showed up as usage. It now uses
+-- the same entry types as member_credits_used.
+CREATE OR REPLACE FUNCTION public.get_usage_stats(p_user_id UUID, p_days INTEGER DEFAULT 30)
+RETURNS JSONB AS $$
+    WITH bounds AS (
+        SELECT CURRENT_DATE - (LEAST(GREATEST(p_days, 1), 366) - 1) AS start_day
+    ), days AS (
+        SELECT generate_series((SELECT start_day FROM bounds), CURRENT_DATE, INTERVAL '1 day')::date AS day
+    ), events AS (
+        SELECT * FROM usage_events
+        WHERE user_id = p_user_id AND created_at >= (SELECT start_day FROM bounds)
+    ), daily_events AS (
+        SELECT
+            created_at::date AS day,
+            COUNT(*) FILTER (WHERE operation = 'find') AS finds,
+            COUNT(*) FILTER (WHERE operation = 'find' AND hit) AS find_hits,
+            COUNT(*) FILTER (WHERE operation = 'verify') AS verifies,
+            COUNT(*) FILTER (WHERE operation = 'verify' AND hit) AS verify_hits
+        FROM events
+        GROUP BY 1
+    ), daily_credits AS (
+        -- Holds, settlements, refunds and charges net out to the credits actually spent;
+        -- grants, revokes and lapsed credits change the balance without being spent
+        SELECT
+            created_at::date AS day,
+            COALESCE(-SUM(quantity) FILTER (WHERE credit_type = 'find'), 0) AS credits_find,
+            COALESCE(-SUM(quantity) FILTER (WHERE credit_type = 'verify'), 0) AS credits_verify
+        FROM credit_ledger
+        WHERE actor_id = p_user_id
+          AND entry_type IN ('reserve', 'settle', 'release', 'expire', 'charge')
+          AND created_at >= (SELECT start_day FROM bounds)
+        GROUP BY 1
+    ), top_domains AS (
+        SELECT domain, COUNT(*) AS lookups, COUNT(*) FILTER (WHERE hit) AS hits
+        FROM events
+        WHERE domain IS NOT NULL AND domain <> ''
+        GROUP BY domain
+        ORDER BY lookups DESC, domain
+        LIMIT 10
+    )
+    SELECT jsonb_build_object(
+        'daily', (
+            SELECT jsonb_agg(jsonb_build_object(
+                'date', d.day,
+                'finds', COALESCE(e.finds, 0),
+                'find_hits', COALESCE(e.find_hits, 0),
+                'verifies', COALESCE(e.verifies, 0),
+                'verify_hits', COALESCE(e.verify_hits, 0),
+                'credits_find', COALESCE(c.credits_find, 0),
+                'credits_verify', COALESCE(c.credits_verify, 0)
+            ) ORDER BY d.day)
+            FROM days d
+            LEFT JOIN daily_events e USING (day)
+            LEFT JOIN daily_credits c USING (day)
+        ),
+        'top_domains', COALESCE((
+            SELECT jsonb_agg(jsonb_build_object('domain', domain, 'lookups', lookups, 'hits', hits) ORDER BY lookups DESC, domain)
+            FROM top_domains
+        ), '[]'::jsonb)
+    );
+$$ LANGUAGE sql STABLE;
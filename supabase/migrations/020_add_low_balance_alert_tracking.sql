@@ -0,0 +1,129 @@
+-- Low-balance alerts fire once per drop, and users can cancel an open auto top-up.
+-- check_low_balance (016) alerted every time a debit crossed the threshold, so a hold that dipped
+-- below it and was refunded, or a balance hovering around it, repeated the alert. Each balance now
+-- alerts once until it is back at or above the threshold.
+
+-- When each balance was last reported low; cleared once it is back at or above the threshold
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS low_balance_alerted_find_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS low_balance_alerted_verify_at TIMESTAMP WITH TIME ZONE;
+
+-- An unpaid checkout would otherwise block every later top-up (one open top-up per user).
+-- Users can only cancel their open top-up; auto-topup.js drops checkouts left unpaid.
+CREATE POLICY "Users can cancel own credit topups" ON credit_topups
+    FOR UPDATE USING (user_id = auth.uid() AND status IN ('pending', 'checkout_sent'))
+    WITH CHECK (user_id = auth.uid() AND status = 'cancelled');
+
+-- The check now takes the balance after the change only
+DROP FUNCTION IF EXISTS public.check_low_balance(UUID, TEXT, INTEGER, INTEGER);
+
+-- Record the alert (and queue the top-up) the first time a balance is below the user's threshold,
+-- and re-arm it once the balance is back at or above it
+CREATE OR REPLACE FUNCTION public.check_low_balance(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_balance INTEGER
+)
+RETURNS VOID AS $$
+DECLARE
+    profile profiles;
+    alerted_at TIMESTAMP WITH TIME ZONE;
+    label TEXT := CASE WHEN p_credit_type = 'find' THEN 'email finding' ELSE 'email verification' END;
+BEGIN
+    SELECT * INTO profile FROM profiles WHERE id = p_user_id;
+    alerted_at := CASE WHEN p_credit_type = 'find' THEN profile.low_balance_alerted_find_at ELSE profile.low_balance_alerted_verify_at END;
+
+    IF COALESCE(profile.low_balance_threshold, 0) <= 0 OR p_balance >= profile.low_balance_threshold THEN
+        IF alerted_at IS NOT NULL THEN
+            UPDATE profiles SET
+                low_balance_alerted_find_at = CASE WHEN p_credit_type = 'find' THEN NULL ELSE low_balance_alerted_find_at END,
+                low_balance_alerted_verify_at = CASE WHEN p_credit_type = 'verify' THEN NULL ELSE low_balance_alerted_verify_at END
+            WHERE id = p_user_id;
+        END IF;
+        RETURN;
+    END IF;
+
+    -- Already alerted since the balance went below the threshold
+    IF alerted_at IS NOT NULL THEN
+        RETURN;
+    END IF;
+
+    UPDATE profiles SET
+        low_balance_alerted_find_at = CASE WHEN p_credit_type = 'find' THEN NOW() ELSE low_balance_alerted_find_at END,
+        low_balance_alerted_verify_at = CASE WHEN p_credit_type = 'verify' THEN NOW() ELSE low_balance_alerted_verify_at END
+    WHERE id = p_user_id;
+
+    INSERT INTO notifications (user_id, type, email, subject, body, data)
+    VALUES (
+        p_user_id, 'low_balance', profile.email,
+        'Your ' || label || ' credits are running low',
+        'You have ' || p_balance || ' ' || label || ' credits left, below your alert threshold of '
+            || profile.low_balance_threshold || '. Top up from the billing page to keep your lookups running.',
+        jsonb_build_object('credit_type', p_credit_type, 'balance', p_balance, 'threshold', profile.low_balance_threshold)
+    );
+
+    IF profile.auto_topup_enabled AND profile.auto_topup_pack IS NOT NULL THEN
+        INSERT INTO credit_topups (user_id, pack, credit_type, balance_at_trigger)
+        VALUES (p_user_id, profile.auto_topup_pack, p_credit_type, p_balance)
+        ON CONFLICT DO NOTHING;
+    END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Same as in 017, with the low-balance check after each change of the balance. Holds are checked
+-- when they settle, while lapsed credits and moving credits into the pool (merge_credit_pool) are
+-- not spending, so they don't alert.
+CREATE OR REPLACE FUNCTION public.adjust_credit_balance(
+    p_user_id UUID,
+    p_credit_type TEXT,
+    p_delta INTEGER,
+    p_operation TEXT,
+    p_entry_type TEXT,
+    p_source_page TEXT DEFAULT NULL,
+    p_job_id UUID DEFAULT NULL,
+    p_reservation_id UUID DEFAULT NULL,
+    p_transaction_id UUID DEFAULT NULL,
+    p_metadata JSONB DEFAULT '{}'::jsonb,
+    p_actor_id UUID DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+DECLARE
+    balance INTEGER;
+BEGIN
+    UPDATE profiles SET
+        credits_find = credits_find + CASE WHEN p_credit_type = 'find' THEN p_delta ELSE 0 END,
+        credits_verify = credits_verify + CASE WHEN p_credit_type = 'verify' THEN p_delta ELSE 0 END
+    WHERE id = p_user_id
+    RETURNING CASE WHEN p_credit_type = 'find' THEN credits_find ELSE credits_verify END INTO balance;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    IF p_delta < 0 AND p_entry_type <> 'lapse' THEN
+        PERFORM consume_credit_buckets(p_user_id, p_credit_type, -p_delta);
+    ELSIF p_delta > 0 AND p_entry_type <> 'grant' THEN
+        PERFORM refill_credit_buckets(p_user_id, p_credit_type, p_delta);
+    END IF;
+
+    IF p_entry_type NOT IN ('reserve', 'lapse')
+       AND NOT (p_delta < 0 AND COALESCE(p_operation, '') = 'credit_pool_merge') THEN
+        PERFORM check_low_balance(p_user_id, p_credit_type, balance);
+    END IF;
+
+    IF p_delta <> 0 THEN
+        INSERT INTO credit_ledger (
+            user_id, credit_type, operation, entry_type, quantity, balance_after,
+            source_page, job_id, reservation_id, transaction_id, metadata, actor_id
+        ) VALUES (
+            p_user_id, p_credit_type, COALESCE(p_operation, p_credit_type), p_entry_type, p_delta, balance,
+            p_source_page, p_job_id, p_reservation_id, p_transaction_id, COALESCE(p_metadata, '{}'::jsonb),
+            COALESCE(p_actor_id, p_user_id)
+        );
+    END IF;
+
+    RETURN balance;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.check_low_balance(UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.adjust_credit_balance(UUID, TEXT, INTEGER, TEXT, TEXT, TEXT, UUID, UUID, UUID, JSONB, UUID) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,26 @@
+-- Keep users from writing their own billing columns.
+-- "Users can update own profile" (001) covers every column, so the subscription, seat and credit
+-- schedule columns are guarded by a trigger: only the webhooks (service role) and the credit
+-- functions, which run as their owner, may change them. Not SECURITY DEFINER, so current_user is the
+-- caller's role.
+CREATE OR REPLACE FUNCTION public.protect_profile_billing_columns()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated')
+       AND (NEW.subscription_id, NEW.subscription_status, NEW.billing_interval, NEW.team_seats,
+            NEW.credit_drip_find, NEW.credit_drip_verify, NEW.next_credit_drip_at, NEW.credit_rollover_cap,
+            NEW.low_balance_alerted_find_at, NEW.low_balance_alerted_verify_at)
+           IS DISTINCT FROM
+           (OLD.subscription_id, OLD.subscription_status, OLD.billing_interval, OLD.team_seats,
+            OLD.credit_drip_find, OLD.credit_drip_verify, OLD.next_credit_drip_at, OLD.credit_rollover_cap,
+            OLD.low_balance_alerted_find_at, OLD.low_balance_alerted_verify_at) THEN
+        RAISE EXCEPTION 'Subscription and team seat details can only be changed by the billing system';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS protect_profile_billing_columns ON profiles;
+CREATE TRIGGER protect_profile_billing_columns BEFORE UPDATE ON profiles
+    FOR EACH ROW EXECUTE FUNCTION protect_profile_billing_columns();
@@ -0,0 +1,16 @@
+-- Member usage counts a hold's settlement and refund toward the cycle the hold was made in.
+-- member_credits_used (017) counted ledger entries by their own date, so a hold made before a cycle
+-- started and refunded after it took the new cycle's usage below zero and raised the member's budget.
+
+CREATE OR REPLACE FUNCTION public.member_credits_used(p_user_id UUID, p_since TIMESTAMP WITH TIME ZONE)
+RETURNS INTEGER AS $$
+    SELECT GREATEST(COALESCE(-SUM(l.quantity), 0), 0)::INTEGER
+    FROM credit_ledger l
+    LEFT JOIN credit_reservations r ON r.id = l.reservation_id
+    WHERE l.actor_id = p_user_id
+      AND l.user_id = credit_account_id(p_user_id)
+      AND l.entry_type IN ('reserve', 'settle', 'release', 'expire', 'charge')
+      AND COALESCE(r.created_at, l.created_at) >= p_since;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION public.member_credits_used(UUID, TIMESTAMP WITH TIME ZONE) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,59 @@
+-- Keep users from writing their own balance and plan.
+-- The guard from 021 left credits_find, credits_verify, plan and plan_expiry open to "Users can update
+-- own profile" (001), so a signed-in user could raise their balance or plan directly and skip the
+-- reservations, the ledger, credit buckets, plan quotas and pooled pricing. Balances now change only
+-- through the credit functions, and the free trial is started by start_free_trial().
+
+-- Same as in 021, plus the balance and the plan
+CREATE OR REPLACE FUNCTION public.protect_profile_billing_columns()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated')
+       AND (NEW.credits_find, NEW.credits_verify, NEW.plan, NEW.plan_expiry,
+            NEW.subscription_id, NEW.subscription_status, NEW.billing_interval, NEW.team_seats,
+            NEW.credit_drip_find, NEW.credit_drip_verify, NEW.next_credit_drip_at, NEW.credit_rollover_cap,
+            NEW.low_balance_alerted_find_at, NEW.low_balance_alerted_verify_at)
+           IS DISTINCT FROM
+           (OLD.credits_find, OLD.credits_verify, OLD.plan, OLD.plan_expiry,
+            OLD.subscription_id, OLD.subscription_status, OLD.billing_interval, OLD.team_seats,
+            OLD.credit_drip_find, OLD.credit_drip_verify, OLD.next_credit_drip_at, OLD.credit_rollover_cap,
+            OLD.low_balance_alerted_find_at, OLD.low_balance_alerted_verify_at) THEN
+        RAISE EXCEPTION 'Credits, plan and subscription details can only be changed by the billing system';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- Start the caller's free trial (PLANS.free in src/constants/plans.js) if it never started.
+-- Signup (handle_new_user) starts it for new accounts; this covers profiles created without one.
+-- Returns the caller's profile.
+CREATE OR REPLACE FUNCTION public.start_free_trial()
+RETURNS profiles AS $$
+DECLARE
+    profile profiles;
+BEGIN
+    SELECT * INTO profile FROM profiles WHERE id = auth.uid() FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Profile not found';
+    END IF;
+
+    IF COALESCE(profile.plan, 'free') <> 'free' OR profile.plan_expiry IS NOT NULL THEN
+        RETURN profile;
+    END IF;
+
+    UPDATE profiles SET plan = 'free', plan_expiry = NOW() + INTERVAL '3 days'
+    WHERE id = profile.id;
+
+    -- The trial's credits go into the pool (015)
+    IF profile.credits_find < 50 THEN
+        PERFORM adjust_credit_balance(profile.id, 'find', 50 - profile.credits_find, 'free_trial', 'grant');
+    END IF;
+
+    SELECT * INTO profile FROM profiles WHERE id = profile.id;
+    RETURN profile;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION public.start_free_trial() TO authenticated;
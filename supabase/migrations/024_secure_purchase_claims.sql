@@ -0,0 +1,26 @@
+-- Claims of purchases made with another email need the order's identifier, and failed claims are
+-- rate limited. Order numbers and ids are sequential, so the buyer's email plus a guessed order
+-- number (013) was enough to take their purchase.
+
+-- The order's UUID from the LemonSqueezy receipt ("View order" link); subscriptions are claimed with
+-- the identifier of the order that started them
+ALTER TABLE unclaimed_purchases ADD COLUMN IF NOT EXISTS order_identifier VARCHAR(255);
+
+UPDATE unclaimed_purchases SET order_identifier = payload -> 'data' -> 'attributes' ->> 'identifier'
+WHERE order_identifier IS NULL AND payload -> 'data' ->> 'type' = 'orders';
+
+CREATE INDEX IF NOT EXISTS idx_unclaimed_purchases_order_identifier ON unclaimed_purchases(order_identifier);
+
+-- Failed claims per user, counted by the claim endpoint
+CREATE TABLE IF NOT EXISTS purchase_claim_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_purchase_claim_attempts_user ON purchase_claim_attempts(user_id, created_at DESC);
+
+ALTER TABLE purchase_claim_attempts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage purchase claim attempts" ON purchase_claim_attempts
+    FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
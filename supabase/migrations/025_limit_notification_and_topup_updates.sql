@@ -0,0 +1,46 @@
+-- Limit what users can change in their own notifications and top-ups.
+-- "Users can update own notifications" (016) and "Users can cancel own credit topups" (020) cover every
+-- column, so users could rewrite the subject, body or email status of their alerts, or the pack and
+-- checkout of a top-up they cancel. These triggers only let them mark a notification as read and
+-- change the status of a top-up; the webhooks and mailers (service role) are not limited. Not
+-- SECURITY DEFINER, so current_user is the caller's role.
+CREATE OR REPLACE FUNCTION public.protect_notification_columns()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated')
+       AND (NEW.id, NEW.user_id, NEW.type, NEW.email, NEW.subject, NEW.body, NEW.data,
+            NEW.email_status, NEW.sent_at, NEW.created_at)
+           IS DISTINCT FROM
+           (OLD.id, OLD.user_id, OLD.type, OLD.email, OLD.subject, OLD.body, OLD.data,
+            OLD.email_status, OLD.sent_at, OLD.created_at) THEN
+        RAISE EXCEPTION 'Notifications can only be marked as read';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS protect_notification_columns ON notifications;
+CREATE TRIGGER protect_notification_columns BEFORE UPDATE ON notifications
+    FOR EACH ROW EXECUTE FUNCTION protect_notification_columns();
+
+-- updated_at is set by update_credit_topups_updated_at (016)
+CREATE OR REPLACE FUNCTION public.protect_credit_topup_columns()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF current_user IN ('anon', 'authenticated')
+       AND (NEW.id, NEW.user_id, NEW.pack, NEW.credit_type, NEW.balance_at_trigger, NEW.checkout_url,
+            NEW.transaction_id, NEW.error, NEW.created_at)
+           IS DISTINCT FROM
+           (OLD.id, OLD.user_id, OLD.pack, OLD.credit_type, OLD.balance_at_trigger, OLD.checkout_url,
+            OLD.transaction_id, OLD.error, OLD.created_at) THEN
+        RAISE EXCEPTION 'Credit top-ups can only be cancelled';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS protect_credit_topup_columns ON credit_topups;
+CREATE TRIGGER protect_credit_topup_columns BEFORE UPDATE ON credit_topups
+    FOR EACH ROW EXECUTE FUNCTION protect_credit_topup_columns();